@@ -0,0 +1,378 @@
+/**
+ * 压缩包解析 - 列出 ZIP/tar/tar.gz 的内容并按需读取单个文件
+ *
+ * 防护（ZIP 炸弹等）：条目数、单个文件和解压总大小都有上限，
+ * 绝对路径、包含 .. 的路径、过长或层级过深的路径和链接只列出、不读取。所有读取都在内存中进行，不写入磁盘。
+ */
+
+import zlib from 'node:zlib'
+import { ZipReader } from './zip-reader.js'
+import { formatFileSize } from './message-formatter.js'
+import { DEFAULT_COMMAND_PREFIX } from './message-trigger.js'
+
+export const ARCHIVE_LIMITS = {
+  maxEntries: parseInt(process.env.MATRIX_ARCHIVE_MAX_ENTRIES || '1000'),
+  maxTotalSize: parseInt(process.env.MATRIX_ARCHIVE_MAX_SIZE_MB || '100') * 1024 * 1024,
+  maxEntrySize: parseInt(process.env.MATRIX_ARCHIVE_MAX_ENTRY_MB || '10') * 1024 * 1024,
+  maxPathLength: 1024,
+  maxPathDepth: 32
+}
+
+const MAX_TREE_LINES = 200
+
+/**
+ * 规范化条目路径，不安全的路径（绝对路径、盘符、..）返回 null
+ */
+export function normalizeEntryPath(name) {
+  const normalized = String(name).replace(/\\/g, '/')
+  if (normalized.startsWith('/') || /^[a-z]:/i.test(normalized) || normalized.includes('\0')) {
+    return null
+  }
+
+  const parts = []
+  for (const part of normalized.split('/')) {
+    if (part === '' || part === '.') continue
+    if (part === '..') return null
+    parts.push(part)
+  }
+  return parts.length > 0 ? parts.join('/') : null
+}
+
+/**
+ * 根据文件名和内容判断压缩包格式
+ */
+export function detectArchiveFormat(buffer, filename = '') {
+  const lower = filename.toLowerCase()
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return 'tar.gz'
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip'
+  if (lower.endsWith('.zip')) return 'zip'
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz'
+  return 'tar'
+}
+
+/**
+ * 读取 tar 头中以 NUL 结尾的字符串
+ */
+function readTarString(buffer, offset, length) {
+  const field = buffer.subarray(offset, offset + length)
+  const end = field.indexOf(0)
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8')
+}
+
+/**
+ * 读取 tar 头中的数字（八进制，或 GNU 的 base-256 大数）
+ */
+function readTarNumber(buffer, offset, length) {
+  if (buffer[offset] & 0x80) {
+    let value = 0
+    for (let i = offset + 1; i < offset + length; i++) value = value * 256 + buffer[i]
+    return value
+  }
+  return parseInt(readTarString(buffer, offset, length).trim() || '0', 8)
+}
+
+/**
+ * 校验 tar 头的校验和（校验和字段按空格计算）
+ */
+function isValidTarHeader(header) {
+  let sum = 0
+  for (let i = 0; i < 512; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i]
+  }
+  return sum === readTarNumber(header, 148, 8)
+}
+
+/**
+ * 解析 pax 扩展头中的 path
+ */
+function readPaxPath(data) {
+  for (const record of data.toString('utf8').split('\n')) {
+    const match = record.match(/^\d+ path=(.*)$/)
+    if (match) return match[1]
+  }
+  return null
+}
+
+/**
+ * 解析 tar 数据中的条目（支持 ustar 前缀、GNU 长文件名和 pax 路径）
+ */
+function readTarEntries(data, limits) {
+  const entries = []
+  let offset = 0
+  let longName = null
+
+  while (offset + 512 <= data.length) {
+    const header = data.subarray(offset, offset + 512)
+    if (header.every(byte => byte === 0)) break
+
+    if (!isValidTarHeader(header)) {
+      if (offset === 0) throw new Error('不是有效的 tar 文件')
+      throw new Error('tar 文件已损坏（文件头校验失败）')
+    }
+
+    const size = readTarNumber(header, 124, 12)
+    const type = header[156] === 0 ? '0' : String.fromCharCode(header[156])
+    const dataOffset = offset + 512
+    offset = dataOffset + Math.ceil(size / 512) * 512
+
+    if (type === 'L' || type === 'x') {
+      const extended = data.subarray(dataOffset, dataOffset + size)
+      longName = type === 'L' ? readTarString(extended, 0, size) : (readPaxPath(extended) ?? longName)
+      continue
+    }
+    if (type === 'g') continue
+
+    const prefix = readTarString(header, 257, 6).startsWith('ustar') ? readTarString(header, 345, 155) : ''
+    const baseName = readTarString(header, 0, 100)
+    const name = longName || (prefix ? `${prefix}/${baseName}` : baseName)
+    longName = null
+
+    entries.push({
+      name,
+      size,
+      kind: type === '5' ? 'directory' : (type === '0' || type === '7') ? 'file' : (type === '1' || type === '2') ? 'link' : 'other',
+      modifiedAt: new Date(readTarNumber(header, 136, 12) * 1000),
+      dataOffset
+    })
+
+    if (entries.length > limits.maxEntries) {
+      throw new Error(`压缩包条目过多（超过 ${limits.maxEntries} 个）`)
+    }
+  }
+
+  return entries
+}
+
+export class ArchiveReader {
+  /**
+   * @param {Buffer} buffer - 压缩包内容
+   * @param {string} filename - 文件名（用于判断格式）
+   * @param {object} options - 覆盖 ARCHIVE_LIMITS 中的上限
+   */
+  constructor(buffer, filename, options = {}) {
+    this.filename = filename
+    this.limits = { ...ARCHIVE_LIMITS, ...options }
+    this.format = detectArchiveFormat(buffer, filename)
+    this.extractedSize = 0
+
+    if (this.format === 'zip') {
+      this.zip = new ZipReader(buffer, { maxEntrySize: this.limits.maxEntrySize })
+      if (this.zip.entries.length > this.limits.maxEntries) {
+        throw new Error(`压缩包条目过多（${this.zip.entries.length} 个，上限 ${this.limits.maxEntries}）`)
+      }
+      this.entries = this.zip.entries.map(entry => this.createEntry(entry.name, {
+        size: entry.size,
+        kind: entry.isDirectory ? 'directory' : 'file',
+        encrypted: entry.encrypted,
+        modifiedAt: entry.modifiedAt,
+        source: entry
+      }))
+    } else {
+      this.data = this.format === 'tar.gz' ? this.gunzip(buffer) : buffer
+      this.entries = readTarEntries(this.data, this.limits).map(entry => this.createEntry(entry.name, entry))
+    }
+
+    this.totalSize = this.entries.reduce((sum, entry) => sum + (entry.kind === 'file' ? entry.size : 0), 0)
+    if (this.totalSize > this.limits.maxTotalSize) {
+      throw new Error(`压缩包解压后过大（${formatFileSize(this.totalSize)}，上限 ${formatFileSize(this.limits.maxTotalSize)}）`)
+    }
+
+    this.entryMap = new Map(this.entries.filter(entry => entry.path).map(entry => [entry.path, entry]))
+  }
+
+  /**
+   * 解压 gzip，输出超过总大小上限时失败
+   */
+  gunzip(buffer) {
+    try {
+      return zlib.gunzipSync(buffer, { maxOutputLength: this.limits.maxTotalSize + 1024 * 1024 })
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE' || error instanceof RangeError) {
+        throw new Error(`压缩包解压后超过 ${formatFileSize(this.limits.maxTotalSize)}`)
+      }
+      throw new Error(`gzip 解压失败: ${error.message}`)
+    }
+  }
+
+  /**
+   * 生成条目描述，标记不安全的条目
+   */
+  createEntry(name, info) {
+    // 过长或过深的路径不参与目录树，避免构建目录时的开销随路径深度失控
+    const tooLong = name.length > this.limits.maxPathLength
+    const normalized = tooLong ? null : normalizeEntryPath(name)
+    const tooDeep = normalized !== null && normalized.split('/').length > this.limits.maxPathDepth
+    const entryPath = tooDeep ? null : normalized
+    let unsafe = null
+    if (tooLong) unsafe = '路径过长'
+    else if (tooDeep) unsafe = '路径层级过深'
+    else if (!entryPath) unsafe = '不安全的路径'
+    else if (info.kind === 'link') unsafe = '链接'
+    else if (info.encrypted) unsafe = '已加密'
+
+    return {
+      name,
+      path: entryPath,
+      size: info.size || 0,
+      kind: info.kind,
+      modifiedAt: info.modifiedAt || null,
+      unsafe,
+      source: info.source || null,
+      dataOffset: info.dataOffset
+    }
+  }
+
+  /**
+   * 可读取的普通文件
+   */
+  get files() {
+    return this.entries.filter(entry => entry.kind === 'file' && !entry.unsafe)
+  }
+
+  /**
+   * 被跳过的不安全条目
+   */
+  get skipped() {
+    return this.entries.filter(entry => entry.unsafe)
+  }
+
+  /**
+   * 按路径查找条目（忽略开头的 ./ 和结尾的 /），不安全的条目按原始名称查找
+   */
+  getEntry(entryPath) {
+    const normalized = normalizeEntryPath(entryPath)
+    return (normalized && this.entryMap.get(normalized)) || this.skipped.find(entry => entry.name === entryPath) || null
+  }
+
+  /**
+   * 列出目录下的条目（目录可以只由文件路径隐含）
+   */
+  listDirectory(entryPath) {
+    const normalized = normalizeEntryPath(entryPath)
+    if (!normalized) return []
+    return this.entries.filter(entry => entry.path?.startsWith(`${normalized}/`))
+  }
+
+  /**
+   * 读取文件内容
+   * @returns {Buffer}
+   */
+  read(entryPath) {
+    const entry = typeof entryPath === 'string' ? this.getEntry(entryPath) : entryPath
+    if (!entry) {
+      throw new Error(`压缩包中没有文件: ${entryPath}`)
+    }
+    if (entry.unsafe) {
+      throw new Error(`已跳过 ${entry.name}（${entry.unsafe}）`)
+    }
+    if (entry.kind !== 'file') {
+      throw new Error(`不是文件: ${entry.path}`)
+    }
+    if (entry.size > this.limits.maxEntrySize) {
+      throw new Error(`文件过大: ${entry.path}（${formatFileSize(entry.size)}，上限 ${formatFileSize(this.limits.maxEntrySize)}）`)
+    }
+
+    const buffer = this.format === 'zip'
+      ? this.zip.read(entry.source)
+      : this.data.subarray(entry.dataOffset, entry.dataOffset + entry.size)
+
+    // 累计读取量，防止大小声明不实的条目反复读取
+    this.extractedSize += buffer.length
+    if (this.extractedSize > this.limits.maxTotalSize) {
+      throw new Error(`读取总量超过 ${formatFileSize(this.limits.maxTotalSize)}`)
+    }
+    return buffer
+  }
+}
+
+/**
+ * 把条目渲染为带大小的目录树
+ * @param {object[]} entries - 条目（跳过不安全的条目）
+ * @param {object} options - maxLines: 最多显示的行数
+ */
+export function formatArchiveTree(entries, options = {}) {
+  const { maxLines = MAX_TREE_LINES } = options
+  const root = { children: new Map() }
+
+  for (const entry of entries) {
+    if (!entry.path || entry.unsafe) continue
+    let node = root
+    const parts = entry.path.split('/')
+    parts.forEach((part, index) => {
+      if (!node.children.has(part)) node.children.set(part, { children: new Map(), entry: null })
+      node = node.children.get(part)
+      if (index === parts.length - 1) node.entry = entry
+    })
+  }
+
+  const lines = []
+  let omitted = 0
+
+  const isDirectory = (node) => node.children.size > 0 || node.entry?.kind === 'directory'
+
+  // 用显式栈做深度优先遍历；目录在前，同类按名称排序
+  const sortedChildren = (node, depth) => [...node.children.entries()]
+    .sort(([nameA, a], [nameB, b]) => {
+      const dirA = isDirectory(a)
+      const dirB = isDirectory(b)
+      return dirA === dirB ? nameA.localeCompare(nameB) : dirA ? -1 : 1
+    })
+    .map(([name, child]) => ({ name, node: child, depth }))
+
+  const stack = sortedChildren(root, 0).reverse()
+  while (stack.length > 0) {
+    const { name, node, depth } = stack.pop()
+    const directory = isDirectory(node)
+    if (lines.length >= maxLines) {
+      omitted++
+    } else {
+      const indent = '  '.repeat(depth)
+      lines.push(directory ? `${indent}${name}/` : `${indent}${name} (${formatFileSize(node.entry?.size || 0)})`)
+    }
+    if (directory) stack.push(...sortedChildren(node, depth + 1).reverse())
+  }
+
+  if (omitted > 0) lines.push(`... 还有 ${omitted} 项`)
+  return lines.join('\n')
+}
+
+/**
+ * 截断过长的条目名称用于显示
+ */
+function truncateName(name, maxLength = 100) {
+  return name.length > maxLength ? `${name.slice(0, maxLength)}…` : name
+}
+
+/**
+ * 将压缩包内容格式化为适合 AI 阅读的文本
+ * @param {object} options - commandPrefix: 房间的命令前缀（用于操作提示）
+ */
+export function formatArchiveForAI(archive, options = {}) {
+  const { commandPrefix = DEFAULT_COMMAND_PREFIX } = options
+  const files = archive.entries.filter(entry => entry.kind === 'file')
+  const directories = new Set()
+  for (const entry of archive.entries) {
+    if (!entry.path || entry.unsafe) continue
+    for (let index = entry.path.indexOf('/'); index !== -1; index = entry.path.indexOf('/', index + 1)) {
+      directories.add(entry.path.slice(0, index))
+    }
+    if (entry.kind === 'directory') directories.add(entry.path)
+  }
+
+  const lines = [
+    `📦 **压缩包: ${archive.filename}**`,
+    '',
+    `- 格式: ${archive.format}`,
+    `- 文件: ${files.length} 个，目录: ${directories.size} 个，解压后共 ${formatFileSize(archive.totalSize)}`
+  ]
+
+  const skipped = archive.skipped
+  if (skipped.length > 0) {
+    const examples = skipped.slice(0, 5).map(entry => `${truncateName(entry.name)}（${entry.unsafe}）`).join('，')
+    lines.push(`- ⚠️ 已跳过 ${skipped.length} 个条目: ${examples}${skipped.length > 5 ? ' 等' : ''}`)
+  }
+  lines.push(`- 使用 \`${commandPrefix} file show <路径>\` 读取其中的文件`)
+
+  lines.push('', '```', formatArchiveTree(archive.entries) || '(空压缩包)', '```')
+  return lines.join('\n')
+}
@@ -0,0 +1,65 @@
+/**
+ * 代码沙箱 - 在独立工作线程的 vm 上下文中运行 !opencode run 的代码
+ *
+ * 限制：同步代码超时由 vm 中断，异步代码和整体执行由墙钟超时终止工作线程；
+ * 工作线程有独立的堆内存上限，沙箱内不能使用 eval/new Function，全局对象和内置原型均已冻结。
+ */
+
+import { Worker } from 'worker_threads'
+
+export const DEFAULT_TIMEOUT_MS = parseInt(process.env.MATRIX_SANDBOX_TIMEOUT_MS || '3000')
+export const DEFAULT_MEMORY_MB = parseInt(process.env.MATRIX_SANDBOX_MEMORY_MB || '64')
+
+const MAX_LOG_LINES = 100
+const MAX_LOG_LENGTH = 8000
+
+/**
+ * 在沙箱中运行代码
+ * @param {string} code - JavaScript代码（脚本的最后一个表达式即结果，Promise会被等待）
+ * @param {object} options - timeoutMs: 墙钟超时; memoryMb: 堆内存上限
+ * @returns {Promise<{ result: string|null, error: string|null, logs: string[], durationMs: number }>}
+ */
+export function runInSandbox(code, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, memoryMb = DEFAULT_MEMORY_MB } = options
+  const startedAt = Date.now()
+
+  return new Promise((resolve) => {
+    let settled = false
+    let timer = null
+    const finish = (outcome) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      worker.terminate().catch(() => {})
+      resolve({ result: null, error: null, logs: [], ...outcome, durationMs: Date.now() - startedAt })
+    }
+
+    const worker = new Worker(new URL('./sandbox-worker.js', import.meta.url), {
+      workerData: { code, timeoutMs, maxLogLines: MAX_LOG_LINES, maxLogLength: MAX_LOG_LENGTH },
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryMb,
+        maxYoungGenerationSizeMb: Math.max(Math.floor(memoryMb / 4), 4),
+        stackSizeMb: 4
+      },
+      env: {},
+      stdout: true,
+      stderr: true
+    })
+
+    // 墙钟超时：覆盖异步死循环等 vm 超时无法中断的情况
+    timer = setTimeout(() => {
+      finish({ error: `执行超时 (${timeoutMs}ms)` })
+    }, timeoutMs + 500)
+
+    worker.on('message', (message) => finish(message))
+
+    worker.on('error', (error) => {
+      const outOfMemory = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+      finish({ error: outOfMemory ? `内存超出限制 (${memoryMb}MB)` : error.message })
+    })
+
+    worker.on('exit', (exitCode) => {
+      finish({ error: `沙箱异常退出 (代码 ${exitCode})` })
+    })
+  })
+}
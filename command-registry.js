@@ -0,0 +1,403 @@
+/**
+ * 命令注册表 - 以声明方式定义命令（名称、别名、参数、权限、说明），
+ * 统一完成参数解析、zod 校验、用法错误提示和帮助文本生成
+ */
+
+import { z } from 'zod'
+
+// 只在解析命令参数时使用中文错误信息，不修改全局 zod 配置
+const { localeError } = z.locales.zhCN()
+
+/**
+ * 命令用法错误（未知命令、参数缺失或无效等），message 可直接发送给用户
+ */
+export class CommandUsageError extends Error {
+  constructor(message, command = null) {
+    super(message)
+    this.name = 'CommandUsageError'
+    this.command = command
+  }
+}
+
+/**
+ * 从 position 开始读取下一个参数，支持单/双引号和反斜杠转义
+ * @returns {{ value: string, start: number, end: number, quoted: boolean }|null}
+ *   start/end 为参数在原文中的位置，没有更多参数时返回 null
+ */
+export function readToken(text, position = 0) {
+  let i = position
+  while (i < text.length && /\s/.test(text[i])) i++
+  if (i >= text.length) return null
+
+  const start = i
+  let value = ''
+  let quoted = false
+
+  while (i < text.length && !/\s/.test(text[i])) {
+    const char = text[i]
+
+    if (char === '"' || char === "'") {
+      const quote = char
+      quoted = true
+      i++
+      while (i < text.length && text[i] !== quote) {
+        // 双引号内允许转义引号和反斜杠
+        if (quote === '"' && text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+          i++
+        }
+        value += text[i]
+        i++
+      }
+      if (i >= text.length) {
+        throw new CommandUsageError('引号未闭合')
+      }
+      i++
+      continue
+    }
+
+    if (char === '\\' && i + 1 < text.length) {
+      value += text[i + 1]
+      i += 2
+      continue
+    }
+
+    value += char
+    i++
+  }
+
+  return { value, start, end: i, quoted }
+}
+
+/**
+ * 将命令文本拆分为参数
+ * @returns {Array<{ value: string, start: number, end: number, quoted: boolean }>}
+ */
+export function tokenize(text) {
+  const tokens = []
+  for (let token = readToken(text); token; token = readToken(text, token.end)) {
+    tokens.push(token)
+  }
+  return tokens
+}
+
+/**
+ * 权限的显示文本，global: 前缀表示需要全局角色（如 global:admin 显示为 全局 admin）
+ */
+function formatPermission(permission) {
+  return permission.startsWith('global:') ? `全局 ${permission.slice('global:'.length)}` : permission
+}
+
+/**
+ * 去掉 optional/default 等包装，得到底层 schema
+ */
+function unwrapSchema(schema) {
+  let current = schema
+  while (current?.def?.innerType) {
+    current = current.def.innerType
+  }
+  return current
+}
+
+/**
+ * 获取 schema 的默认值（没有时返回 undefined）
+ */
+function getDefaultValue(schema) {
+  let current = schema
+  while (current?.def) {
+    if (current.def.type === 'default') {
+      return current.def.defaultValue
+    }
+    current = current.def.innerType
+  }
+  return undefined
+}
+
+/**
+ * 规范化参数/选项声明
+ */
+function normalizeParam(param) {
+  const base = unwrapSchema(param.schema)
+
+  return {
+    label: param.name,
+    description: '',
+    values: null,
+    permissions: null,
+    ...param,
+    optional: param.schema.safeParse(undefined).success,
+    defaultValue: getDefaultValue(param.schema),
+    choices: Array.isArray(base?.options) ? base.options : null,
+    boolean: base?.def?.type === 'boolean'
+  }
+}
+
+/**
+ * 命令注册表
+ */
+export class CommandRegistry {
+  /**
+   * @param {object} options - prefix: 默认命令前缀（用于生成用法文本，房间可以使用自己的前缀）
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || '!opencode'
+    this.commands = new Map()   // 命令名 -> 命令定义
+    this.aliases = new Map()    // 名称或别名 -> 命令名
+  }
+
+  /**
+   * 注册命令
+   * @param {object} definition - name, aliases, description, permission, args, flags, examples, handler
+   *   examples: 不含命令前缀的示例，如 "switch fast room"
+   *   args: [{ name, label, schema, description, values, permissions, rest }]，rest 参数获取剩余的原始文本
+   *   flags: [{ name, alias, schema, description, permissions }]
+   *   permissions: 参数取特定值时额外需要的权限，如 { room: 'operator' }；
+   *   权限可加 global: 前缀，表示只认全局角色（如 'global:admin'）
+   */
+  register(definition) {
+    const { name, handler } = definition
+    if (!name || typeof handler !== 'function') {
+      throw new Error('命令必须包含 name 和 handler')
+    }
+
+    const args = (definition.args || []).map(normalizeParam)
+    const flags = (definition.flags || []).map(normalizeParam)
+
+    const restIndex = args.findIndex(arg => arg.rest)
+    if (restIndex !== -1 && restIndex !== args.length - 1) {
+      throw new Error(`命令 ${name} 的剩余参数必须放在最后`)
+    }
+
+    const shape = {}
+    for (const param of [...args, ...flags]) {
+      shape[param.name] = param.schema
+    }
+
+    const command = {
+      aliases: [],
+      description: '',
+      permission: 'user',
+      examples: [],
+      ...definition,
+      name: name.toLowerCase(),
+      args,
+      flags,
+      schema: z.object(shape)
+    }
+
+    for (const key of [command.name, ...command.aliases.map(alias => alias.toLowerCase())]) {
+      if (this.aliases.has(key)) {
+        throw new Error(`命令名称冲突: ${key}`)
+      }
+      this.aliases.set(key, command.name)
+    }
+
+    this.commands.set(command.name, command)
+    return command
+  }
+
+  /**
+   * 按名称或别名查找命令
+   */
+  resolve(name) {
+    const commandName = this.aliases.get(String(name || '').toLowerCase())
+    return commandName ? this.commands.get(commandName) : null
+  }
+
+  /**
+   * 列出所有命令（按注册顺序）
+   */
+  list() {
+    return [...this.commands.values()]
+  }
+
+  /**
+   * 解析命令文本（不含前缀），prefix 为用法提示中显示的命令前缀
+   * @returns {{ command: object, args: object }}
+   * @throws {CommandUsageError} 未知命令或参数无效
+   */
+  parse(commandText, prefix = this.prefix) {
+    // 逐个读取参数，到达剩余参数时直接截取原文：其中的引号（如 I'm）不需要成对
+    let position = 0
+    const next = () => {
+      const token = readToken(commandText, position)
+      if (token) position = token.end
+      return token
+    }
+
+    const nameToken = next()
+    if (!nameToken) {
+      throw new CommandUsageError(`用法: ${prefix} [命令]\n可用命令: ${this.list().map(c => c.name).join(', ')}`)
+    }
+
+    const command = this.resolve(nameToken.value)
+    if (!command) {
+      throw new CommandUsageError(`未知命令: ${nameToken.value}\n使用 ${prefix} help 查看可用命令`)
+    }
+
+    const values = {}
+    let argIndex = 0
+    let flagsEnded = command.flags.length === 0
+
+    while (commandText.slice(position).trim()) {
+      const arg = command.args[argIndex]
+      const remaining = commandText.slice(position).trimStart()
+
+      if (arg?.rest && (flagsEnded || !/^(--?[a-zA-Z]|--(\s|$))/.test(remaining))) {
+        // 剩余参数保留原始文本（含引号），供代码/Shell命令使用
+        values[arg.name] = remaining.trim()
+        break
+      }
+
+      const token = next()
+
+      if (!flagsEnded && !token.quoted && token.value === '--') {
+        flagsEnded = true
+        continue
+      }
+
+      if (!flagsEnded && !token.quoted && /^--?[a-zA-Z]/.test(token.value)) {
+        const [flagName, inlineValue] = token.value.replace(/^--?/, '').split(/=(.*)/s)
+        const flag = command.flags.find(f => f.name === flagName || f.alias === flagName)
+        if (!flag) {
+          throw this.usageError(command, `未知选项: ${token.value}`, prefix)
+        }
+
+        if (flag.boolean) {
+          values[flag.name] = inlineValue === undefined ? true : !['false', '0', 'no'].includes(inlineValue)
+        } else if (inlineValue !== undefined) {
+          values[flag.name] = inlineValue
+        } else {
+          const valueToken = next()
+          if (!valueToken) {
+            throw this.usageError(command, `选项 --${flag.name} 缺少值`, prefix)
+          }
+          values[flag.name] = valueToken.value
+        }
+        continue
+      }
+
+      if (!arg) {
+        throw this.usageError(command, `参数过多: ${token.value}`, prefix)
+      }
+
+      values[arg.name] = token.value
+      argIndex++
+    }
+
+    const result = command.schema.safeParse(values, { error: localeError })
+    if (!result.success) {
+      const issue = result.error.issues[0]
+      const param = [...command.args, ...command.flags].find(p => p.name === issue.path[0])
+      const target = param ? (command.flags.includes(param) ? `选项 --${param.name}` : `参数 ${param.label}`) : '参数'
+      const missing = param && values[param.name] === undefined
+      throw this.usageError(command, missing ? `缺少${target}` : `${target}无效: ${issue.message}`, prefix)
+    }
+
+    return { command, args: result.data }
+  }
+
+  /**
+   * 获取执行命令所需的全部权限（命令本身及参数取值带来的额外权限）
+   * @param {object} args - parse 返回的参数
+   * @returns {string[]}
+   */
+  getRequiredPermissions(command, args = {}) {
+    const permissions = [command.permission]
+
+    for (const param of [...command.args, ...command.flags]) {
+      const required = param.permissions?.[String(args[param.name])]
+      if (required && !permissions.includes(required)) {
+        permissions.push(required)
+      }
+    }
+
+    return permissions
+  }
+
+  /**
+   * 生成带用法提示的错误
+   */
+  usageError(command, message, prefix = this.prefix) {
+    return new CommandUsageError(`❌ ${message}\n用法: ${this.formatUsage(command, prefix)}\n` +
+      `使用 ${prefix} help ${command.name} 查看详情`, command)
+  }
+
+  /**
+   * 生成命令用法，如 "!opencode switch <模型ID> [作用域]"
+   */
+  formatUsage(command, prefix = this.prefix) {
+    const parts = [`${prefix} ${command.name}`]
+
+    for (const flag of command.flags) {
+      const value = flag.boolean ? '' : ` <${flag.label}>`
+      parts.push(`[--${flag.name}${value}]`)
+    }
+
+    for (const arg of command.args) {
+      const text = arg.choices ? arg.choices.join('|') : `${arg.label}${arg.rest ? '...' : ''}`
+      parts.push(arg.optional ? `[${text}]` : `<${text}>`)
+    }
+
+    return parts.join(' ')
+  }
+
+  /**
+   * 生成命令列表形式的帮助文本
+   */
+  formatHelp(prefix = this.prefix) {
+    return this.list()
+      .map(command => `${this.formatUsage(command, prefix)} - ${command.description}`)
+      .join('\n')
+  }
+
+  /**
+   * 生成单个命令的详细帮助
+   * @returns {string|null} 未知命令时返回 null
+   */
+  formatCommandHelp(name, prefix = this.prefix) {
+    const command = this.resolve(name)
+    if (!command) return null
+
+    const lines = [this.formatUsage(command, prefix), command.description]
+
+    if (command.aliases.length > 0) {
+      lines.push(`别名: ${command.aliases.join(', ')}`)
+    }
+    lines.push(`权限: ${formatPermission(command.permission)}`)
+
+    const describeParam = (param, title) => {
+      const defaultText = param.defaultValue !== undefined && !param.boolean ? `（默认 ${param.defaultValue}）` : ''
+      const optionalText = param.optional && param.defaultValue === undefined && !param.boolean ? '（可选）' : ''
+      const paramLines = [`- ${title}: ${param.description}${defaultText}${optionalText}`]
+      for (const choice of param.choices || []) {
+        const choiceText = param.values?.[choice]
+        const permissionText = param.permissions?.[choice] ? `（需要 ${formatPermission(param.permissions[choice])}）` : ''
+        paramLines.push(`  - ${choice}${choiceText ? `: ${choiceText}` : ''}${permissionText}`)
+      }
+      if (param.boolean && param.permissions?.true) {
+        paramLines[0] += `（需要 ${formatPermission(param.permissions.true)}）`
+      }
+      return paramLines
+    }
+
+    if (command.args.length > 0) {
+      lines.push('', '参数:')
+      command.args.forEach(arg => lines.push(...describeParam(arg, arg.label)))
+    }
+
+    if (command.flags.length > 0) {
+      lines.push('', '选项:')
+      command.flags.forEach(flag => {
+        const title = `--${flag.name}${flag.alias ? `, -${flag.alias}` : ''}`
+        lines.push(...describeParam(flag, title))
+      })
+    }
+
+    if (command.examples.length > 0) {
+      lines.push('', '示例:')
+      command.examples.forEach(example => lines.push(`- ${prefix} ${example}`))
+    }
+
+    return lines.join('\n')
+  }
+}
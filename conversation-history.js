@@ -0,0 +1,240 @@
+import { PreferenceStore } from './preference-store.js'
+
+/**
+ * 估算文本的 token 数量（粗略：CJK 字符按 1 token，其余按 4 字符 1 token）
+ */
+export function estimateTokens(text) {
+  if (!text) return 0
+  const cjkCount = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4)
+}
+
+/**
+ * 对话历史管理器 - 按房间（及可选的线程）持久化最近的对话轮次
+ */
+export class ConversationHistory {
+  constructor(store = null, options = {}) {
+    this.store = store || new PreferenceStore()
+    this.db = null
+    this.maxTurns = options.maxTurns || parseInt(process.env.MATRIX_HISTORY_MAX_TURNS || '20')
+  }
+
+  /**
+   * 创建对话历史表
+   */
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversation_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT NOT NULL,
+        thread_id TEXT NOT NULL DEFAULT '',
+        role TEXT NOT NULL,
+        sender TEXT,
+        content TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // 早期版本的表没有 event_id 列（提问消息的事件ID，用于替换被编辑或重新生成的一轮对话）
+    const columns = this.db.prepare('PRAGMA table_info(conversation_history)').all()
+    if (!columns.some(column => column.name === 'event_id')) {
+      this.db.exec('ALTER TABLE conversation_history ADD COLUMN event_id TEXT')
+    }
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_conversation_room ON conversation_history(room_id, thread_id)
+    `)
+  }
+
+  /**
+   * 追加一条对话消息，并只保留最近 maxTurns 轮（每轮包含用户和助手各一条）
+   */
+  async addMessage(roomId, message, options = {}) {
+    await this.ensureInitialized()
+
+    const { threadId = '', eventId = null } = options
+    const { role, content, sender = null } = message
+
+    try {
+      this.db.prepare(`
+        INSERT INTO conversation_history (room_id, thread_id, role, sender, content, event_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(roomId, threadId || '', role, sender, content, eventId, new Date().toISOString())
+
+      this.db.prepare(`
+        DELETE FROM conversation_history
+        WHERE room_id = ? AND thread_id = ? AND id NOT IN (
+          SELECT id FROM conversation_history
+          WHERE room_id = ? AND thread_id = ?
+          ORDER BY id DESC
+          LIMIT ?
+        )
+      `).run(roomId, threadId || '', roomId, threadId || '', this.maxTurns * 2)
+
+      return { success: true }
+
+    } catch (error) {
+      console.error('❌ 保存对话历史失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 记录一轮完整对话（用户消息 + 助手回复）
+   * @param {object} options - sender, threadId, eventId: 提问消息的事件ID
+   */
+  async addTurn(roomId, userMessage, assistantMessage, options = {}) {
+    await this.addMessage(roomId, { role: 'user', content: userMessage, sender: options.sender }, options)
+    await this.addMessage(roomId, { role: 'assistant', content: assistantMessage }, options)
+  }
+
+  /**
+   * 替换某条提问对应的一轮对话（提问被编辑或回复重新生成时），
+   * 找不到（已被清理或记录时没有事件ID）时追加为新的一轮
+   */
+  async replaceTurn(roomId, eventId, userMessage, assistantMessage, options = {}) {
+    await this.ensureInitialized()
+
+    const { threadId = '' } = options
+
+    try {
+      const rows = this.db.prepare(`
+        SELECT id, role FROM conversation_history
+        WHERE room_id = ? AND thread_id = ? AND event_id = ?
+      `).all(roomId, threadId || '', eventId)
+
+      if (rows.length === 0) {
+        await this.addTurn(roomId, userMessage, assistantMessage, { ...options, eventId })
+        return
+      }
+
+      const update = this.db.prepare('UPDATE conversation_history SET content = ? WHERE id = ?')
+      for (const row of rows) {
+        update.run(row.role === 'user' ? userMessage : assistantMessage, row.id)
+      }
+
+    } catch (error) {
+      console.error('❌ 替换对话历史失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 获取最近的对话消息（按时间正序）
+   */
+  async getHistory(roomId, options = {}) {
+    await this.ensureInitialized()
+
+    const { threadId = '', limit = this.maxTurns * 2 } = options
+
+    try {
+      const rows = this.db.prepare(`
+        SELECT role, sender, content, event_id, created_at
+        FROM conversation_history
+        WHERE room_id = ? AND thread_id = ?
+        ORDER BY id DESC
+        LIMIT ?
+      `).all(roomId, threadId || '', limit)
+
+      return rows.reverse()
+
+    } catch (error) {
+      console.error('❌ 获取对话历史失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 机器人是否已在该线程中回复过
+   */
+  async hasAssistantReply(roomId, threadId) {
+    await this.ensureInitialized()
+
+    try {
+      const row = this.db.prepare(`
+        SELECT 1 FROM conversation_history
+        WHERE room_id = ? AND thread_id = ? AND role = 'assistant'
+        LIMIT 1
+      `).get(roomId, threadId || '')
+
+      return !!row
+
+    } catch (error) {
+      console.error('❌ 查询线程对话失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 获取适合发送给模型的上下文消息，按模型上下文窗口裁剪
+   * @param {string} roomId - 房间ID
+   * @param {object} options - threadId, contextWindow, reserveTokens, excludeEventId（跳过该提问的一轮）
+   * @returns {Array<{role: string, content: string}>} 按时间正序的消息
+   */
+  async getContextMessages(roomId, options = {}) {
+    const { threadId = '', contextWindow = 128000, reserveTokens = 8000, excludeEventId = null } = options
+    const history = (await this.getHistory(roomId, { threadId }))
+      .filter(row => !excludeEventId || row.event_id !== excludeEventId)
+
+    // 从最新消息开始累计，超出预算即停止
+    const budget = Math.max(contextWindow - reserveTokens, 0)
+    const messages = []
+    let used = 0
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const tokens = estimateTokens(history[i].content)
+      if (used + tokens > budget) break
+      used += tokens
+      messages.unshift({ role: history[i].role, content: history[i].content })
+    }
+
+    // 上下文应从用户消息开始
+    while (messages.length > 0 && messages[0].role !== 'user') {
+      messages.shift()
+    }
+
+    return messages
+  }
+
+  /**
+   * 清除房间（或线程）的对话历史；allThreads 为 true 时清除房间内所有线程
+   */
+  async clear(roomId, options = {}) {
+    await this.ensureInitialized()
+
+    const { threadId = '', allThreads = false } = options
+
+    try {
+      const result = allThreads
+        ? this.db.prepare('DELETE FROM conversation_history WHERE room_id = ?').run(roomId)
+        : this.db.prepare(`
+            DELETE FROM conversation_history WHERE room_id = ? AND thread_id = ?
+          `).run(roomId, threadId || '')
+
+      return { success: true, messagesDeleted: result.changes }
+
+    } catch (error) {
+      console.error('❌ 清除对话历史失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 确保已初始化：首次使用时创建对话历史表
+   */
+  async ensureInitialized() {
+    await this.store.attach(this, (db) => {
+      this.db = db
+      this.createTables()
+    })
+  }
+}
+
+/**
+ * 将历史消息格式化为对话记录文本（用于只接受单条消息的接口）
+ */
+export function formatHistoryAsTranscript(messages) {
+  return messages
+    .map(msg => `${msg.role === 'user' ? '用户' : '助手'}: ${msg.content}`)
+    .join('\n\n')
+}
@@ -0,0 +1,95 @@
+import path from 'node:path'
+import fs from 'node:fs'
+
+/**
+ * 凭据存储 - 保存密码登录获得的访问令牌和设备ID，避免每次启动都创建新设备
+ *
+ * 文件位于 matrix-storage/credentials/<用户>.json，仅当前用户可读写。
+ */
+export class CredentialStore {
+  /**
+   * @param {string} storageDir - matrix-storage 目录
+   * @param {string} userId - Matrix用户ID
+   */
+  constructor(storageDir, userId) {
+    this.dir = path.join(storageDir, 'credentials')
+    this.filePath = path.join(this.dir, `${userId.replace(/[@:]/g, '_')}.json`)
+    this.userId = userId
+  }
+
+  /**
+   * 读取保存的凭据；不存在、损坏或属于其他服务器时返回 null
+   * @returns {{ accessToken: string, deviceId: string, homeserver: string, savedAt: string } | null}
+   */
+  load(homeserver) {
+    try {
+      if (!fs.existsSync(this.filePath)) return null
+
+      const credentials = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'))
+      if (!credentials.accessToken || credentials.userId !== this.userId) return null
+      if (homeserver && credentials.homeserver !== homeserver) return null
+
+      return credentials
+    } catch (error) {
+      console.error('❌ 读取Matrix凭据失败:', error.message)
+      return null
+    }
+  }
+
+  /**
+   * 保存凭据
+   */
+  save({ accessToken, deviceId, homeserver }) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 })
+
+      const credentials = {
+        userId: this.userId,
+        homeserver,
+        accessToken,
+        deviceId: deviceId || null,
+        savedAt: new Date().toISOString()
+      }
+      // 先写临时文件再重命名，避免中断时留下半截文件
+      const tmpPath = `${this.filePath}.tmp`
+      fs.writeFileSync(tmpPath, JSON.stringify(credentials, null, 2), { mode: 0o600 })
+      fs.renameSync(tmpPath, this.filePath)
+
+      return credentials
+    } catch (error) {
+      console.error('❌ 保存Matrix凭据失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 使保存的访问令牌失效，保留设备ID供重新登录时复用
+   */
+  invalidate() {
+    const credentials = this.load()
+    if (!credentials) return
+
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({ ...credentials, accessToken: null }, null, 2), { mode: 0o600 })
+    } catch (error) {
+      console.error('❌ 更新Matrix凭据失败:', error.message)
+    }
+  }
+
+  /**
+   * 读取保存的设备ID（令牌已失效时也可用）
+   */
+  getDeviceId(homeserver) {
+    try {
+      if (!fs.existsSync(this.filePath)) return null
+
+      const credentials = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'))
+      if (credentials.userId !== this.userId) return null
+      if (homeserver && credentials.homeserver !== homeserver) return null
+
+      return credentials.deviceId || null
+    } catch {
+      return null
+    }
+  }
+}
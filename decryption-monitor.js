@@ -0,0 +1,76 @@
+/**
+ * 解密失败统计 - 按房间记录无法解密的消息，并限制在房间内提示的频率
+ */
+
+export const DEFAULT_NOTIFY_INTERVAL_MS = parseInt(process.env.MATRIX_DECRYPTION_NOTIFY_INTERVAL_MS || '600000')
+
+export class DecryptionMonitor {
+  constructor(options = {}) {
+    this.notifyIntervalMs = options.notifyIntervalMs ?? DEFAULT_NOTIFY_INTERVAL_MS
+    this.rooms = new Map()   // 房间ID -> 统计
+  }
+
+  /**
+   * 记录一次解密失败
+   * @returns {{ stats: object, shouldNotify: boolean }} shouldNotify: 距上次在房间内提示已超过间隔
+   */
+  record(roomId, event, error) {
+    const now = Date.now()
+    const stats = this.rooms.get(roomId) || {
+      roomId,
+      count: 0,
+      pending: 0,            // 上次提示后新增的失败数
+      senders: new Set(),
+      lastAt: null,
+      lastError: null,
+      lastSender: null,
+      lastNotifiedAt: 0
+    }
+
+    stats.count++
+    stats.pending++
+    stats.senders.add(event?.sender)
+    stats.lastAt = now
+    stats.lastError = error?.message || String(error)
+    stats.lastSender = event?.sender || null
+    this.rooms.set(roomId, stats)
+
+    const shouldNotify = now - stats.lastNotifiedAt >= this.notifyIntervalMs
+    return { stats, shouldNotify }
+  }
+
+  /**
+   * 标记已在房间内提示
+   */
+  markNotified(roomId) {
+    const stats = this.rooms.get(roomId)
+    if (stats) {
+      stats.lastNotifiedAt = Date.now()
+      stats.pending = 0
+    }
+  }
+
+  /**
+   * 获取房间的统计（无失败时返回 null）
+   */
+  getRoomStats(roomId) {
+    const stats = this.rooms.get(roomId)
+    return stats ? { ...stats, senders: [...stats.senders].filter(Boolean) } : null
+  }
+
+  /**
+   * 全部房间的失败总数
+   */
+  getTotalCount() {
+    let total = 0
+    for (const stats of this.rooms.values()) total += stats.count
+    return total
+  }
+
+  /**
+   * 清除房间的统计
+   */
+  reset(roomId) {
+    this.rooms.delete(roomId)
+  }
+}
@@ -0,0 +1,607 @@
+import { randomBytes, createHash, createHmac, generateKeyPairSync, createPublicKey, diffieHellman, hkdfSync } from 'crypto'
+import { EventEmitter } from 'events'
+import { PreferenceStore } from './preference-store.js'
+
+export const SAS_METHOD = 'm.sas.v1'
+const KEY_AGREEMENT_PROTOCOL = 'curve25519-hkdf-sha256'
+const HASH_METHOD = 'sha256'
+const MAC_METHOD = 'hkdf-hmac-sha256.v2'
+const SAS_METHODS = ['decimal', 'emoji']
+
+// 验证请求的有效期（规范要求 10 分钟）
+const TRANSACTION_TIMEOUT_MS = 10 * 60 * 1000
+
+// 规范定义的 SAS 表情列表，顺序不可更改：[表情, 中文名, 英文名]
+export const SAS_EMOJI = [
+  ['🐶', '狗', 'Dog'], ['🐱', '猫', 'Cat'], ['🦁', '狮子', 'Lion'], ['🐎', '马', 'Horse'],
+  ['🦄', '独角兽', 'Unicorn'], ['🐷', '猪', 'Pig'], ['🐘', '大象', 'Elephant'], ['🐰', '兔子', 'Rabbit'],
+  ['🐼', '熊猫', 'Panda'], ['🐓', '公鸡', 'Rooster'], ['🐧', '企鹅', 'Penguin'], ['🐢', '乌龟', 'Turtle'],
+  ['🐟', '鱼', 'Fish'], ['🐙', '章鱼', 'Octopus'], ['🦋', '蝴蝶', 'Butterfly'], ['🌷', '花', 'Flower'],
+  ['🌳', '树', 'Tree'], ['🌵', '仙人掌', 'Cactus'], ['🍄', '蘑菇', 'Mushroom'], ['🌏', '地球', 'Globe'],
+  ['🌙', '月亮', 'Moon'], ['☁️', '云', 'Cloud'], ['🔥', '火', 'Fire'], ['🍌', '香蕉', 'Banana'],
+  ['🍎', '苹果', 'Apple'], ['🍓', '草莓', 'Strawberry'], ['🌽', '玉米', 'Corn'], ['🍕', '披萨', 'Pizza'],
+  ['🎂', '蛋糕', 'Cake'], ['❤️', '心', 'Heart'], ['😀', '笑脸', 'Smiley'], ['🤖', '机器人', 'Robot'],
+  ['🎩', '帽子', 'Hat'], ['👓', '眼镜', 'Glasses'], ['🔧', '扳手', 'Spanner'], ['🎅', '圣诞老人', 'Santa'],
+  ['👍', '赞', 'Thumbs Up'], ['☂️', '伞', 'Umbrella'], ['⌛', '沙漏', 'Hourglass'], ['⏰', '时钟', 'Clock'],
+  ['🎁', '礼物', 'Gift'], ['💡', '灯泡', 'Light Bulb'], ['📕', '书', 'Book'], ['✏️', '铅笔', 'Pencil'],
+  ['📎', '回形针', 'Paperclip'], ['✂️', '剪刀', 'Scissors'], ['🔒', '锁', 'Lock'], ['🔑', '钥匙', 'Key'],
+  ['🔨', '锤子', 'Hammer'], ['☎️', '电话', 'Telephone'], ['🏁', '旗子', 'Flag'], ['🚂', '火车', 'Train'],
+  ['🚲', '自行车', 'Bicycle'], ['✈️', '飞机', 'Aeroplane'], ['🚀', '火箭', 'Rocket'], ['🏆', '奖杯', 'Trophy'],
+  ['⚽', '球', 'Ball'], ['🎸', '吉他', 'Guitar'], ['🎺', '喇叭', 'Trumpet'], ['🔔', '铃铛', 'Bell'],
+  ['⚓', '锚', 'Anchor'], ['🎧', '耳机', 'Headphones'], ['📁', '文件夹', 'Folder'], ['📌', '图钉', 'Pin']
+]
+
+/**
+ * Matrix 规范 JSON：键排序、无多余空白
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * 无填充 base64
+ */
+function unpaddedBase64(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '')
+}
+
+/**
+ * 由 SAS 字节生成表情（前 42 位，每 6 位一个）
+ */
+export function sasToEmoji(bytes) {
+  let bits = 0n
+  for (const byte of bytes.subarray(0, 6)) {
+    bits = (bits << 8n) | BigInt(byte)
+  }
+  return Array.from({ length: 7 }, (_, index) => SAS_EMOJI[Number((bits >> BigInt(42 - (index + 1) * 6)) & 63n)])
+}
+
+/**
+ * 由 SAS 字节生成三个四位数（前 39 位，每 13 位加 1000）
+ */
+export function sasToDecimal(bytes) {
+  const [b0, b1, b2, b3, b4] = bytes
+  return [
+    ((b0 << 5) | (b1 >> 3)) + 1000,
+    (((b1 & 0x7) << 10) | (b2 << 2) | (b3 >> 6)) + 1000,
+    (((b3 & 0x3f) << 7) | (b4 >> 1)) + 1000
+  ]
+}
+
+/**
+ * 生成 Curve25519 临时密钥对，公钥为无填充 base64
+ */
+function generateEphemeralKey() {
+  const { publicKey, privateKey } = generateKeyPairSync('x25519')
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url')
+  return { privateKey, publicKey: unpaddedBase64(raw) }
+}
+
+/**
+ * 计算 ECDH 共享密钥
+ */
+function computeSharedSecret(privateKey, theirPublicKey) {
+  const x = Buffer.from(theirPublicKey, 'base64').toString('base64url')
+  const publicKey = createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x }, format: 'jwk' })
+  return diffieHellman({ privateKey, publicKey })
+}
+
+/**
+ * 设备验证 - 通过 SAS 表情比对（to-device 消息）验证用户设备，并让对方验证机器人的设备
+ *
+ * 验证的作用是让对方的客户端信任机器人的设备。机器人这一侧只记录验证结果供查看，
+ * 加密存储（OlmMachine）没有提供设置设备信任的接口，密钥分享和解密提示不受验证结果影响。
+ *
+ * 事件：
+ * - request (transaction): 收到对方发起的验证请求
+ * - sas (transaction): 双方公钥交换完成，可比对表情
+ * - verified (transaction): 验证完成
+ * - cancelled (transaction): 验证被取消（transaction.cancelReason 为原因）
+ */
+export class DeviceVerification extends EventEmitter {
+  constructor(store = null) {
+    super()
+    this.store = store || new PreferenceStore()
+    this.db = null
+    this.client = null
+    this.transactions = new Map()   // 事务ID -> 验证事务
+  }
+
+  /**
+   * 创建已验证设备表
+   */
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS verified_devices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        ed25519_key TEXT NOT NULL,
+        verified_by TEXT,
+        verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, device_id)
+      )
+    `)
+  }
+
+  /**
+   * 绑定Matrix客户端并监听 to-device 验证消息
+   */
+  attach(client) {
+    this.client = client
+    client.on('to_device.event', (event) => {
+      if (!event?.type?.startsWith('m.key.verification.')) return
+      this.handleEvent(event).catch(error => {
+        console.error(`❌ 处理验证消息 ${event.type} 失败:`, error.message)
+      })
+    })
+  }
+
+  /**
+   * 机器人自己的设备信息
+   */
+  async getOwnDevice() {
+    const crypto = this.client?.crypto
+    if (!crypto) {
+      throw new Error('未启用端到端加密，无法进行设备验证')
+    }
+
+    return {
+      userId: await this.client.getUserId(),
+      deviceId: crypto.clientDeviceId,
+      ed25519: crypto.clientDeviceEd25519
+    }
+  }
+
+  /**
+   * 向用户的设备发起验证请求
+   * @param {string} deviceId - 设备ID，省略时发送到该用户的所有设备
+   * @param {string} roomId - 验证过程消息发送到的房间
+   */
+  async request(userId, deviceId, roomId) {
+    const own = await this.getOwnDevice()
+    const transaction = this.createTransaction({
+      id: randomBytes(12).toString('hex'),
+      userId,
+      deviceId: deviceId || '*',
+      roomId,
+      initiatedByUs: true
+    })
+
+    await this.send(transaction, 'm.key.verification.request', {
+      from_device: own.deviceId,
+      methods: [SAS_METHOD],
+      timestamp: Date.now()
+    })
+
+    console.log(`✅ 已向 ${userId} (${transaction.deviceId}) 发起设备验证 [${transaction.id}]`)
+    return transaction
+  }
+
+  /**
+   * 接受对方发起的验证请求
+   */
+  async accept(id, roomId) {
+    const transaction = this.requireTransaction(id)
+    if (transaction.initiatedByUs || transaction.state !== 'requested') {
+      throw new Error('该验证不是待接受的请求')
+    }
+
+    const own = await this.getOwnDevice()
+    transaction.roomId = roomId || transaction.roomId
+    transaction.state = 'ready'
+    await this.send(transaction, 'm.key.verification.ready', {
+      from_device: own.deviceId,
+      methods: [SAS_METHOD]
+    })
+    return transaction
+  }
+
+  /**
+   * 确认表情一致：发送 MAC，对方的 MAC 已到达时完成验证
+   * @param {string} confirmedBy - 确认表情的用户
+   */
+  async confirm(id, confirmedBy = null) {
+    const transaction = this.requireTransaction(id)
+    if (!transaction.sas) {
+      throw new Error('尚未生成验证表情，请等待对方完成密钥交换')
+    }
+    if (transaction.confirmed) {
+      throw new Error('已确认，正在等待对方确认')
+    }
+
+    const own = await this.getOwnDevice()
+    const ownKeyId = `ed25519:${own.deviceId}`
+    await this.send(transaction, 'm.key.verification.mac', {
+      mac: { [ownKeyId]: this.computeMac(transaction, own, own.ed25519, ownKeyId, true) },
+      keys: this.computeMac(transaction, own, ownKeyId, 'KEY_IDS', true)
+    })
+    transaction.confirmed = true
+    transaction.verifiedBy = confirmedBy
+    transaction.state = 'mac_sent'
+
+    if (transaction.theirMac) {
+      await this.verifyTheirMac(transaction)
+    }
+    return transaction
+  }
+
+  /**
+   * 取消验证
+   */
+  async cancel(id, code = 'm.user', reason = '用户取消') {
+    const transaction = this.requireTransaction(id)
+    await this.send(transaction, 'm.key.verification.cancel', { code, reason })
+    this.markCancelled(transaction, reason)
+    return transaction
+  }
+
+  /**
+   * 列出进行中的验证
+   */
+  list() {
+    this.pruneExpired()
+    return [...this.transactions.values()]
+  }
+
+  /**
+   * 按ID或唯一前缀查找验证事务
+   */
+  getTransaction(id) {
+    this.pruneExpired()
+    const key = String(id || '')
+    if (this.transactions.has(key)) return this.transactions.get(key)
+
+    const matches = [...this.transactions.values()].filter(transaction => transaction.id.startsWith(key))
+    return key && matches.length === 1 ? matches[0] : null
+  }
+
+  requireTransaction(id) {
+    const transaction = this.getTransaction(id)
+    if (!transaction) {
+      throw new Error(`验证不存在或已过期: ${id}`)
+    }
+    return transaction
+  }
+
+  /**
+   * 列出已验证的设备
+   */
+  async listVerifiedDevices(userId = null) {
+    await this.ensureInitialized()
+
+    try {
+      return userId
+        ? this.db.prepare('SELECT * FROM verified_devices WHERE user_id = ? ORDER BY verified_at DESC').all(userId)
+        : this.db.prepare('SELECT * FROM verified_devices ORDER BY verified_at DESC').all()
+
+    } catch (error) {
+      console.error('❌ 获取已验证设备失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 处理收到的验证消息
+   */
+  async handleEvent(event) {
+    const { sender, type, content = {} } = event
+    const id = content.transaction_id
+    if (!id) return
+
+    if (type === 'm.key.verification.request') {
+      if (!content.methods?.includes(SAS_METHOD)) return
+      const transaction = this.createTransaction({
+        id,
+        userId: sender,
+        deviceId: content.from_device,
+        roomId: null,
+        initiatedByUs: false
+      })
+      console.log(`收到 ${sender} (${content.from_device}) 的设备验证请求 [${id}]`)
+      this.emit('request', transaction)
+      return
+    }
+
+    const transaction = this.transactions.get(id)
+    if (!transaction || transaction.userId !== sender || transaction.state === 'cancelled') return
+
+    switch (type) {
+      case 'm.key.verification.ready':
+        await this.onReady(transaction, content)
+        break
+      case 'm.key.verification.start':
+        await this.onStart(transaction, content)
+        break
+      case 'm.key.verification.accept':
+        await this.onAccept(transaction, content)
+        break
+      case 'm.key.verification.key':
+        await this.onKey(transaction, content)
+        break
+      case 'm.key.verification.mac':
+        transaction.theirMac = content
+        if (transaction.confirmed) {
+          await this.verifyTheirMac(transaction)
+        }
+        break
+      case 'm.key.verification.cancel':
+        this.markCancelled(transaction, content.reason || content.code || '对方取消')
+        break
+    }
+  }
+
+  /**
+   * 对方准备就绪：由我们（请求方）发起 SAS
+   */
+  async onReady(transaction, content) {
+    if (!transaction.initiatedByUs || transaction.state !== 'requested') return
+
+    // 请求发送给了所有设备时，通知其他设备该请求已被接受
+    if (transaction.deviceId === '*') {
+      transaction.deviceId = content.from_device
+      await this.cancelOtherDevices(transaction).catch(error => {
+        console.error('❌ 通知其他设备失败:', error.message)
+      })
+    }
+
+    const own = await this.getOwnDevice()
+    transaction.startContent = {
+      from_device: own.deviceId,
+      method: SAS_METHOD,
+      key_agreement_protocols: [KEY_AGREEMENT_PROTOCOL],
+      hashes: [HASH_METHOD],
+      message_authentication_codes: [MAC_METHOD],
+      short_authentication_string: SAS_METHODS,
+      transaction_id: transaction.id
+    }
+    transaction.startedByUs = true
+    transaction.state = 'started'
+    await this.send(transaction, 'm.key.verification.start', transaction.startContent)
+  }
+
+  /**
+   * 通知用户的其他设备验证已在某台设备上接受
+   */
+  async cancelOtherDevices(transaction) {
+    const response = await this.client.getUserDevices([transaction.userId])
+    const deviceIds = Object.keys(response?.device_keys?.[transaction.userId] || {})
+      .filter(deviceId => deviceId !== transaction.deviceId)
+    if (deviceIds.length === 0) return
+
+    const content = { transaction_id: transaction.id, code: 'm.accepted', reason: '已在其他设备上接受' }
+    await this.client.sendToDevices('m.key.verification.cancel', {
+      [transaction.userId]: Object.fromEntries(deviceIds.map(deviceId => [deviceId, content]))
+    })
+  }
+
+  /**
+   * 对方发起 SAS：校验参数后发送承诺
+   */
+  async onStart(transaction, content) {
+    if (transaction.startedByUs || transaction.sas) return
+
+    if (content.method !== SAS_METHOD ||
+      !content.key_agreement_protocols?.includes(KEY_AGREEMENT_PROTOCOL) ||
+      !content.hashes?.includes(HASH_METHOD) ||
+      !content.message_authentication_codes?.includes(MAC_METHOD) ||
+      !content.short_authentication_string?.includes('emoji')) {
+      await this.cancel(transaction.id, 'm.unknown_method', '不支持的验证方式')
+      return
+    }
+
+    transaction.deviceId = content.from_device || transaction.deviceId
+    transaction.startContent = content
+    transaction.startedByUs = false
+    transaction.key = generateEphemeralKey()
+    transaction.state = 'accepted'
+
+    await this.send(transaction, 'm.key.verification.accept', {
+      method: SAS_METHOD,
+      key_agreement_protocol: KEY_AGREEMENT_PROTOCOL,
+      hash: HASH_METHOD,
+      message_authentication_code: MAC_METHOD,
+      short_authentication_string: SAS_METHODS,
+      commitment: this.computeCommitment(transaction.key.publicKey, content)
+    })
+  }
+
+  /**
+   * 对方接受了我们的 SAS：记录承诺并发送公钥
+   */
+  async onAccept(transaction, content) {
+    if (!transaction.startedByUs || transaction.state !== 'started') return
+
+    if (content.key_agreement_protocol !== KEY_AGREEMENT_PROTOCOL ||
+      content.hash !== HASH_METHOD ||
+      content.message_authentication_code !== MAC_METHOD) {
+      await this.cancel(transaction.id, 'm.unknown_method', '不支持的验证方式')
+      return
+    }
+
+    transaction.commitment = content.commitment
+    transaction.key = generateEphemeralKey()
+    transaction.state = 'key_sent'
+    await this.send(transaction, 'm.key.verification.key', { key: transaction.key.publicKey })
+  }
+
+  /**
+   * 收到对方公钥：校验承诺、交换公钥并生成表情
+   */
+  async onKey(transaction, content) {
+    if (transaction.theirKey || !transaction.key || !content.key) return
+    transaction.theirKey = content.key
+
+    if (transaction.startedByUs) {
+      if (this.computeCommitment(content.key, transaction.startContent) !== transaction.commitment) {
+        await this.cancel(transaction.id, 'm.mismatched_commitment', '公钥与承诺不一致')
+        return
+      }
+    } else {
+      await this.send(transaction, 'm.key.verification.key', { key: transaction.key.publicKey })
+    }
+
+    const own = await this.getOwnDevice()
+    transaction.sharedSecret = computeSharedSecret(transaction.key.privateKey, transaction.theirKey)
+
+    const starter = transaction.startedByUs
+      ? [own.userId, own.deviceId, transaction.key.publicKey]
+      : [transaction.userId, transaction.deviceId, transaction.theirKey]
+    const acceptor = transaction.startedByUs
+      ? [transaction.userId, transaction.deviceId, transaction.theirKey]
+      : [own.userId, own.deviceId, transaction.key.publicKey]
+    const info = ['MATRIX_KEY_VERIFICATION_SAS', ...starter, ...acceptor, transaction.id].join('|')
+    const bytes = Buffer.from(hkdfSync('sha256', transaction.sharedSecret, Buffer.alloc(0), info, 6))
+
+    transaction.sas = { emoji: sasToEmoji(bytes), decimal: sasToDecimal(bytes) }
+    transaction.state = 'sas'
+    this.emit('sas', transaction)
+  }
+
+  /**
+   * 校验对方的 MAC，成功后记录已验证设备并结束验证
+   */
+  async verifyTheirMac(transaction) {
+    const own = await this.getOwnDevice()
+    const { mac = {}, keys } = transaction.theirMac
+    const keyIds = Object.keys(mac).sort()
+
+    const deviceKeys = await this.fetchDeviceKeys(transaction.userId, transaction.deviceId)
+    const expectedKeys = this.computeMac(transaction, own, keyIds.join(','), 'KEY_IDS', false)
+    const valid = keyIds.length > 0 && keys === expectedKeys && keyIds.every(keyId =>
+      // 只校验设备自身的密钥，交叉签名密钥不在设备密钥中，跳过
+      !deviceKeys[keyId] || mac[keyId] === this.computeMac(transaction, own, deviceKeys[keyId], keyId, false)
+    )
+    const ed25519 = deviceKeys[`ed25519:${transaction.deviceId}`]
+
+    if (!valid || !ed25519 || !keyIds.includes(`ed25519:${transaction.deviceId}`)) {
+      await this.cancel(transaction.id, 'm.key_mismatch', '设备密钥校验失败')
+      return
+    }
+
+    await this.saveVerifiedDevice(transaction.userId, transaction.deviceId, ed25519, transaction.verifiedBy)
+    await this.send(transaction, 'm.key.verification.done', {})
+    transaction.state = 'done'
+    this.transactions.delete(transaction.id)
+    console.log(`✅ 设备验证完成: ${transaction.userId} (${transaction.deviceId})`)
+    this.emit('verified', transaction)
+  }
+
+  /**
+   * 查询设备的公钥
+   * @returns {Promise<object>} 密钥ID -> 公钥
+   */
+  async fetchDeviceKeys(userId, deviceId) {
+    const response = await this.client.getUserDevices([userId])
+    return response?.device_keys?.[userId]?.[deviceId]?.keys || {}
+  }
+
+  /**
+   * 计算 MAC（hkdf-hmac-sha256.v2）
+   * @param {boolean} outgoing - true: 我们发送的 MAC; false: 对方发送的 MAC
+   */
+  computeMac(transaction, own, input, keyId, outgoing) {
+    const sender = outgoing ? [own.userId, own.deviceId] : [transaction.userId, transaction.deviceId]
+    const receiver = outgoing ? [transaction.userId, transaction.deviceId] : [own.userId, own.deviceId]
+    const info = `MATRIX_KEY_VERIFICATION_MAC${sender.join('')}${receiver.join('')}${transaction.id}${keyId}`
+    const key = Buffer.from(hkdfSync('sha256', transaction.sharedSecret, Buffer.alloc(0), info, 32))
+    return unpaddedBase64(createHmac('sha256', key).update(input).digest())
+  }
+
+  /**
+   * 承诺值 = sha256(公钥 + 规范化的 start 内容)
+   */
+  computeCommitment(publicKey, startContent) {
+    return unpaddedBase64(createHash('sha256').update(publicKey + canonicalJson(startContent)).digest())
+  }
+
+  /**
+   * 保存已验证设备
+   */
+  async saveVerifiedDevice(userId, deviceId, ed25519Key, verifiedBy) {
+    await this.ensureInitialized()
+
+    try {
+      this.db.prepare(`
+        INSERT INTO verified_devices (user_id, device_id, ed25519_key, verified_by, verified_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, device_id) DO UPDATE SET
+          ed25519_key = excluded.ed25519_key,
+          verified_by = excluded.verified_by,
+          verified_at = excluded.verified_at
+      `).run(userId, deviceId, ed25519Key, verifiedBy || null, new Date().toISOString())
+
+    } catch (error) {
+      console.error('❌ 保存已验证设备失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 发送 to-device 验证消息
+   */
+  async send(transaction, type, content) {
+    await this.client.sendToDevices(type, {
+      [transaction.userId]: {
+        [transaction.deviceId]: { ...content, transaction_id: transaction.id }
+      }
+    })
+  }
+
+  createTransaction(fields) {
+    const transaction = {
+      ...fields,
+      state: 'requested',
+      startedByUs: false,
+      startContent: null,
+      key: null,
+      theirKey: null,
+      commitment: null,
+      sharedSecret: null,
+      sas: null,
+      theirMac: null,
+      confirmed: false,
+      verifiedBy: null,
+      cancelReason: null,
+      createdAt: Date.now()
+    }
+    this.transactions.set(transaction.id, transaction)
+    return transaction
+  }
+
+  markCancelled(transaction, reason) {
+    transaction.state = 'cancelled'
+    transaction.cancelReason = reason
+    this.transactions.delete(transaction.id)
+    console.log(`设备验证已取消 [${transaction.id}]: ${reason}`)
+    this.emit('cancelled', transaction)
+  }
+
+  /**
+   * 清理过期的验证
+   */
+  pruneExpired() {
+    const now = Date.now()
+    for (const transaction of this.transactions.values()) {
+      if (now - transaction.createdAt > TRANSACTION_TIMEOUT_MS) {
+        this.transactions.delete(transaction.id)
+      }
+    }
+  }
+
+  /**
+   * 确保已初始化：首次使用时创建已验证设备表
+   */
+  async ensureInitialized() {
+    await this.store.attach(this, (db) => {
+      this.db = db
+      this.createTables()
+    })
+  }
+}
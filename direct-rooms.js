@@ -0,0 +1,134 @@
+/**
+ * 私聊房间 - 通过 m.direct 账户数据识别与用户一对一的房间，并按需创建私聊
+ */
+export class DirectRooms {
+  constructor() {
+    this.client = null
+    this.directMap = {}            // 用户ID -> 房间ID列表（m.direct 内容）
+    this.roomToUser = new Map()    // 房间ID -> 用户ID
+    this.loaded = false
+    this.loading = null
+  }
+
+  /**
+   * 绑定Matrix客户端并跟踪 m.direct 的变化
+   */
+  attach(client) {
+    this.client = client
+    client.on('account_data', (event) => {
+      if (event?.type === 'm.direct') {
+        this.setDirectMap(event.content)
+      }
+    })
+  }
+
+  /**
+   * 读取 m.direct 账户数据
+   */
+  async load() {
+    let content = {}
+    try {
+      content = await this.client.getAccountData('m.direct')
+    } catch (error) {
+      // 从未设置过 m.direct 时服务器返回 M_NOT_FOUND
+      if ((error.errcode || error.body?.errcode) !== 'M_NOT_FOUND') {
+        console.error('❌ 读取私聊房间列表失败:', error.message)
+        throw error
+      }
+    }
+    this.setDirectMap(content)
+  }
+
+  /**
+   * 确保已读取 m.direct
+   */
+  async ensureLoaded() {
+    if (this.loaded) return
+    this.loading = this.loading || this.load().finally(() => { this.loading = null })
+    await this.loading
+  }
+
+  setDirectMap(content) {
+    this.directMap = {}
+    this.roomToUser.clear()
+    for (const [userId, roomIds] of Object.entries(content || {})) {
+      if (!Array.isArray(roomIds)) continue
+      this.directMap[userId] = [...roomIds]
+      for (const roomId of roomIds) {
+        this.roomToUser.set(roomId, userId)
+      }
+    }
+    this.loaded = true
+  }
+
+  /**
+   * 房间是否为私聊
+   */
+  async isDirect(roomId) {
+    await this.ensureLoaded()
+    return this.roomToUser.has(roomId)
+  }
+
+  /**
+   * 获取私聊房间对应的用户（非私聊返回 null）
+   */
+  async getDirectUser(roomId) {
+    await this.ensureLoaded()
+    return this.roomToUser.get(roomId) || null
+  }
+
+  /**
+   * 把房间记为与用户的私聊（写入 m.direct）
+   */
+  async add(userId, roomId) {
+    await this.ensureLoaded()
+    if (this.directMap[userId]?.includes(roomId)) return
+
+    const content = {
+      ...this.directMap,
+      [userId]: [...(this.directMap[userId] || []), roomId]
+    }
+    try {
+      await this.client.setAccountData('m.direct', content)
+      this.setDirectMap(content)
+      console.log(`✅ 已将房间 ${roomId} 记为与 ${userId} 的私聊`)
+    } catch (error) {
+      console.error('❌ 更新私聊房间列表失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 获取与用户的私聊房间：复用双方都在的已有私聊，没有时创建新房间并邀请对方
+   * @returns {Promise<string>} 房间ID
+   */
+  async open(userId) {
+    await this.ensureLoaded()
+
+    const joinedRooms = new Set(await this.client.getJoinedRooms())
+    for (const roomId of [...(this.directMap[userId] || [])].reverse()) {
+      if (!joinedRooms.has(roomId)) continue
+      try {
+        const member = await this.client.getRoomStateEvent(roomId, 'm.room.member', userId)
+        if (['join', 'invite'].includes(member?.membership)) {
+          return roomId
+        }
+      } catch {
+        // 对方从未加入过该房间
+      }
+    }
+
+    const roomId = await this.client.createRoom({
+      preset: 'trusted_private_chat',
+      is_direct: true,
+      invite: [userId],
+      initial_state: this.client.crypto
+        ? [{ type: 'm.room.encryption', state_key: '', content: { algorithm: 'm.megolm.v1.aes-sha2' } }]
+        : []
+    })
+    console.log(`✅ 已创建与 ${userId} 的私聊房间 ${roomId}`)
+
+    await this.add(userId, roomId)
+    return roomId
+  }
+}
@@ -1,4 +1,5 @@
 import * as XLSX from 'xlsx'
+import { CODE_LANGUAGES, LOG_EXTENSIONS } from './source-parser.js'
 
 /**
  * 支持的文件类型
@@ -6,7 +7,13 @@ import * as XLSX from 'xlsx'
 export const SUPPORTED_FILE_TYPES = {
   excel: ['.xlsx', '.xls', '.xlsm', '.xlsb'],
   csv: ['.csv', '.tsv'],
-  text: ['.txt', '.md', '.json', '.xml']
+  text: ['.txt', '.md', '.json', '.xml'],
+  pdf: ['.pdf'],
+  docx: ['.docx', '.docm'],
+  pptx: ['.pptx', '.pptm'],
+  archive: ['.zip', '.tar', '.tar.gz', '.tgz'],
+  code: Object.keys(CODE_LANGUAGES),
+  log: LOG_EXTENSIONS
 }
 
 /**
@@ -21,8 +28,7 @@ export function isExcelFile(filename) {
  * 检查文件是否为支持的类型
  */
 export function isSupportedFile(filename) {
-  const ext = filename.toLowerCase().slice(filename.lastIndexOf('.'))
-  return Object.values(SUPPORTED_FILE_TYPES).flat().includes(ext)
+  return getFileType(filename) !== 'unknown'
 }
 
 /**
@@ -33,6 +39,12 @@ export function getFileType(filename) {
   if (SUPPORTED_FILE_TYPES.excel.includes(ext)) return 'excel'
   if (SUPPORTED_FILE_TYPES.csv.includes(ext)) return 'csv'
   if (SUPPORTED_FILE_TYPES.text.includes(ext)) return 'text'
+  if (SUPPORTED_FILE_TYPES.pdf.includes(ext)) return 'pdf'
+  if (SUPPORTED_FILE_TYPES.docx.includes(ext)) return 'docx'
+  if (SUPPORTED_FILE_TYPES.pptx.includes(ext)) return 'pptx'
+  if (SUPPORTED_FILE_TYPES.archive.some(suffix => filename.toLowerCase().endsWith(suffix))) return 'archive'
+  if (SUPPORTED_FILE_TYPES.code.includes(ext)) return 'code'
+  if (SUPPORTED_FILE_TYPES.log.includes(ext)) return 'log'
   return 'unknown'
 }
 
@@ -238,7 +250,7 @@ export function parseCSV(buffer, filename, options = {}) {
  * 格式化 Excel 内容为 AI 可读文本
  */
 export function formatExcelForAI(parseResult, options = {}) {
-  const { includePreview = true, maxPreviewRows = 50 } = options
+  const { includePreview = true, maxPreviewRows = 50, maxLength = null } = options
 
   if (parseResult.error) {
     return parseResult.summary
@@ -256,5 +268,6 @@ export function formatExcelForAI(parseResult, options = {}) {
     }
   }
 
-  return text.substring(0, 10000)
+  // 默认不截断，由调用方决定如何发送超长内容
+  return maxLength ? text.substring(0, maxLength) : text
 }
@@ -1,6 +1,8 @@
 import { config } from 'dotenv'
-import { createMatrixClient } from './matrix-client.js'
+import { createMatrixClient, DEFAULT_DEVICE_NAME } from './matrix-client.js'
 import { setupMatrixHandlers } from './matrix-handlers.js'
+import { createAppservice } from './matrix-appservice.js'
+import { formatMessageContent, formatDuration, HTML_FORMAT } from './message-formatter.js'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 
@@ -9,6 +11,9 @@ const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 config({ path: join(__dirname, '.env') })
 
+// 新会话创建通知等待会话绑定到房间的最长时间
+const SESSION_BIND_WAIT_MS = 5000
+
 /**
  * OpenCode Matrix Plugin
  * 
@@ -20,6 +25,8 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
   
   let matrixClient = null
   let matrixConfig = null
+  let matrixServices = null
+  let appservice = null
   
   // 加载Matrix配置
   function loadMatrixConfig() {
@@ -28,7 +35,7 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
       userId: process.env.MATRIX_USER_ID,
       accessToken: process.env.MATRIX_ACCESS_TOKEN,
       password: process.env.MATRIX_PASSWORD,
-      deviceName: process.env.MATRIX_DEVICE_NAME || 'OpenCode Bot',
+      deviceName: process.env.MATRIX_DEVICE_NAME || DEFAULT_DEVICE_NAME,
       initialSyncLimit: parseInt(process.env.MATRIX_INITIAL_SYNC_LIMIT || '10'),
       notificationRoom: process.env.MATRIX_NOTIFICATION_ROOM,
       allowedRooms: process.env.MATRIX_ALLOWED_ROOMS 
@@ -38,7 +45,8 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
 
         ? process.env.MATRIX_ALLOWED_USERS.split(',') 
         : [],
-      encryption: false // process.env.MATRIX_ENCRYPTION !== 'false'
+      encryption: process.env.MATRIX_ENCRYPTION !== 'false',
+      mode: process.env.MATRIX_MODE === 'appservice' ? 'appservice' : 'client'
     }
   }
   
@@ -47,6 +55,24 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
     try {
       matrixConfig = loadMatrixConfig()
       
+      // 应用服务模式：由服务器推送事件，机器人和模型虚拟用户共用一套处理流程
+      if (matrixConfig.mode === 'appservice') {
+        appservice = await createAppservice()
+        matrixClient = appservice.botClient
+        matrixConfig.userId = appservice.botUserId
+        
+        matrixServices = setupMatrixHandlers(matrixClient, {
+          project,
+          client,
+          $,
+          directory,
+          worktree,
+          serverUrl
+        }, { appservice })
+        
+        return true
+      }
+      
       if (!matrixConfig.userId) {
         console.log('警告: MATRIX_USER_ID未设置，Matrix插件将禁用')
         return false
@@ -62,8 +88,15 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
       if (matrixClient) {
         console.log(`Matrix客户端已连接到 ${matrixConfig.homeserver} (用户: ${matrixConfig.userId})`)
         
+        // 同步中断恢复后通知
+        matrixClient.supervisor?.on('reconnected', ({ downtimeMs, attempts }) => {
+          sendMatrixNotification(
+            `Matrix连接已恢复，中断 ${formatDuration(downtimeMs)}（重连 ${attempts} 次）\n时间: ${new Date().toLocaleString()}`
+          )
+        })
+        
         // 设置消息处理器
-        setupMatrixHandlers(matrixClient, {
+        matrixServices = setupMatrixHandlers(matrixClient, {
           project,
           client,
           $,
@@ -87,10 +120,7 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
     }
     
     try {
-      await matrixClient.sendMessage(matrixConfig.notificationRoom, {
-        msgtype: 'm.text',
-        body: message
-      })
+      await matrixClient.sendMessage(matrixConfig.notificationRoom, formatMessageContent(message))
       return true
     } catch (error) {
       console.error('发送Matrix通知失败:', error.message)
@@ -98,6 +128,34 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
     }
   }
   
+  // 发送会话通知：优先发送到绑定该会话的房间，否则发送到通知房间
+  // waitForBindingMs: 会话尚未绑定时等待绑定的时间（新创建的会话）
+  async function sendSessionNotification(sessionId, message, waitForBindingMs = 0) {
+    let rooms = []
+    try {
+      if (matrixServices?.sessionRegistry) {
+        rooms = await matrixServices.sessionRegistry.waitForRooms(sessionId, waitForBindingMs)
+      }
+    } catch (error) {
+      console.error('查询会话绑定房间失败:', error.message)
+    }
+    
+    if (rooms.length === 0) {
+      return await sendMatrixNotification(message)
+    }
+    
+    let sent = false
+    for (const roomId of rooms) {
+      try {
+        await sendMatrixMessage(roomId, message)
+        sent = true
+      } catch {
+        // 错误已在sendMatrixMessage中记录
+      }
+    }
+    return sent
+  }
+  
   // 发送消息到指定房间
   async function sendMatrixMessage(roomId, message, options = {}) {
     if (!matrixClient) {
@@ -105,12 +163,19 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
     }
     
     try {
-      await matrixClient.sendMessage(roomId, {
-        msgtype: options.msgtype || 'm.text',
-        body: message,
-        format: options.format || undefined,
-        formatted_body: options.formatted_body || undefined
-      })
+      const msgtype = options.msgtype || 'm.text'
+      
+      // 未提供HTML时按Markdown渲染
+      const content = options.formatted_body
+        ? {
+            msgtype,
+            body: message,
+            format: options.format || HTML_FORMAT,
+            formatted_body: options.formatted_body
+          }
+        : formatMessageContent(message, { msgtype })
+      
+      await matrixClient.sendMessage(roomId, content)
       return true
     } catch (error) {
       console.error(`发送Matrix消息到房间 ${roomId} 失败:`, error.message)
@@ -118,6 +183,17 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
     }
   }
   
+  // 私信发送消息给用户：复用已有私聊，没有时创建并邀请对方
+  async function sendMatrixDirectMessage(userId, message, options = {}) {
+    if (!matrixServices?.directRooms) {
+      throw new Error('Matrix客户端未初始化')
+    }
+    
+    const roomId = await matrixServices.directRooms.open(userId)
+    await sendMatrixMessage(roomId, message, options)
+    return roomId
+  }
+  
   // 主初始化函数
   const initialized = await initializeMatrix()
   
@@ -147,31 +223,31 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
     'session.created': async ({ session }) => {
       console.log(`新会话创建: ${session.id}`)
       
-      if (matrixConfig.notificationRoom) {
-        await sendMatrixNotification(
-          `新的OpenCode会话已创建\n会话ID: ${session.id}\n项目: ${project.name}\n时间: ${new Date().toLocaleString()}`
-        )
-      }
+      // 该钩子在 session.create 返回前触发，此时会话还没有绑定到房间；
+      // 不等待通知发送，以免阻塞创建流程，等到绑定后再发到对应房间
+      sendSessionNotification(
+        session.id,
+        `新的OpenCode会话已创建\n会话ID: ${session.id}\n项目: ${project.name}\n时间: ${new Date().toLocaleString()}`,
+        SESSION_BIND_WAIT_MS
+      ).catch(error => console.error('发送会话创建通知失败:', error.message))
     },
     
     'session.idle': async ({ session }) => {
       console.log(`会话完成: ${session.id}`)
       
-      if (matrixConfig.notificationRoom) {
-        await sendMatrixNotification(
-          `OpenCode会话已完成\n会话ID: ${session.id}\n状态: ${session.status || 'idle'}\n时间: ${new Date().toLocaleString()}`
-        )
-      }
+      await sendSessionNotification(
+        session.id,
+        `OpenCode会话已完成\n会话ID: ${session.id}\n状态: ${session.status || 'idle'}\n时间: ${new Date().toLocaleString()}`
+      )
     },
     
     'session.error': async ({ session, error }) => {
       console.log(`会话错误: ${session.id}`, error)
       
-      if (matrixConfig.notificationRoom) {
-        await sendMatrixNotification(
-          `OpenCode会话发生错误\n会话ID: ${session.id}\n错误: ${error.message || error}\n时间: ${new Date().toLocaleString()}`
-        )
-      }
+      await sendSessionNotification(
+        session.id,
+        `OpenCode会话发生错误\n会话ID: ${session.id}\n错误: ${error.message || error}\n时间: ${new Date().toLocaleString()}`
+      )
     },
     
     // 自定义工具
@@ -220,7 +296,10 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
         args: {},
         async execute(args, context) {
           let connected = false
-          if (matrixClient) {
+          const sync = matrixClient?.supervisor?.getStatus() || null
+          if (sync) {
+            connected = sync.state === 'syncing'
+          } else if (matrixClient) {
             try {
               const userId = await matrixClient.getUserId()
               connected = !!userId
@@ -231,6 +310,12 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
           return {
             initialized: !!matrixClient,
             connected,
+            sync,
+            encryption: {
+              enabled: !!matrixClient?.crypto,
+              deviceId: matrixClient?.crypto?.clientDeviceId || null,
+              decryptionFailures: matrixServices?.decryptionMonitor?.getTotalCount() ?? 0
+            },
             config: {
               ...matrixConfig,
               accessToken: matrixConfig.accessToken ? '***设置***' : '未设置',
@@ -248,7 +333,9 @@ export const MatrixPlugin = async ({ project, client, $, directory, worktree, se
     matrix: {
       sendMessage: sendMatrixMessage,
       sendNotification: sendMatrixNotification,
+      sendDirectMessage: sendMatrixDirectMessage,
       getClient: () => matrixClient,
+      getAppservice: () => appservice,
       getConfig: () => ({ ...matrixConfig })
     }
   }
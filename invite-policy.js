@@ -0,0 +1,81 @@
+import { isUserAllowed, isRoomAllowed } from './matrix-client.js'
+
+/**
+ * 从环境变量读取逗号分隔的列表
+ */
+function readList(name) {
+  const value = process.env[name]
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : []
+}
+
+/**
+ * 取房间ID、别名或用户ID中的服务器名（:之后的部分）
+ */
+export function getServerName(id) {
+  const index = String(id || '').indexOf(':')
+  return index === -1 ? null : id.slice(index + 1).toLowerCase()
+}
+
+/**
+ * 将别名模式编译为正则，* 匹配任意字符
+ */
+export function compileAliasPattern(pattern) {
+  const source = String(pattern).trim()
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+/**
+ * 邀请策略 - 决定是否自动接受房间邀请
+ *
+ * 邀请人必须通过 MATRIX_ALLOWED_USERS，房间必须通过 MATRIX_ALLOWED_ROOMS；
+ * 配置了 MATRIX_AUTO_JOIN_SERVERS 或 MATRIX_AUTO_JOIN_ALIASES 时，房间还需属于允许的服务器或匹配允许的别名。
+ */
+export class InvitePolicy {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.MATRIX_AUTO_JOIN !== 'false'
+    this.servers = (options.servers || readList('MATRIX_AUTO_JOIN_SERVERS')).map(server => server.toLowerCase())
+    this.aliasPatterns = (options.aliases || readList('MATRIX_AUTO_JOIN_ALIASES')).map(pattern => ({
+      pattern,
+      regex: compileAliasPattern(pattern)
+    }))
+  }
+
+  /**
+   * 判断是否接受邀请
+   * @param {object} invite - roomId, inviter, aliases: 邀请附带的房间别名, accessConfig: 允许的用户/房间配置
+   * @returns {{ accept: boolean, reason: string }}
+   */
+  evaluate({ roomId, inviter, aliases = [], accessConfig = {} }) {
+    if (!this.enabled) {
+      return { accept: false, reason: '自动加入已禁用 (MATRIX_AUTO_JOIN=false)' }
+    }
+    if (!inviter || !isUserAllowed(inviter, accessConfig)) {
+      return { accept: false, reason: `邀请人 ${inviter || '未知'} 不在允许的用户列表中` }
+    }
+    if (!isRoomAllowed(roomId, accessConfig)) {
+      return { accept: false, reason: '房间不在允许的房间列表中' }
+    }
+
+    if (this.servers.length === 0 && this.aliasPatterns.length === 0) {
+      return { accept: true, reason: '邀请人已授权' }
+    }
+
+    const roomServers = [roomId, ...aliases].map(getServerName).filter(Boolean)
+    const server = roomServers.find(name => this.servers.includes(name))
+    if (server) {
+      return { accept: true, reason: `房间属于允许的服务器 ${server}` }
+    }
+
+    for (const alias of aliases) {
+      const rule = this.aliasPatterns.find(item => item.regex.test(alias))
+      if (rule) {
+        return { accept: true, reason: `房间别名 ${alias} 匹配 ${rule.pattern}` }
+      }
+    }
+
+    return { accept: false, reason: '房间不属于允许的服务器，也没有匹配的别名' }
+  }
+}
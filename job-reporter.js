@@ -0,0 +1,189 @@
+/**
+ * 任务报告 - 把后台Shell任务的状态和输出同步到Matrix
+ *
+ * 状态消息定期通过 m.replace 编辑（耗时、退出码）；输出以代码块的形式
+ * 流式发送到以状态消息为根的线程中，单条消息写满后换新消息继续。
+ * 输出消息达到数量上限后不再发送，任务结束时以文件发送保留的输出。
+ */
+
+import { formatMessageContent, formatDuration } from './message-formatter.js'
+import { buildThreadRelation, sendTextFile, DEFAULT_MAX_LENGTH } from './message-chunker.js'
+import { StreamingReply, buildEditContent } from './stream-reply.js'
+import { createReplyClient } from './reply-context.js'
+import { DEFAULT_COMMAND_PREFIX } from './message-trigger.js'
+
+export const DEFAULT_STATUS_INTERVAL_MS = parseInt(process.env.MATRIX_JOB_STATUS_INTERVAL_MS || '5000')
+export const DEFAULT_MAX_PAGES = parseInt(process.env.MATRIX_JOB_MAX_PAGES || '10')
+
+const STATUS_ICONS = {
+  running: '⏳',
+  killing: '🛑',
+  succeeded: '✅',
+  failed: '❌',
+  killed: '🛑'
+}
+
+const STATUS_NAMES = {
+  running: '运行中',
+  killing: '正在终止',
+  succeeded: '已完成',
+  failed: '失败',
+  killed: '已终止'
+}
+
+/**
+ * 生成任务状态文本
+ * @param {string} prefix - 房间的命令前缀（用于操作提示）
+ */
+export function formatJobStatus(job, prefix = DEFAULT_COMMAND_PREFIX) {
+  const elapsed = formatDuration((job.endedAt || Date.now()) - job.startedAt)
+  let text = `${STATUS_ICONS[job.status] || '•'} 任务 [${job.id}] ${STATUS_NAMES[job.status] || job.status}\n` +
+    `\`\`\`\n${job.command}\n\`\`\`\n` +
+    `耗时: ${elapsed}`
+
+  if (job.endedAt) {
+    text += `\n退出码: ${job.exitCode ?? '-'}${job.signal ? ` (信号 ${job.signal})` : ''}`
+  } else {
+    text += `\n使用 ${prefix} tail ${job.id} 查看输出，${prefix} kill ${job.id} 终止`
+  }
+
+  return text
+}
+
+/**
+ * 单个任务的Matrix报告器
+ */
+export class JobReporter {
+  /**
+   * @param {object} client - Matrix客户端（可为绑定了回复上下文的客户端）
+   * @param {object} options - intervalMs: 状态更新间隔; maxLength: 每条输出消息的最大长度;
+   *   maxPages: 输出消息的数量上限; commandPrefix: 房间的命令前缀
+   */
+  constructor(client, roomId, job, options = {}) {
+    this.client = client
+    this.roomId = roomId
+    this.job = job
+    this.intervalMs = options.intervalMs || DEFAULT_STATUS_INTERVAL_MS
+    this.pageLength = Math.floor((options.maxLength || DEFAULT_MAX_LENGTH) * 0.9)
+    this.maxPages = options.maxPages || DEFAULT_MAX_PAGES
+    this.commandPrefix = options.commandPrefix
+    this.pageCount = 0
+    this.overflowed = false    // 输出消息已达上限，之后的输出只在任务结束时以文件发送
+    this.statusEventId = null
+    this.statusText = ''
+    this.outputClient = null
+    this.page = null           // 当前输出消息
+    this.pageText = ''
+    this.pending = Promise.resolve()
+    this.timer = null
+  }
+
+  /**
+   * 发送状态消息并开始定期更新
+   */
+  start() {
+    this.timer = setInterval(() => {
+      this.enqueue(() => this.updateStatus())
+    }, this.intervalMs)
+
+    return this.enqueue(async () => {
+      this.statusText = formatJobStatus(this.job, this.commandPrefix)
+      this.statusEventId = await this.client.sendMessage(this.roomId, formatMessageContent(this.statusText))
+
+      // 输出发到状态消息所在的线程；状态消息本身不在线程中时以它为根
+      const threadRootId = this.client.threadRootId || this.statusEventId
+      this.outputClient = createReplyClient(this.client, this.roomId, {
+        threadId: threadRootId,
+        threadRootId,
+        relatesTo: buildThreadRelation(threadRootId, this.statusEventId)
+      })
+    })
+  }
+
+  /**
+   * 串行执行Matrix操作，保证消息顺序
+   */
+  enqueue(task) {
+    this.pending = this.pending
+      .then(task)
+      .catch(error => console.error(`任务 [${this.job.id}] 报告失败:`, error.message))
+    return this.pending
+  }
+
+  /**
+   * 追加输出
+   */
+  appendOutput(text) {
+    this.enqueue(async () => {
+      let remaining = text
+      while (remaining && !this.overflowed) {
+        if (!this.page) {
+          if (this.pageCount >= this.maxPages) {
+            this.overflowed = true
+            await this.outputClient.sendMessage(this.roomId, formatMessageContent(
+              `⚠️ 输出已超过 ${this.maxPages} 条消息，之后的输出不再发送，任务结束时以文件发送最后的输出`))
+            break
+          }
+          this.page = new StreamingReply(this.outputClient, this.roomId)
+          this.pageText = ''
+          this.pageCount++
+        }
+
+        const space = this.pageLength - this.pageText.length
+        this.pageText += remaining.slice(0, space)
+        remaining = remaining.slice(space)
+        this.page.update(this.renderPage())
+
+        if (this.pageText.length >= this.pageLength) {
+          await this.page.finish(this.renderPage())
+          this.page = null
+        }
+      }
+    })
+  }
+
+  /**
+   * 将当前页输出渲染为代码块
+   */
+  renderPage() {
+    return `\`\`\`\n${this.pageText.replace(/\n$/, '').replace(/`{3,}/g, '``\u200b`')}\n\`\`\``
+  }
+
+  /**
+   * 编辑状态消息
+   */
+  async updateStatus() {
+    const text = formatJobStatus(this.job, this.commandPrefix)
+    if (!this.statusEventId || text === this.statusText) return
+
+    const content = formatMessageContent(text)
+    await this.client.sendMessage(this.roomId, buildEditContent(this.statusEventId, text, {
+      format: content.format,
+      formatted_body: content.formatted_body
+    }))
+    this.statusText = text
+  }
+
+  /**
+   * 任务结束：完成输出消息并发送最终状态
+   */
+  async finish() {
+    clearInterval(this.timer)
+    this.timer = null
+
+    await this.enqueue(async () => {
+      if (this.page) {
+        await this.page.finish(this.renderPage())
+        this.page = null
+      } else if (!this.job.output) {
+        await this.outputClient.sendMessage(this.roomId, formatMessageContent('(无输出)'))
+      }
+      if (this.overflowed) {
+        await sendTextFile(this.outputClient, this.roomId, this.job.output, {
+          filename: `job-${this.job.id}-output.txt`
+        })
+      }
+      await this.updateStatus()
+    })
+  }
+}
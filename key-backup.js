@@ -0,0 +1,166 @@
+/**
+ * 服务器端密钥备份 - 把房间密钥加密上传到服务器，丢失本地加密存储后可用恢复密钥还原
+ *
+ * 备份状态保存在加密存储目录的 key-backup.json 中，启动时据此自动恢复备份；
+ * 新建备份时生成的恢复密钥保存在同目录的 recovery-key.txt（仅当前用户可读）。
+ */
+
+import path from 'node:path'
+import fs from 'node:fs'
+import { generateKeyPairSync } from 'crypto'
+
+export const BACKUP_ALGORITHM = 'm.megolm_backup.v1.curve25519-aes-sha2'
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+const RECOVERY_KEY_PREFIX = [0x8b, 0x01]
+
+/**
+ * Base58 编码（比特币字母表）
+ */
+function encodeBase58(buffer) {
+  let value = BigInt(`0x${buffer.toString('hex') || '0'}`)
+  let text = ''
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text
+    value /= 58n
+  }
+  for (const byte of buffer) {
+    if (byte !== 0) break
+    text = BASE58_ALPHABET[0] + text
+  }
+  return text
+}
+
+/**
+ * 将备份私钥编码为恢复密钥：前缀 + 私钥 + 奇偶校验字节，Base58 编码后每 4 个字符一组
+ */
+export function encodeRecoveryKey(privateKey) {
+  const bytes = Buffer.from([...RECOVERY_KEY_PREFIX, ...privateKey])
+  const parity = bytes.reduce((result, byte) => result ^ byte, 0)
+  return encodeBase58(Buffer.concat([bytes, Buffer.from([parity])])).match(/.{1,4}/g).join(' ')
+}
+
+function statePath(cryptoDir) {
+  return path.join(cryptoDir, 'key-backup.json')
+}
+
+function recoveryKeyPath(cryptoDir) {
+  return path.join(cryptoDir, 'recovery-key.txt')
+}
+
+function readState(cryptoDir) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath(cryptoDir), 'utf-8'))
+  } catch {
+    return { enabled: false, version: null }
+  }
+}
+
+function writeState(cryptoDir, state) {
+  fs.writeFileSync(statePath(cryptoDir), JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2))
+}
+
+/**
+ * 检查客户端是否支持密钥备份
+ */
+function requireBackupSupport(client) {
+  if (!client.crypto) {
+    throw new Error('未启用端到端加密')
+  }
+  if (typeof client.getKeyBackupVersion !== 'function' || typeof client.enableKeyBackup !== 'function') {
+    throw new Error('当前 matrix-bot-sdk 版本不支持密钥备份')
+  }
+}
+
+/**
+ * 获取密钥备份状态
+ */
+export async function getKeyBackupStatus(client, cryptoDir) {
+  requireBackupSupport(client)
+
+  const state = readState(cryptoDir)
+  const info = await client.getKeyBackupVersion()
+
+  return {
+    enabled: !!(state.enabled && info && info.version === state.version),
+    version: info?.version || null,
+    algorithm: info?.algorithm || null,
+    count: info?.count ?? null,
+    etag: info?.etag || null,
+    localVersion: state.version,
+    recoveryKeyPath: fs.existsSync(recoveryKeyPath(cryptoDir)) ? recoveryKeyPath(cryptoDir) : null
+  }
+}
+
+/**
+ * 启用密钥备份：服务器已有备份版本时直接使用，否则（或 createNew 时）新建备份并生成恢复密钥
+ * @returns {Promise<{ version: string, created: boolean, recoveryKey: string|null, recoveryKeyPath: string|null }>}
+ */
+export async function enableKeyBackup(client, cryptoDir, options = {}) {
+  requireBackupSupport(client)
+
+  let info = options.createNew ? null : await client.getKeyBackupVersion()
+  let recoveryKey = null
+
+  if (!info) {
+    const { publicKey, privateKey } = generateKeyPairSync('x25519')
+    const publicRaw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url')
+    const privateRaw = Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url')
+
+    await client.signAndCreateKeyBackupVersion({
+      algorithm: BACKUP_ALGORITHM,
+      auth_data: { public_key: publicRaw.toString('base64').replace(/=+$/, '') }
+    })
+    info = await client.getKeyBackupVersion()
+
+    recoveryKey = encodeRecoveryKey(privateRaw)
+    fs.writeFileSync(recoveryKeyPath(cryptoDir), `${recoveryKey}\n`, { mode: 0o600 })
+    console.log(`✅ 已创建密钥备份版本 ${info.version}，恢复密钥已保存到 ${recoveryKeyPath(cryptoDir)}`)
+  }
+
+  if (info.algorithm !== BACKUP_ALGORITHM) {
+    throw new Error(`不支持的备份算法: ${info.algorithm}`)
+  }
+
+  await client.enableKeyBackup(info)
+  writeState(cryptoDir, { enabled: true, version: info.version })
+  console.log(`✅ 密钥备份已启用 (版本 ${info.version})`)
+
+  return {
+    version: info.version,
+    created: !!recoveryKey,
+    recoveryKey,
+    recoveryKeyPath: recoveryKey ? recoveryKeyPath(cryptoDir) : null
+  }
+}
+
+/**
+ * 停用密钥备份（服务器上的备份保留）
+ */
+export async function disableKeyBackup(client, cryptoDir) {
+  requireBackupSupport(client)
+
+  await client.disableKeyBackup()
+  writeState(cryptoDir, { ...readState(cryptoDir), enabled: false })
+  console.log('密钥备份已停用')
+}
+
+/**
+ * 启动时恢复之前启用的密钥备份；服务器上的版本已变化时不自动切换
+ */
+export async function resumeKeyBackup(client, cryptoDir) {
+  const state = readState(cryptoDir)
+  if (!state.enabled || !client.crypto || typeof client.getKeyBackupVersion !== 'function') {
+    return false
+  }
+
+  const info = await client.getKeyBackupVersion()
+  if (!info || info.version !== state.version) {
+    console.warn(`⚠️  服务器上的密钥备份版本已变化 (${state.version} → ${info?.version || '无'})，请使用 !opencode keybackup enable 重新启用`)
+    return false
+  }
+
+  await client.enableKeyBackup(info)
+  console.log(`✅ 密钥备份已恢复 (版本 ${info.version})`)
+  return true
+}
@@ -0,0 +1,446 @@
+import { MatrixClient } from '@vector-im/matrix-bot-sdk'
+import http from 'node:http'
+import path from 'node:path'
+import fs from 'node:fs'
+import { EventEmitter } from 'node:events'
+import { randomBytes } from 'crypto'
+import { getStorageDir } from './matrix-client.js'
+import { getServerName } from './invite-policy.js'
+import { isMentioned } from './message-trigger.js'
+
+/**
+ * 应用服务（Application Service）模式 - 不再以单个用户同步，而是由服务器把事件以事务推送到本地 HTTP 端口
+ *
+ * 除机器人自身（sender_localpart）外，每个模型对应一个虚拟用户（如 @opencode_kimi:example.org），
+ * 邀请某个虚拟用户即可让该模型加入房间对话。收到的事件转发到机器人客户端上，复用 matrix-handlers.js 的处理流程。
+ */
+
+export const DEFAULT_APPSERVICE_MODELS = 'kimi=cc-oaicomp/Kimi-K2.5,deepseek=cc-oaicomp/DeepSeek-V3.2,codex=cc-openai/gpt-5.3-codex'
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024
+const MAX_REMEMBERED_TRANSACTIONS = 100
+
+/**
+ * 解析模型虚拟用户配置："别名=模型ID" 逗号分隔
+ * @returns {{ alias: string, model: string }[]}
+ */
+export function parseModelUsers(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const index = item.indexOf('=')
+      if (index <= 0 || index === item.length - 1) {
+        throw new Error(`模型虚拟用户配置格式错误: ${item}（应为 别名=模型ID）`)
+      }
+      const alias = item.slice(0, index).trim().toLowerCase()
+      if (!/^[a-z0-9._=-]+$/.test(alias)) {
+        throw new Error(`模型别名只能包含小写字母、数字和 ._=-: ${alias}`)
+      }
+      return { alias, model: item.slice(index + 1).trim() }
+    })
+}
+
+/**
+ * 从环境变量读取应用服务配置
+ */
+export function loadAppserviceConfig(env = process.env) {
+  const port = parseInt(env.MATRIX_APPSERVICE_PORT || '9000')
+  const domain = env.MATRIX_APPSERVICE_DOMAIN || getServerName(env.MATRIX_USER_ID)
+  if (!domain) {
+    throw new Error('应用服务模式需要 MATRIX_APPSERVICE_DOMAIN（或可从 MATRIX_USER_ID 得到服务器名）')
+  }
+
+  return {
+    id: env.MATRIX_APPSERVICE_ID || 'opencode',
+    homeserver: env.MATRIX_HOMESERVER || 'https://matrix.org',
+    domain,
+    port,
+    bindAddress: env.MATRIX_APPSERVICE_BIND || '127.0.0.1',
+    url: env.MATRIX_APPSERVICE_URL || `http://localhost:${port}`,
+    senderLocalpart: env.MATRIX_APPSERVICE_SENDER || 'opencode',
+    userPrefix: env.MATRIX_APPSERVICE_USER_PREFIX || 'opencode_',
+    models: parseModelUsers(env.MATRIX_APPSERVICE_MODELS ?? DEFAULT_APPSERVICE_MODELS),
+    registrationPath: env.MATRIX_APPSERVICE_REGISTRATION || path.join(getStorageDir(), 'appservice-registration.yaml')
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function yamlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+/**
+ * 生成应用服务注册信息；令牌保存在存储目录中，重启后保持不变
+ */
+export function loadRegistration(config, storageDir = getStorageDir()) {
+  const tokenPath = path.join(storageDir, 'appservice', `${config.id}.json`)
+  let tokens = null
+  try {
+    tokens = JSON.parse(fs.readFileSync(tokenPath, 'utf-8'))
+  } catch {
+    tokens = {
+      as_token: randomBytes(32).toString('hex'),
+      hs_token: randomBytes(32).toString('hex')
+    }
+    fs.mkdirSync(path.dirname(tokenPath), { recursive: true })
+    fs.writeFileSync(tokenPath, JSON.stringify(tokens, null, 2), { mode: 0o600 })
+    console.log(`✅ 已生成应用服务令牌: ${tokenPath}`)
+  }
+
+  return {
+    id: config.id,
+    url: config.url,
+    as_token: tokens.as_token,
+    hs_token: tokens.hs_token,
+    sender_localpart: config.senderLocalpart,
+    rate_limited: false,
+    namespaces: {
+      users: [{ exclusive: true, regex: `@${escapeRegExp(config.userPrefix)}.*:${escapeRegExp(config.domain)}` }],
+      aliases: [],
+      rooms: []
+    }
+  }
+}
+
+/**
+ * 将注册信息格式化为服务器配置使用的 YAML
+ */
+export function formatRegistrationYaml(registration) {
+  const namespace = (items) => items.length === 0
+    ? ' []'
+    : '\n' + items.map(item => `    - exclusive: ${item.exclusive}\n      regex: ${yamlString(item.regex)}`).join('\n')
+
+  return [
+    `id: ${yamlString(registration.id)}`,
+    `url: ${yamlString(registration.url)}`,
+    `as_token: ${yamlString(registration.as_token)}`,
+    `hs_token: ${yamlString(registration.hs_token)}`,
+    `sender_localpart: ${yamlString(registration.sender_localpart)}`,
+    `rate_limited: ${registration.rate_limited}`,
+    'namespaces:',
+    `  users:${namespace(registration.namespaces.users)}`,
+    `  aliases:${namespace(registration.namespaces.aliases)}`,
+    `  rooms:${namespace(registration.namespaces.rooms)}`,
+    ''
+  ].join('\n')
+}
+
+/**
+ * 应用服务：接收服务器推送的事务，管理机器人和模型虚拟用户
+ *
+ * 事件: transaction (txnId, events)
+ */
+export class AppserviceBridge extends EventEmitter {
+  constructor(config, registration) {
+    super()
+    this.config = config
+    this.registration = registration
+    this.botUserId = `@${config.senderLocalpart}:${config.domain}`
+    this.users = new Map()        // 虚拟用户ID -> { alias, model, displayName }
+    this.clients = new Map()      // 用户ID -> MatrixClient
+    this.rooms = new Map()        // 房间ID -> 已加入的本服务用户
+    this.transactions = new Set() // 最近处理过的事务ID（服务器重试时去重）
+    this.server = null
+
+    for (const { alias, model } of config.models) {
+      this.users.set(`@${config.userPrefix}${alias}:${config.domain}`, {
+        alias,
+        model,
+        displayName: `OpenCode (${model.split('/').pop()})`
+      })
+    }
+
+    this.botClient = this.getClient(this.botUserId)
+  }
+
+  /**
+   * 是否为本应用服务的用户（机器人或模型虚拟用户）
+   */
+  isOwnUser(userId) {
+    return userId === this.botUserId || this.users.has(userId)
+  }
+
+  /**
+   * 获取代表某个用户发言的客户端（使用应用服务令牌并模拟该用户）
+   */
+  getClient(userId) {
+    if (!this.isOwnUser(userId)) return null
+
+    if (!this.clients.has(userId)) {
+      const client = new MatrixClient(this.config.homeserver, this.registration.as_token)
+      if (userId !== this.botUserId) {
+        client.impersonateUserId(userId)
+      }
+      this.clients.set(userId, client)
+    }
+    return this.clients.get(userId)
+  }
+
+  /**
+   * 虚拟用户对应的模型（机器人自身返回 null，使用当前选择的模型）
+   */
+  getModel(userId) {
+    return this.users.get(userId)?.model || null
+  }
+
+  /**
+   * 列出模型虚拟用户
+   */
+  listModelUsers() {
+    return [...this.users.entries()].map(([userId, user]) => ({ userId, ...user }))
+  }
+
+  /**
+   * 房间中已加入的本服务用户
+   */
+  getRoomUsers(roomId) {
+    return [...(this.rooms.get(roomId) || [])]
+  }
+
+  updateMembership(roomId, userId, membership) {
+    const members = this.rooms.get(roomId) || new Set()
+    if (membership === 'join') {
+      members.add(userId)
+    } else {
+      members.delete(userId)
+    }
+    if (members.size > 0) {
+      this.rooms.set(roomId, members)
+    } else {
+      this.rooms.delete(roomId)
+    }
+  }
+
+  /**
+   * 选择在房间中回应事件的用户：被提及的模型虚拟用户优先，其次是机器人，
+   * 机器人不在房间中时由房间里的第一个模型虚拟用户回应
+   * @returns {Promise<{ userId: string, client: MatrixClient, model: string|null }|null>}
+   */
+  async resolveSpeaker(roomId, event) {
+    const members = this.getRoomUsers(roomId).sort()
+    if (members.length === 0) return null
+
+    // 可以用用户ID、显示名或别名（如 kimi）提及模型用户
+    const mentioned = members.find(userId => {
+      const user = this.users.get(userId)
+      return user && [user.displayName, user.alias].some(displayName => isMentioned(event, { userId, displayName }))
+    })
+    const userId = mentioned || (members.includes(this.botUserId) ? this.botUserId : members[0])
+
+    return { userId, client: this.getClient(userId), model: this.getModel(userId) }
+  }
+
+  /**
+   * 确保虚拟用户已在服务器上注册
+   */
+  async ensureRegistered(userId) {
+    const localpart = userId.slice(1, userId.indexOf(':'))
+    try {
+      await this.botClient.doRequest('POST', '/_matrix/client/v3/register', null, {
+        type: 'm.login.application_service',
+        username: localpart
+      })
+      console.log(`✅ 已注册虚拟用户 ${userId}`)
+    } catch (error) {
+      if ((error.errcode || error.body?.errcode) !== 'M_USER_IN_USE') {
+        throw error
+      }
+    }
+  }
+
+  /**
+   * 启动：注册虚拟用户、恢复房间成员关系并开始监听事务
+   */
+  async start() {
+    for (const [userId, user] of this.users) {
+      try {
+        await this.ensureRegistered(userId)
+        await this.getClient(userId).setDisplayName(user.displayName)
+      } catch (error) {
+        console.error(`❌ 初始化虚拟用户 ${userId} 失败:`, error.message)
+      }
+    }
+
+    for (const userId of [this.botUserId, ...this.users.keys()]) {
+      try {
+        for (const roomId of await this.getClient(userId).getJoinedRooms()) {
+          this.updateMembership(roomId, userId, 'join')
+        }
+      } catch (error) {
+        console.error(`获取 ${userId} 已加入的房间失败:`, error.message)
+      }
+    }
+
+    await this.listen()
+    console.log(`✅ 应用服务已启动: ${this.config.bindAddress}:${this.config.port} ` +
+      `(机器人 ${this.botUserId}，模型用户 ${this.users.size} 个)`)
+    return this
+  }
+
+  /**
+   * 开始监听服务器推送
+   */
+  listen() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('❌ 处理应用服务请求失败:', error.message)
+        sendJson(res, 500, { errcode: 'M_UNKNOWN', error: error.message })
+      })
+    })
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.config.port, this.config.bindAddress, () => {
+        this.server.off('error', reject)
+        resolve()
+      })
+    })
+  }
+
+  /**
+   * 停止监听
+   */
+  async stop() {
+    if (!this.server) return
+    await new Promise(resolve => this.server.close(() => resolve()))
+    this.server = null
+  }
+
+  /**
+   * 处理服务器请求（应用服务 API）
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const token = url.searchParams.get('access_token') ||
+      (req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+    if (token !== this.registration.hs_token) {
+      sendJson(res, 403, { errcode: 'M_FORBIDDEN', error: '无效的 hs_token' })
+      return
+    }
+
+    const pathname = url.pathname.replace(/^\/_matrix\/app\/v1/, '')
+    let match
+
+    if (req.method === 'PUT' && (match = pathname.match(/^\/transactions\/([^/]+)$/))) {
+      const body = await readJson(req)
+      this.handleTransaction(decodeURIComponent(match[1]), body.events || [])
+      sendJson(res, 200, {})
+      return
+    }
+
+    if (req.method === 'GET' && (match = pathname.match(/^\/users\/([^/]+)$/))) {
+      const userId = decodeURIComponent(match[1])
+      if (!this.users.has(userId)) {
+        sendJson(res, 404, { errcode: 'M_NOT_FOUND' })
+        return
+      }
+      await this.ensureRegistered(userId)
+      sendJson(res, 200, {})
+      return
+    }
+
+    if (req.method === 'POST' && pathname === '/ping') {
+      sendJson(res, 200, {})
+      return
+    }
+
+    // 不提供房间别名
+    sendJson(res, 404, { errcode: 'M_NOT_FOUND' })
+  }
+
+  /**
+   * 处理一个事务：同一事务ID只处理一次，事件按顺序转发
+   */
+  handleTransaction(txnId, events) {
+    if (this.transactions.has(txnId)) return
+
+    this.transactions.add(txnId)
+    if (this.transactions.size > MAX_REMEMBERED_TRANSACTIONS) {
+      this.transactions.delete(this.transactions.values().next().value)
+    }
+
+    for (const event of events) {
+      try {
+        this.routeEvent(event)
+      } catch (error) {
+        console.error('❌ 转发应用服务事件失败:', error.message)
+      }
+    }
+    this.emit('transaction', txnId, events)
+  }
+
+  /**
+   * 把事件以同步模式下的事件名转发到机器人客户端
+   */
+  routeEvent(event) {
+    const roomId = event.room_id
+    if (!roomId) return
+
+    if (event.type === 'm.room.member' && this.isOwnUser(event.state_key)) {
+      const membership = event.content?.membership
+      this.updateMembership(roomId, event.state_key, membership)
+
+      if (membership === 'invite') {
+        if (event.unsigned?.invite_room_state) {
+          this.botClient.emit('room.invite_state', roomId, event.unsigned.invite_room_state)
+        }
+        this.botClient.emit('room.invite', roomId, event)
+        return
+      }
+    }
+
+    if (event.type === 'm.room.message') {
+      this.botClient.emit('room.message', roomId, event)
+    }
+    this.botClient.emit('room.event', roomId, event)
+  }
+}
+
+function sendJson(res, status, body) {
+  if (res.headersSent) return
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('请求体过大'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf-8')) : {})
+      } catch (error) {
+        reject(new Error(`无效的JSON: ${error.message}`))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+/**
+ * 创建并启动应用服务，同时写出注册文件
+ */
+export async function createAppservice(config = loadAppserviceConfig()) {
+  const registration = loadRegistration(config)
+
+  fs.mkdirSync(path.dirname(config.registrationPath), { recursive: true })
+  fs.writeFileSync(config.registrationPath, formatRegistrationYaml(registration), { mode: 0o600 })
+  console.log(`✅ 应用服务注册文件: ${config.registrationPath}（需添加到服务器的 app_service_config_files）`)
+
+  const bridge = new AppserviceBridge(config, registration)
+  return await bridge.start()
+}
@@ -1,38 +1,57 @@
-import { MatrixClient, SimpleFsStorageProvider, RustSdkCryptoStorageProvider, MatrixAuth } from '@vector-im/matrix-bot-sdk'
+import { MatrixClient, SimpleFsStorageProvider, RustSdkCryptoStorageProvider } from '@vector-im/matrix-bot-sdk'
 import path from 'node:path'
 import fs from 'node:fs'
+import { SyncSupervisor } from './sync-supervisor.js'
+import { CredentialStore } from './credential-store.js'
+import { resumeKeyBackup } from './key-backup.js'
+
+export const DEFAULT_DEVICE_NAME = 'OpenCode Bot'
+
+/**
+ * Matrix本地存储目录（同步状态、凭据、加密存储）
+ */
+export function getStorageDir() {
+  return path.join(process.env.HOME || '/tmp', '.config', 'opencode', 'matrix-storage')
+}
+
+/**
+ * 用户的加密存储目录（加密数据库、密钥备份状态、恢复密钥）
+ */
+export function getCryptoStorageDir(userId) {
+  return path.join(getStorageDir(), 'crypto', userId.replace(/[@:]/g, '_'))
+}
 
 export async function createMatrixClient(config) {
   try {
-    let accessToken = config.accessToken
     const homeserver = config.homeserver
     const userId = config.userId
     
-    if (!accessToken && config.password && userId) {
-      console.log('使用密码获取Matrix访问令牌...')
-      const auth = new MatrixAuth(homeserver)
-      const loginResult = await auth.passwordLogin(userId, config.password, config.deviceName || 'OpenCode Bot')
-      accessToken = loginResult.access_token
-      console.log('Matrix登录成功，访问令牌已获取')
-    }
+    const storageDir = getStorageDir()
+    fs.mkdirSync(storageDir, { recursive: true })
+    
+    // 只配置了密码时，复用保存的令牌和设备ID，令牌失效时自动重新登录
+    const credentialStore = !config.accessToken && config.password && userId
+      ? new CredentialStore(storageDir, userId)
+      : null
+    const accessToken = credentialStore
+      ? await resolvePasswordCredentials(config, credentialStore)
+      : config.accessToken
     
     if (!accessToken) {
       throw new Error('需要提供访问令牌或密码进行认证')
     }
     
-    const storageDir = path.join(process.env.HOME || '/tmp', '.config', 'opencode', 'matrix-storage')
-    fs.mkdirSync(storageDir, { recursive: true })
     const storagePath = path.join(storageDir, `${userId.replace(/[@:]/g, '_')}.json`)
     
     const storage = new SimpleFsStorageProvider(storagePath)
     
     let cryptoStorage = null
-    console.log('Matrix加密配置: config.encryption =', config.encryption, 'typeof:', typeof config.encryption)
     const enableEncryption = config.encryption !== false
+    const cryptoPath = getCryptoStorageDir(userId)
+    console.log(`Matrix端到端加密: ${enableEncryption ? '启用' : '禁用 (MATRIX_ENCRYPTION=false)'}`)
     
     if (enableEncryption) {
       try {
-        const cryptoPath = path.join(storageDir, 'crypto', userId.replace(/[@:]/g, '_'))
         fs.mkdirSync(cryptoPath, { recursive: true })
         
         const { StoreType } = await import('@matrix-org/matrix-sdk-crypto-nodejs')
@@ -58,7 +77,31 @@ export async function createMatrixClient(config) {
       }
     }
     
-    await client.start()
+    interceptSyncEvents(client)
+    
+    // 同步监督器：检测同步失败/停滞并自动重连，状态通过 client.supervisor 查询
+    client.supervisor = new SyncSupervisor(client).start()
+    if (credentialStore) {
+      client.supervisor.onUnknownToken = async () => {
+        console.log('Matrix访问令牌已失效，重新登录...')
+        credentialStore.invalidate()
+        client.accessToken = await resolvePasswordCredentials(config, credentialStore)
+      }
+    }
+    
+    try {
+      await client.start()
+    } catch (error) {
+      client.supervisor.stop()
+      throw error
+    }
+    await waitForInitialSync(client)
+    
+    if (client.crypto) {
+      await resumeKeyBackup(client, cryptoPath).catch(error => {
+        console.warn('⚠️  恢复密钥备份失败:', error.message)
+      })
+    }
     
     console.log('Matrix客户端已初始化并启动同步')
     return client
@@ -68,21 +111,177 @@ export async function createMatrixClient(config) {
   }
 }
 
-async function waitForInitialSync(client, timeoutMs = 30000) {
-  const startTime = Date.now()
+/**
+ * 转发 matrix-bot-sdk 不对外发出的同步数据：
+ * - room.invite_state (roomId, events): 邀请附带的房间状态（别名等），在 room.invite 之前发出
+ * - to_device.event (event): to-device 消息（设备验证等需要）
+ */
+function interceptSyncEvents(client) {
+  if (typeof client.processSync !== 'function') {
+    console.warn('⚠️  Matrix客户端不支持拦截同步数据，设备验证和邀请别名策略不可用')
+    return
+  }
+  
+  const originalProcessSync = client.processSync.bind(client)
+  client.processSync = async (raw, ...args) => {
+    for (const [roomId, room] of Object.entries(raw?.rooms?.invite || {})) {
+      client.emit('room.invite_state', roomId, room?.invite_state?.events || [])
+    }
+    
+    const result = await originalProcessSync(raw, ...args)
+    for (const event of raw?.to_device?.events || []) {
+      try {
+        client.emit('to_device.event', event)
+      } catch (error) {
+        console.error('❌ 处理 to-device 消息失败:', error.message)
+      }
+    }
+    return result
+  }
+}
+
+/**
+ * 调用Matrix客户端API
+ * @returns {Promise<object>} 响应体；失败时抛出带 errcode/statusCode/body 的错误
+ */
+async function matrixRequest(homeserver, method, endpoint, { accessToken, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' }
+  if (accessToken) {
+    headers.Authorization = `Bearer ${accessToken}`
+  }
   
-  while (Date.now() - startTime < timeoutMs) {
+  const response = await fetch(new URL(endpoint, homeserver), {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const data = await response.json().catch(() => ({}))
+  
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}`)
+    error.errcode = data.errcode
+    error.statusCode = response.status
+    error.body = data
+    throw error
+  }
+  return data
+}
+
+/**
+ * 判断错误是否为访问令牌失效
+ */
+export function isUnknownTokenError(error) {
+  return (error?.errcode || error?.body?.errcode) === 'M_UNKNOWN_TOKEN'
+}
+
+/**
+ * 使用密码登录；传入设备ID时复用该设备，保持端到端加密的连续性
+ */
+async function passwordLogin(config, deviceId) {
+  const result = await matrixRequest(config.homeserver, 'POST', '/_matrix/client/v3/login', {
+    body: {
+      type: 'm.login.password',
+      identifier: { type: 'm.id.user', user: config.userId },
+      password: config.password,
+      initial_device_display_name: config.deviceName || DEFAULT_DEVICE_NAME,
+      ...(deviceId ? { device_id: deviceId } : {})
+    }
+  })
+  
+  return { accessToken: result.access_token, deviceId: result.device_id }
+}
+
+/**
+ * 获取密码登录的访问令牌：优先使用保存的令牌，失效时重新登录并保存
+ */
+async function resolvePasswordCredentials(config, credentialStore) {
+  const saved = credentialStore.load(config.homeserver)
+  
+  if (saved) {
     try {
-      const userId = await client.getUserId()
-      if (userId && userId.trim()) {
-        return
+      await matrixRequest(config.homeserver, 'GET', '/_matrix/client/v3/account/whoami', {
+        accessToken: saved.accessToken
+      })
+      console.log(`使用已保存的Matrix访问令牌 (设备: ${saved.deviceId || '未知'})`)
+      return saved.accessToken
+    } catch (error) {
+      if (!isUnknownTokenError(error)) {
+        // 网络等临时错误不重新登录，避免创建多余的设备
+        console.warn('⚠️  无法验证已保存的Matrix访问令牌，继续使用:', error.message)
+        return saved.accessToken
       }
-    } catch {}
+      console.log('已保存的Matrix访问令牌已失效')
+      credentialStore.invalidate()
+    }
+  }
+  
+  const deviceId = credentialStore.getDeviceId(config.homeserver)
+  console.log(deviceId ? `使用密码重新登录Matrix (复用设备: ${deviceId})...` : '使用密码获取Matrix访问令牌...')
+  const credentials = await passwordLogin(config, deviceId)
+  credentialStore.save({ ...credentials, homeserver: config.homeserver })
+  console.log(`✅ Matrix登录成功，访问令牌已保存 (设备: ${credentials.deviceId})`)
+  
+  return credentials.accessToken
+}
+
+/**
+ * 注销本账号的其他设备（默认只注销与本机器人同名的设备，即以往登录遗留的设备）
+ * @param {object} options - password: 账号密码（用户交互认证需要）; all: 注销当前设备以外的所有设备; deviceName: 机器人设备名
+ * @returns {Promise<Array<{ device_id: string, display_name: string }>>} 已注销的设备
+ */
+export async function logoutOtherDevices(client, options = {}) {
+  const { password, all = false, deviceName = DEFAULT_DEVICE_NAME } = options
+  const request = (method, endpoint, body) => matrixRequest(client.homeserverUrl, method, endpoint, {
+    accessToken: client.accessToken,
+    body
+  })
+  
+  const whoami = await request('GET', '/_matrix/client/v3/account/whoami')
+  const { devices = [] } = await request('GET', '/_matrix/client/v3/devices')
+  const targets = devices.filter(device =>
+    device.device_id !== whoami.device_id && (all || device.display_name === deviceName)
+  )
+  
+  if (targets.length === 0) {
+    return []
+  }
+  
+  const body = { devices: targets.map(device => device.device_id) }
+  try {
+    await request('POST', '/_matrix/client/v3/delete_devices', body)
+  } catch (error) {
+    // 服务器要求用户交互认证时，用密码完成认证后重试
+    if (error.statusCode !== 401 || !error.body?.session) {
+      throw error
+    }
+    if (!password) {
+      throw new Error('服务器要求密码认证，请设置 MATRIX_PASSWORD')
+    }
     
-    await new Promise(resolve => setTimeout(resolve, 1000))
+    await request('POST', '/_matrix/client/v3/delete_devices', {
+      ...body,
+      auth: {
+        type: 'm.login.password',
+        identifier: { type: 'm.id.user', user: whoami.user_id },
+        password,
+        session: error.body.session
+      }
+    })
   }
   
-  throw new Error('Matrix初始同步超时')
+  return targets
+}
+
+/**
+ * 等待首次同步完成；超时只发出警告，由同步监督器继续处理重连
+ */
+async function waitForInitialSync(client, timeoutMs = 30000) {
+  const synced = await client.supervisor.waitForSync(timeoutMs)
+  
+  if (!synced) {
+    console.warn(`⚠️  Matrix初始同步在 ${timeoutMs / 1000} 秒内未完成，将在后台继续重试`)
+  }
+  return synced
 }
 
 export async function getMatrixRoomInfo(client, roomId) {
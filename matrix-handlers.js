@@ -1,49 +1,173 @@
-import { isUserAllowed, isRoomAllowed, getMatrixRoomInfo, getMatrixUserInfo } from './matrix-client.js'
-import { handleFileMessage, handleImageMessage } from './media-handler.js'
+import { isUserAllowed, isRoomAllowed, getMatrixRoomInfo, getMatrixUserInfo, logoutOtherDevices, DEFAULT_DEVICE_NAME, getCryptoStorageDir } from './matrix-client.js'
+import { handleFileMessage, handleImageMessage, readPdfPages, readArchiveEntry } from './media-handler.js'
 import { ModelManager } from './model-manager.js'
 import { PreferenceStore } from './preference-store.js'
+import { ConversationHistory, formatHistoryAsTranscript } from './conversation-history.js'
+import { SessionRegistry } from './session-registry.js'
+import { StreamingReply, readServerSentEvents, subscribeSessionText } from './stream-reply.js'
+import { sendFormattedMessage, formatDuration } from './message-formatter.js'
+import { sendChunkedMessage } from './message-chunker.js'
+import { RoomSettings } from './room-settings.js'
+import { CommandRegistry, CommandUsageError } from './command-registry.js'
+import { runInSandbox } from './code-sandbox.js'
+import { ShellPolicy } from './shell-policy.js'
+import { JobManager } from './shell-jobs.js'
+import { JobReporter } from './job-reporter.js'
+import { SYNC_STATE_NAMES } from './sync-supervisor.js'
+import { DeviceVerification } from './device-verification.js'
+import { DecryptionMonitor } from './decryption-monitor.js'
+import { getKeyBackupStatus, enableKeyBackup, disableKeyBackup } from './key-backup.js'
+import { InvitePolicy } from './invite-policy.js'
+import { DirectRooms } from './direct-rooms.js'
+import { ReactionActions, NUMBER_REACTIONS } from './reaction-actions.js'
+import { ReplyLinks } from './reply-links.js'
+import { PermissionManager, ROLES, ROLE_DESCRIPTIONS, ALL_USERS, GLOBAL_ROLE_PREFIX, roleAtLeast, parseRequirement } from './permission-manager.js'
+import { z } from 'zod'
+import {
+  REPLY_MODES,
+  DEFAULT_REPLY_MODE,
+  getThreadRoot,
+  resolveReplyContext,
+  createReplyClient,
+  createRecordingClient,
+  restoreReplyContext
+} from './reply-context.js'
+import {
+  TRIGGER_MODES,
+  DEFAULT_TRIGGER_MODE,
+  DEFAULT_TRIGGER_PREFIX,
+  DEFAULT_COMMAND_PREFIX,
+  validatePrefix,
+  matchPrefix,
+  resolveTrigger
+} from './message-trigger.js'
+
+// 共享的持久化存储，各子系统复用同一个数据库连接
+const preferenceStore = new PreferenceStore()
+const conversationHistory = new ConversationHistory(preferenceStore)
+const sessionRegistry = new SessionRegistry(preferenceStore)
+const roomSettings = new RoomSettings(preferenceStore)
+const replyLinks = new ReplyLinks(preferenceStore)
+const permissionManager = new PermissionManager(preferenceStore)
+const shellPolicy = new ShellPolicy(preferenceStore)
+shellPolicy.onExpire = handleShellConfirmationExpired
+
+// 后台Shell任务及其Matrix报告器
+const jobManager = new JobManager()
+const jobReporters = new Map()   // 任务ID -> JobReporter
+const deviceVerification = new DeviceVerification(preferenceStore)
+const decryptionMonitor = new DecryptionMonitor()
+const invitePolicy = new InvitePolicy()
+const inviteStates = new Map()   // 房间ID -> 邀请附带的房间状态
+const directRooms = new DirectRooms()
+const reactionActions = new ReactionActions()
+const lastFiles = new Map()   // 房间ID -> 最近上传的文件
+const recentImages = new Map()   // 图片事件ID -> 已下载的图片，供回复图片追问
+// 应用服务模式下的 AppserviceBridge（机器人和模型虚拟用户），单用户模式下为 null
+let appservice = null
+jobManager.on('output', (job, text) => jobReporters.get(job.id)?.appendOutput(text))
+jobManager.on('exit', (job) => {
+  const reporter = jobReporters.get(job.id)
+  if (!reporter) return
+  reporter.finish().finally(() => jobReporters.delete(job.id))
+})
+// 任务运行在独立进程组中，插件进程退出时一并终止
+process.once('exit', () => jobManager.killAll())
+
+// 批准或拒绝待确认Shell命令所需的角色
+const SHELL_CONFIRM_ROLE = 'operator'
+
+// 通过反应确认Shell命令时使用的表情
+const APPROVE_REACTIONS = ['👍', '✅']
+const REJECT_REACTIONS = ['👎', '❌']
+
+// AI回复和模型切换消息上的反应操作
+const REGENERATE_REACTIONS = ['🔁', '🔄']
+const DELETE_REACTIONS = ['🗑️']
+const UNDO_REACTIONS = ['↩️']
+
+// 模型切换作用域
+const MODEL_SCOPES = {
+  session: '仅当前会话有效',
+  user: '为用户永久保存偏好',
+  room: '为房间永久保存偏好',
+  thread: '仅当前线程有效（在线程中使用）',
+  global: '全局切换（所有用户和房间）'
+}
+
+// 私聊房间的默认回复方式（房间设置优先）
+const DIRECT_REPLY_MODE = 'off'
+
+// 影响整个机器人的操作（全局授权、全局模型、设备和密钥管理等）需要全局管理员，
+// 房间授权和房间权限等级不能满足
+const GLOBAL_ADMIN = `${GLOBAL_ROLE_PREFIX}admin`
+
+// 影响其他用户的模型切换作用域需要更高的角色
+const MODEL_SCOPE_PERMISSIONS = {
+  room: 'operator',
+  global: GLOBAL_ADMIN
+}
+
+// 图片缓存时间和数量上限：期间回复图片（或在图片的线程中）提问时无需重新下载
+const IMAGE_CACHE_TTL_MS = parseInt(process.env.MATRIX_IMAGE_CACHE_MINUTES || '60') * 60 * 1000
+const MAX_CACHED_IMAGES = 20
+
+// 图片没有附带说明或提问时的默认提问
+const DEFAULT_IMAGE_PROMPT = '请描述这张图片的内容'
+
+const commandRegistry = createCommandRegistry()
 
 /**
- * 直接调用AI API处理消息
+ * 向AI API发起chat/completions请求
  */
-async function callAIApi(message, userId, roomId) {
-  try {
-    const apiUrl = process.env.AI_API_URL || 'https://cc-api.sendshock.top/v1';
-    const apiKey = process.env.AI_API_KEY;
-    const model = process.env.AI_MODEL || 'gpt-5.2';
+async function requestAIApi(message, userId, roomId, history = [], options = {}) {
+  const apiUrl = process.env.AI_API_URL || 'https://cc-api.sendshock.top/v1';
+  const apiKey = process.env.AI_API_KEY;
+  const model = options.model || process.env.AI_MODEL || 'gpt-5.2';
 
-    if (!apiKey) {
-      throw new Error('AI_API_KEY未配置');
-    }
+  if (!apiKey) {
+    throw new Error('AI_API_KEY未配置');
+  }
 
-    const response = await fetch(`${apiUrl}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: `你是集成在Matrix聊天中的AI助手。当前用户: ${userId}，当前房间: ${roomId}。请用友好的方式回复用户。如果用户需要执行代码或命令，请告诉他们可以使用 !opencode 命令。`
-          },
-          {
-            role: 'user',
-            content: message
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7
-      })
-    });
+  const response = await fetch(`${apiUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model: model,
+      messages: [
+        {
+          role: 'system',
+          content: `你是集成在Matrix聊天中的AI助手。当前用户: ${userId}，当前房间: ${roomId}。请用友好的方式回复用户。如果用户需要执行代码或命令，请告诉他们可以使用 ${await getCommandPrefix(roomId)} 命令。`
+        },
+        ...history,
+        {
+          role: 'user',
+          content: message
+        }
+      ],
+      max_tokens: 1000,
+      temperature: 0.7,
+      stream: !!options.stream
+    })
+  });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`AI API调用失败: ${response.status} ${errorText}`);
-    }
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`AI API调用失败: ${response.status} ${errorText}`);
+  }
+
+  return response;
+}
 
+/**
+ * 直接调用AI API处理消息
+ */
+async function callAIApi(message, userId, roomId, history = [], options = {}) {
+  try {
+    const response = await requestAIApi(message, userId, roomId, history, options);
     const data = await response.json();
     return data.choices?.[0]?.message?.content || data.choices?.[0]?.text || '未收到AI回复';
   } catch (error) {
@@ -52,8 +176,62 @@ async function callAIApi(message, userId, roomId) {
   }
 }
 
-export function setupMatrixHandlers(client, opencodeContext) {
+/**
+ * 以流式(SSE)方式调用AI API，每收到增量时回调累计文本
+ */
+async function callAIApiStream(message, userId, roomId, history = [], onText = () => {}, options = {}) {
+  try {
+    const response = await requestAIApi(message, userId, roomId, history, { ...options, stream: true });
+    let fullText = '';
+
+    await readServerSentEvents(response, (data) => {
+      try {
+        const chunk = JSON.parse(data);
+        const delta = chunk.choices?.[0]?.delta?.content || '';
+        if (delta) {
+          fullText += delta;
+          onText(fullText);
+        }
+      } catch {
+        // 忽略无法解析的片段
+      }
+    });
+
+    return fullText || '未收到AI回复';
+  } catch (error) {
+    console.error('流式AI API调用失败:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 是否启用流式回复
+ */
+function isStreamingEnabled() {
+  return process.env.MATRIX_STREAM_REPLIES !== 'false'
+}
+
+/**
+ * 读取用户/房间白名单配置
+ */
+function loadAccessConfig() {
+  return {
+    allowedUsers: process.env.MATRIX_ALLOWED_USERS 
+      ? process.env.MATRIX_ALLOWED_USERS.split(',') 
+      : [],
+    allowedRooms: process.env.MATRIX_ALLOWED_ROOMS 
+      ? process.env.MATRIX_ALLOWED_ROOMS.split(',') 
+      : []
+  }
+}
+
+/**
+ * 设置Matrix事件处理
+ * @param {object} options - appservice: 应用服务模式下的 AppserviceBridge
+ */
+export function setupMatrixHandlers(client, opencodeContext, options = {}) {
   const { project, client: opencodeClient, $, directory, worktree, serverUrl } = opencodeContext
+  appservice = options.appservice || null
   
   client.on('room.message', async (roomId, event) => {
     try {
@@ -66,27 +244,59 @@ export function setupMatrixHandlers(client, opencodeContext) {
       const eventId = event.event_id
       const msgtype = content.msgtype
       
-      if (sender === await client.getUserId()) {
+      if (await isOwnUser(client, sender)) {
         return
       }
       
-      const config = {
-        allowedUsers: process.env.MATRIX_ALLOWED_USERS 
-          ? process.env.MATRIX_ALLOWED_USERS.split(',') 
-          : [],
-        allowedRooms: process.env.MATRIX_ALLOWED_ROOMS 
-          ? process.env.MATRIX_ALLOWED_ROOMS.split(',') 
-          : []
-      }
+      const config = loadAccessConfig()
       
       if (!isUserAllowed(sender, config) || !isRoomAllowed(roomId, config)) {
         console.log(`忽略来自未授权用户/房间的消息: ${sender} in ${roomId}`)
         return
       }
       
+      // 应用服务模式下由房间中被提及的（或默认的）用户回应，模型虚拟用户使用其对应的模型
+      const speaker = await resolveSpeaker(client, roomId, event)
+      if (!speaker) {
+        return
+      }
+      const roomClient = speaker.client
+      
+      // 私聊中的消息都是发给机器人的：命令可以只用 ! 前缀，回复默认不开线程
+      let isDirect = false
+      try {
+        isDirect = await directRooms.isDirect(roomId)
+      } catch (error) {
+        console.error('判断私聊房间失败:', error.message)
+      }
+      
+      let settings = {}
+      try {
+        settings = await roomSettings.getAll(roomId)
+      } catch (error) {
+        console.error('读取房间设置失败，使用默认值:', error.message)
+      }
+      
+      // 按房间回复模式决定回复的关联方式，该事件触发的所有回复都会自动关联
+      const replyMode = settings.reply_mode ?? (isDirect ? DIRECT_REPLY_MODE : DEFAULT_REPLY_MODE)
+      const replyContext = resolveReplyContext(event, replyMode)
+      const replyClient = createReplyClient(roomClient, roomId, replyContext)
+      
+      // 群聊中按房间触发方式过滤非命令消息，私聊中的消息总是触发
+      const triggerMode = isDirect ? 'all' : (settings.trigger_mode || DEFAULT_TRIGGER_MODE)
+      const checkTrigger = (body) => resolveMessageTrigger(roomClient, roomId, event, body, triggerMode, settings)
+      
+      // 编辑过的消息不当作新消息处理
+      if (content['m.relates_to']?.rel_type === 'm.replace') {
+        await handleEditedMessage({ client: roomClient, opencodeContext, roomId, sender, event, checkTrigger, model: speaker.model })
+        return
+      }
+      
       if (msgtype === 'm.file') {
+        if (!(await checkTrigger(content.body || '')).triggered) return
+        if (!await ensureRole(replyClient, roomId, sender, 'user', '处理文件')) return
         await handleFileEvent({
-          client,
+          client: replyClient,
           opencodeContext,
           roomId,
           sender,
@@ -96,43 +306,88 @@ export function setupMatrixHandlers(client, opencodeContext) {
         return
       }
       
+      // 对图片的回答总是关联到触发消息，回复方式为 off 时也以普通回复发送
+      const imageReplyClient = replyContext.relatesTo
+        ? replyClient
+        : createReplyClient(roomClient, roomId, resolveReplyContext(event, 'reply'))
+      
       if (msgtype === 'm.image') {
+        const trigger = await checkTrigger(content.body || '')
+        if (!trigger.triggered) return
+        if (!await ensureRole(replyClient, roomId, sender, 'user', '分析图片')) return
         await handleImageEvent({
-          client,
+          client: imageReplyClient,
           opencodeContext,
           roomId,
           sender,
           eventId,
-          event
+          event,
+          caption: getImageCaption(content) ? trigger.message : '',
+          threadId: replyContext.threadId,
+          model: speaker.model
         })
         return
       }
       
       const messageBody = content.body || ''
       
-      if (messageBody.startsWith('!opencode')) {
+      // 命令前缀可按房间修改；私聊中命令还可以只用 ! 前缀
+      let commandText = matchPrefix(messageBody, settings.command_prefix || DEFAULT_COMMAND_PREFIX)
+      if (commandText === null && isDirect) {
+        commandText = matchDirectCommand(messageBody)
+      }
+      
+      if (commandText !== null) {
+        // 命令作用于所在线程；不在线程中时作用于房间级上下文
         await handleMatrixCommand({
-          client,
+          client: replyClient,
           opencodeContext,
           roomId,
           sender,
           message: messageBody,
+          commandText,
+          commandPrefix: settings.command_prefix || DEFAULT_COMMAND_PREFIX,
           eventId,
-          event
+          event,
+          threadId: getThreadRoot(event) || ''
         })
       } else if (messageBody.startsWith('!help')) {
-        await sendHelpMessage(client, roomId)
+        await sendHelpMessage(replyClient, roomId, null, settings.command_prefix || DEFAULT_COMMAND_PREFIX)
       } else if (messageBody.startsWith('!status')) {
-        await sendStatusMessage(client, roomId, opencodeContext)
+        await sendStatusMessage(replyClient, roomId, opencodeContext)
       } else {
+        const trigger = await checkTrigger(messageBody)
+        if (!trigger.triggered) return
+        
+        if (!await ensureRole(replyClient, roomId, sender, 'user', '与AI对话')) return
+        
+        // 回复图片（或在图片的线程中）提问时连同图片一起发送给模型
+        const image = await findQuestionImage(roomClient, roomId, event)
+        if (image) {
+          await answerImageQuestion({
+            client: imageReplyClient,
+            opencodeContext,
+            roomId,
+            sender,
+            eventId,
+            image,
+            question: trigger.message,
+            threadId: replyContext.threadId,
+            model: speaker.model
+          })
+          return
+        }
+        
         await handleNaturalLanguage({
-          client,
+          client: replyClient,
           opencodeContext,
           roomId,
           sender,
-          message: messageBody,
+          message: trigger.message,
           eventId,
-          event
+          event,
+          threadId: replyContext.threadId,
+          model: speaker.model
         })
       }
       
@@ -141,127 +396,616 @@ export function setupMatrixHandlers(client, opencodeContext) {
     }
   })
   
+  client.on('room.event', async (roomId, event) => {
+    try {
+      // 房间权限等级变化时刷新角色映射
+      if (event?.type === 'm.room.power_levels') {
+        permissionManager.invalidatePowerLevels(roomId)
+      }
+      
+      if (event?.type === 'm.reaction') {
+        await handleReaction(client, roomId, event)
+      }
+      
+      // 用户撤回提问时一并撤回机器人的回复
+      if (event?.type === 'm.room.redaction') {
+        await handlePromptRedaction(client, roomId, event)
+      }
+      
+      // 其他成员离开后房间只剩机器人时退出
+      if (event?.type === 'm.room.member' && ['leave', 'ban'].includes(event.content?.membership)) {
+        for (const roomClient of getRoomClients(client, roomId)) {
+          await leaveIfEmpty(roomClient, roomId)
+        }
+      }
+    } catch (error) {
+      console.error('处理Matrix房间事件失败:', error.message)
+    }
+  })
+  
+  client.on('room.invite_state', (roomId, events) => {
+    inviteStates.set(roomId, events)
+  })
+  
+  client.on('room.invite', async (roomId, event) => {
+    try {
+      // 应用服务模式下以被邀请的用户身份处理邀请
+      await handleInvite(appservice?.getClient(event?.state_key) || client, roomId, event)
+    } catch (error) {
+      console.error(`处理房间邀请 ${roomId} 失败:`, error.message)
+    }
+  })
+  
+  // 无法解密的消息：按房间统计，并限频在房间内提示
+  client.on('room.failed_decryption', async (roomId, event, error) => {
+    try {
+      await handleDecryptionFailure(client, roomId, event, error)
+    } catch (notifyError) {
+      console.error('处理解密失败事件失败:', notifyError.message)
+    }
+  })
+  
+  setupDeviceVerification(client)
+  directRooms.attach(client)
+  // 私聊中用户通常是房主，不按权限等级授予角色
+  permissionManager.powerLevelFilter = async (roomId) => !await directRooms.isDirect(roomId)
+  
   // 处理连接状态变化
   client.on('Session.logged_out', () => {
     console.log('Matrix会话已登出')
   })
   
-  client.on('sync', (state) => {
-    if (state === 'SYNCING') {
-      console.log('Matrix同步中...')
-    } else if (state === 'ERROR') {
-      console.log('Matrix同步错误')
-    }
+  client.supervisor?.on('state', (status) => {
+    console.log(`Matrix同步状态: ${SYNC_STATE_NAMES[status.state] || status.state}`)
   })
   
   console.log('Matrix消息处理器已设置')
+  
+  return {
+    preferenceStore,
+    conversationHistory,
+    sessionRegistry,
+    roomSettings,
+    replyLinks,
+    permissionManager,
+    shellPolicy,
+    jobManager,
+    deviceVerification,
+    decryptionMonitor,
+    directRooms,
+    reactionActions
+  }
+}
+
+/**
+ * 创建命令注册表，声明所有 !opencode 命令
+ */
+function createCommandRegistry() {
+  const registry = new CommandRegistry({ prefix: DEFAULT_COMMAND_PREFIX })
+  
+  registry.register({
+    name: 'help',
+    description: '显示帮助信息',
+    permission: 'viewer',
+    args: [
+      { name: 'command', label: '命令', schema: z.string().optional(), description: '查看指定命令的参数和示例' }
+    ],
+    examples: ['help switch'],
+    handler: ({ client, roomId, commandPrefix }, { command }) => sendHelpMessage(client, roomId, command, commandPrefix)
+  })
+  
+  registry.register({
+    name: 'status',
+    description: '显示OpenCode状态',
+    permission: 'viewer',
+    handler: ({ client, roomId, opencodeContext }) => sendStatusMessage(client, roomId, opencodeContext)
+  })
+  
+  registry.register({
+    name: 'dm',
+    description: '打开与机器人的私聊（私聊中命令只需 ! 前缀）',
+    permission: 'user',
+    args: [
+      { name: 'message', label: '消息', schema: z.string().optional(), rest: true, description: '打开私聊后转发给AI的第一条消息' }
+    ],
+    examples: ['dm', 'dm 帮我检查一下部署脚本'],
+    handler: (context, { message }) => handleDirectCommand(context, message)
+  })
+  
+  registry.register({
+    name: 'leave',
+    description: '让机器人退出本房间',
+    permission: GLOBAL_ADMIN,
+    handler: ({ client, roomId, sender }) => handleLeaveCommand(client, roomId, sender)
+  })
+  
+  registry.register({
+    name: 'crypto',
+    description: '显示端到端加密状态、本房间的解密失败统计',
+    permission: 'viewer',
+    handler: ({ client, roomId }) => sendCryptoStatus(client, roomId)
+  })
+  
+  registry.register({
+    name: 'verify',
+    description: '通过表情比对验证设备，让你的客户端信任机器人（机器人这一侧只记录验证结果，不影响密钥分享）',
+    permission: GLOBAL_ADMIN,
+    args: [
+      {
+        name: 'action',
+        label: '操作',
+        schema: z.enum(['list', 'start', 'accept', 'confirm', 'cancel']).default('list'),
+        description: '验证操作',
+        values: {
+          list: '列出进行中的验证和验证记录',
+          start: '向用户的设备发起验证（默认为自己的所有设备）',
+          accept: '接受对方发起的验证请求',
+          confirm: '表情一致，确认验证',
+          cancel: '表情不一致或放弃，取消验证'
+        }
+      },
+      { name: 'target', label: '目标', schema: z.string().optional(), description: 'start 时为用户ID，其他操作为验证ID（可只输入前几位）' },
+      { name: 'device', label: '设备ID', schema: z.string().optional(), description: 'start 时指定设备，省略则发送到所有设备' }
+    ],
+    examples: ['verify start', 'verify start @alice:example.org ABCDEFGH', 'verify confirm 3f9a'],
+    handler: ({ client, roomId, sender }, args) => handleVerifyCommand(client, roomId, sender, args)
+  })
+  
+  registry.register({
+    name: 'keybackup',
+    description: '管理服务器端密钥备份',
+    permission: GLOBAL_ADMIN,
+    args: [
+      {
+        name: 'action',
+        label: '操作',
+        schema: z.enum(['status', 'enable', 'disable']).default('status'),
+        description: '备份操作',
+        values: {
+          status: '查看备份状态',
+          enable: '启用备份（服务器没有备份时新建并生成恢复密钥）',
+          disable: '停用备份（服务器上的备份保留）'
+        }
+      }
+    ],
+    flags: [
+      { name: 'new', alias: 'n', schema: z.boolean().default(false), description: 'enable 时总是新建备份版本并生成新的恢复密钥' }
+    ],
+    handler: ({ client, roomId, sender }, args) => handleKeyBackupCommand(client, roomId, sender, args)
+  })
+  
+  registry.register({
+    name: 'logout-other-devices',
+    description: '注销机器人账号以往登录遗留的设备',
+    permission: GLOBAL_ADMIN,
+    flags: [
+      { name: 'all', alias: 'a', schema: z.boolean().default(false), description: '注销当前设备以外的所有设备，默认只注销与机器人同名的设备' }
+    ],
+    handler: ({ client, roomId, sender }, { all }) => handleLogoutOtherDevices(client, roomId, sender, all)
+  })
+  
+  registry.register({
+    name: 'run',
+    description: '在隔离沙箱中运行JavaScript代码（输出 console.log 内容）',
+    permission: 'operator',
+    args: [
+      { name: 'code', label: '代码', schema: z.string().min(1), rest: true, description: '要运行的JavaScript代码，最后一个表达式的值作为结果（全局对象已冻结，变量请用 let/const 声明）' }
+    ],
+    examples: ['run [1, 2, 3].map(x => x * 2)', 'run console.log("hi"); Math.max(1, 2)'],
+    handler: ({ client, roomId, opencodeContext }, { code }) => handleRunCommand(client, roomId, code, opencodeContext)
+  })
+  
+  registry.register({
+    name: 'exec',
+    aliases: ['shell'],
+    description: '执行Shell命令（危险命令需要确认）',
+    permission: 'operator',
+    flags: [
+      { name: 'bg', alias: 'b', schema: z.boolean().default(false), description: '作为后台任务运行，输出实时发送到线程' },
+      { name: 'dm', alias: 'd', schema: z.boolean().default(false), description: '把输出私信发送给自己，不在房间中显示' }
+    ],
+    args: [
+      { name: 'command', label: 'shell命令', schema: z.string().min(1), rest: true, description: '要执行的Shell命令（按原样执行）' }
+    ],
+    examples: ['exec ls -la', 'exec --bg npm test', 'exec --dm cat .env'],
+    handler: ({ client, roomId, sender, opencodeContext }, { command, bg, dm }) =>
+      handleShellCommand(client, roomId, sender, command, opencodeContext, { background: bg, direct: dm })
+  })
+  
+  registry.register({
+    name: 'jobs',
+    description: '列出本房间的后台任务',
+    permission: 'user',
+    handler: ({ client, roomId }) => listJobs(client, roomId)
+  })
+  
+  registry.register({
+    name: 'tail',
+    description: '查看后台任务的最新输出',
+    permission: 'user',
+    args: [
+      { name: 'id', label: '任务ID', schema: z.string().min(1), description: 'jobs 命令显示的任务ID' },
+      { name: 'lines', label: '行数', schema: z.coerce.number().int().min(1).max(200).default(20), description: '显示的行数（1-200）' }
+    ],
+    handler: ({ client, roomId }, { id, lines }) => handleTailCommand(client, roomId, id, lines)
+  })
+  
+  registry.register({
+    name: 'kill',
+    description: '终止后台任务',
+    permission: 'operator',
+    args: [
+      { name: 'id', label: '任务ID', schema: z.string().min(1), description: 'jobs 命令显示的任务ID' }
+    ],
+    handler: ({ client, roomId, sender }, { id }) => handleKillCommand(client, roomId, sender, id)
+  })
+  
+  registry.register({
+    name: 'confirm',
+    description: '批准待确认的Shell命令',
+    permission: SHELL_CONFIRM_ROLE,
+    args: [
+      { name: 'id', label: '确认ID', schema: z.string().min(1), description: '确认提示中显示的ID' }
+    ],
+    handler: ({ client, roomId, sender }, { id }) => resolveShellConfirmation(client, roomId, sender, id, true)
+  })
+  
+  registry.register({
+    name: 'reject',
+    description: '拒绝待确认的Shell命令',
+    permission: SHELL_CONFIRM_ROLE,
+    args: [
+      { name: 'id', label: '确认ID', schema: z.string().min(1), description: '确认提示中显示的ID' }
+    ],
+    handler: ({ client, roomId, sender }, { id }) => resolveShellConfirmation(client, roomId, sender, id, false)
+  })
+  
+  registry.register({
+    name: 'audit',
+    description: '查看本房间的Shell命令审计记录',
+    permission: 'admin',
+    args: [
+      { name: 'limit', label: '条数', schema: z.coerce.number().int().min(1).max(100).default(20), description: '显示的记录条数（1-100）' }
+    ],
+    handler: ({ client, roomId }, { limit }) => handleAuditCommand(client, roomId, limit)
+  })
+  
+  registry.register({
+    name: 'file',
+    description: '读取本房间最近上传的文件',
+    permission: 'user',
+    args: [
+      {
+        name: 'action',
+        label: '操作',
+        schema: z.enum(['pages', 'show']),
+        description: '文件操作',
+        values: {
+          pages: '读取 PDF 的指定页（长文档上传时只抽样部分页）',
+          show: '读取压缩包中的文件，路径为目录时列出目录内容'
+        }
+      },
+      { name: 'target', label: '页范围/路径', schema: z.string().min(1), rest: true, description: 'pages 时如 3-7、1,4,9-12、10-（到最后一页）；show 时为压缩包中的路径' }
+    ],
+    examples: ['file pages 3-7', 'file pages 1,10-12', 'file show src/config.json'],
+    handler: ({ client, roomId }, { action, target }) => action === 'pages'
+      ? handleFilePagesCommand(client, roomId, target)
+      : handleFileShowCommand(client, roomId, target)
+  })
+  
+  registry.register({
+    name: 'projects',
+    description: '列出项目',
+    permission: 'viewer',
+    handler: ({ client, roomId, opencodeContext }) => listProjects(client, roomId, opencodeContext)
+  })
+  
+  registry.register({
+    name: 'models',
+    description: '列出可用模型',
+    permission: 'viewer',
+    handler: ({ client, roomId, opencodeContext, threadId }) => listModels(client, roomId, opencodeContext, threadId)
+  })
+  
+  registry.register({
+    name: 'switch',
+    aliases: ['model'],
+    description: '切换LLM模型',
+    permission: 'user',
+    args: [
+      { name: 'modelId', label: '模型ID', schema: z.string().min(1), description: '模型ID，格式 provider/model-name，使用 models 命令查看' },
+      {
+        name: 'scope',
+        label: '作用域',
+        schema: z.enum(Object.keys(MODEL_SCOPES)).default('session'),
+        description: '模型切换作用域',
+        values: MODEL_SCOPES,
+        permissions: MODEL_SCOPE_PERMISSIONS
+      }
+    ],
+    examples: ['switch cc-oaicomp/DeepSeek-V3.2 session', 'model cc-oaicomp/Kimi-K2.5 room'],
+    handler: ({ client, roomId, sender, opencodeContext, threadId }, { modelId, scope }) =>
+      handleModelSwitch(client, roomId, sender, modelId, scope, opencodeContext, threadId)
+  })
+  
+  registry.register({
+    name: 'current',
+    description: '显示当前使用的模型',
+    permission: 'viewer',
+    handler: ({ client, roomId, sender, opencodeContext, threadId }) =>
+      handleModelCurrent(client, roomId, sender, opencodeContext, threadId)
+  })
+  
+  registry.register({
+    name: 'version',
+    description: '显示版本信息',
+    permission: 'viewer',
+    handler: ({ client, roomId, opencodeContext }) => sendVersionInfo(client, roomId, opencodeContext)
+  })
+  
+  registry.register({
+    name: 'history',
+    description: '查看本房间（或当前线程）的对话记忆',
+    permission: 'viewer',
+    args: [
+      { name: 'limit', label: '条数', schema: z.coerce.number().int().min(1).max(50).default(10), description: '显示的消息条数（1-50）' }
+    ],
+    handler: ({ client, roomId, threadId }, { limit }) => handleHistoryCommand(client, roomId, limit, threadId)
+  })
+  
+  registry.register({
+    name: 'forget',
+    description: '清除本房间（或当前线程）的对话记忆',
+    permission: 'user',
+    handler: ({ client, roomId, sender, threadId }) => handleForgetCommand(client, roomId, sender, threadId)
+  })
+  
+  registry.register({
+    name: 'session',
+    description: '管理本房间（或当前线程）绑定的OpenCode会话',
+    permission: 'user',
+    args: [
+      {
+        name: 'action',
+        label: '操作',
+        schema: z.enum(['new', 'list', 'attach', 'detach']).optional(),
+        description: '会话操作，省略时显示当前绑定',
+        values: {
+          new: '创建新的OpenCode会话并绑定',
+          list: '列出会话及房间绑定',
+          attach: '绑定到已有会话',
+          detach: '解除会话绑定'
+        }
+      },
+      { name: 'sessionId', label: '会话ID', schema: z.string().optional(), description: 'attach 时要绑定的会话ID' }
+    ],
+    examples: ['session new', 'session attach ses_123'],
+    handler: ({ client, roomId, sender, opencodeContext, threadId }, { action, sessionId }) =>
+      handleSessionCommand(client, roomId, sender, action, sessionId, opencodeContext, threadId)
+  })
+  
+  registry.register({
+    name: 'threads',
+    description: '设置本房间的回复方式',
+    permission: 'operator',
+    args: [
+      {
+        name: 'mode',
+        label: '回复方式',
+        schema: z.enum(REPLY_MODES).optional(),
+        description: '省略时显示当前回复方式',
+        values: {
+          thread: '在以提问消息为根的线程中回复，每个线程是独立的对话（不共享房间的对话记忆和OpenCode会话）',
+          reply: '以引用回复的方式回复',
+          off: '直接发送到房间'
+        }
+      }
+    ],
+    handler: ({ client, roomId, sender }, { mode }) => handleReplyModeCommand(client, roomId, sender, mode)
+  })
+  
+  registry.register({
+    name: 'trigger',
+    description: '设置群聊中哪些普通消息会交给AI处理',
+    permission: 'operator',
+    args: [
+      {
+        name: 'mode',
+        label: '触发方式',
+        schema: z.enum(TRIGGER_MODES).optional(),
+        description: '省略时显示当前触发方式（私聊中的消息总是触发）',
+        values: {
+          all: '所有消息',
+          mention: '只在提及机器人时（@机器人或消息中包含机器人的名字）',
+          prefix: '只处理以触发前缀开头的消息',
+          thread: '只处理机器人参与的线程中的消息，线程外可通过提及或触发前缀发起对话'
+        }
+      },
+      { name: 'prefix', label: '触发前缀', schema: z.string().optional(), description: `prefix/thread 方式使用的前缀（默认 ${DEFAULT_TRIGGER_PREFIX}）` }
+    ],
+    examples: ['trigger mention', 'trigger prefix ?ai'],
+    handler: ({ client, roomId, sender }, { mode, prefix }) => handleTriggerCommand(client, roomId, sender, mode, prefix)
+  })
+  
+  registry.register({
+    name: 'prefix',
+    description: '设置本房间的命令前缀',
+    permission: 'admin',
+    args: [
+      { name: 'prefix', label: '新前缀', schema: z.string().optional(), description: `省略时显示当前前缀，reset 恢复默认（${DEFAULT_COMMAND_PREFIX}）` }
+    ],
+    examples: ['prefix !oc', 'prefix reset'],
+    handler: ({ client, roomId, sender }, { prefix }) => handleCommandPrefixCommand(client, roomId, sender, prefix)
+  })
+  
+  registry.register({
+    name: 'role',
+    description: '查看或管理用户角色',
+    permission: 'viewer',
+    args: [
+      {
+        name: 'action',
+        label: '操作',
+        schema: z.enum(['list', 'grant', 'revoke']).optional(),
+        description: '省略时显示自己的角色',
+        values: {
+          list: '列出本房间及全局的角色分配',
+          grant: '授予角色',
+          revoke: '撤销角色'
+        },
+        permissions: { grant: 'admin', revoke: 'admin' }
+      },
+      { name: 'user', label: '用户', schema: z.string().optional(), description: `Matrix用户ID，${ALL_USERS} 表示房间内所有成员` },
+      {
+        name: 'role',
+        label: '角色',
+        schema: z.enum(ROLES).optional(),
+        description: 'grant 时要授予的角色',
+        values: ROLE_DESCRIPTIONS
+      }
+    ],
+    flags: [
+      { name: 'global', alias: 'g', schema: z.boolean().default(false), description: '全局授权（对所有房间生效），默认仅对本房间', permissions: { true: GLOBAL_ADMIN } }
+    ],
+    examples: ['role grant @alice:example.org operator', 'role grant * viewer', 'role revoke @bob:example.org --global'],
+    handler: ({ client, roomId, sender }, args) => handleRoleCommand(client, roomId, sender, args)
+  })
+  
+  return registry
 }
 
 /**
  * 处理Matrix命令
  */
 async function handleMatrixCommand(context) {
-  const { client, roomId, sender, message, opencodeContext } = context
-  const commandText = message.slice('!opencode'.length).trim()
+  const { client, roomId, sender, commandText, commandPrefix = DEFAULT_COMMAND_PREFIX } = context
   
   // 记录命令
   console.log(`Matrix命令: ${sender} -> ${commandText}`)
   
-  if (!commandText) {
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: '用法: !opencode [命令]\n可用命令: help, status, run [代码], exec [shell命令]'
-    })
-    return
+  let invocation
+  try {
+    invocation = commandRegistry.parse(commandText, commandPrefix)
+  } catch (error) {
+    if (error instanceof CommandUsageError) {
+      await sendFormattedMessage(client, roomId, error.message)
+      return
+    }
+    throw error
   }
   
-  const [command, ...args] = commandText.split(' ')
+  const { command, args } = invocation
+  const required = commandRegistry.getRequiredPermissions(command, args)
+  if (!await ensureRole(client, roomId, sender, required, `执行 ${command.name} 命令`)) {
+    return
+  }
   
-  switch (command.toLowerCase()) {
-    case 'help':
-      await sendHelpMessage(client, roomId)
-      break
-      
-    case 'status':
-      await sendStatusMessage(client, roomId, opencodeContext)
-      break
-      
-    case 'run':
-      await handleRunCommand(client, roomId, args.join(' '), opencodeContext)
-      break
-      
-    case 'exec':
-    case 'shell':
-      await handleShellCommand(client, roomId, args.join(' '), opencodeContext)
-      break
-      
-    case 'projects':
-      await listProjects(client, roomId, opencodeContext)
-      break
-      
-    case 'models':
-      await listModels(client, roomId, opencodeContext)
-      break
-      
-    case 'switch':
-    case 'model':
-      await handleModelSwitch(client, roomId, sender, args, opencodeContext)
-      break
-      
-    case 'current':
-      await handleModelCurrent(client, roomId, sender, args, opencodeContext)
-      break
-      
-    case 'version':
-      await sendVersionInfo(client, roomId, opencodeContext)
-      break
-      
-    default:
-      await client.sendMessage(roomId, {
-        msgtype: 'm.text',
-        body: `未知命令: ${command}\n使用 !opencode help 查看可用命令`
-      })
+  await command.handler({ ...context, threadId: context.threadId || '' }, args)
+}
+
+/**
+ * 检查发送者是否具有所需角色，不满足时回复提示
+ * @param {string|string[]} required - 所需角色
+ * @returns {Promise<boolean>}
+ */
+async function ensureRole(client, roomId, sender, required, action) {
+  for (const permission of [].concat(required)) {
+    const requirement = parseRequirement(permission)
+    const { role } = requirement.global
+      ? await permissionManager.getGlobalRole(sender)
+      : await permissionManager.getRole(client, roomId, sender)
+    if (roleAtLeast(role, requirement.role)) {
+      continue
+    }
+    
+    const scopeName = requirement.global ? '全局' : ''
+    console.log(`⛔ 用户 ${sender} (${scopeName}${role}) 无权${action}，需要${scopeName} ${requirement.role}`)
+    await sendFormattedMessage(client, roomId, `⛔ 权限不足: ${action}需要${scopeName} ${requirement.role} 角色（当前${scopeName}角色: ${role}）`)
+    return false
   }
+  
+  return true
 }
 
 /**
- * 发送帮助信息
+ * 发送帮助信息（指定命令时显示该命令的详细用法），命令按房间的命令前缀显示
  */
-async function sendHelpMessage(client, roomId) {
+async function sendHelpMessage(client, roomId, commandName = null, prefix = DEFAULT_COMMAND_PREFIX) {
+  if (commandName) {
+    const commandHelp = commandRegistry.formatCommandHelp(commandName, prefix)
+    await sendFormattedMessage(client, roomId, commandHelp ||
+      `未知命令: ${commandName}\n使用 ${prefix} help 查看可用命令`)
+    return
+  }
+  
   const helpText = `OpenCode Matrix Bot 命令:
 
-!opencode help - 显示此帮助信息
-!opencode status - 显示OpenCode状态
-!opencode run [代码] - 运行JavaScript代码
-!opencode exec [命令] - 执行Shell命令
-!opencode projects - 列出项目
-!opencode models - 列出可用模型
-!opencode switch [模型ID] [作用域] - 切换LLM模型
-!opencode current - 显示当前使用的模型
-!opencode version - 显示版本信息
+${commandRegistry.formatHelp(prefix)}
 
 !help - 显示此帮助信息
 !status - 显示OpenCode状态
 
-模型切换作用域:
-- session: 仅当前会话有效
-- user: 为用户永久保存偏好
-- room: 为房间永久保存偏好  
-- global: 全局切换（所有用户和房间）
+反应操作:
+- 对AI回复回应 ${REGENERATE_REACTIONS[0]} 用同一模型在原消息上重新生成（AI会话不会回退，旧回答仍在上下文中），回应 ${DELETE_REACTIONS[0]} 删除回复（提问者本人或 operator）
+- 对需要确认的Shell命令回应 ${APPROVE_REACTIONS[0]} 批准、${REJECT_REACTIONS[0]} 拒绝
+- 对模型列表回应数字切换模型，对切换成功消息回应 ${UNDO_REACTIONS[0]} 撤销
+- 编辑已回复的提问会在原回复上重新生成（AI会话不会回退，原提问仍在上下文中）
+
+使用 ${prefix} help [命令] 查看命令的参数、可选值和示例
 
 环境变量:
 - MATRIX_HOMESERVER: Matrix服务器地址
 - MATRIX_USER_ID: Matrix用户ID
 - MATRIX_ACCESS_TOKEN:  Matrix访问令牌
-- MATRIX_PASSWORD: Matrix密码（备选）
+- MATRIX_PASSWORD: Matrix密码（备选，登录后的令牌和设备ID会保存并复用）
+- MATRIX_DEVICE_NAME: 密码登录时的设备名（默认 ${DEFAULT_DEVICE_NAME}）
 - MATRIX_NOTIFICATION_ROOM: 通知房间ID
 - MATRIX_ALLOWED_ROOMS: 允许的房间列表（逗号分隔）
-- MATRIX_ALLOWED_USERS: 允许的用户列表（逗号分隔）`
+- MATRIX_ALLOWED_USERS: 允许的用户列表（逗号分隔）
+- MATRIX_AUTO_JOIN: 是否自动接受允许的用户的邀请（默认启用，设为 false 禁用）
+- MATRIX_AUTO_JOIN_SERVERS: 只自动加入这些服务器上的房间（逗号分隔）
+- MATRIX_AUTO_JOIN_ALIASES: 只自动加入别名匹配的房间（逗号分隔，支持 *，如 #dev-*:example.org）
+- MATRIX_LEAVE_EMPTY_ROOMS: 房间只剩机器人时自动退出（默认启用，设为 false 禁用）
+- MATRIX_ENCRYPTION: 是否启用端到端加密（默认启用，设为 false 禁用）
+- MATRIX_DECRYPTION_NOTIFY_INTERVAL_MS: 同一房间解密失败提示的最小间隔（默认 600000）
+- MATRIX_PDF_MAX_PAGES: PDF 一次最多读取的页数，超过时抽样（默认 20）
+- MATRIX_PDF_MAX_CHARS: PDF 一次最多读取的字符数（默认 30000）
+- MATRIX_OFFICE_MAX_CHARS: Word/PowerPoint 文档最多读取的字符数（默认 30000）
+- MATRIX_OFFICE_MAX_PART_MB / MATRIX_OFFICE_MAX_TOTAL_MB: Word/PowerPoint 单个部件和全部部件解压后的大小上限（默认 5 / 20）
+- MATRIX_ARCHIVE_MAX_ENTRIES: 压缩包最多包含的条目数（默认 1000）
+- MATRIX_ARCHIVE_MAX_SIZE_MB / MATRIX_ARCHIVE_MAX_ENTRY_MB: 压缩包解压后的总大小和单个文件的上限（默认 100 / 10）
+- MATRIX_SOURCE_PREVIEW_CHARS: 代码/日志/文本文件完整显示的字符上限，超过时显示结构摘要（默认 10000）
+- MATRIX_VISION_MODEL: 当前模型不支持图片时改用的视觉模型（默认第一个支持图片的可用模型）
+- MATRIX_IMAGE_CACHE_MINUTES: 图片缓存时间，期间可回复图片继续提问（默认 60）
+- MATRIX_REPLY_MODE: 默认回复方式（thread/reply/off，默认 reply）
+- MATRIX_REACTION_TTL_MS: 消息上的反应操作的有效期（默认 86400000）
+- MATRIX_REPLY_LINK_RETENTION_DAYS: 提问与回复的关联保留天数，用于编辑/撤回提问时同步回复（默认 30）
+- MATRIX_TRIGGER_MODE: 群聊中普通消息的默认触发方式（${TRIGGER_MODES.join('/')}，默认 all）
+- MATRIX_TRIGGER_PREFIX: prefix 触发方式的默认前缀（默认 !ai）
+- MATRIX_COMMAND_PREFIX: 默认命令前缀（默认 !opencode）
+- MATRIX_DEFAULT_ROLE: 默认角色（${ROLES.join('/')}，默认 user）
+- MATRIX_ADMIN_USERS: 管理员用户列表（逗号分隔）
+- MATRIX_POWER_LEVEL_ROLES: 房间权限等级到角色的映射，如 100:admin,50:operator
+- MATRIX_SANDBOX_TIMEOUT_MS: run 命令的执行超时（默认 3000）
+- MATRIX_SANDBOX_MEMORY_MB: run 命令的内存上限（默认 64）
+- MATRIX_SHELL_ALLOW / MATRIX_SHELL_DENY / MATRIX_SHELL_CONFIRM: 额外的Shell命令模式（逗号分隔，支持 * 和 /正则/）
+- MATRIX_SHELL_DEFAULT: 未匹配任何模式时的动作（allow/confirm/deny，默认 allow）
+- MATRIX_SHELL_CONFIRM_TIMEOUT_MS: Shell命令确认超时（默认 120000）
+- MATRIX_MAX_JOBS: 同时运行的后台任务上限（默认 5）
+- MATRIX_JOB_STATUS_INTERVAL_MS: 后台任务状态更新间隔（默认 5000）
+- MATRIX_JOB_MAX_PAGES: 后台任务输出发送到房间的消息数上限，超过后结束时以文件发送（默认 10）
+- MATRIX_SYNC_CHECK_INTERVAL_MS: 同步健康检查间隔（默认 15000）
+- MATRIX_SYNC_STALL_MS: 多久没有成功同步视为停滞并重连（默认 120000）
+- MATRIX_SYNC_MAX_FAILURES: 连续同步失败多少次后重连（默认 3）
+- MATRIX_MODE: 设为 appservice 时以应用服务方式运行（无需 MATRIX_ACCESS_TOKEN/MATRIX_PASSWORD）
+- MATRIX_APPSERVICE_PORT / MATRIX_APPSERVICE_BIND: 接收服务器推送的端口和地址（默认 9000 / 127.0.0.1）
+- MATRIX_APPSERVICE_URL: 服务器访问应用服务的地址（默认 http://localhost:端口）
+- MATRIX_APPSERVICE_DOMAIN: 服务器名（默认取 MATRIX_USER_ID 的服务器部分）
+- MATRIX_APPSERVICE_SENDER / MATRIX_APPSERVICE_USER_PREFIX: 机器人用户名和模型用户名前缀（默认 opencode / opencode_）
+- MATRIX_APPSERVICE_MODELS: 模型虚拟用户，别名=模型ID 逗号分隔（如 kimi=cc-oaicomp/Kimi-K2.5）
+- MATRIX_APPSERVICE_REGISTRATION: 生成的注册文件路径`
   
-  await client.sendMessage(roomId, {
-    msgtype: 'm.text',
-    body: helpText
-  })
+  await sendFormattedMessage(client, roomId, helpText)
 }
 
 async function sendStatusMessage(client, roomId, opencodeContext) {
@@ -275,9 +1019,13 @@ async function sendStatusMessage(client, roomId, opencodeContext) {
     }
     
     const userId = await client.getUserId()
+    const sync = client.supervisor?.getStatus()
     const matrixStatus = {
       loggedIn: !!userId,
-      syncState: client.syncingPresence || 'unknown',
+      syncState: sync ? (SYNC_STATE_NAMES[sync.state] || sync.state) : (appservice ? '应用服务（由服务器推送事件）' : 'unknown'),
+      lastSync: sync?.lastSyncAt
+        ? `${formatDuration(sync.lastSyncAgoMs)}前 (${new Date(sync.lastSyncAt).toLocaleString()})`
+        : '尚未同步',
       userId,
       roomCount: (await client.getJoinedRooms()).length
     }
@@ -293,259 +1041,1034 @@ Matrix连接:
 - 用户: ${matrixStatus.userId}
 - 登录状态: ${matrixStatus.loggedIn ? '已登录' : '未登录'}
 - 同步状态: ${matrixStatus.syncState}
-- 房间数量: ${matrixStatus.roomCount}
+- 上次同步: ${matrixStatus.lastSync}
+- 端到端加密: ${client.crypto ? `已启用 (设备 ${client.crypto.clientDeviceId || '未知'}，解密失败 ${decryptionMonitor.getTotalCount()} 条)` : '未启用'}
+- 重连次数: ${sync?.reconnectCount ?? 0}${sync?.lastError ? `\n- 最近错误: ${sync.lastError} (${new Date(sync.lastErrorAt).toLocaleString()})` : ''}
+- 房间数量: ${matrixStatus.roomCount}${appservice ? `\n- 模型用户: ${appservice.listModelUsers().map(user => `${user.userId} (${user.model})`).join(', ') || '无'}` : ''}
 
 服务器: ${opencodeContext.serverUrl}`
 
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: statusText
-    })
+    await sendFormattedMessage(client, roomId, statusText)
   } catch (error) {
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `获取状态失败: ${error.message}`
-    })
+    await sendFormattedMessage(client, roomId, `获取状态失败: ${error.message}`)
   }
 }
 
 /**
- * 处理运行代码命令
+ * 处理运行代码命令（在隔离的沙箱中执行）
  */
 async function handleRunCommand(client, roomId, code, opencodeContext) {
-  if (!code) {
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: '用法: !opencode run [JavaScript代码]'
-    })
-    return
-  }
-  
   try {
-    // 在安全环境中运行代码
-    const result = await evalInSandbox(code)
+    const { result, error, logs, durationMs } = await runInSandbox(code)
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `执行结果:\n\`\`\`javascript\n${code}\n\`\`\`\n结果: ${JSON.stringify(result, null, 2)}`
-    })
+    let text = `执行结果:\n\`\`\`javascript\n${code}\n\`\`\`\n`
+    if (logs.length > 0) {
+      text += `输出:\n\`\`\`\n${logs.join('\n')}\n\`\`\`\n`
+    }
+    text += error ? `❌ 错误: ${error}` : `结果: \`${result}\``
+    text += `\n耗时: ${durationMs}ms`
+    
+    await sendChunkedMessage(client, roomId, text, { filename: 'run-output.txt' })
   } catch (error) {
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `执行失败: ${error.message}`
-    })
+    await sendFormattedMessage(client, roomId, `执行失败: ${error.message}`)
   }
 }
 
 /**
- * 处理Shell命令
+ * 处理Shell命令：按策略直接执行、拒绝或请求确认
  */
-async function handleShellCommand(client, roomId, command, opencodeContext) {
-  const { $ } = opencodeContext
-  
-  if (!command) {
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: '用法: !opencode exec [shell命令]'
-    })
-    return
-  }
+async function handleShellCommand(client, roomId, sender, command, opencodeContext, options = {}) {
+  const { background = false, direct = false } = options
+  const { action, rule } = shellPolicy.evaluate(command)
   
   try {
-    const result = await $(command)
+    if (action === 'deny') {
+      await shellPolicy.audit({ roomId, userId: sender, command, decision: 'denied', rule })
+      console.log(`⛔ 拒绝Shell命令: ${sender} -> ${command} (规则: ${rule || '默认'})`)
+      
+      await sendFormattedMessage(client, roomId, `⛔ 命令被策略拒绝\n\`\`\`\n${command}\n\`\`\`\n` +
+            `匹配规则: ${rule ? `\`${rule}\`` : '默认拒绝'}`)
+      return
+    }
     
-    // 限制输出长度
-    const output = result.stdout || result.stderr || '无输出'
-    const truncatedOutput = output.length > 2000 
-      ? output.substring(0, 2000) + '... (输出已截断)' 
-      : output
+    if (action === 'confirm') {
+      await requestShellConfirmation(client, roomId, sender, command, rule, opencodeContext, { background, direct })
+      return
+    }
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `命令: ${command}\n\n输出:\n\`\`\`\n${truncatedOutput}\n\`\`\``
-    })
+    await shellPolicy.audit({ roomId, userId: sender, command, decision: 'allowed', rule, detail: describeShellOptions(options) })
   } catch (error) {
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `执行失败: ${error.message}`
-    })
+    await sendFormattedMessage(client, roomId, `执行失败: ${error.message}`)
+    return
   }
+  
+  await runApprovedShellCommand(client, roomId, sender, command, opencodeContext, { background, direct })
 }
 
 /**
- * 列出项目
+ * 审计记录中的执行方式
  */
-async function listProjects(client, roomId, opencodeContext) {
-  const { project } = opencodeContext
-  
-  await client.sendMessage(roomId, {
-    msgtype: 'm.text',
-    body: `当前项目: ${project.name || '未命名'}\n目录: ${project.directory || '未设置'}`
-  })
+function describeShellOptions({ background, direct }) {
+  return [background && 'background', direct && 'dm'].filter(Boolean).join(',') || null
 }
 
 /**
- * 列出模型
+ * 执行已获准的Shell命令：按选项在前台或后台运行，输出发送到房间或发起人的私聊
  */
-async function listModels(client, roomId, opencodeContext) {
-  const { client: opencodeClient } = opencodeContext
+async function runApprovedShellCommand(client, roomId, userId, command, opencodeContext, options = {}) {
+  let outputClient = client
+  let outputRoomId = roomId
   
-  try {
-    // 尝试获取模型列表
-    const models = await opencodeClient.models.list()
-    
-    if (!models || models.length === 0) {
-      await client.sendMessage(roomId, {
-        msgtype: 'm.text',
-        body: '没有可用的模型'
-      })
+  if (options.direct) {
+    try {
+      ({ dmClient: outputClient, dmRoomId: outputRoomId } = await openDirectReply(client, userId))
+    } catch (error) {
+      await sendFormattedMessage(client, roomId, `❌ 打开私聊失败，命令未执行: ${error.message}`)
       return
     }
+    if (outputRoomId !== roomId) {
+      await sendFormattedMessage(client, roomId, `📬 命令输出将私信发送给 ${userId}`)
+    }
+  }
+  
+  if (options.background) {
+    await startBackgroundJob(outputClient, outputRoomId, userId, command, opencodeContext)
+  } else {
+    await executeShellCommand(outputClient, outputRoomId, command, opencodeContext)
+  }
+}
+
+/**
+ * 执行Shell命令并发送输出
+ */
+async function executeShellCommand(client, roomId, command, opencodeContext) {
+  const { $ } = opencodeContext
+  
+  try {
+    const result = await $(command)
     
-    const modelText = models.slice(0, 10).map(model => 
-      `- ${model.provider || '未知'}/${model.id || '未知'}: ${model.name || '未命名'}`
-    ).join('\n')
-    
-    const moreText = models.length > 10 ? `\n... 还有 ${models.length - 10} 个模型` : ''
+    // 超长输出会拆分为多条消息或作为附件发送
+    const output = result.stdout || result.stderr || '无输出'
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `可用模型 (${models.length}):\n${modelText}${moreText}`
+    await sendChunkedMessage(client, roomId, `命令: ${command}\n\n输出:\n\`\`\`\n${output}\n\`\`\``, {
+      filename: 'shell-output.txt'
     })
   } catch (error) {
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `获取模型列表失败: ${error.message}`
-    })
+    await sendFormattedMessage(client, roomId, `执行失败: ${error.message}`)
   }
 }
 
 /**
- * 发送版本信息
+ * 发送Shell命令确认提示，等待授权用户批准
  */
-async function sendVersionInfo(client, roomId, opencodeContext) {
-  const { client: opencodeClient } = opencodeContext
+async function requestShellConfirmation(client, roomId, sender, command, rule, opencodeContext, options = {}) {
+  const confirmation = shellPolicy.createConfirmation({
+    roomId,
+    userId: sender,
+    command,
+    rule,
+    background: !!options.background,
+    direct: !!options.direct,
+    client,
+    opencodeContext
+  })
+  const seconds = Math.round(shellPolicy.confirmTimeoutMs / 1000)
+  const prefix = await getCommandPrefix(roomId)
+  
+  const promptEventId = await sendFormattedMessage(client, roomId, `⚠️ 该命令需要确认 [${confirmation.id}]\n` +
+        `\`\`\`\n${command}\n\`\`\`\n` +
+        `匹配规则: \`${rule || '默认确认'}\`\n\n` +
+        `具有 ${SHELL_CONFIRM_ROLE} 角色的用户可在 ${seconds} 秒内:\n` +
+        `- 回应 ${APPROVE_REACTIONS[0]} 或发送 ${prefix} confirm ${confirmation.id} 批准\n` +
+        `- 回应 ${REJECT_REACTIONS[0]} 或发送 ${prefix} reject ${confirmation.id} 拒绝`)
+  
+  shellPolicy.setPromptEvent(confirmation.id, promptEventId)
+  reactionActions.register(roomId, promptEventId, [
+    { keys: APPROVE_REACTIONS, description: '批准', handler: ({ sender: reactor }) => resolveShellConfirmation(client, roomId, reactor, confirmation.id, true) },
+    { keys: REJECT_REACTIONS, description: '拒绝', handler: ({ sender: reactor }) => resolveShellConfirmation(client, roomId, reactor, confirmation.id, false) }
+  ], { ttlMs: shellPolicy.confirmTimeoutMs })
+  await offerReactions(client, roomId, promptEventId, [APPROVE_REACTIONS[0], REJECT_REACTIONS[0]])
+  await shellPolicy.audit({
+    roomId,
+    userId: sender,
+    command,
+    decision: 'confirm_requested',
+    rule,
+    confirmationId: confirmation.id,
+    detail: describeShellOptions(confirmation)
+  })
+  
+  console.log(`⚠️ Shell命令等待确认 [${confirmation.id}]: ${sender} -> ${command}`)
+}
+
+/**
+ * 批准或拒绝待确认的Shell命令
+ */
+async function resolveShellConfirmation(client, roomId, sender, id, approved) {
+  const pending = shellPolicy.getConfirmation(id)
+  if (!pending || pending.roomId !== roomId) {
+    await sendFormattedMessage(client, roomId, `❌ 未找到待确认的命令: ${id}（可能已过期或已处理）`)
+    return
+  }
+  
+  // 回复发送到确认提示所在的位置
+  const replyClient = pending.client
+  if (!await ensureRole(replyClient, roomId, sender, SHELL_CONFIRM_ROLE, approved ? '批准Shell命令' : '拒绝Shell命令')) {
+    return
+  }
+  
+  const confirmation = shellPolicy.takeConfirmation(id)
+  if (!confirmation) {
+    return
+  }
+  reactionActions.remove(confirmation.promptEventId)
   
   try {
-    // 获取OpenCode版本
-    const version = await opencodeClient.version()
-    
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `OpenCode版本: ${version.version || '未知'}\nMatrix插件版本: 1.0.0`
+    await shellPolicy.audit({
+      roomId,
+      userId: confirmation.userId,
+      command: confirmation.command,
+      decision: approved ? 'approved' : 'rejected',
+      rule: confirmation.rule,
+      confirmationId: confirmation.id,
+      decidedBy: sender
     })
   } catch (error) {
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `OpenCode版本: 未知\nMatrix插件版本: 1.0.0`
+    await sendFormattedMessage(replyClient, roomId, `❌ 记录审计失败，命令未执行: ${error.message}`)
+    return
+  }
+  
+  console.log(`${approved ? '✅' : '🚫'} Shell命令 [${confirmation.id}] 被 ${sender} ${approved ? '批准' : '拒绝'}`)
+  
+  if (!approved) {
+    await sendFormattedMessage(replyClient, roomId, `🚫 命令 [${confirmation.id}] 已被 ${sender} 拒绝`)
+    return
+  }
+  
+  await sendFormattedMessage(replyClient, roomId, `✅ 命令 [${confirmation.id}] 已由 ${sender} 批准，开始执行`)
+  await runApprovedShellCommand(replyClient, roomId, confirmation.userId, confirmation.command, confirmation.opencodeContext, confirmation)
+}
+
+/**
+ * 启动后台任务，状态和输出由 JobReporter 同步到房间
+ */
+async function startBackgroundJob(client, roomId, sender, command, opencodeContext) {
+  let job
+  try {
+    job = jobManager.start(command, {
+      cwd: opencodeContext.directory || opencodeContext.worktree,
+      roomId,
+      userId: sender
     })
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 启动后台任务失败: ${error.message}`)
+    return
   }
+  
+  const reporter = new JobReporter(client, roomId, job, { commandPrefix: await getCommandPrefix(roomId) })
+  jobReporters.set(job.id, reporter)
+  await reporter.start()
 }
 
 /**
- * 在沙箱环境中运行JavaScript代码
+ * 列出本房间的后台任务
  */
-async function evalInSandbox(code) {
-  // 简单的沙箱环境
-  const sandbox = {
-    console: {
-      log: (...args) => console.log('Sandbox:', ...args)
-    },
-    Date,
-    Math,
-    JSON,
-    setTimeout,
-    clearTimeout,
-    setInterval,
-    clearInterval,
-    Buffer
+async function listJobs(client, roomId) {
+  const jobs = jobManager.listJobs({ roomId })
+  
+  if (jobs.length === 0) {
+    await sendFormattedMessage(client, roomId, `本房间没有后台任务\n使用 ${await getCommandPrefix(roomId)} exec --bg [命令] 启动`)
+    return
+  }
+  
+  const jobText = jobs.map(job => {
+    const elapsed = formatDuration((job.endedAt || Date.now()) - job.startedAt)
+    const state = job.endedAt ? `${job.status}, 退出码 ${job.exitCode ?? '-'}` : job.status
+    return `- [${job.id}] \`${job.command}\` (${state}, ${elapsed}, ${job.userId})`
+  }).join('\n')
+  
+  await sendFormattedMessage(client, roomId, `🧵 后台任务 (${jobs.length}):\n${jobText}`)
+}
+
+/**
+ * 查看后台任务的最新输出
+ */
+async function handleTailCommand(client, roomId, id, lines) {
+  const job = jobManager.getJob(id)
+  if (!job || job.roomId !== roomId) {
+    await sendFormattedMessage(client, roomId, `❌ 任务不存在: ${id}`)
+    return
+  }
+  
+  const output = jobManager.tail(job.id, lines)
+  const truncatedNote = job.truncated ? '（较早的输出已丢弃）' : ''
+  
+  await sendChunkedMessage(client, roomId, `任务 [${job.id}] 最后 ${lines} 行输出${truncatedNote}:\n\`\`\`\n${output || '(无输出)'}\n\`\`\``, {
+    filename: `job-${job.id}-tail.txt`
+  })
+}
+
+/**
+ * 终止后台任务
+ */
+async function handleKillCommand(client, roomId, sender, id) {
+  const job = jobManager.getJob(id)
+  if (!job || job.roomId !== roomId) {
+    await sendFormattedMessage(client, roomId, `❌ 任务不存在: ${id}`)
+    return
   }
   
   try {
-    // 使用Function构造函数创建安全函数
-    const fn = new Function(...Object.keys(sandbox), `
-      "use strict";
-      return (${code});
-    `)
+    jobManager.kill(job.id)
+    console.log(`🛑 用户 ${sender} 终止任务 [${job.id}]`)
+    await sendFormattedMessage(client, roomId, `🛑 正在终止任务 [${job.id}]`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 终止任务失败: ${error.message}`)
+  }
+}
+
+/**
+ * 注销机器人账号的其他设备
+ */
+async function handleLogoutOtherDevices(client, roomId, sender, all) {
+  try {
+    const devices = await logoutOtherDevices(client, {
+      password: process.env.MATRIX_PASSWORD,
+      deviceName: process.env.MATRIX_DEVICE_NAME || DEFAULT_DEVICE_NAME,
+      all
+    })
+    
+    if (devices.length === 0) {
+      await sendFormattedMessage(client, roomId, '没有需要注销的设备')
+      return
+    }
     
-    return fn(...Object.values(sandbox))
+    console.log(`✅ 用户 ${sender} 注销了 ${devices.length} 个设备`)
+    const deviceList = devices
+      .map(device => `- ${device.device_id}${device.display_name ? ` (${device.display_name})` : ''}`)
+      .join('\n')
+    await sendFormattedMessage(client, roomId, `✅ 已注销 ${devices.length} 个设备:\n${deviceList}`)
   } catch (error) {
-    throw error
+    await sendFormattedMessage(client, roomId, `❌ 注销设备失败: ${error.message}`)
   }
 }
 
 /**
- * 检测自然语言中的模型切换意图
+ * 处理房间邀请：符合策略时加入并发送欢迎消息，否则拒绝
  */
-function detectModelSwitchIntent(message, modelManager) {
-  const lowerMessage = message.toLowerCase()
+async function handleInvite(client, roomId, inviteEvent) {
+  const inviter = inviteEvent?.sender
+  const strippedState = inviteStates.get(roomId) || []
+  inviteStates.delete(roomId)
   
-  const switchKeywords = ['切换', '换成', '使用', '改用', '改为', '换到', '切到', '用', '切换到']
-  const scopeKeywords = {
-    'session': ['会话', '临时', '本次', '这次', '当前'],
-    'user': ['用户', '个人', '我的', '自己', '为我'],
-    'room': ['房间', '群聊', '这里', '本房间'],
-    'global': ['全局', '全部', '所有', '系统']
+  if (!invitePolicy.enabled) {
+    console.log(`收到 ${inviter} 的房间邀请 ${roomId}，自动加入已禁用，等待手动处理`)
+    return
   }
   
-  const hasSwitchIntent = switchKeywords.some(keyword => lowerMessage.includes(keyword))
-  if (!hasSwitchIntent) {
-    return null
+  const aliasEvent = strippedState.find(event => event.type === 'm.room.canonical_alias')
+  const aliases = [aliasEvent?.content?.alias, ...(aliasEvent?.content?.alt_aliases || [])].filter(Boolean)
+  const { accept, reason } = invitePolicy.evaluate({ roomId, inviter, aliases, accessConfig: loadAccessConfig() })
+  
+  if (!accept) {
+    console.log(`拒绝 ${inviter} 的房间邀请 ${roomId}: ${reason}`)
+    await client.leaveRoom(roomId)
+    return
   }
   
-  const availableModels = modelManager.getAvailableModels()
-  const modelKeywords = {}
+  await client.joinRoom(roomId)
+  console.log(`✅ 已接受 ${inviter} 的邀请加入房间 ${roomId} (${reason})`)
   
-  availableModels.forEach(model => {
-    const keywords = []
-    const modelName = model.id.split('/')[1]?.toLowerCase() || ''
-    if (modelName) keywords.push(modelName)
-    
-    const displayName = model.name.toLowerCase()
-    keywords.push(displayName)
-    
-    if (displayName.includes('deepseek')) keywords.push('deepseek', '深度求索')
-    if (displayName.includes('kimi')) keywords.push('kimi', '月之暗面')
-    if (displayName.includes('gpt')) keywords.push('gpt', 'openai', 'chatgpt')
-    if (displayName.includes('claude')) keywords.push('claude', 'anthropic')
-    if (displayName.includes('gemini')) keywords.push('gemini', '谷歌')
-    
-    modelKeywords[model.id] = [...new Set(keywords)]
-  })
+  // 对方发起的私聊：记入 m.direct，之后按私聊处理
+  if (inviteEvent?.content?.is_direct) {
+    await directRooms.add(inviter, roomId).catch(() => {})
+  }
+  await sendWelcomeMessage(client, roomId, inviter)
+}
+
+/**
+ * 加入房间后发送欢迎消息和命令列表
+ */
+async function sendWelcomeMessage(client, roomId, inviter) {
+  const prefix = await getCommandPrefix(roomId)
+  await sendFormattedMessage(client, roomId, `👋 你好！我是 OpenCode 机器人，感谢 ${inviter} 的邀请。\n` +
+    '直接发消息即可与 AI 对话，或使用以下命令:\n\n' +
+    `${commandRegistry.formatHelp(prefix)}\n\n` +
+    `使用 ${prefix} help [命令] 查看命令的参数、可选值和示例`)
+}
+
+/**
+ * 获取房间的命令前缀（未设置时为默认前缀）
+ */
+async function getCommandPrefix(roomId) {
+  try {
+    return await roomSettings.get(roomId, 'command_prefix', DEFAULT_COMMAND_PREFIX)
+  } catch (error) {
+    console.error('读取房间命令前缀失败:', error.message)
+    return DEFAULT_COMMAND_PREFIX
+  }
+}
+
+/**
+ * 房间只剩机器人时退出（通知房间除外）
+ */
+async function leaveIfEmpty(client, roomId) {
+  if (process.env.MATRIX_LEAVE_EMPTY_ROOMS === 'false' || roomId === process.env.MATRIX_NOTIFICATION_ROOM) {
+    return
+  }
   
-  const aliases = modelManager.getModelAliases()
-  Object.entries(aliases).forEach(([alias, modelId]) => {
-    if (!modelKeywords[modelId]) return
-    modelKeywords[modelId].push(alias.toLowerCase())
-  })
+  const botId = await client.getUserId()
+  const members = await client.getJoinedRoomMembers(roomId)
+  if (!members.includes(botId) || members.some(member => !appservice?.isOwnUser(member) && member !== botId)) {
+    return
+  }
   
-  let matchedModelId = null
-  let matchedModelKeywords = []
+  await client.leaveRoom(roomId)
+  console.log(`房间 ${roomId} 已没有其他成员，已退出`)
+}
+
+/**
+ * 是否为机器人自身（应用服务模式下包括所有虚拟用户）
+ */
+async function isOwnUser(client, userId) {
+  return appservice ? appservice.isOwnUser(userId) : userId === await client.getUserId()
+}
+
+/**
+ * 选择回应房间事件的用户
+ * @returns {Promise<{ client, model: string|null }|null>} 单用户模式下总是机器人自身；
+ *   应用服务模式下房间中没有本服务的用户时返回 null
+ */
+async function resolveSpeaker(client, roomId, event) {
+  return appservice ? await appservice.resolveSpeaker(roomId, event) : { client, model: null }
+}
+
+/**
+ * 房间中本服务用户的客户端（单用户模式下只有机器人自身）
+ */
+function getRoomClients(client, roomId) {
+  return appservice ? appservice.getRoomUsers(roomId).map(userId => appservice.getClient(userId)) : [client]
+}
+
+/**
+ * 私聊中 "!命令 参数" 等同于 "!opencode 命令 参数"
+ * @returns {string|null} 命令文本，不是命令时返回 null
+ */
+function matchDirectCommand(body) {
+  const match = body.match(/^!(\S+)/)
+  return match && commandRegistry.resolve(match[1]) ? body.slice(1).trim() : null
+}
+
+/**
+ * 打开与用户的私聊，返回发送到私聊的客户端（不关联触发消息）
+ */
+async function openDirectReply(client, userId) {
+  const dmRoomId = await directRooms.open(userId)
+  return { dmClient: createReplyClient(client, dmRoomId, {}), dmRoomId }
+}
+
+/**
+ * 处理私聊命令：打开与发送者的私聊，可附带转发给AI的第一条消息
+ */
+async function handleDirectCommand(context, message) {
+  const { client, roomId, sender } = context
   
-  for (const [modelId, keywords] of Object.entries(modelKeywords)) {
-    for (const keyword of keywords) {
-      if (lowerMessage.includes(keyword)) {
-        matchedModelId = modelId
-        matchedModelKeywords = keywords
-        break
-      }
+  try {
+    const { dmClient, dmRoomId } = await openDirectReply(client, sender)
+    if (dmRoomId !== roomId) {
+      await sendFormattedMessage(client, roomId, `📬 已打开与 ${sender} 的私聊`)
     }
-    if (matchedModelId) break
+    
+    await sendFormattedMessage(dmClient, dmRoomId, '👋 这是你与 OpenCode 的私聊。直接发消息即可与AI对话，' +
+      '命令可以省略 opencode，如 !status、!model list')
+    if (message) {
+      await handleNaturalLanguage({ ...context, client: dmClient, roomId: dmRoomId, message, eventId: null, threadId: '' })
+    }
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 打开私聊失败: ${error.message}`)
+  }
+}
+
+/**
+ * 处理退出房间命令
+ */
+async function handleLeaveCommand(client, roomId, sender) {
+  try {
+    const notice = roomId === process.env.MATRIX_NOTIFICATION_ROOM
+      ? '\n⚠️ 这是通知房间，退出后将无法收到通知，请同时修改 MATRIX_NOTIFICATION_ROOM'
+      : ''
+    await sendFormattedMessage(client, roomId, `👋 应 ${sender} 的要求退出本房间，再次邀请即可重新加入${notice}`)
+    await client.leaveRoom(roomId)
+    console.log(`✅ 用户 ${sender} 让机器人退出了房间 ${roomId}`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 退出房间失败: ${error.message}`)
   }
+}
+
+/**
+ * 记录解密失败，并按间隔在房间内提示
+ */
+async function handleDecryptionFailure(client, roomId, event, error) {
+  const { stats, shouldNotify } = decryptionMonitor.record(roomId, event, error)
+  console.log(`❌ 无法解密 ${roomId} 中来自 ${event?.sender} 的消息 (${event?.event_id}): ${stats.lastError}`)
   
-  if (!matchedModelId) {
-    return null
+  if (!shouldNotify || !isRoomAllowed(roomId, loadAccessConfig())) {
+    return
   }
   
-  let detectedScope = 'session'
-  for (const [scope, scopeWords] of Object.entries(scopeKeywords)) {
-    for (const word of scopeWords) {
-      if (lowerMessage.includes(word)) {
-        detectedScope = scope
+  decryptionMonitor.markNotified(roomId)
+  const prefix = await getCommandPrefix(roomId)
+  await sendFormattedMessage(client, roomId,
+    `⚠️ 有 ${stats.pending} 条消息无法解密（最近来自 ${stats.lastSender || '未知用户'}），机器人不会处理这些消息。\n` +
+    '可能原因：发送方没有把房间密钥分享给机器人的设备，或机器人的加密存储已重置。\n' +
+    `可以尝试重新发送消息、用 ${prefix} verify start 验证机器人的设备，或用 ${prefix} crypto 查看详情。`,
+    { msgtype: 'm.notice' })
+}
+
+/**
+ * 把设备验证的进展发送到对应房间
+ */
+function setupDeviceVerification(client) {
+  deviceVerification.attach(client)
+  
+  // text 可以是按房间命令前缀生成文本的函数
+  const notify = async (transaction, text) => {
+    const roomId = transaction.roomId || process.env.MATRIX_NOTIFICATION_ROOM
+    if (typeof text === 'function') {
+      text = text(roomId ? await getCommandPrefix(roomId) : DEFAULT_COMMAND_PREFIX)
+    }
+    if (!roomId) {
+      console.log(`设备验证 [${transaction.id}]: ${text}`)
+      return
+    }
+    sendFormattedMessage(client, roomId, text)
+      .catch(error => console.error('发送设备验证消息失败:', error.message))
+  }
+  const shortId = (transaction) => transaction.id.slice(0, 8)
+  
+  deviceVerification.on('request', (transaction) => {
+    notify(transaction, (prefix) => `🔐 ${transaction.userId} 的设备 ${transaction.deviceId} 请求验证机器人的设备\n` +
+      `使用 ${prefix} verify accept ${shortId(transaction)} 接受`)
+  })
+  
+  deviceVerification.on('sas', (transaction) => {
+    const emoji = transaction.sas.emoji.map(([symbol, name, englishName]) => `${symbol} ${name} (${englishName})`).join('\n')
+    notify(transaction, (prefix) => `🔐 请确认 ${transaction.userId} 的设备 ${transaction.deviceId} 上显示的表情与下面一致:\n\n` +
+      `${emoji}\n\n数字: ${transaction.sas.decimal.join(' ')}\n\n` +
+      `一致: ${prefix} verify confirm ${shortId(transaction)}\n不一致: ${prefix} verify cancel ${shortId(transaction)}`)
+  })
+  
+  deviceVerification.on('verified', (transaction) => {
+    notify(transaction, `✅ 设备验证完成: ${transaction.userId} (${transaction.deviceId})\n对方的客户端现在会信任机器人的设备`)
+  })
+  
+  deviceVerification.on('cancelled', (transaction) => {
+    notify(transaction, `🛑 设备验证已取消 [${shortId(transaction)}]: ${transaction.cancelReason}`)
+  })
+}
+
+/**
+ * 处理设备验证命令
+ */
+async function handleVerifyCommand(client, roomId, sender, args) {
+  const { action, target, device } = args
+  
+  try {
+    switch (action) {
+      case 'list': {
+        const pending = deviceVerification.list()
+        const pendingText = pending.map(transaction =>
+          `- [${transaction.id.slice(0, 8)}] ${transaction.userId} (${transaction.deviceId}): ${transaction.state}` +
+          `${transaction.initiatedByUs ? '' : '，对方发起'}`
+        ).join('\n')
+        const verified = await deviceVerification.listVerifiedDevices()
+        const verifiedText = verified.map(row => `- ${row.user_id} (${row.device_id})，${row.verified_at}`).join('\n')
+        
+        await sendFormattedMessage(client, roomId, `🔐 进行中的验证 (${pending.length}):\n${pendingText || '无'}\n\n` +
+              `已验证的设备 (${verified.length}):\n${verifiedText || '无'}`)
+        break
+      }
+      
+      case 'start': {
+        const userId = target || sender
+        const transaction = await deviceVerification.request(userId, device, roomId)
+        await sendFormattedMessage(client, roomId, `🔐 已向 ${userId} 的${device ? `设备 ${device}` : '所有设备'}发送验证请求 [${transaction.id.slice(0, 8)}]\n` +
+              '请在客户端中接受请求并选择表情验证')
+        break
+      }
+      
+      case 'accept': {
+        if (!target) {
+          await sendFormattedMessage(client, roomId, `用法: ${await getCommandPrefix(roomId)} verify accept <验证ID>`)
+          return
+        }
+        const transaction = await deviceVerification.accept(target, roomId)
+        await sendFormattedMessage(client, roomId, `🔐 已接受验证 [${transaction.id.slice(0, 8)}]，请在 ${transaction.userId} 的客户端中选择表情验证`)
+        break
+      }
+      
+      case 'confirm': {
+        if (!target) {
+          await sendFormattedMessage(client, roomId, `用法: ${await getCommandPrefix(roomId)} verify confirm <验证ID>`)
+          return
+        }
+        const transaction = await deviceVerification.confirm(target, sender)
+        if (transaction.state !== 'done') {
+          await sendFormattedMessage(client, roomId, `🔐 已确认 [${transaction.id.slice(0, 8)}]，等待对方确认`)
+        }
+        break
+      }
+      
+      case 'cancel': {
+        if (!target) {
+          await sendFormattedMessage(client, roomId, `用法: ${await getCommandPrefix(roomId)} verify cancel <验证ID>`)
+          return
+        }
+        await deviceVerification.cancel(target, 'm.user', `${sender} 取消了验证`)
         break
       }
     }
-    if (detectedScope !== 'session') break
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 设备验证失败: ${error.message}`)
+  }
+}
+
+/**
+ * 处理密钥备份命令
+ */
+async function handleKeyBackupCommand(client, roomId, sender, args) {
+  const { action, new: createNew } = args
+  
+  try {
+    const cryptoDir = getCryptoStorageDir(await client.getUserId())
+    
+    switch (action) {
+      case 'status': {
+        const status = await getKeyBackupStatus(client, cryptoDir)
+        await sendFormattedMessage(client, roomId, `🔑 密钥备份:\n` +
+              `- 状态: ${status.enabled ? '已启用' : '未启用'}\n` +
+              `- 服务器备份版本: ${status.version || '无'}${status.count !== null ? ` (${status.count} 个密钥)` : ''}\n` +
+              `- 恢复密钥文件: ${status.recoveryKeyPath || '无（备份不是由机器人创建的）'}`)
+        break
+      }
+      
+      case 'enable': {
+        const result = await enableKeyBackup(client, cryptoDir, { createNew })
+        console.log(`✅ 用户 ${sender} 启用了密钥备份 (版本 ${result.version})`)
+        
+        let text = `✅ 密钥备份已启用 (版本 ${result.version})`
+        if (result.created) {
+          text += `\n恢复密钥已保存到 ${result.recoveryKeyPath}`
+          text += await sendRecoveryKey(client, roomId, sender, result.recoveryKey)
+        }
+        await sendFormattedMessage(client, roomId, text)
+        break
+      }
+      
+      case 'disable': {
+        await disableKeyBackup(client, cryptoDir)
+        console.log(`用户 ${sender} 停用了密钥备份`)
+        await sendFormattedMessage(client, roomId, '密钥备份已停用，服务器上已有的备份保留')
+        break
+      }
+    }
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 密钥备份操作失败: ${error.message}`)
+  }
+}
+
+/**
+ * 把恢复密钥私信发送给发起人（只发到加密的私聊，从不发到其他成员可见的房间），
+ * 私聊未加密或打开失败时密钥只保存在文件中
+ * @returns {Promise<string>} 附加到回复中的说明
+ */
+async function sendRecoveryKey(client, roomId, sender, recoveryKey) {
+  const keyText = `🔑 恢复密钥（请妥善保存后删除此消息）:\n\`${recoveryKey}\``
+  
+  try {
+    const { dmClient, dmRoomId } = await openDirectReply(client, sender)
+    if (!await client.crypto.isRoomEncrypted(dmRoomId).catch(() => false)) {
+      return '\n私聊未加密，恢复密钥不在聊天中显示'
+    }
+    const botUserId = await client.getUserId()
+    const members = await client.getJoinedRoomMembers(dmRoomId)
+    if (members.some(member => member !== sender && member !== botUserId)) {
+      return '\n私聊中还有其他成员，恢复密钥不在聊天中显示'
+    }
+    await sendFormattedMessage(dmClient, dmRoomId, keyText)
+    return dmRoomId === roomId ? '' : `\n恢复密钥已私信发送给 ${sender}`
+  } catch (error) {
+    return `\n私信发送恢复密钥失败: ${error.message}`
+  }
+}
+
+/**
+ * 发送端到端加密状态
+ */
+async function sendCryptoStatus(client, roomId) {
+  try {
+    if (!client.crypto) {
+      await sendFormattedMessage(client, roomId, '🔐 端到端加密未启用（MATRIX_ENCRYPTION=false 或加密存储初始化失败）')
+      return
+    }
+    
+    const encrypted = await client.crypto.isRoomEncrypted(roomId).catch(() => false)
+    const fingerprint = (client.crypto.clientDeviceEd25519 || '').match(/.{1,4}/g)?.join(' ') || '未知'
+    
+    let backupText
+    try {
+      const backup = await getKeyBackupStatus(client, getCryptoStorageDir(await client.getUserId()))
+      backupText = backup.enabled ? `已启用 (版本 ${backup.version})` : '未启用'
+    } catch (error) {
+      backupText = `不可用 (${error.message})`
+    }
+    
+    const stats = decryptionMonitor.getRoomStats(roomId)
+    const failureText = stats
+      ? `${stats.count} 条，最近一次 ${new Date(stats.lastAt).toLocaleString()}（${stats.lastError}）\n- 涉及发送者: ${stats.senders.join(', ')}`
+      : '无'
+    
+    await sendFormattedMessage(client, roomId, `🔐 端到端加密状态:\n` +
+          `- 设备ID: ${client.crypto.clientDeviceId || '未知'}\n` +
+          `- 设备指纹 (ed25519): ${fingerprint}\n` +
+          `- 本房间加密: ${encrypted ? '是' : '否'}\n` +
+          `- 密钥备份: ${backupText}\n` +
+          `- 已验证设备: ${(await deviceVerification.listVerifiedDevices()).length}\n` +
+          `- 本房间解密失败: ${failureText}`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `获取加密状态失败: ${error.message}`)
+  }
+}
+
+/**
+ * 处理对机器人消息的反应，调用该消息登记的反应操作
+ */
+async function handleReaction(client, roomId, event) {
+  const relatesTo = event.content?.['m.relates_to']
+  if (relatesTo?.rel_type !== 'm.annotation' || !reactionActions.has(relatesTo.event_id)) {
+    return
+  }
+  if (await isOwnUser(client, event.sender)) {
+    return
+  }
+  
+  const config = loadAccessConfig()
+  if (!isUserAllowed(event.sender, config) || !isRoomAllowed(roomId, config)) {
+    return
+  }
+  
+  await reactionActions.handle(roomId, event)
+}
+
+/**
+ * 在消息上预先添加反应，方便用户点选
+ */
+async function offerReactions(client, roomId, eventId, keys) {
+  for (const key of keys) {
+    try {
+      await client.sendEvent(roomId, 'm.reaction', {
+        'm.relates_to': { rel_type: 'm.annotation', event_id: eventId, key }
+      })
+    } catch (error) {
+      console.error('添加反应失败:', error.message)
+      return
+    }
+  }
+}
+
+/**
+ * 检查反应者能否操作某条回复：回复的提问者本人或 operator 可以
+ */
+async function ensureReplyOwner(client, roomId, sender, owner, action) {
+  return sender === owner || await ensureRole(client, roomId, sender, 'operator', action)
+}
+
+/**
+ * 为AI回复登记反应操作：🔁 用同一模型重新生成，🗑️ 删除回复
+ * @param {object} answer - client, roomId, sender, message, eventId: 提问消息ID, opencodeContext, threadId, model, eventIds
+ */
+function registerAnswerReactions(answer) {
+  const { client, roomId, sender, eventIds } = answer
+  
+  reactionActions.register(roomId, eventIds[0], [
+    {
+      keys: REGENERATE_REACTIONS,
+      description: '重新生成',
+      handler: async ({ sender: reactor }) => {
+        if (!await ensureReplyOwner(client, roomId, reactor, sender, '重新生成回复')) return
+        // 在原回复上编辑更新，新回复会重新注册反应操作
+        reactionActions.remove(eventIds[0])
+        await handleNaturalLanguage({ ...answer, regenerate: true, previousReply: { replyEventIds: eventIds } })
+      }
+    },
+    {
+      keys: DELETE_REACTIONS,
+      description: '删除回复',
+      handler: async ({ sender: reactor }) => {
+        if (!await ensureReplyOwner(client, roomId, reactor, sender, '删除回复')) return
+        if (answer.eventId) {
+          await replyLinks.remove(roomId, answer.eventId)
+        }
+        await redactReply(client, roomId, eventIds, `由 ${reactor} 删除`)
+        console.log(`🗑️ ${reactor} 删除了房间 ${roomId} 中的AI回复 ${eventIds[0]}`)
+      }
+    }
+  ])
+}
+
+/**
+ * 撤回机器人的回复（连同分块发送的后续消息）并移除其反应操作
+ */
+async function redactReply(client, roomId, eventIds, reason) {
+  reactionActions.remove(eventIds[0])
+  for (const eventId of [...eventIds].reverse()) {
+    try {
+      await client.redactEvent(roomId, eventId, reason)
+    } catch (error) {
+      console.error(`撤回消息 ${eventId} 失败:`, error.message)
+    }
+  }
+}
+
+/**
+ * 处理用户编辑过的消息：已回复过的提问重新生成回复并编辑原回复，其余编辑忽略。
+ * OpenCode会话无法回退，原提问仍留在会话中，发送时会提示模型以修改后的内容为准
+ */
+async function handleEditedMessage({ client, opencodeContext, roomId, sender, event, checkTrigger, model }) {
+  const sourceEventId = event.content['m.relates_to'].event_id
+  const newBody = event.content['m.new_content']?.body
+  
+  const link = await replyLinks.get(roomId, sourceEventId)
+  if (!link || link.sender !== sender || !newBody) {
+    return
+  }
+  
+  // 回复发送到原提问所在的位置
+  const replyClient = createReplyClient(client, roomId, restoreReplyContext(sourceEventId, link.threadId))
+  if (!await ensureRole(replyClient, roomId, sender, 'user', '与AI对话')) return
+  
+  const trigger = await checkTrigger(newBody)
+  console.log(`✏️ ${sender} 编辑了提问 ${sourceEventId}，重新生成回复`)
+  
+  await handleNaturalLanguage({
+    client: replyClient,
+    opencodeContext,
+    roomId,
+    sender,
+    message: trigger.triggered ? trigger.message : newBody,
+    eventId: sourceEventId,
+    event,
+    threadId: link.threadId,
+    model,
+    previousReply: link
+  })
+}
+
+/**
+ * 用户撤回已回复过的提问时，撤回对应的回复
+ */
+async function handlePromptRedaction(client, roomId, event) {
+  const redacts = event.redacts || event.content?.redacts
+  if (!redacts || await isOwnUser(client, event.sender)) {
+    return
+  }
+  
+  const link = await replyLinks.get(roomId, redacts)
+  if (!link) {
+    return
+  }
+  
+  await replyLinks.remove(roomId, redacts)
+  const speaker = await resolveSpeaker(client, roomId, event)
+  await redactReply(speaker?.client || client, roomId, link.replyEventIds, '提问已撤回')
+  console.log(`🗑️ 提问 ${redacts} 已撤回，同时撤回回复 ${link.replyEventIds[0]}`)
+}
+
+/**
+ * Shell命令确认超时
+ */
+async function handleShellConfirmationExpired(confirmation) {
+  reactionActions.remove(confirmation.promptEventId)
+  await shellPolicy.audit({
+    roomId: confirmation.roomId,
+    userId: confirmation.userId,
+    command: confirmation.command,
+    decision: 'expired',
+    rule: confirmation.rule,
+    confirmationId: confirmation.id
+  })
+  
+  console.log(`⌛ Shell命令确认超时 [${confirmation.id}]: ${confirmation.command}`)
+  await sendFormattedMessage(confirmation.client, confirmation.roomId, `⌛ 命令 [${confirmation.id}] 确认超时，已取消`)
+}
+
+/**
+ * 查看Shell命令审计记录
+ */
+async function handleAuditCommand(client, roomId, limit) {
+  try {
+    const entries = await shellPolicy.getAuditLog(roomId, { limit })
+    
+    if (entries.length === 0) {
+      await sendFormattedMessage(client, roomId, '本房间暂无Shell命令审计记录')
+      return
+    }
+    
+    const auditText = entries.map(entry => {
+      const decidedBy = entry.decided_by ? ` (${entry.decided_by})` : ''
+      const confirmationId = entry.confirmation_id ? ` [${entry.confirmation_id}]` : ''
+      return `- ${entry.created_at} ${entry.user_id}: \`${entry.command}\` → ${entry.decision}${confirmationId}${decidedBy}`
+    }).join('\n')
+    
+    await sendChunkedMessage(client, roomId, `📜 最近 ${entries.length} 条Shell命令审计记录:\n${auditText}`, {
+      filename: 'shell-audit.txt'
+    })
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 获取审计记录失败: ${error.message}`)
+  }
+}
+
+/**
+ * 列出项目
+ */
+async function listProjects(client, roomId, opencodeContext) {
+  const { project } = opencodeContext
+  
+  await sendFormattedMessage(client, roomId, `当前项目: ${project.name || '未命名'}\n目录: ${project.directory || '未设置'}`)
+}
+
+/**
+ * 列出模型
+ */
+async function listModels(client, roomId, opencodeContext, threadId = '') {
+  const { client: opencodeClient } = opencodeContext
+  
+  try {
+    // 尝试获取模型列表
+    const models = await opencodeClient.models.list()
+    
+    if (!models || models.length === 0) {
+      await sendFormattedMessage(client, roomId, '没有可用的模型')
+      return
+    }
+    
+    const shown = models.slice(0, NUMBER_REACTIONS.length)
+    const modelText = shown.map((model, index) => 
+      `${NUMBER_REACTIONS[index]} ${model.provider || '未知'}/${model.id || '未知'}: ${model.name || '未命名'}`
+    ).join('\n')
+    
+    const moreText = models.length > shown.length ? `\n... 还有 ${models.length - shown.length} 个模型` : ''
+    
+    const eventId = await sendFormattedMessage(client, roomId, `可用模型 (${models.length}):\n${modelText}${moreText}\n\n` +
+          '回应对应的数字即可为当前会话切换到该模型')
+    
+    // 数字反应选择模型，以 session 作用域切换
+    reactionActions.register(roomId, eventId, shown.map((model, index) => {
+      const modelId = model.provider ? `${model.provider}/${model.id}` : model.id
+      return {
+        keys: [NUMBER_REACTIONS[index]],
+        description: `切换到 ${modelId}`,
+        handler: async ({ sender: reactor }) => {
+          if (!await ensureRole(client, roomId, reactor, MODEL_SCOPE_PERMISSIONS.session || 'user', '切换模型')) return
+          await handleModelSwitch(client, roomId, reactor, modelId, 'session', opencodeContext, threadId)
+        }
+      }
+    }))
+    await offerReactions(client, roomId, eventId, NUMBER_REACTIONS.slice(0, shown.length))
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `获取模型列表失败: ${error.message}`)
+  }
+}
+
+/**
+ * 发送版本信息
+ */
+async function sendVersionInfo(client, roomId, opencodeContext) {
+  const { client: opencodeClient } = opencodeContext
+  
+  try {
+    // 获取OpenCode版本
+    const version = await opencodeClient.version()
+    
+    await sendFormattedMessage(client, roomId, `OpenCode版本: ${version.version || '未知'}\nMatrix插件版本: 1.0.0`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `OpenCode版本: 未知\nMatrix插件版本: 1.0.0`)
+  }
+}
+
+/**
+ * 检测自然语言中的模型切换意图
+ */
+function detectModelSwitchIntent(message, modelManager) {
+  const lowerMessage = message.toLowerCase()
+  
+  const switchKeywords = ['切换', '换成', '使用', '改用', '改为', '换到', '切到', '用', '切换到']
+  const scopeKeywords = {
+    'session': ['会话', '临时', '本次', '这次', '当前'],
+    'user': ['用户', '个人', '我的', '自己', '为我'],
+    'room': ['房间', '群聊', '这里', '本房间'],
+    'thread': ['线程', '话题', 'thread'],
+    'global': ['全局', '全部', '所有', '系统']
+  }
+  
+  const hasSwitchIntent = switchKeywords.some(keyword => lowerMessage.includes(keyword))
+  if (!hasSwitchIntent) {
+    return null
+  }
+  
+  const availableModels = modelManager.getAvailableModels()
+  const modelKeywords = {}
+  
+  availableModels.forEach(model => {
+    const keywords = []
+    const modelName = model.id.split('/')[1]?.toLowerCase() || ''
+    if (modelName) keywords.push(modelName)
+    
+    const displayName = model.name.toLowerCase()
+    keywords.push(displayName)
+    
+    if (displayName.includes('deepseek')) keywords.push('deepseek', '深度求索')
+    if (displayName.includes('kimi')) keywords.push('kimi', '月之暗面')
+    if (displayName.includes('gpt')) keywords.push('gpt', 'openai', 'chatgpt')
+    if (displayName.includes('claude')) keywords.push('claude', 'anthropic')
+    if (displayName.includes('gemini')) keywords.push('gemini', '谷歌')
+    
+    modelKeywords[model.id] = [...new Set(keywords)]
+  })
+  
+  const aliases = modelManager.getModelAliases()
+  Object.entries(aliases).forEach(([alias, modelId]) => {
+    if (!modelKeywords[modelId]) return
+    modelKeywords[modelId].push(alias.toLowerCase())
+  })
+  
+  let matchedModelId = null
+  let matchedModelKeywords = []
+  
+  for (const [modelId, keywords] of Object.entries(modelKeywords)) {
+    for (const keyword of keywords) {
+      if (lowerMessage.includes(keyword)) {
+        matchedModelId = modelId
+        matchedModelKeywords = keywords
+        break
+      }
+    }
+    if (matchedModelId) break
+  }
+  
+  if (!matchedModelId) {
+    return null
+  }
+  
+  let detectedScope = 'session'
+  for (const [scope, scopeWords] of Object.entries(scopeKeywords)) {
+    for (const word of scopeWords) {
+      if (lowerMessage.includes(word)) {
+        detectedScope = scope
+        break
+      }
+    }
+    if (detectedScope !== 'session') break
   }
   
   if (lowerMessage.includes('永久') || lowerMessage.includes('保存') || lowerMessage.includes('偏好')) {
@@ -561,156 +2084,690 @@ function detectModelSwitchIntent(message, modelManager) {
 }
 
 /**
- * 处理自然语言消息 - 像OpenClaw一样
+ * 处理自然语言消息 - 像OpenClaw一样
+ */
+async function handleNaturalLanguage(context) {
+  const { roomId, sender, message, eventId = null, opencodeContext, threadId = '', regenerate = false, previousReply = null } = context
+  const { client: opencodeClient } = opencodeContext
+  // 记录回复发送的消息，供之后通过反应重新生成或删除
+  const client = createRecordingClient(context.client)
+  let model = context.model || null
+  
+  console.log(`${regenerate ? '重新生成回复' : '处理自然语言消息'}: ${sender} -> "${message}"`)
+  
+  try {
+    await client.setTyping(roomId, true)
+    
+    let modelManager = null
+
+    try {
+      modelManager = new ModelManager(opencodeContext)
+      await modelManager.initialize()
+      model = model || await modelManager.getCurrentModel({ userId: sender, roomId, threadId })
+      
+      // 重新生成或编辑提问时不再检测模型切换意图
+      const switchIntent = regenerate || previousReply ? null : detectModelSwitchIntent(message, modelManager)
+      
+      if (switchIntent && switchIntent.intent === 'switch_model') {
+        const scopePermission = MODEL_SCOPE_PERMISSIONS[switchIntent.scope] || 'user'
+        if (!await ensureRole(client, roomId, sender, scopePermission, `以 ${switchIntent.scope} 作用域切换模型`)) {
+          await client.setTyping(roomId, false)
+          return
+        }
+
+        const result = await modelManager.switchModel(switchIntent.modelId, {
+          userId: sender,
+          roomId,
+          threadId,
+          scope: switchIntent.scope
+        })
+        
+        const responseText = `✅ 模型切换成功！\n` +
+                             `从: ${result.previous || '默认'}\n` +
+                             `到: ${result.current}\n` +
+                             `作用域: ${switchIntent.scope}\n` +
+                             `用户: ${sender}\n` +
+                             `房间: ${roomId}\n\n` +
+                             `(检测到您的自然语言请求: "${message}")`
+        
+        const switchEventId = await sendFormattedMessage(client, roomId, responseText + undoSwitchHint(result))
+        await registerSwitchUndo({ client: context.client, roomId, sender, result, scope: switchIntent.scope, opencodeContext, threadId, eventId: switchEventId })
+        
+        await client.setTyping(roomId, false)
+        console.log(`✅ 通过自然语言切换模型: ${sender} -> ${result.current}`)
+        return
+      }
+    } catch (modelSwitchError) {
+      console.log(`自然语言模型切换检测失败，继续常规处理: ${modelSwitchError.message}`)
+
+    }
+    
+    // 加载本房间（或线程）的对话历史，重新生成或编辑提问时不含被取代的一轮
+    const superseded = regenerate || !!previousReply
+    const history = await loadConversationContext(roomId, sender, modelManager, threadId, superseded ? eventId : null)
+    
+    // 流式模式下先发送一条消息，再随生成进度编辑更新
+    // 编辑过的提问直接编辑原回复
+    const reply = previousReply
+      ? new StreamingReply(client, roomId, { eventId: previousReply.replyEventIds[0] })
+      : isStreamingEnabled() ? new StreamingReply(client, roomId) : null
+
+    // 使用OpenCode AI处理自然语言消息
+    try {
+      console.log(`调用OpenCode AI处理消息: \"${message}\" (历史消息: ${history.length})`)
+
+      const { sessionId, created } = await getOrCreateRoomSession(opencodeClient, roomId, sender, threadId)
+
+      // 已有会话自带上下文，只有新建的会话才需要补充对话记录。
+      // OpenCode会话无法回退，重新生成或编辑提问时旧的提问和回答仍在会话中，只能提示模型以本次为准
+      let promptText = message
+      if (created && history.length > 0) {
+        promptText = `以下是之前的对话记录:\n\n${formatHistoryAsTranscript(history)}\n\n当前消息: ${message}`
+      } else if (!created && regenerate) {
+        promptText = `（请重新回答下面的问题，之前对它的回答已作废）\n${message}`
+      } else if (!created && previousReply) {
+        promptText = `（用户修改了上一个提问，请以修改后的内容为准，原提问及其回答已作废）\n${message}`
+      }
+
+      const stopStreaming = reply
+        ? await subscribeSessionText(opencodeClient, sessionId, text => reply.update(text))
+        : () => {}
+
+      // 调用OpenCode AI处理消息；指定了模型时（重新生成沿用原回复的模型，模型虚拟用户使用其对应的模型）按该模型回复
+      let aiText
+      try {
+        aiText = await promptSession(opencodeClient, sessionId, [{ type: 'text', text: promptText }], context.model)
+      } finally {
+        stopStreaming()
+      }
+
+      // 确保回复不为空
+      if (!aiText.trim()) {
+        aiText = `我收到了你的消息: \"${message}\"。我还在学习如何更好地回复。`
+      }
+
+      // 超长回复会拆分为线程中的多条消息
+      if (reply) {
+        await reply.finish(aiText)
+      } else {
+        await sendChunkedMessage(client, roomId, aiText, { filename: 'ai-reply.md' })
+      }
+
+      await recordConversationTurn(roomId, sender, message, aiText, threadId, { eventId, replace: regenerate || !!previousReply })
+
+      console.log(`✅ AI回复成功: ${aiText.substring(0, 100)}...`)
+
+    } catch (aiError) {
+      console.error(`AI处理失败: ${aiError.message}`)
+
+      // 尝试备用AI API调用
+      try {
+        console.log(`尝试备用AI API调用...`)
+        const aiText = reply
+          ? await callAIApiStream(message, sender, roomId, history, text => reply.update(text))
+          : await callAIApi(message, sender, roomId, history)
+        
+        // 确保回复不为空
+        let finalResponse = aiText
+        if (!aiText.trim()) {
+          finalResponse = `我收到了你的消息: \"${message}\"。我还在学习如何更好地回复。`
+        }
+        
+        // 超长回复会拆分为线程中的多条消息
+        if (reply) {
+          await reply.finish(finalResponse)
+        } else {
+          await sendChunkedMessage(client, roomId, finalResponse, { filename: 'ai-reply.md' })
+        }
+        
+        if (aiText.trim()) {
+          await recordConversationTurn(roomId, sender, message, aiText, threadId, { eventId, replace: regenerate || !!previousReply })
+        }
+        
+        console.log(`✅ 备用AI API回复成功: ${finalResponse.substring(0, 100)}...`)
+        
+      } catch (fallbackError) {
+        console.error(`备用AI API调用失败: ${fallbackError.message}`)
+
+        // 降级到模板消息
+        const responses = [
+          `我收到了你的消息: \"${message}\"。我正在学习如何更好地与Matrix集成。`,
+          `你好！我是通过Matrix集成的OpenCode AI。你说了: \"${message}\"`,
+          `消息已接收。我正在使用OpenCode AI处理你的消息，但遇到了技术问题。`,
+          `我在听。你的消息是: \"${message}\"。我会尽快改进回复质量。`
+        ]
+
+        const randomResponse = responses[Math.floor(Math.random() * responses.length)]
+
+        if (reply && reply.started) {
+          await reply.finish(randomResponse)
+        } else {
+          await sendFormattedMessage(client, roomId, randomResponse)
+        }
+      }
+    }
+    
+    await client.setTyping(roomId, false)
+    
+    // 编辑原回复时主消息不变，原来分块发送的后续消息由新的后续消息替代
+    const eventIds = previousReply
+      ? [previousReply.replyEventIds[0], ...client.sentEventIds]
+      : client.sentEventIds
+    if (previousReply) {
+      await redactReply(context.client, roomId, previousReply.replyEventIds.slice(1), '回复已更新')
+    }
+    
+    if (eventIds.length > 0) {
+      if (eventId) {
+        await replyLinks.link(roomId, eventId, eventIds, { sender, threadId })
+          .catch(() => {})   // 错误已在 ReplyLinks 中记录
+      }
+      registerAnswerReactions({
+        client: context.client,
+        roomId,
+        sender,
+        message,
+        eventId,
+        opencodeContext,
+        threadId,
+        model,
+        eventIds
+      })
+    }
+    
+    console.log(`自然语言消息处理完成`)
+    
+  } catch (error) {
+    console.error('处理自然语言消息失败:', error.message)
+    
+    await sendFormattedMessage(client, roomId, `处理消息时出错: ${error.message}`)
+  }
+}
+
+/**
+ * 从OpenCode的回复（{ info, parts }）中提取文本片段
+ */
+function extractAIText(message) {
+  return (message?.parts || [])
+    .filter(part => part.type === 'text' && !part.synthetic)
+    .map(part => part.text || '')
+    .join('')
+}
+
+/**
+ * OpenCode错误的说明文字（SDK错误为 { name, data: { message } }）
+ */
+function describeOpencodeError(error) {
+  return error?.data?.message || error?.message || error?.name || JSON.stringify(error)
+}
+
+/**
+ * 把 provider/model 格式的模型ID转换为OpenCode的模型引用
+ */
+function toModelRef(model) {
+  const index = model.indexOf('/')
+  return index === -1 ? null : { providerID: model.slice(0, index), modelID: model.slice(index + 1) }
+}
+
+/**
+ * 向OpenCode会话发送消息并返回回复文本，请求或模型出错时抛出异常（调用方改用备用API）
+ * @param {object[]} parts - 消息片段，如 [{ type: 'text', text }]
+ * @param {string|null} model - provider/model 格式的模型ID，省略时使用会话的模型
+ */
+async function promptSession(opencodeClient, sessionId, parts, model = null) {
+  const modelRef = model ? toModelRef(model) : null
+  const response = await opencodeClient.session.prompt({
+    path: { id: sessionId },
+    body: { parts, ...(modelRef ? { model: modelRef } : {}) }
+  })
+  if (response?.error) {
+    throw new Error(`OpenCode请求失败: ${describeOpencodeError(response.error)}`)
+  }
+  
+  const message = unwrapResponse(response)
+  if (message?.info?.error) {
+    throw new Error(`OpenCode回复失败: ${describeOpencodeError(message.info.error)}`)
+  }
+  return extractAIText(message)
+}
+
+/**
+ * 加载房间（或线程）对话历史，按当前模型的上下文窗口裁剪
+ */
+async function loadConversationContext(roomId, sender, modelManager, threadId = '', excludeEventId = null) {
+  let contextWindow = 128000
+  let reserveTokens = 8000
+  
+  try {
+    if (modelManager) {
+      const currentModel = await modelManager.getCurrentModel({ userId: sender, roomId, threadId })
+      const modelConfig = modelManager.getModelConfig(currentModel)
+      contextWindow = modelConfig.contextWindow || contextWindow
+      reserveTokens = modelConfig.maxTokens || reserveTokens
+    }
+  } catch (error) {
+    console.log(`获取模型上下文窗口失败，使用默认值: ${error.message}`)
+  }
+  
+  try {
+    return await conversationHistory.getContextMessages(roomId, { threadId, contextWindow, reserveTokens, excludeEventId })
+  } catch (error) {
+    console.error('加载对话历史失败:', error.message)
+    return []
+  }
+}
+
+/**
+ * 记录一轮对话到历史
+ * @param {object} options - eventId: 提问消息ID; replace: 替换该提问原来的一轮（编辑提问或重新生成时）
+ */
+async function recordConversationTurn(roomId, sender, message, reply, threadId = '', options = {}) {
+  const { eventId = null, replace = false } = options
+  
+  try {
+    if (replace && eventId) {
+      await conversationHistory.replaceTurn(roomId, eventId, message, reply, { sender, threadId })
+    } else {
+      await conversationHistory.addTurn(roomId, message, reply, { sender, threadId, eventId })
+    }
+  } catch (error) {
+    console.error('记录对话历史失败:', error.message)
+  }
+}
+
+/**
+ * 查看对话历史
+ */
+async function handleHistoryCommand(client, roomId, limit, threadId = '') {
+  const scopeName = threadId ? '本线程' : '本房间'
+  
+  try {
+    const history = await conversationHistory.getHistory(roomId, { threadId, limit })
+    
+    if (history.length === 0) {
+      await sendFormattedMessage(client, roomId, `${scopeName}暂无对话记忆`)
+      return
+    }
+    
+    const historyText = history.map(entry => {
+      const speaker = entry.role === 'user' ? (entry.sender || '用户') : 'AI'
+      const text = entry.content.length > 200 ? entry.content.substring(0, 200) + '...' : entry.content
+      return `[${speaker}] ${text}`
+    }).join('\n')
+    
+    await sendFormattedMessage(client, roomId, `🧠 最近 ${history.length} 条对话记忆:\n\n${historyText}\n\n使用 ${await getCommandPrefix(roomId)} forget 清除`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 获取对话记忆失败: ${error.message}`)
+  }
+}
+
+/**
+ * 清除对话历史（在线程中只清除该线程，否则清除整个房间包括所有线程）
+ */
+async function handleForgetCommand(client, roomId, sender, threadId = '') {
+  try {
+    const result = await conversationHistory.clear(roomId, { threadId, allThreads: !threadId })
+    
+    console.log(`✅ 用户 ${sender} 清除了房间 ${roomId}${threadId ? ` 线程 ${threadId}` : ''} 的对话记忆`)
+    
+    await sendFormattedMessage(client, roomId, `🧹 已清除${threadId ? '本线程' : '本房间'}的对话记忆 (${result.messagesDeleted} 条消息)`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 清除对话记忆失败: ${error.message}`)
+  }
+}
+
+/**
+ * 提取OpenCode SDK响应中的数据（兼容 { data } 包装）
+ */
+function unwrapResponse(response) {
+  return response && response.data !== undefined ? response.data : response
+}
+
+/**
+ * 创建新的OpenCode会话
+ */
+async function createOpencodeSession(opencodeClient, roomId) {
+  const response = await opencodeClient.session.create({
+    body: { title: `Matrix: ${roomId}` }
+  })
+  
+  const session = unwrapResponse(response)
+  if (!session || !session.id) {
+    throw new Error('OpenCode未返回会话ID')
+  }
+  
+  return session
+}
+
+/**
+ * 查询OpenCode会话，会话不存在时返回null
+ */
+async function getOpencodeSession(opencodeClient, sessionId) {
+  const response = await opencodeClient.session.get({ path: { id: sessionId } })
+  if (response?.error) {
+    return null
+  }
+  
+  const session = unwrapResponse(response)
+  return session && session.id ? session : null
+}
+
+/**
+ * 获取房间（或线程）绑定的OpenCode会话，不存在时自动创建并绑定
+ */
+async function getOrCreateRoomSession(opencodeClient, roomId, sender, threadId = '') {
+  const existing = await sessionRegistry.getSession(roomId, { threadId })
+  if (existing) {
+    return { sessionId: existing, created: false }
+  }
+  
+  const session = await createOpencodeSession(opencodeClient, roomId)
+  await sessionRegistry.bind(roomId, session.id, { threadId, boundBy: sender })
+  
+  console.log(`✅ 房间 ${roomId}${threadId ? ` 线程 ${threadId}` : ''} 已绑定新会话 ${session.id}`)
+  return { sessionId: session.id, created: true }
+}
+
+/**
+ * 处理会话管理命令
+ */
+async function handleSessionCommand(client, roomId, sender, action, sessionId, opencodeContext, threadId = '') {
+  const { client: opencodeClient } = opencodeContext
+  const scopeName = threadId ? '本线程' : '本房间'
+  
+  try {
+    switch (action) {
+      case 'new': {
+        const session = await createOpencodeSession(opencodeClient, roomId)
+        const result = await sessionRegistry.bind(roomId, session.id, { threadId, boundBy: sender })
+        
+        await sendFormattedMessage(client, roomId, `✅ 已为${scopeName}创建新会话\n会话ID: ${result.sessionId}`)
+        break
+      }
+      
+      case 'list': {
+        const bindings = await sessionRegistry.listBindings()
+        const current = await sessionRegistry.getSession(roomId, { threadId })
+        
+        let sessions = []
+        try {
+          sessions = unwrapResponse(await opencodeClient.session.list()) || []
+        } catch (error) {
+          console.log('获取OpenCode会话列表失败:', error.message)
+        }
+        
+        const sessionText = sessions.slice(0, 20).map(session => {
+          const rooms = bindings.filter(b => b.session_id === session.id).map(b => b.room_id)
+          const marker = session.id === current ? ` ← ${scopeName}` : ''
+          return `- ${session.id}${session.title ? ` (${session.title})` : ''}${rooms.length ? ` [${rooms.join(', ')}]` : ''}${marker}`
+        }).join('\n')
+        
+        const bindingText = bindings.map(b => {
+          const target = b.thread_id ? `${b.room_id} (线程 ${b.thread_id})` : b.room_id
+          const marker = b.room_id === roomId && b.thread_id === threadId ? ` ← ${scopeName}` : ''
+          return `- ${target} → ${b.session_id}${marker}`
+        }).join('\n')
+        
+        await sendFormattedMessage(client, roomId, `📋 OpenCode会话 (${sessions.length}):\n${sessionText || '无'}\n\n` +
+              `🔗 房间绑定 (${bindings.length}):\n${bindingText || '无'}`)
+        break
+      }
+      
+      case 'attach': {
+        if (!sessionId) {
+          await sendFormattedMessage(client, roomId, `用法: ${await getCommandPrefix(roomId)} session attach <会话ID>`)
+          return
+        }
+        
+        const session = await getOpencodeSession(opencodeClient, sessionId)
+        if (!session) {
+          await sendFormattedMessage(client, roomId, `❌ 会话不存在: ${sessionId}\n使用 ${await getCommandPrefix(roomId)} session list 查看可用会话`)
+          return
+        }
+        
+        await sessionRegistry.bind(roomId, session.id, { threadId, boundBy: sender })
+        
+        await sendFormattedMessage(client, roomId, `✅ ${scopeName}已绑定到会话 ${session.id}${session.title ? ` (${session.title})` : ''}`)
+        break
+      }
+      
+      case 'detach': {
+        const result = await sessionRegistry.unbind(roomId, { threadId })
+        
+        await sendFormattedMessage(client, roomId, result.previous
+          ? `✅ ${scopeName}已解除与会话 ${result.previous} 的绑定\n下一条消息将创建新会话`
+          : `${scopeName}当前未绑定会话`)
+        break
+      }
+      
+      default: {
+        const current = await sessionRegistry.getSession(roomId, { threadId })
+        
+        await sendFormattedMessage(client, roomId, `${scopeName}会话: ${current || '未绑定'}\n` +
+              `用法: ${commandRegistry.formatUsage(commandRegistry.resolve('session'), await getCommandPrefix(roomId))}`)
+      }
+    }
+  } catch (error) {
+    console.error('❌ 会话命令失败:', error.message)
+    
+    await sendFormattedMessage(client, roomId, `❌ 会话命令失败: ${error.message}`)
+  }
+}
+
+/**
+ * 获取机器人（应用服务模式下为发言的虚拟用户）的用户ID和显示名（用于识别提及）
+ */
+const botIdentities = new Map()   // 用户ID -> Promise<{ userId, displayName }>
+async function getBotIdentity(client) {
+  const userId = await client.getUserId()
+  if (!botIdentities.has(userId)) {
+    botIdentities.set(userId, (async () => {
+      let displayName = null
+      try {
+        displayName = (await client.getUserProfile(userId))?.displayname || null
+      } catch (error) {
+        console.error('获取机器人显示名失败:', error.message)
+      }
+      return { userId, displayName }
+    })())
+  }
+  return await botIdentities.get(userId)
+}
+
+/**
+ * 按房间触发方式判断消息是否交给AI
+ * @returns {Promise<{ triggered: boolean, message: string }>}
+ */
+async function resolveMessageTrigger(client, roomId, event, body, mode, settings) {
+  if (mode === 'all') {
+    return { triggered: true, message: body }
+  }
+  
+  const threadRoot = getThreadRoot(event)
+  let inBotThread = false
+  if (mode === 'thread' && threadRoot) {
+    try {
+      inBotThread = await conversationHistory.hasAssistantReply(roomId, threadRoot)
+    } catch (error) {
+      console.error('查询线程对话失败:', error.message)
+    }
+  }
+  
+  return resolveTrigger({
+    mode,
+    body,
+    event,
+    identity: await getBotIdentity(client),
+    prefix: settings.trigger_prefix || DEFAULT_TRIGGER_PREFIX,
+    inBotThread
+  })
+}
+
+/**
+ * 处理触发方式设置命令
+ */
+async function handleTriggerCommand(client, roomId, sender, mode, prefix) {
+  try {
+    if (!mode) {
+      const settings = await roomSettings.getAll(roomId)
+      const current = settings.trigger_mode || DEFAULT_TRIGGER_MODE
+      const triggerPrefix = settings.trigger_prefix || DEFAULT_TRIGGER_PREFIX
+      await sendFormattedMessage(client, roomId, `本房间触发方式: ${current}` +
+            (['prefix', 'thread'].includes(current) ? `（触发前缀: ${triggerPrefix}）` : '') + '\n' +
+            `用法: ${commandRegistry.formatUsage(commandRegistry.resolve('trigger'), await getCommandPrefix(roomId))}`)
+      return
+    }
+    
+    if (prefix) {
+      await roomSettings.set(roomId, 'trigger_prefix', validatePrefix(prefix), sender)
+    }
+    await roomSettings.set(roomId, 'trigger_mode', mode, sender)
+    
+    console.log(`✅ 用户 ${sender} 将房间 ${roomId} 的触发方式设为 ${mode}`)
+    
+    const triggerPrefix = prefix || await roomSettings.get(roomId, 'trigger_prefix', DEFAULT_TRIGGER_PREFIX)
+    const hints = {
+      all: '所有消息都会交给AI处理',
+      mention: '只处理提及机器人的消息',
+      prefix: `只处理以 ${triggerPrefix} 开头的消息`,
+      thread: `只处理机器人参与的线程中的消息，线程外可提及机器人或使用 ${triggerPrefix} 发起对话`
+    }
+    await sendFormattedMessage(client, roomId, `✅ 本房间触发方式已设为: ${mode}\n${hints[mode]}`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 设置触发方式失败: ${error.message}`)
+  }
+}
+
+/**
+ * 处理命令前缀设置命令
+ */
+async function handleCommandPrefixCommand(client, roomId, sender, prefix) {
+  try {
+    const current = await roomSettings.get(roomId, 'command_prefix', DEFAULT_COMMAND_PREFIX)
+    
+    if (!prefix) {
+      await sendFormattedMessage(client, roomId, `本房间命令前缀: ${current}\n` +
+            `用法: ${commandRegistry.formatUsage(commandRegistry.resolve('prefix'), await getCommandPrefix(roomId))}`)
+      return
+    }
+    
+    if (prefix === 'reset') {
+      await roomSettings.reset(roomId, 'command_prefix')
+      await sendFormattedMessage(client, roomId, `✅ 本房间命令前缀已恢复为: ${DEFAULT_COMMAND_PREFIX}`)
+      return
+    }
+    
+    await roomSettings.set(roomId, 'command_prefix', validatePrefix(prefix), sender)
+    
+    console.log(`✅ 用户 ${sender} 将房间 ${roomId} 的命令前缀设为 ${prefix}`)
+    
+    await sendFormattedMessage(client, roomId, `✅ 本房间命令前缀已设为: ${prefix}\n` +
+          `之后请使用 ${prefix} help 查看命令，${current} 在本房间不再生效`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 设置命令前缀失败: ${error.message}`)
+  }
+}
+
+/**
+ * 处理回复方式设置命令
  */
-async function handleNaturalLanguage(context) {
-  const { client, roomId, sender, message, opencodeContext } = context
-  const { client: opencodeClient } = opencodeContext
-  
-  console.log(`处理自然语言消息: ${sender} -> "${message}"`)
-  
+async function handleReplyModeCommand(client, roomId, sender, mode) {
   try {
-    await client.setTyping(roomId, true)
-    
-
-    try {
-      const modelManager = new ModelManager(opencodeContext)
-      await modelManager.initialize()
-      
-      const switchIntent = detectModelSwitchIntent(message, modelManager)
-      
-      if (switchIntent && switchIntent.intent === 'switch_model') {
-
-        const result = await modelManager.switchModel(switchIntent.modelId, {
-          userId: sender,
-          roomId,
-          scope: switchIntent.scope
-        })
-        
-        const responseText = `✅ 模型切换成功！\n` +
-                             `从: ${result.previous || '默认'}\n` +
-                             `到: ${result.current}\n` +
-                             `作用域: ${switchIntent.scope}\n` +
-                             `用户: ${sender}\n` +
-                             `房间: ${roomId}\n\n` +
-                             `(检测到您的自然语言请求: "${message}")`
-        
-        await client.sendMessage(roomId, {
-          msgtype: 'm.text',
-          body: responseText
-        })
-        
-        await client.setTyping(roomId, false)
-        console.log(`✅ 通过自然语言切换模型: ${sender} -> ${result.current}`)
-        return
-      }
-    } catch (modelSwitchError) {
-      console.log(`自然语言模型切换检测失败，继续常规处理: ${modelSwitchError.message}`)
-
+    if (!mode) {
+      const current = await roomSettings.get(roomId, 'reply_mode', DEFAULT_REPLY_MODE)
+      await sendFormattedMessage(client, roomId, `本房间回复方式: ${current}\n` +
+            `用法: ${commandRegistry.formatUsage(commandRegistry.resolve('threads'), await getCommandPrefix(roomId))}`)
+      return
     }
     
+    await roomSettings.set(roomId, 'reply_mode', mode, sender)
+    
+    console.log(`✅ 用户 ${sender} 将房间 ${roomId} 的回复方式设为 ${mode}`)
+    
+    await sendFormattedMessage(client, roomId, `✅ 本房间回复方式已设为: ${mode}`)
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 设置回复方式失败: ${error.message}`)
+  }
+}
 
-    // 使用OpenCode AI处理自然语言消息
-    try {
-      console.log(`调用OpenCode AI处理消息: \"${message}\"`)
-
-      // 调用OpenCode AI处理消息
-      const aiResponse = await opencodeClient.session.prompt({
-        message: message
-      })
-
-      // 提取AI回复内容
-      let aiText = ''
-      if (aiResponse && aiResponse.text) {
-        aiText = aiResponse.text
-      } else if (aiResponse && aiResponse.message && aiResponse.message.content) {
-        aiText = aiResponse.message.content
-      } else if (aiResponse && typeof aiResponse === 'string') {
-        aiText = aiResponse
-      } else if (aiResponse && aiResponse.content) {
-        aiText = aiResponse.content
-      } else {
-        aiText = JSON.stringify(aiResponse, null, 2)
-      }
-
-      // 确保回复不为空
-      if (!aiText.trim()) {
-        aiText = `我收到了你的消息: \"${message}\"。我还在学习如何更好地回复。`
-      }
-
-      // 限制消息长度（Matrix消息有长度限制）
-      const maxLength = 2000
-      let finalResponse = aiText
-      if (aiText.length > maxLength) {
-        finalResponse = aiText.substring(0, maxLength) + '\\n... (回复过长，已截断)'
-      }
-
-      await client.sendMessage(roomId, {
-        msgtype: 'm.text',
-        body: finalResponse
-      })
-
-      console.log(`✅ AI回复成功: ${finalResponse.substring(0, 100)}...`)
-
-    } catch (aiError) {
-      console.error(`AI处理失败: ${aiError.message}`)
-
-      // 尝试备用AI API调用
-      try {
-        console.log(`尝试备用AI API调用...`)
-        const aiText = await callAIApi(message, sender, roomId)
+/**
+ * 处理角色管理命令
+ */
+async function handleRoleCommand(client, roomId, sender, args) {
+  const { action, user, role, global: isGlobal } = args
+  const scopeRoomId = isGlobal ? '' : roomId
+  const scopeName = isGlobal ? '全局' : '本房间'
+  
+  try {
+    switch (action) {
+      case 'list': {
+        const assignments = await permissionManager.listAssignments(roomId)
+        const assignmentText = assignments.map(a => {
+          const target = a.user_id === ALL_USERS ? '所有成员' : a.user_id
+          return `- ${target}: ${a.role} (${a.room_id ? '本房间' : '全局'}，由 ${a.granted_by} 授予)`
+        }).join('\n')
         
-        // 确保回复不为空
-        let finalResponse = aiText
-        if (!aiText.trim()) {
-          finalResponse = `我收到了你的消息: \"${message}\"。我还在学习如何更好地回复。`
+        await sendFormattedMessage(client, roomId, `👥 角色分配 (${assignments.length}):\n${assignmentText || '无'}\n\n` +
+              `未分配时的默认角色: ${permissionManager.defaultRole}`)
+        break
+      }
+      
+      case 'grant': {
+        if (!user || !role) {
+          await sendFormattedMessage(client, roomId, `用法: ${await getCommandPrefix(roomId)} role grant <用户> <角色> [--global]\n` +
+                `角色: ${ROLES.join(', ')}`)
+          return
         }
+        if (!isValidRoleTarget(user, isGlobal)) {
+          await sendFormattedMessage(client, roomId, `❌ 无效的用户: ${user}\n请使用完整的Matrix用户ID（如 @alice:example.org）` +
+                `${isGlobal ? '；全局授权不支持 *' : ''}`)
+          return
+        }
+        
+        await permissionManager.grant(user, role, { roomId: scopeRoomId, grantedBy: sender })
         
-        // 限制消息长度（Matrix消息有长度限制）
-        const maxLength = 2000
-        if (aiText.length > maxLength) {
-          finalResponse = aiText.substring(0, maxLength) + '\\n... (回复过长，已截断)'
+        console.log(`✅ 用户 ${sender} 授予 ${user} ${scopeName}角色 ${role}`)
+        await sendFormattedMessage(client, roomId, `✅ 已授予 ${user === ALL_USERS ? '本房间所有成员' : user} ${scopeName}角色: ${role}`)
+        break
+      }
+      
+      case 'revoke': {
+        if (!user) {
+          await sendFormattedMessage(client, roomId, `用法: ${await getCommandPrefix(roomId)} role revoke <用户> [--global]`)
+          return
         }
         
-        await client.sendMessage(roomId, {
-          msgtype: 'm.text',
-          body: finalResponse
-        })
+        const result = await permissionManager.revoke(user, { roomId: scopeRoomId })
         
-        console.log(`✅ 备用AI API回复成功: ${finalResponse.substring(0, 100)}...`)
+        console.log(`✅ 用户 ${sender} 撤销 ${user} 的${scopeName}角色`)
+        await sendFormattedMessage(client, roomId, result.previous
+          ? `✅ 已撤销 ${user} 的${scopeName}角色 ${result.previous}`
+          : `${user} 没有${scopeName}角色分配`)
+        break
+      }
+      
+      default: {
+        const { role: currentRole, sources } = await permissionManager.getRole(client, roomId, sender)
         
-      } catch (fallbackError) {
-        console.error(`备用AI API调用失败: ${fallbackError.message}`)
-
-        // 降级到模板消息
-        const responses = [
-          `我收到了你的消息: \"${message}\"。我正在学习如何更好地与Matrix集成。`,
-          `你好！我是通过Matrix集成的OpenCode AI。你说了: \"${message}\"`,
-          `消息已接收。我正在使用OpenCode AI处理你的消息，但遇到了技术问题。`,
-          `我在听。你的消息是: \"${message}\"。我会尽快改进回复质量。`
-        ]
-
-        const randomResponse = responses[Math.floor(Math.random() * responses.length)]
-
-        await client.sendMessage(roomId, {
-          msgtype: 'm.text',
-          body: randomResponse
-        })
+        await sendFormattedMessage(client, roomId, `🔑 你在本房间的角色: ${currentRole}\n` +
+              `来源:\n${sources.map(source => `- ${source}`).join('\n')}`)
       }
     }
-    
-    await client.setTyping(roomId, false)
-    
-    console.log(`自然语言消息处理完成`)
-    
   } catch (error) {
-    console.error('处理自然语言消息失败:', error.message)
+    console.error('❌ 角色命令失败:', error.message)
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `处理消息时出错: ${error.message}`
-    })
+    await sendFormattedMessage(client, roomId, `❌ 角色命令失败: ${error.message}`)
+  }
+}
+
+/**
+ * 校验角色授权对象：完整的Matrix用户ID，或房间授权时的 *
+ */
+function isValidRoleTarget(user, isGlobal) {
+  if (user === ALL_USERS) {
+    return !isGlobal
   }
+  return /^@[^:\s]+:\S+$/.test(user)
 }
 
 async function handleFileEvent(context) {
@@ -726,53 +2783,54 @@ async function handleFileEvent(context) {
     await client.setTyping(roomId, true)
     
     const result = await handleFileMessage(client, event, {
-      maxFileSize: 10 * 1024 * 1024
+      maxFileSize: 10 * 1024 * 1024,
+      commandPrefix: await getCommandPrefix(roomId)
     })
     
-    if (result.error) {
-      await client.sendMessage(roomId, {
-        msgtype: 'm.text',
-        body: `❌ 文件处理失败: ${result.message}`
+    if (!result.error) {
+      lastFiles.set(roomId, {
+        type: result.type,
+        filename: result.filename,
+        size: result.size,
+        filePath: result.filePath,
+        sender
       })
+    }
+    
+    if (result.error) {
+      await sendFormattedMessage(client, roomId, `❌ 文件处理失败: ${result.message}`)
     } else if (result.type === 'excel') {
       console.log('✅ Excel 文件解析成功')
       
-      await client.sendMessage(roomId, {
-        msgtype: 'm.text',
-        body: result.aiContent
+      await sendChunkedMessage(client, roomId, result.aiContent, {
+        filename: `${result.filename}.md`
       })
+    } else if (result.type === 'text' || result.type === 'code' || result.type === 'log') {
+      console.log(`✅ ${{ text: '文本', code: '代码', log: '日志' }[result.type]}文件解析成功`)
       
-      if (result.parseResult && result.parseResult.sheets) {
-        for (const sheet of result.parseResult.sheets) {
-          if (sheet.preview && sheet.preview.length > 100) {
-            const previewLines = sheet.preview.split('\n').slice(0, 30).join('\n')
-            if (previewLines.length > 3000) {
-              await client.sendMessage(roomId, {
-                msgtype: 'm.text',
-                body: previewLines.substring(0, 3000) + '\n... (内容已截断)'
-              })
-              break
-            }
-          }
-        }
-      }
-    } else if (result.type === 'text') {
-      console.log('✅ 文本文件解析成功')
+      await sendChunkedMessage(client, roomId, result.aiContent, {
+        filename: `${result.filename}.md`
+      })
+    } else if (result.type === 'pdf') {
+      console.log(`✅ PDF 文件解析成功（${result.parseResult.pageCount} 页）`)
       
-      const maxLen = 3500
-      const content = result.aiContent.length > maxLen 
-        ? result.aiContent.substring(0, maxLen) + '\n... (内容已截断)'
-        : result.aiContent
-        
-      await client.sendMessage(roomId, {
-        msgtype: 'm.text',
-        body: content
+      await sendChunkedMessage(client, roomId, result.aiContent, {
+        filename: `${result.filename}.md`
       })
-    } else {
-      await client.sendMessage(roomId, {
-        msgtype: 'm.text',
-        body: result.aiContent
+    } else if (result.type === 'docx' || result.type === 'pptx') {
+      console.log(`✅ ${result.type === 'docx' ? 'Word' : 'PowerPoint'} 文件解析成功`)
+      
+      await sendChunkedMessage(client, roomId, result.aiContent, {
+        filename: `${result.filename}.md`
+      })
+    } else if (result.type === 'archive') {
+      console.log(`✅ 压缩包解析成功（${result.parseResult.entryCount} 个条目）`)
+      
+      await sendChunkedMessage(client, roomId, result.aiContent, {
+        filename: `${result.filename}.md`
       })
+    } else {
+      await sendFormattedMessage(client, roomId, result.aiContent)
     }
     
     await client.setTyping(roomId, false)
@@ -781,15 +2839,66 @@ async function handleFileEvent(context) {
     console.error('处理文件消息失败:', error.message)
     await client.setTyping(roomId, false)
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `处理文件时出错: ${error.message}`
+    await sendFormattedMessage(client, roomId, `处理文件时出错: ${error.message}`)
+  }
+}
+
+/**
+ * 读取本房间最近上传的 PDF 的指定页
+ */
+async function handleFilePagesCommand(client, roomId, range) {
+  const file = lastFiles.get(roomId)
+  if (!file) {
+    await sendFormattedMessage(client, roomId, '❌ 本房间还没有上传过文件')
+    return
+  }
+  if (file.type !== 'pdf') {
+    await sendFormattedMessage(client, roomId, `❌ 最近上传的文件 ${file.filename} 不是 PDF`)
+    return
+  }
+  
+  try {
+    await client.setTyping(roomId, true)
+    const result = await readPdfPages(file, range, { commandPrefix: await getCommandPrefix(roomId) })
+    await sendChunkedMessage(client, roomId, result.aiContent, {
+      filename: `${file.filename}.md`
+    })
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 读取 PDF 失败: ${error.message}`)
+  } finally {
+    await client.setTyping(roomId, false)
+  }
+}
+
+/**
+ * 读取本房间最近上传的压缩包中的文件
+ */
+async function handleFileShowCommand(client, roomId, entryPath) {
+  const file = lastFiles.get(roomId)
+  if (!file) {
+    await sendFormattedMessage(client, roomId, '❌ 本房间还没有上传过文件')
+    return
+  }
+  if (file.type !== 'archive') {
+    await sendFormattedMessage(client, roomId, `❌ 最近上传的文件 ${file.filename} 不是压缩包`)
+    return
+  }
+  
+  try {
+    await client.setTyping(roomId, true)
+    const result = await readArchiveEntry(file, entryPath, { commandPrefix: await getCommandPrefix(roomId) })
+    await sendChunkedMessage(client, roomId, result.aiContent, {
+      filename: `${result.filename.split('/').pop()}.md`
     })
+  } catch (error) {
+    await sendFormattedMessage(client, roomId, `❌ 读取压缩包失败: ${error.message}`)
+  } finally {
+    await client.setTyping(roomId, false)
   }
 }
 
 async function handleImageEvent(context) {
-  const { client, roomId, sender, event } = context
+  const { client, roomId, sender, eventId, event } = context
   
   console.log(`\n${'='.repeat(60)}`)
   console.log(`🖼️ [${new Date().toLocaleTimeString()}] 收到图片消息`)
@@ -798,44 +2907,211 @@ async function handleImageEvent(context) {
   console.log('文件名:', event.content.filename || event.content.body)
   
   try {
-    const result = await handleImageMessage(client, event)
+    const image = await handleImageMessage(client, event)
+    if (image.error) {
+      await sendFormattedMessage(client, roomId, `❌ 图片处理失败: ${image.message}`)
+      return
+    }
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: result.error 
-        ? `❌ 图片处理失败: ${result.message}`
-        : result.aiContent
-    })
+    cacheImage(eventId, image)
+    await answerImageQuestion({ ...context, image, question: context.caption })
     
   } catch (error) {
     console.error('处理图片消息失败:', error.message)
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `处理图片时出错: ${error.message}`
-    })
+    await sendFormattedMessage(client, roomId, `处理图片时出错: ${error.message}`)
   }
 }
 
 /**
- * 处理模型切换命令
+ * 获取图片消息附带的说明文字：带说明的图片 filename 为文件名、body 为说明，
+ * 不带说明时 body 就是文件名
+ */
+function getImageCaption(content) {
+  return content.filename && content.body && content.body !== content.filename ? content.body : ''
+}
+
+/**
+ * 缓存已下载的图片供追问使用，过期或超出数量上限时淘汰最早的
+ */
+function cacheImage(eventId, image) {
+  recentImages.delete(eventId)
+  recentImages.set(eventId, { image, cachedAt: Date.now() })
+  
+  for (const [key, entry] of recentImages) {
+    if (recentImages.size <= MAX_CACHED_IMAGES && Date.now() - entry.cachedAt < IMAGE_CACHE_TTL_MS) break
+    recentImages.delete(key)
+  }
+}
+
+/**
+ * 获取未过期的缓存图片
+ */
+function getCachedImage(eventId) {
+  const entry = recentImages.get(eventId)
+  if (!entry) return null
+  
+  if (Date.now() - entry.cachedAt >= IMAGE_CACHE_TTL_MS) {
+    recentImages.delete(eventId)
+    return null
+  }
+  return entry.image
+}
+
+/**
+ * 查找追问针对的图片：直接回复的图片消息（未缓存时重新下载），
+ * 或所在线程的根图片（机器人回答过的图片会开启以其为根的线程）
+ * @returns {Promise<object|null>} handleImageMessage 的结果，不是追问图片时返回 null
+ */
+async function findQuestionImage(client, roomId, event) {
+  const relatesTo = event.content?.['m.relates_to']
+  // 线程内消息附带的 m.in_reply_to 只是给不支持线程的客户端的回退，不算直接回复
+  const repliedTo = relatesTo?.is_falling_back ? null : relatesTo?.['m.in_reply_to']?.event_id
+  
+  if (repliedTo) {
+    const cached = getCachedImage(repliedTo)
+    if (cached) return cached
+    
+    let repliedEvent = null
+    try {
+      repliedEvent = await client.getEvent(roomId, repliedTo)
+    } catch (error) {
+      console.error(`获取被回复的消息 ${repliedTo} 失败:`, error.message)
+    }
+    
+    if (repliedEvent?.content?.msgtype === 'm.image') {
+      const image = await handleImageMessage(client, repliedEvent)
+      if (!image.error) {
+        cacheImage(repliedTo, image)
+      }
+      return image
+    }
+  }
+  
+  const threadRoot = getThreadRoot(event)
+  return threadRoot ? getCachedImage(threadRoot) : null
+}
+
+/**
+ * 把图片和提问作为多模态内容发送给模型并回复。当前模型只支持文本时改用视觉模型，
+ * 都不可用时只回复图片信息。
  */
-async function handleModelSwitch(client, roomId, sender, args, opencodeContext) {
+async function answerImageQuestion(context) {
+  const { roomId, sender, eventId = null, opencodeContext, threadId = '', image } = context
+  const { client: opencodeClient } = opencodeContext
+  const client = createRecordingClient(context.client)
+  const question = context.question || DEFAULT_IMAGE_PROMPT
+  // 对话历史中只以文字记录图片
+  const message = `[图片: ${image.filename}] ${question}`
+  let reply = null
+  
+  console.log(`处理图片提问: ${sender} -> "${message}"`)
+  
   try {
-    if (args.length === 0) {
-      await client.sendMessage(roomId, {
-        msgtype: 'm.text',
-        body: '用法: !opencode switch [模型ID] [作用域]\n' +
-              '示例: !opencode switch cc-oaicomp/DeepSeek-V3.2 session\n' +
-              '作用域: session(会话), user(用户), room(房间), global(全局)\n' +
-              '使用 !opencode models 查看可用模型'
-      })
+    if (image.error) {
+      await sendFormattedMessage(client, roomId, `❌ 图片处理失败: ${image.message}`)
+      return
+    }
+    
+    await client.setTyping(roomId, true)
+    
+    const modelManager = new ModelManager(opencodeContext)
+    await modelManager.initialize()
+    const currentModel = context.model || await modelManager.getCurrentModel({ userId: sender, roomId, threadId })
+    const model = modelManager.getVisionModel(currentModel)
+    
+    if (!model) {
+      await sendFormattedMessage(client, roomId, `${image.aiContent}\n\n⚠️ 当前模型 ${currentModel} 不支持图片，也没有可用的视觉模型（可设置 MATRIX_VISION_MODEL）`)
+      await client.setTyping(roomId, false)
       return
     }
     
-    const modelId = args[0]
-    const scope = args[1] || 'session'
+    // 改用视觉模型时在回答末尾注明
+    const modelNote = model === currentModel ? '' : `\n\n_（当前模型 ${currentModel} 不支持图片，由 ${model} 回答）_`
+    if (modelNote) {
+      console.log(`当前模型 ${currentModel} 不支持图片，改用视觉模型 ${model}`)
+    }
+    
+    const history = await loadConversationContext(roomId, sender, modelManager, threadId)
+    reply = isStreamingEnabled() ? new StreamingReply(client, roomId) : null
+    
+    let aiText
+    try {
+      const { sessionId, created } = await getOrCreateRoomSession(opencodeClient, roomId, sender, threadId)
+      
+      // 已有会话自带上下文，只有新建的会话才需要补充对话记录
+      const promptText = created && history.length > 0
+        ? `以下是之前的对话记录:\n\n${formatHistoryAsTranscript(history)}\n\n当前消息: ${question}`
+        : question
+      
+      const stopStreaming = reply
+        ? await subscribeSessionText(opencodeClient, sessionId, text => reply.update(text))
+        : () => {}
+      
+      try {
+        aiText = await promptSession(opencodeClient, sessionId, [
+          { type: 'text', text: promptText },
+          { type: 'file', mime: image.mimeType, filename: image.filename, url: image.imageData }
+        ], model)
+      } finally {
+        stopStreaming()
+      }
+      
+    } catch (aiError) {
+      console.error(`AI处理图片失败: ${aiError.message}`)
+      console.log(`尝试备用AI API调用...`)
+      
+      // OpenAI 兼容的多模态消息内容
+      const content = [
+        { type: 'text', text: question },
+        { type: 'image_url', image_url: { url: image.imageData } }
+      ]
+      const options = { model: modelManager.getApiModelId(model) }
+      aiText = reply
+        ? await callAIApiStream(content, sender, roomId, history, text => reply.update(text), options)
+        : await callAIApi(content, sender, roomId, history, options)
+    }
+    
+    if (!aiText.trim()) {
+      aiText = '未收到AI回复'
+    }
+    
+    // 超长回复会拆分为线程中的多条消息
+    if (reply) {
+      await reply.finish(aiText + modelNote)
+    } else {
+      await sendChunkedMessage(client, roomId, aiText + modelNote, { filename: 'ai-reply.md' })
+    }
+    
+    await recordConversationTurn(roomId, sender, message, aiText, threadId, { eventId })
+    await client.setTyping(roomId, false)
+    
+    // 撤回图片或追问时一并撤回回答
+    if (eventId && client.sentEventIds.length > 0) {
+      await replyLinks.link(roomId, eventId, client.sentEventIds, { sender, threadId })
+        .catch(() => {})   // 错误已在 ReplyLinks 中记录
+    }
+    
+    console.log(`✅ 图片回答成功 (${model}): ${aiText.substring(0, 100)}...`)
+    
+  } catch (error) {
+    console.error('处理图片提问失败:', error.message)
+    await client.setTyping(roomId, false).catch(() => {})
     
+    const errorText = `❌ 图片分析失败: ${error.message}`
+    if (reply && reply.started) {
+      await reply.finish(errorText)
+    } else {
+      await sendFormattedMessage(client, roomId, errorText)
+    }
+  }
+}
+
+/**
+ * 处理模型切换命令
+ */
+async function handleModelSwitch(client, roomId, sender, modelId, scope, opencodeContext, threadId = '') {
+  try {
     // 初始化模型管理器
     const modelManager = new ModelManager(opencodeContext)
     await modelManager.initialize()
@@ -844,37 +3120,58 @@ async function handleModelSwitch(client, roomId, sender, args, opencodeContext)
     const result = await modelManager.switchModel(modelId, {
       userId: sender,
       roomId,
+      threadId,
       scope
     })
     
     // 发送成功消息
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `✅ 模型切换成功！\n` +
-            `从: ${result.previous || '默认'}\n` +
-            `到: ${result.current}\n` +
-            `作用域: ${scope}\n` +
-            `用户: ${sender}\n` +
-            `房间: ${roomId}`
-    })
+    const eventId = await sendFormattedMessage(client, roomId, `✅ 模型切换成功！\n` +
+          `从: ${result.previous || '默认'}\n` +
+          `到: ${result.current}\n` +
+          `作用域: ${scope}\n` +
+          `用户: ${sender}\n` +
+          `房间: ${roomId}` + undoSwitchHint(result))
+    await registerSwitchUndo({ client, roomId, sender, result, scope, opencodeContext, threadId, eventId })
     
     console.log(`✅ 用户 ${sender} 在房间 ${roomId} 切换模型到 ${result.current}`)
     
   } catch (error) {
     console.error('❌ 模型切换失败:', error.message)
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `❌ 模型切换失败: ${error.message}\n` +
-            `使用 !opencode models 查看可用模型`
-    })
+    await sendFormattedMessage(client, roomId, `❌ 模型切换失败: ${error.message}\n` +
+          `使用 ${await getCommandPrefix(roomId)} models 查看可用模型`)
   }
 }
 
+/**
+ * 切换成功消息中的撤销提示（之前使用默认模型时无法撤销）
+ */
+function undoSwitchHint(result) {
+  return result.previous ? `\n\n回应 ${UNDO_REACTIONS[0]} 切换回 ${result.previous}` : ''
+}
+
+/**
+ * 为模型切换成功消息登记撤销反应：切换者本人回应 ↩️ 时以相同作用域切换回之前的模型
+ */
+async function registerSwitchUndo({ client, roomId, sender, result, scope, opencodeContext, threadId, eventId }) {
+  if (!result.previous || !eventId) return
+  
+  reactionActions.register(roomId, eventId, [{
+    keys: UNDO_REACTIONS,
+    description: '撤销切换',
+    handler: async ({ sender: reactor }) => {
+      if (reactor !== sender) return
+      reactionActions.remove(eventId)
+      await handleModelSwitch(client, roomId, sender, result.previous, scope, opencodeContext, threadId)
+    }
+  }])
+  await offerReactions(client, roomId, eventId, UNDO_REACTIONS)
+}
+
 /**
  * 处理当前模型查询命令
  */
-async function handleModelCurrent(client, roomId, sender, args, opencodeContext) {
+async function handleModelCurrent(client, roomId, sender, opencodeContext, threadId = '') {
   try {
     // 初始化模型管理器
     const modelManager = new ModelManager(opencodeContext)
@@ -883,33 +3180,28 @@ async function handleModelCurrent(client, roomId, sender, args, opencodeContext)
     // 获取当前模型
     const currentModel = await modelManager.getCurrentModel({
       userId: sender,
-      roomId
+      roomId,
+      threadId
     })
     
     // 获取模型配置信息
     const modelConfig = modelManager.getModelConfig(currentModel)
     
     // 发送当前模型信息
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `📊 当前模型信息:\n` +
-            `模型ID: ${currentModel}\n` +
-            `名称: ${modelConfig.name}\n` +
-            `提供者: ${modelConfig.provider}\n` +
-            `上下文窗口: ${modelConfig.contextWindow?.toLocaleString() || '未知'} tokens\n` +
-            `最大输出: ${modelConfig.maxTokens?.toLocaleString() || '未知'} tokens\n` +
-            `输入模式: ${modelConfig.input?.join(', ') || 'text'}\n` +
-            `输出模式: ${modelConfig.output?.join(', ') || 'text'}\n` +
-            `\n使用 !opencode switch [模型ID] 切换模型`
-    })
+    await sendFormattedMessage(client, roomId, `📊 当前模型信息:\n` +
+          `模型ID: ${currentModel}\n` +
+          `名称: ${modelConfig.name}\n` +
+          `提供者: ${modelConfig.provider}\n` +
+          `上下文窗口: ${modelConfig.contextWindow?.toLocaleString() || '未知'} tokens\n` +
+          `最大输出: ${modelConfig.maxTokens?.toLocaleString() || '未知'} tokens\n` +
+          `输入模式: ${modelConfig.input?.join(', ') || 'text'}\n` +
+          `输出模式: ${modelConfig.output?.join(', ') || 'text'}\n` +
+          `\n使用 ${await getCommandPrefix(roomId)} switch [模型ID] 切换模型`)
     
   } catch (error) {
     console.error('❌ 获取当前模型失败:', error.message)
     
-    await client.sendMessage(roomId, {
-      msgtype: 'm.text',
-      body: `❌ 获取当前模型失败: ${error.message}`
-    })
+    await sendFormattedMessage(client, roomId, `❌ 获取当前模型失败: ${error.message}`)
   }
 }
 
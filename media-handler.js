@@ -1,18 +1,39 @@
 import fs from 'node:fs'
 import path from 'node:path'
+import { randomUUID } from 'node:crypto'
 import { parseExcel, formatExcelForAI, getFileType } from './excel-parser.js'
+import { parsePdf, formatPdfForAI } from './pdf-parser.js'
+import { formatFileSize } from './message-formatter.js'
+import { ArchiveReader, formatArchiveForAI, formatArchiveTree } from './archive-parser.js'
+import { parseDocx, formatDocxForAI, parsePptx, formatPptxForAI } from './office-parser.js'
+import { sniffTextFile, parseSourceFile, formatSourceForAI } from './source-parser.js'
 
 const MATRIX_MEDIA_DOWNLOAD_PATH = process.env.MATRIX_MEDIA_PATH || '/tmp/matrix-media'
 
+// 上传压缩包时直接读取的内部文件数量和类型
+const MAX_ARCHIVE_PREVIEWS = 3
+const ARCHIVE_PREVIEW_TYPES = ['excel', 'csv', 'text', 'code', 'log']
+
 function ensureMediaDir() {
   if (!fs.existsSync(MATRIX_MEDIA_DOWNLOAD_PATH)) {
     fs.mkdirSync(MATRIX_MEDIA_DOWNLOAD_PATH, { recursive: true })
   }
 }
 
-async function downloadMatrixMedia(client, mxcUrl, filename) {
+/**
+ * 保存上传的文件：按事件ID（没有时用随机ID）加文件名命名，
+ * 不同房间上传的同名文件不会互相覆盖，发送者提供的文件名也不能指向下载目录之外
+ */
+function saveMedia(event, filename, buffer) {
   ensureMediaDir()
-  
+  const id = (event.event_id || randomUUID()).replace(/[^\w.-]/g, '_')
+  const filePath = path.join(MATRIX_MEDIA_DOWNLOAD_PATH, `${id}-${path.basename(filename)}`)
+  fs.writeFileSync(filePath, buffer)
+  console.log('   保存到:', filePath)
+  return filePath
+}
+
+async function downloadMatrixMedia(client, mxcUrl, filename) {
   console.log('📥 开始下载媒体文件...')
   console.log('   MXC URL:', mxcUrl)
   console.log('   文件名:', filename)
@@ -50,11 +71,9 @@ async function downloadMatrixMedia(client, mxcUrl, filename) {
       
       if (response.ok) {
         const buffer = Buffer.from(await response.arrayBuffer())
-        const filePath = path.join(MATRIX_MEDIA_DOWNLOAD_PATH, filename || mediaId)
-        fs.writeFileSync(filePath, buffer)
         
         console.log('   ✅ 下载成功! 大小:', buffer.length, 'bytes')
-        return { buffer, filePath, size: buffer.length }
+        return { buffer, size: buffer.length }
       } else {
         const errorText = await response.text()
         console.log('   错误响应:', errorText.substring(0, 200))
@@ -67,14 +86,107 @@ async function downloadMatrixMedia(client, mxcUrl, filename) {
   throw new Error('All download attempts failed')
 }
 
-function formatFileSize(bytes) {
-  if (bytes < 1024) return `${bytes} B`
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
-  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+/**
+ * 按文件类型解析内容，返回 { type, parseResult, aiContent }（上传的文件和压缩包中的文件共用）
+ * 扩展名未知的文件按 MIME 类型和内容判断是否为文本
+ */
+async function parseFileContent(buffer, filename, mimeType = '', options = {}) {
+  const fileType = getFileType(filename)
+  
+  if (fileType === 'excel' || fileType === 'csv') {
+    const parseResult = parseExcel(buffer, filename, {
+      maxRows: 100,
+      maxSheets: 3,
+      format: 'markdown'
+    })
+    
+    return {
+      type: 'excel',
+      parseResult,
+      aiContent: formatExcelForAI(parseResult, { maxPreviewRows: 50 })
+    }
+  }
+  
+  if (fileType === 'text' || fileType === 'code' || fileType === 'log' || fileType === 'unknown') {
+    const detected = sniffTextFile(buffer, filename, mimeType)
+    
+    if (detected) {
+      const parseResult = parseSourceFile(buffer, filename, detected)
+      
+      return {
+        type: detected.kind,
+        textContent: parseResult.preview,
+        parseResult,
+        aiContent: formatSourceForAI(parseResult)
+      }
+    }
+  }
+  
+  if (fileType === 'pdf') {
+    const parseResult = await parsePdf(buffer, filename)
+    
+    return {
+      type: 'pdf',
+      parseResult,
+      aiContent: formatPdfForAI(parseResult, options)
+    }
+  }
+  
+  if (fileType === 'docx' || fileType === 'pptx') {
+    const parseResult = fileType === 'docx'
+      ? parseDocx(buffer, filename)
+      : parsePptx(buffer, filename)
+    
+    return {
+      type: fileType,
+      parseResult,
+      aiContent: fileType === 'docx' ? formatDocxForAI(parseResult) : formatPptxForAI(parseResult)
+    }
+  }
+  
+  if (fileType === 'archive') {
+    const archive = new ArchiveReader(buffer, filename)
+    
+    // 直接读取前几个表格和文本文件，其余文件通过 file show 读取
+    const previews = []
+    for (const entry of archive.files) {
+      if (previews.length >= MAX_ARCHIVE_PREVIEWS) break
+      if (!ARCHIVE_PREVIEW_TYPES.includes(getFileType(entry.path))) continue
+      
+      try {
+        const inner = await parseFileContent(archive.read(entry), entry.path, '', options)
+        previews.push({ path: entry.path, aiContent: inner.aiContent })
+      } catch (error) {
+        previews.push({ path: entry.path, aiContent: `❌ 读取 ${entry.path} 失败: ${error.message}` })
+      }
+    }
+    
+    let aiContent = formatArchiveForAI(archive, options)
+    if (previews.length > 0) {
+      aiContent += `\n\n已读取其中 ${previews.length} 个文件:\n\n` + previews.map(item => item.aiContent).join('\n\n')
+    }
+    
+    return {
+      type: 'archive',
+      parseResult: {
+        format: archive.format,
+        entryCount: archive.entries.length,
+        totalSize: archive.totalSize,
+        skipped: archive.skipped.map(entry => entry.name),
+        previewed: previews.map(item => item.path)
+      },
+      aiContent
+    }
+  }
+  
+  return {
+    type: 'unsupported',
+    aiContent: `📎 收到文件: ${filename} (${formatFileSize(buffer.length)})\n此文件类型暂不支持直接读取内容。`
+  }
 }
 
 async function handleFileMessage(client, event, options = {}) {
-  const { maxFileSize = 10 * 1024 * 1024 } = options
+  const { maxFileSize = 10 * 1024 * 1024, commandPrefix } = options
   
   const content = event.content || {}
   console.log('\n📋 文件消息完整内容:')
@@ -136,55 +248,17 @@ async function handleFileMessage(client, event, options = {}) {
       buffer = result.buffer
     }
     
-    const filePath = path.join(MATRIX_MEDIA_DOWNLOAD_PATH, filename)
-    fs.writeFileSync(filePath, buffer)
-    console.log('   保存到:', filePath)
+    const filePath = saveMedia(event, filename, buffer)
     
     const fileType = getFileType(filename)
     console.log('   文件类型:', fileType)
     
-    if (fileType === 'excel' || fileType === 'csv') {
-      const parseResult = parseExcel(buffer, filename, {
-        maxRows: 100,
-        maxSheets: 3,
-        format: 'markdown'
-      })
-      
-      return {
-        type: 'excel',
-        filename,
-        size: formatFileSize(buffer.length),
-        mimeType,
-        filePath,
-        parseResult,
-        aiContent: formatExcelForAI(parseResult, { maxPreviewRows: 50 })
-      }
-    }
-    
-    if (fileType === 'text') {
-      const textContent = buffer.toString('utf-8')
-      const preview = textContent.length > 10000 
-        ? textContent.substring(0, 10000) + '\n... (内容已截断)'
-        : textContent
-      
-      return {
-        type: 'text',
-        filename,
-        size: formatFileSize(buffer.length),
-        mimeType,
-        filePath,
-        textContent: preview,
-        aiContent: `📄 **文件内容: ${filename}**\n\n\`\`\`\n${preview}\n\`\`\``
-      }
-    }
-    
     return {
-      type: 'unsupported',
       filename,
       size: formatFileSize(buffer.length),
       mimeType,
       filePath,
-      aiContent: `📎 收到文件: ${filename} (${formatFileSize(buffer.length)})\n此文件类型暂不支持直接读取内容。`
+      ...await parseFileContent(buffer, filename, mimeType, { commandPrefix })
     }
     
   } catch (error) {
@@ -197,6 +271,53 @@ async function handleFileMessage(client, event, options = {}) {
   }
 }
 
+/**
+ * 读取已保存的压缩包中的文件；路径为目录时列出目录内容
+ */
+async function readArchiveEntry(file, entryPath, options = {}) {
+  if (!file?.filePath || !fs.existsSync(file.filePath)) {
+    throw new Error('文件已不存在，请重新上传')
+  }
+  
+  const archive = new ArchiveReader(fs.readFileSync(file.filePath), file.filename)
+  const entry = archive.getEntry(entryPath)
+  const children = archive.listDirectory(entryPath)
+  
+  if ((!entry || entry.kind === 'directory') && children.length > 0) {
+    return {
+      type: 'directory',
+      filename: entryPath,
+      aiContent: `📁 **${file.filename}: ${entryPath}**\n\n\`\`\`\n${formatArchiveTree(children)}\n\`\`\``
+    }
+  }
+  
+  const buffer = archive.read(entry || entryPath)
+  
+  return {
+    filename: entry.path,
+    size: formatFileSize(buffer.length),
+    ...await parseFileContent(buffer, entry.path, '', options)
+  }
+}
+
+/**
+ * 重新读取已保存的 PDF 的指定页（如 "3-7"）
+ */
+async function readPdfPages(file, pages, options = {}) {
+  if (!file?.filePath || !fs.existsSync(file.filePath)) {
+    throw new Error('文件已不存在，请重新上传')
+  }
+  
+  const buffer = fs.readFileSync(file.filePath)
+  const parseResult = await parsePdf(buffer, file.filename, { pages })
+  
+  return {
+    ...file,
+    parseResult,
+    aiContent: formatPdfForAI(parseResult, options)
+  }
+}
+
 async function handleImageMessage(client, event) {
   const content = event.content || {}
   const filename = content.filename || content.body || 'image'
@@ -227,10 +348,7 @@ async function handleImageMessage(client, event) {
       buffer = result.buffer
     }
     
-    ensureMediaDir()
-    const filePath = path.join(MATRIX_MEDIA_DOWNLOAD_PATH, filename)
-    fs.writeFileSync(filePath, buffer)
-    console.log('   保存到:', filePath)
+    const filePath = saveMedia(event, filename, buffer)
     
     const base64 = buffer.toString('base64')
     const mimeType = fileInfo.mimetype || 'image/png'
@@ -263,5 +381,8 @@ export {
   downloadMatrixMedia,
   handleFileMessage,
   handleImageMessage,
+  parseFileContent,
+  readArchiveEntry,
+  readPdfPages,
   formatFileSize
 }
\ No newline at end of file
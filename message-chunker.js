@@ -0,0 +1,285 @@
+/**
+ * 消息分块 - 将超长内容按段落/代码块边界拆分为多条消息
+ *
+ * 拆分时保证每一块中的代码围栏成对出现：跨块的代码块会在上一块末尾补上闭合围栏，
+ * 并在下一块开头重新打开（保留语言标记）。
+ */
+
+import { formatMessageContent } from './message-formatter.js'
+
+export const DEFAULT_MAX_LENGTH = parseInt(process.env.MATRIX_MAX_MESSAGE_LENGTH || '4000')
+export const DEFAULT_MAX_CHUNKS = parseInt(process.env.MATRIX_MAX_MESSAGE_CHUNKS || '5')
+
+// 为分块序号 "(1/3)" 预留的长度
+const PART_MARKER_RESERVE = 16
+
+const FENCE_OPEN_PATTERN = /^\s*(`{3,}|~{3,})\s*[\w+#.-]*\s*$/
+
+/**
+ * 判断是否为与开头围栏匹配的闭合围栏
+ */
+function isClosingFence(line, marker) {
+  const trimmed = line.trim()
+  return trimmed.length >= marker.length &&
+    trimmed[0] === marker[0] &&
+    new RegExp(`^\\${marker[0]}{${marker.length},}$`).test(trimmed)
+}
+
+/**
+ * 将文本解析为块：完整的代码块或由空行分隔的段落
+ * 每个块记录与上一个块之间的原始分隔符，以便还原排版
+ */
+function parseBlocks(text) {
+  const lines = text.split('\n')
+  const blocks = []
+  let current = null
+  let blankLines = 0
+
+  const pushCurrent = () => {
+    if (current) {
+      blocks.push(current)
+      current = null
+    }
+  }
+  const separator = () => '\n' + '\n'.repeat(blankLines)
+
+  for (const line of lines) {
+    if (current && current.type === 'code' && !current.closed) {
+      current.lines.push(line)
+      if (isClosingFence(line, current.marker)) {
+        current.closed = true
+        pushCurrent()
+        blankLines = 0
+      }
+      continue
+    }
+
+    const fenceMatch = line.match(FENCE_OPEN_PATTERN)
+    if (fenceMatch) {
+      pushCurrent()
+      current = { type: 'code', lines: [line], marker: fenceMatch[1], closed: false, sep: separator() }
+      blankLines = 0
+      continue
+    }
+
+    if (!line.trim()) {
+      pushCurrent()
+      blankLines++
+      continue
+    }
+
+    if (!current) {
+      current = { type: 'text', lines: [], sep: separator() }
+      blankLines = 0
+    }
+    current.lines.push(line)
+  }
+  pushCurrent()
+
+  return blocks.map(block => ({ ...block, text: block.lines.join('\n') }))
+}
+
+/**
+ * 将过长的单行按字符硬切
+ */
+function hardSplit(line, size) {
+  const pieces = []
+  for (let i = 0; i < line.length; i += size) {
+    pieces.push(line.substring(i, i + size))
+  }
+  return pieces.length > 0 ? pieces : ['']
+}
+
+/**
+ * 将行按预算分组
+ */
+function groupLines(lines, budget) {
+  const groups = []
+  let current = []
+  let length = 0
+
+  for (const rawLine of lines) {
+    for (const line of hardSplit(rawLine, Math.max(budget, 1))) {
+      const added = current.length > 0 ? line.length + 1 : line.length
+      if (current.length > 0 && length + added > budget) {
+        groups.push(current)
+        current = []
+        length = 0
+      }
+      length += current.length > 0 ? line.length + 1 : line.length
+      current.push(line)
+    }
+  }
+  if (current.length > 0) groups.push(current)
+
+  return groups
+}
+
+/**
+ * 拆分超出预算的块；代码块拆分后每一片都带有完整的围栏
+ */
+function splitOversizedBlock(block, budget) {
+  if (block.type === 'code') {
+    const opener = block.lines[0].trim()
+    const closer = block.closed ? block.lines[block.lines.length - 1].trim() : block.marker
+    const inner = block.lines.slice(1, block.closed ? -1 : undefined)
+    const innerBudget = budget - opener.length - closer.length - 2
+
+    return groupLines(inner, innerBudget).map((group, index) => ({
+      type: 'code',
+      text: `${opener}\n${group.join('\n')}\n${closer}`,
+      sep: index === 0 ? block.sep : '\n'
+    }))
+  }
+
+  return groupLines(block.lines, budget).map((group, index) => ({
+    type: 'text',
+    text: group.join('\n'),
+    sep: index === 0 ? block.sep : '\n'
+  }))
+}
+
+/**
+ * 将长文本拆分为多块
+ * @param {string} text - 原始文本（Markdown）
+ * @param {object} options - maxLength: 每块最大字符数
+ * @returns {string[]} 分块结果（只有一块时即原文）
+ */
+export function splitMessage(text, options = {}) {
+  const { maxLength = DEFAULT_MAX_LENGTH } = options
+  const content = String(text ?? '')
+
+  if (content.length <= maxLength) {
+    return [content]
+  }
+
+  const budget = maxLength - PART_MARKER_RESERVE
+  const blocks = parseBlocks(content)
+    .flatMap(block => block.text.length > budget ? splitOversizedBlock(block, budget) : [block])
+
+  const chunks = []
+  let current = ''
+
+  for (const block of blocks) {
+    const candidate = current ? current + block.sep + block.text : block.text
+    if (candidate.length <= budget) {
+      current = candidate
+    } else {
+      if (current) chunks.push(current)
+      current = block.text
+    }
+  }
+  if (current) chunks.push(current)
+
+  return chunks
+}
+
+/**
+ * 构建线程关系（带回复回退，兼容不支持线程的客户端）
+ */
+export function buildThreadRelation(rootEventId, inReplyToEventId = rootEventId) {
+  return {
+    rel_type: 'm.thread',
+    event_id: rootEventId,
+    is_falling_back: true,
+    'm.in_reply_to': { event_id: inReplyToEventId }
+  }
+}
+
+/**
+ * 按顺序发送一组分块，第一块之后的内容都发到以第一块（或指定根事件）为根的线程中
+ * 客户端已处于线程回复上下文（client.threadRootId）时，全部分块都发到该线程
+ * @param {object} options - rootEventId: 线程根事件; startIndex/total: 分块序号
+ * @returns {Promise<string[]>} 发送的事件ID
+ */
+export async function sendMessageSeries(client, roomId, chunks, options = {}) {
+  const { rootEventId = null, startIndex = 0, total = chunks.length } = options
+  const eventIds = []
+  let rootId = client.threadRootId || rootEventId
+  let previousId = rootEventId || null
+
+  for (let i = 0; i < chunks.length; i++) {
+    const text = total > 1 ? `${chunks[i]}\n\n(${startIndex + i + 1}/${total})` : chunks[i]
+    const content = formatMessageContent(text)
+
+    if (rootId && previousId) {
+      content['m.relates_to'] = buildThreadRelation(rootId, previousId)
+    }
+
+    const eventId = await client.sendMessage(roomId, content)
+    if (!rootId) rootId = eventId
+    previousId = eventId
+    eventIds.push(eventId)
+  }
+
+  return eventIds
+}
+
+/**
+ * 将文本作为 m.file 附件上传并发送（加密房间中会先加密）
+ * @returns {Promise<string>} 文件消息的事件ID
+ */
+export async function sendTextFile(client, roomId, text, options = {}) {
+  const { filename = 'message.txt', mimetype = 'text/plain', relatesTo = null } = options
+  const buffer = Buffer.from(text, 'utf-8')
+
+  const content = {
+    msgtype: 'm.file',
+    body: filename,
+    filename,
+    info: { mimetype, size: buffer.length }
+  }
+
+  let encrypted = false
+  if (client.crypto) {
+    try {
+      encrypted = await client.crypto.isRoomEncrypted(roomId)
+    } catch {
+      encrypted = false
+    }
+  }
+
+  if (encrypted) {
+    const encryptedMedia = await client.crypto.encryptMedia(buffer)
+    const url = await client.uploadContent(encryptedMedia.buffer, 'application/octet-stream', filename)
+    content.file = { ...encryptedMedia.file, url }
+  } else {
+    content.url = await client.uploadContent(buffer, mimetype, filename)
+  }
+
+  if (relatesTo) {
+    content['m.relates_to'] = relatesTo
+  }
+
+  return await client.sendMessage(roomId, content)
+}
+
+/**
+ * 发送可能超长的消息：必要时拆分为线程中的多条消息，
+ * 超过分块上限时发送首块预览并将完整内容作为附件上传
+ * @param {object} options - maxLength, maxChunks, filename, rootEventId
+ * @returns {Promise<string[]>} 发送的事件ID（第一个为主消息）
+ */
+export async function sendChunkedMessage(client, roomId, text, options = {}) {
+  const {
+    maxLength = DEFAULT_MAX_LENGTH,
+    maxChunks = DEFAULT_MAX_CHUNKS,
+    filename = 'message.md',
+    rootEventId = null
+  } = options
+
+  const chunks = splitMessage(text, { maxLength })
+
+  if (chunks.length <= maxChunks) {
+    return await sendMessageSeries(client, roomId, chunks, { rootEventId })
+  }
+
+  const preview = `${chunks[0]}\n\n📎 内容过长 (${String(text).length} 字符，约 ${chunks.length} 条消息)，完整内容见附件 ${filename}`
+  const [previewId] = await sendMessageSeries(client, roomId, [preview], { rootEventId })
+  const fileId = await sendTextFile(client, roomId, String(text), {
+    filename,
+    relatesTo: buildThreadRelation(client.threadRootId || rootEventId || previewId, previewId)
+  })
+
+  return [previewId, fileId]
+}
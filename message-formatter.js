@@ -0,0 +1,358 @@
+/**
+ * 消息格式化 - 将 Markdown 转换为 Matrix 的 org.matrix.custom.html 格式
+ *
+ * 所有输入文本都会先进行 HTML 转义，输出中只会出现本模块生成的白名单标签，
+ * 链接仅允许 http(s)/mailto/matrix 协议。
+ */
+
+export const HTML_FORMAT = 'org.matrix.custom.html'
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:|matrix:)/i
+const FENCE_PATTERN = /^\s*(```+|~~~+)\s*([\w+#.-]*)\s*$/
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/
+const HR_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/
+const LIST_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/
+
+/**
+ * 转义 HTML 特殊字符
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+const EMPHASIS_TAGS = { '**': 'strong', '__': 'strong', '~~': 'del', '*': 'em', '_': 'em' }
+
+/**
+ * 渲染粗体、斜体、删除线（输入已转义）
+ *
+ * 用分隔符栈配对，闭合时丢弃栈中未闭合的内层分隔符（保留为原文），保证生成的标签正确嵌套
+ */
+function renderEmphasis(text) {
+  const output = []
+  const stack = []
+
+  for (let i = 0; i < text.length;) {
+    const char = text[i]
+    const double = text[i + 1] === char
+    if ((char !== '*' && char !== '_' && char !== '~') || (char === '~' && !double)) {
+      output.push(char)
+      i++
+      continue
+    }
+
+    const marker = double ? char + char : char
+    const before = text[i - 1] || ''
+    const after = text[i + marker.length] || ''
+    // 单个 * 和 _ 不在单词内开始，_ 也不在单词内结束
+    const canOpen = /\S/.test(after) && (double || !/\w/.test(before))
+    const canClose = /\S/.test(before) && (char !== '_' || !/\w/.test(after))
+    i += marker.length
+
+    const openerIndex = canClose ? stack.findLastIndex(opener => opener.marker === marker) : -1
+    if (openerIndex !== -1 && stack[openerIndex].position < output.length - 1) {
+      const tag = EMPHASIS_TAGS[marker]
+      output[stack[openerIndex].position] = `<${tag}>`
+      output.push(`</${tag}>`)
+      stack.length = openerIndex
+    } else {
+      if (canOpen) stack.push({ marker, position: output.length })
+      output.push(marker)
+    }
+  }
+
+  return output.join('')
+}
+
+/**
+ * 渲染行内 Markdown（代码、链接、粗体、斜体、删除线）
+ */
+function renderInline(text) {
+  const placeholders = []
+  const protect = (html) => {
+    placeholders.push(html)
+    return `\u0000${placeholders.length - 1}\u0000`
+  }
+  const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(placeholders[Number(index)]))
+
+  // 行内代码优先处理，内部不再解析其他语法
+  let result = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+    protect(`<code>${escapeHtml(code.trim())}</code>`)
+  )
+
+  // 链接在转义前匹配，避免链接截断转义后的字符实体
+  // [文本](链接)
+  result = result.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => {
+    if (!SAFE_URL_PATTERN.test(url)) {
+      return label
+    }
+    return protect(`<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`)
+  })
+
+  // 裸链接
+  result = result.replace(/(^|[\s(])(https?:\/\/[^\s<>"]+[^\s<>".,;:!?)'])/g, (match, prefix, url) =>
+    `${prefix}${protect(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`)}`
+  )
+
+  return restore(renderEmphasis(escapeHtml(result)))
+}
+
+/**
+ * 按未转义的竖线拆分表格行
+ */
+function splitTableRow(line) {
+  let row = line.trim()
+  if (row.startsWith('|')) row = row.slice(1)
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1)
+
+  const cells = []
+  let current = ''
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      current += '|'
+      i++
+    } else if (row[i] === '|') {
+      cells.push(current.trim())
+      current = ''
+    } else {
+      current += row[i]
+    }
+  }
+  cells.push(current.trim())
+  return cells
+}
+
+/**
+ * 渲染表格
+ */
+function renderTable(headerLine, separatorLine, rowLines) {
+  const headers = splitTableRow(headerLine)
+  const aligns = splitTableRow(separatorLine).map(cell => {
+    const left = cell.startsWith(':')
+    const right = cell.endsWith(':')
+    if (left && right) return 'center'
+    if (right) return 'right'
+    if (left) return 'left'
+    return null
+  })
+
+  const cell = (tag, content, index) => {
+    const align = aligns[index] ? ` align="${aligns[index]}"` : ''
+    return `<${tag}${align}>${renderInline(content)}</${tag}>`
+  }
+
+  let html = '<table><thead><tr>'
+  html += headers.map((header, index) => cell('th', header, index)).join('')
+  html += '</tr></thead>'
+
+  if (rowLines.length > 0) {
+    html += '<tbody>'
+    for (const line of rowLines) {
+      const cells = splitTableRow(line)
+      html += '<tr>' + headers.map((_, index) => cell('td', cells[index] || '', index)).join('') + '</tr>'
+    }
+    html += '</tbody>'
+  }
+
+  return html + '</table>'
+}
+
+/**
+ * 渲染列表（支持按缩进嵌套）
+ */
+function renderList(items) {
+  const baseIndent = items[0].indent
+  const ordered = /\d/.test(items[0].marker)
+  const start = ordered ? parseInt(items[0].marker) : 1
+  const openTag = ordered ? (start !== 1 ? `<ol start="${start}">` : '<ol>') : '<ul>'
+
+  let html = openTag
+  let i = 0
+  while (i < items.length) {
+    const item = items[i]
+    const children = []
+    i++
+    while (i < items.length && items[i].indent > baseIndent) {
+      children.push(items[i])
+      i++
+    }
+    html += `<li>${renderInline(item.text)}${children.length > 0 ? renderList(children) : ''}</li>`
+  }
+
+  return html + (ordered ? '</ol>' : '</ul>')
+}
+
+/**
+ * 将 Markdown 文本转换为 HTML
+ * @param {string} markdown - Markdown 文本
+ * @returns {string} 经过转义的 HTML
+ */
+export function markdownToHtml(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+
+    if (!line.trim()) {
+      i++
+      continue
+    }
+
+    // 围栏代码块（未闭合时延续到文本末尾）
+    const fenceMatch = line.match(FENCE_PATTERN)
+    if (fenceMatch) {
+      const fence = fenceMatch[1]
+      const language = fenceMatch[2]
+      const codeLines = []
+      i++
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+        codeLines.push(lines[i])
+        i++
+      }
+      i++
+      const langClass = language ? ` class="language-${escapeHtml(language)}"` : ''
+      blocks.push(`<pre><code${langClass}>${escapeHtml(codeLines.join('\n'))}</code></pre>`)
+      continue
+    }
+
+    const headingMatch = line.match(HEADING_PATTERN)
+    if (headingMatch) {
+      const level = headingMatch[1].length
+      blocks.push(`<h${level}>${renderInline(headingMatch[2])}</h${level}>`)
+      i++
+      continue
+    }
+
+    if (HR_PATTERN.test(line)) {
+      blocks.push('<hr>')
+      i++
+      continue
+    }
+
+    // 表格：当前行含竖线且下一行为分隔行
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1])) {
+      const headerLine = line
+      const separatorLine = lines[i + 1]
+      const rowLines = []
+      i += 2
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rowLines.push(lines[i])
+        i++
+      }
+      blocks.push(renderTable(headerLine, separatorLine, rowLines))
+      continue
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoteLines = []
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoteLines.push(lines[i].match(QUOTE_PATTERN)[1])
+        i++
+      }
+      blocks.push(`<blockquote>${markdownToHtml(quoteLines.join('\n'))}</blockquote>`)
+      continue
+    }
+
+    if (LIST_PATTERN.test(line)) {
+      const items = []
+      while (i < lines.length && lines[i].trim()) {
+        const itemMatch = lines[i].match(LIST_PATTERN)
+        // 同一层级上有序/无序切换时开始新列表
+        if (itemMatch && items.length > 0 && itemMatch[1].length <= items[0].indent &&
+            /\d/.test(itemMatch[2]) !== /\d/.test(items[0].marker)) {
+          break
+        }
+        if (itemMatch) {
+          items.push({ indent: itemMatch[1].length, marker: itemMatch[2], text: itemMatch[3] })
+        } else if (items.length > 0 && /^\s+/.test(lines[i])) {
+          // 缩进的续行归入上一个列表项
+          items[items.length - 1].text += ' ' + lines[i].trim()
+        } else {
+          break
+        }
+        i++
+      }
+      blocks.push(renderList(items))
+      continue
+    }
+
+    // 段落：单个换行保留为 <br>
+    const paragraphLines = []
+    while (i < lines.length && lines[i].trim() &&
+           !FENCE_PATTERN.test(lines[i]) &&
+           !HEADING_PATTERN.test(lines[i]) &&
+           !HR_PATTERN.test(lines[i]) &&
+           !QUOTE_PATTERN.test(lines[i]) &&
+           !LIST_PATTERN.test(lines[i]) &&
+           !(lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1]))) {
+      paragraphLines.push(lines[i])
+      i++
+    }
+    if (paragraphLines.length === 0) {
+      // 防御：无法识别的行按普通段落处理
+      paragraphLines.push(lines[i])
+      i++
+    }
+    blocks.push(`<p>${paragraphLines.map(renderInline).join('<br>')}</p>`)
+  }
+
+  return blocks.join('\n')
+}
+
+/**
+ * 格式化时长，如 "1m 05s"
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000)
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`
+  return `${seconds}s`
+}
+
+/**
+ * 格式化文件大小，如 "1.5 KB"
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * 生成带 HTML 格式的 Matrix 消息内容
+ * @param {string} text - Markdown 文本（同时作为纯文本回退 body）
+ * @param {object} options - msgtype 等额外字段
+ * @returns {object} 可直接传给 client.sendMessage 的内容
+ */
+export function formatMessageContent(text, options = {}) {
+  const { msgtype = 'm.text', ...extra } = options
+  const body = String(text ?? '')
+
+  return {
+    msgtype,
+    body,
+    format: HTML_FORMAT,
+    formatted_body: markdownToHtml(body),
+    ...extra
+  }
+}
+
+/**
+ * 发送带 HTML 格式的消息
+ * @returns {Promise<string>} 事件ID
+ */
+export async function sendFormattedMessage(client, roomId, text, options = {}) {
+  return await client.sendMessage(roomId, formatMessageContent(text, options))
+}
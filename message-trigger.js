@@ -0,0 +1,97 @@
+/**
+ * 消息触发 - 决定群聊房间中的普通消息（非命令）是否交给AI处理
+ *
+ * all: 所有消息；mention: 提及机器人时；prefix: 以触发前缀开头时；
+ * thread: 机器人参与的线程中的消息，线程外仍可通过提及或触发前缀发起对话。
+ */
+
+export const TRIGGER_MODES = ['all', 'mention', 'prefix', 'thread']
+export const DEFAULT_TRIGGER_MODE = TRIGGER_MODES.includes(process.env.MATRIX_TRIGGER_MODE)
+  ? process.env.MATRIX_TRIGGER_MODE
+  : 'all'
+export const DEFAULT_TRIGGER_PREFIX = process.env.MATRIX_TRIGGER_PREFIX || '!ai'
+export const DEFAULT_COMMAND_PREFIX = process.env.MATRIX_COMMAND_PREFIX || '!opencode'
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * 检查前缀格式：非空且不含空白
+ */
+export function validatePrefix(prefix) {
+  if (!prefix || /\s/.test(prefix)) {
+    throw new Error('前缀不能为空，也不能包含空白字符')
+  }
+  return prefix
+}
+
+/**
+ * 匹配消息前缀，前缀后必须是空白或消息结尾
+ * @returns {string|null} 去掉前缀后的内容，不匹配时返回 null
+ */
+export function matchPrefix(body, prefix) {
+  if (!prefix || !body.startsWith(prefix)) {
+    return null
+  }
+  const rest = body.slice(prefix.length)
+  return rest === '' || /^\s/.test(rest) ? rest.trim() : null
+}
+
+/**
+ * 消息是否提及机器人：m.mentions、HTML 中的用户链接（pill），或正文中的用户ID/显示名
+ * @param {object} identity - userId, displayName
+ */
+export function isMentioned(event, { userId, displayName }) {
+  const content = event?.content || {}
+
+  if (content['m.mentions']?.user_ids?.includes(userId)) {
+    return true
+  }
+  if (content.formatted_body?.includes(`https://matrix.to/#/${userId}`) ||
+      content.formatted_body?.includes(`https://matrix.to/#/${encodeURIComponent(userId)}`)) {
+    return true
+  }
+
+  const body = content.body || ''
+  if (body.includes(userId)) {
+    return true
+  }
+  return !!displayName && new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(displayName)}($|[^\\p{L}\\p{N}])`, 'iu').test(body)
+}
+
+/**
+ * 去掉消息开头对机器人的称呼（如 "OpenCode: " 或 "@bot:example.org "）
+ */
+export function stripMention(body, { userId, displayName }) {
+  const names = [userId, displayName].filter(Boolean).map(escapeRegExp).join('|')
+  return body.replace(new RegExp(`^\\s*@?(?:${names})[:：,，]?\\s*`, 'iu'), '') || body
+}
+
+/**
+ * 判断普通消息是否触发AI
+ * @param {object} options - mode, body, event, identity: 机器人的 userId/displayName,
+ *   prefix: 触发前缀, inBotThread: 消息是否在机器人参与的线程中
+ * @returns {{ triggered: boolean, message: string }} message: 去掉触发前缀/称呼后交给AI的内容
+ */
+export function resolveTrigger({ mode, body, event, identity, prefix, inBotThread = false }) {
+  if (mode === 'all') {
+    return { triggered: true, message: body }
+  }
+  if (mode === 'thread' && inBotThread) {
+    return { triggered: true, message: body }
+  }
+
+  if (mode === 'prefix' || mode === 'thread') {
+    const rest = matchPrefix(body, prefix)
+    if (rest) {
+      return { triggered: true, message: rest }
+    }
+  }
+
+  if ((mode === 'mention' || mode === 'thread') && isMentioned(event, identity)) {
+    return { triggered: true, message: stripMention(body, identity) }
+  }
+
+  return { triggered: false, message: body }
+}
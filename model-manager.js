@@ -15,6 +15,7 @@ export class ModelManager {
     this.modelCache = new Map()                 // 模型实例缓存
     this.userPreferences = new Map()            // 用户->模型映射（内存）
     this.roomPreferences = new Map()            // 房间->模型映射（内存）
+    this.threadPreferences = new Map()          // 房间|线程->模型映射（内存）
     this.availableModels = []                   // 可用模型列表
     this.opencodeContext = opencodeContext      // OpenCode上下文
     
@@ -207,6 +208,19 @@ export class ModelManager {
         )
       `)
       
+      // 创建线程偏好表
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS thread_model_preferences (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          room_id TEXT NOT NULL,
+          thread_id TEXT NOT NULL,
+          model_id TEXT NOT NULL,
+          set_by_user TEXT,
+          set_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(room_id, thread_id)
+        )
+      `)
+      
       // 创建模型使用统计表
       this.db.exec(`
         CREATE TABLE IF NOT EXISTS model_usage_stats (
@@ -248,7 +262,14 @@ export class ModelManager {
         this.roomPreferences.set(row.room_id, row.model_id)
       })
       
-      console.log(`✅ 加载 ${userRows.length} 个用户偏好和 ${roomRows.length} 个房间偏好`)
+      // 加载线程偏好
+      const threadStmt = this.db.prepare('SELECT room_id, thread_id, model_id FROM thread_model_preferences')
+      const threadRows = threadStmt.all()
+      threadRows.forEach(row => {
+        this.threadPreferences.set(`${row.room_id}|${row.thread_id}`, row.model_id)
+      })
+      
+      console.log(`✅ 加载 ${userRows.length} 个用户偏好、${roomRows.length} 个房间偏好和 ${threadRows.length} 个线程偏好`)
       
     } catch (error) {
       console.error('❌ 加载偏好设置失败:', error.message)
@@ -274,9 +295,12 @@ export class ModelManager {
    * 获取当前应该使用的模型
    */
   async getCurrentModel(context = {}) {
-    const { userId, roomId } = context
+    const { userId, roomId, threadId } = context
     
-    // 优先级: 用户偏好 > 房间偏好 > 全局默认
+    // 优先级: 线程偏好 > 用户偏好 > 房间偏好 > 全局默认
+    if (roomId && threadId && this.threadPreferences.has(`${roomId}|${threadId}`)) {
+      return this.threadPreferences.get(`${roomId}|${threadId}`)
+    }
     if (userId && this.userPreferences.has(userId)) {
       return this.userPreferences.get(userId)
     }
@@ -290,7 +314,7 @@ export class ModelManager {
    * 切换模型
    */
   async switchModel(modelId, options = {}) {
-    const { userId, roomId, scope = 'session' } = options
+    const { userId, roomId, threadId, scope = 'session' } = options
     
     // 验证模型ID格式
     if (!this.validateModelIdFormat(modelId)) {
@@ -299,7 +323,7 @@ export class ModelManager {
     
     // 验证模型可用性
     if (!this.isModelAvailable(modelId)) {
-      throw new Error(`模型不可用: ${modelId}。使用 !opencode models 查看可用模型`)
+      throw new Error(`模型不可用: ${modelId}`)
     }
     
     try {
@@ -337,6 +361,23 @@ export class ModelManager {
         }
       }
       
+      if (scope.includes('thread')) {
+        if (!roomId || !threadId) {
+          throw new Error('线程作用域只能在线程中使用')
+        }
+        
+        this.threadPreferences.set(`${roomId}|${threadId}`, modelId)
+        
+        // 持久化到数据库
+        if (this.db) {
+          const stmt = this.db.prepare(`
+            INSERT OR REPLACE INTO thread_model_preferences (room_id, thread_id, model_id, set_by_user, set_at)
+            VALUES (?, ?, ?, ?, datetime('now'))
+          `)
+          stmt.run(roomId, threadId, modelId, userId || 'system')
+        }
+      }
+      
       // 记录使用统计
       await this.recordModelUsage(modelId, { userId, roomId })
       
@@ -396,6 +437,30 @@ export class ModelManager {
     return model
   }
   
+  /**
+   * 检查模型是否支持图片输入
+   */
+  supportsImages(modelId) {
+    const model = this.availableModels.find(m => m.id === modelId)
+    return !!model?.input?.includes('image')
+  }
+  
+  /**
+   * 获取处理图片的模型：当前模型支持图片时直接使用，否则使用 MATRIX_VISION_MODEL
+   * 配置的视觉模型（未配置时取第一个支持图片的可用模型），都没有时返回 null
+   */
+  getVisionModel(currentModelId) {
+    if (this.supportsImages(currentModelId)) {
+      return currentModelId
+    }
+  
+    if (process.env.MATRIX_VISION_MODEL) {
+      return this.resolveModelId(process.env.MATRIX_VISION_MODEL)
+    }
+  
+    return this.availableModels.find(model => model.input?.includes('image'))?.id || null
+  }
+  
   /**
    * 获取模型别名映射
    */
@@ -432,6 +497,7 @@ export class ModelManager {
       currentModel: this.currentModel,
       userPreferences: Object.fromEntries(this.userPreferences),
       roomPreferences: Object.fromEntries(this.roomPreferences),
+      threadPreferences: Object.fromEntries(this.threadPreferences),
       availableModelsCount: this.availableModels.length,
       databaseConnected: !!this.db
     }
@@ -0,0 +1,652 @@
+/**
+ * Office 文档解析 - 在本地解压 OOXML（DOCX/PPTX），
+ * DOCX 转换为包含标题、列表和表格的 Markdown，PPTX 按幻灯片提取标题、正文和演讲者备注
+ */
+
+import path from 'node:path'
+import { ZipReader } from './zip-reader.js'
+
+export const DEFAULT_MAX_OFFICE_CHARS = parseInt(process.env.MATRIX_OFFICE_MAX_CHARS || '30000')
+
+// 解析上限：OOXML 部件解压后的大小、全部部件的解压总量和单个部件的元素数，
+// 防止很小的文档解压出大量 XML 占满内存、长时间阻塞事件循环
+export const OFFICE_LIMITS = {
+  maxPartSize: parseInt(process.env.MATRIX_OFFICE_MAX_PART_MB || '5') * 1024 * 1024,
+  maxTotalSize: parseInt(process.env.MATRIX_OFFICE_MAX_TOTAL_MB || '20') * 1024 * 1024,
+  maxElements: 200000
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+/**
+ * 解码 XML 实体
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return XML_ENTITIES[entity] ?? match
+  })
+}
+
+/**
+ * 把 XML 解析为元素树：{ name, attrs, children }，文本节点为字符串
+ * （OOXML 部件结构规整，不需要完整的 XML 解析器），元素数超过 maxElements 时失败
+ */
+function parseXml(xml, maxElements = OFFICE_LIMITS.maxElements) {
+  const root = { name: '#document', attrs: {}, children: [] }
+  const stack = [root]
+  let elementCount = 0
+  const pattern = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+  let match
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, cdata, closing, name, attrText, selfClosing, text] = match
+    const parent = stack[stack.length - 1]
+
+    if (cdata !== undefined) {
+      parent.children.push(cdata)
+    } else if (text !== undefined) {
+      parent.children.push(decodeEntities(text))
+    } else if (name && closing) {
+      // 容忍不匹配的结束标签：回退到最近的同名元素
+      const index = stack.map(node => node.name).lastIndexOf(name)
+      if (index > 0) stack.length = index
+    } else if (name) {
+      if (++elementCount > maxElements) {
+        throw new Error(`文档结构过于复杂（单个部件超过 ${maxElements} 个元素）`)
+      }
+      const attrs = {}
+      for (const [, key, , value1, value2] of attrText.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attrs[key] = decodeEntities(value1 ?? value2)
+      }
+      const node = { name, attrs, children: [] }
+      parent.children.push(node)
+      if (!selfClosing) stack.push(node)
+    }
+  }
+
+  return root
+}
+
+function childElements(node, name = null) {
+  return (node?.children || []).filter(child => typeof child !== 'string' && (!name || child.name === name))
+}
+
+function child(node, name) {
+  return childElements(node, name)[0] || null
+}
+
+/**
+ * 深度优先查找第一个同名后代元素
+ */
+function find(node, name) {
+  for (const item of childElements(node)) {
+    if (item.name === name) return item
+    const found = find(item, name)
+    if (found) return found
+  }
+  return null
+}
+
+function findAll(node, name, results = []) {
+  for (const item of childElements(node)) {
+    if (item.name === name) results.push(item)
+    findAll(item, name, results)
+  }
+  return results
+}
+
+/**
+ * 开关型属性（如 <w:b/>、<w:b w:val="0"/>）是否开启
+ */
+function isToggleOn(node) {
+  if (!node) return false
+  const value = node.attrs['w:val']
+  return value === undefined || !['0', 'false', 'off', 'none'].includes(value)
+}
+
+/**
+ * 按解析上限打开 OOXML 文件
+ */
+function openPackage(buffer) {
+  return new ZipReader(buffer, { maxEntrySize: OFFICE_LIMITS.maxPartSize, maxTotalSize: OFFICE_LIMITS.maxTotalSize })
+}
+
+/**
+ * 读取并解析部件，不存在时返回 null
+ */
+function readXmlPart(zip, name) {
+  const xml = zip.readText(name)
+  return xml === null ? null : parseXml(xml)
+}
+
+/**
+ * 读取部件的关系（_rels/xxx.rels）：rId -> { target, type, external }
+ */
+function readRelationships(zip, partName) {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`)
+  const rels = readXmlPart(zip, relsName)
+  const map = new Map()
+
+  for (const rel of findAll(rels, 'Relationship')) {
+    const external = rel.attrs.TargetMode === 'External'
+    const target = rel.attrs.Target || ''
+    map.set(rel.attrs.Id, {
+      type: rel.attrs.Type || '',
+      external,
+      target: external ? target : resolvePartName(partName, target)
+    })
+  }
+  return map
+}
+
+/**
+ * 把关系中的相对目标解析为 ZIP 中的部件名
+ */
+function resolvePartName(partName, target) {
+  if (target.startsWith('/')) return target.slice(1)
+  return path.posix.normalize(path.posix.join(path.posix.dirname(partName), target))
+}
+
+/**
+ * 读取文档属性（docProps/core.xml）
+ */
+function readCoreProperties(zip) {
+  const core = readXmlPart(zip, 'docProps/core.xml')
+  const text = (name) => {
+    const node = find(core, name)
+    return node ? collectText(node).trim() || null : null
+  }
+
+  return {
+    title: text('dc:title'),
+    author: text('dc:creator'),
+    subject: text('dc:subject'),
+    lastModifiedBy: text('cp:lastModifiedBy'),
+    modifiedAt: text('dcterms:modified')
+  }
+}
+
+/**
+ * 收集元素内的全部文本
+ */
+function collectText(node) {
+  return (node?.children || []).map(item => typeof item === 'string' ? item : collectText(item)).join('')
+}
+
+/**
+ * 转义 Markdown 表格单元格中的竖线和换行
+ */
+function formatTableCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\n+/g, '<br>').trim()
+}
+
+/**
+ * 把二维单元格数组渲染为 Markdown 表格，首行作为表头
+ */
+function renderTable(rows) {
+  const width = Math.max(0, ...rows.map(row => row.length))
+  if (width === 0) return ''
+
+  const lines = rows.map(row => {
+    const cells = Array.from({ length: width }, (_, index) => formatTableCell(row[index] || ''))
+    return `| ${cells.join(' | ')} |`
+  })
+  lines.splice(1, 0, `| ${Array(width).fill('---').join(' | ')} |`)
+  return lines.join('\n')
+}
+
+/**
+ * 截断到字符上限
+ */
+function truncateText(text, maxChars) {
+  return text.length > maxChars
+    ? { text: text.substring(0, maxChars) + '\n... (内容已截断)', truncated: true }
+    : { text, truncated: false }
+}
+
+// ==================== DOCX ====================
+
+/**
+ * 读取样式：样式ID -> 标题级别（Title 视为 1 级，Subtitle 视为 2 级）
+ * 本地化的 Word 中样式ID可能是 "1"、"2"，因此按样式名和大纲级别判断
+ */
+function readHeadingStyles(zip) {
+  const styles = readXmlPart(zip, 'word/styles.xml')
+  const headings = new Map()
+
+  for (const style of findAll(styles, 'w:style')) {
+    const id = style.attrs['w:styleId']
+    const name = (child(style, 'w:name')?.attrs['w:val'] || '').toLowerCase()
+    const outline = find(child(style, 'w:pPr'), 'w:outlineLvl')?.attrs['w:val']
+    const heading = name.match(/^heading\s*(\d)$/)
+
+    if (heading) headings.set(id, parseInt(heading[1]))
+    else if (name === 'title') headings.set(id, 1)
+    else if (name === 'subtitle') headings.set(id, 2)
+    else if (outline !== undefined && parseInt(outline) < 9) headings.set(id, parseInt(outline) + 1)
+  }
+  return headings
+}
+
+/**
+ * 读取编号定义：numId -> 各级别是否为有序列表
+ */
+function readNumbering(zip) {
+  const numbering = readXmlPart(zip, 'word/numbering.xml')
+  const abstractLevels = new Map()
+
+  for (const abstract of findAll(numbering, 'w:abstractNum')) {
+    const levels = new Map()
+    for (const level of childElements(abstract, 'w:lvl')) {
+      const format = child(level, 'w:numFmt')?.attrs['w:val'] || 'bullet'
+      levels.set(parseInt(level.attrs['w:ilvl'] || '0'), format !== 'bullet' && format !== 'none')
+    }
+    abstractLevels.set(abstract.attrs['w:abstractNumId'], levels)
+  }
+
+  const numbers = new Map()
+  for (const num of findAll(numbering, 'w:num')) {
+    const abstractId = child(num, 'w:abstractNumId')?.attrs['w:val']
+    numbers.set(num.attrs['w:numId'], abstractLevels.get(abstractId) || new Map())
+  }
+  return numbers
+}
+
+/**
+ * 把段落中的文本片段按格式合并，输出带粗体/斜体标记的文本
+ */
+function renderRuns(segments) {
+  const merged = []
+  for (const segment of segments) {
+    const last = merged[merged.length - 1]
+    if (last && last.bold === segment.bold && last.italic === segment.italic && last.link === segment.link) {
+      last.text += segment.text
+    } else {
+      merged.push({ ...segment })
+    }
+  }
+
+  return merged.map(({ text, bold, italic, link }) => {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/)
+    let [, leading, body, trailing] = match
+    if (!body) return text
+    if (italic) body = `*${body}*`
+    if (bold) body = `**${body}**`
+    if (link) body = `[${body}](${link})`
+    return leading + body + trailing
+  }).join('')
+}
+
+/**
+ * DOCX 转 Markdown 的转换器
+ */
+class DocxConverter {
+  constructor(zip) {
+    this.headings = readHeadingStyles(zip)
+    this.numbering = readNumbering(zip)
+    this.relationships = readRelationships(zip, 'word/document.xml')
+    this.stats = { paragraphs: 0, headings: 0, lists: 0, tables: 0 }
+    this.tableDepth = 0
+  }
+
+  /**
+   * 统计正文中的块（表格单元格里的内容算作所在表格的一部分，不单独统计）
+   */
+  count(name) {
+    if (this.tableDepth === 0) this.stats[name]++
+  }
+
+  /**
+   * 转换正文中的块级元素
+   * @returns {object[]} { kind: 'paragraph'|'list'|'table', text }
+   */
+  convertBlocks(container) {
+    const blocks = []
+
+    for (const node of childElements(container)) {
+      if (node.name === 'w:p') {
+        const block = this.convertParagraph(node)
+        if (block) blocks.push(block)
+      } else if (node.name === 'w:tbl') {
+        const text = this.convertTable(node)
+        if (text) {
+          blocks.push({ kind: 'table', text })
+          this.count('tables')
+        }
+      } else if (node.name === 'w:sdt' || node.name === 'w:customXml') {
+        // 内容控件中的段落和表格
+        blocks.push(...this.convertBlocks(child(node, 'w:sdtContent') || node))
+      }
+    }
+
+    return blocks
+  }
+
+  /**
+   * 收集段落中的文本片段（跳过修订删除的文本和域代码）
+   */
+  collectSegments(node, format = {}, segments = []) {
+    for (const item of childElements(node)) {
+      switch (item.name) {
+        case 'w:r': {
+          const props = child(item, 'w:rPr')
+          const runFormat = {
+            ...format,
+            bold: isToggleOn(child(props, 'w:b')),
+            italic: isToggleOn(child(props, 'w:i'))
+          }
+          for (const part of childElements(item)) {
+            if (part.name === 'w:t') segments.push({ ...runFormat, text: collectText(part) })
+            else if (part.name === 'w:tab') segments.push({ ...runFormat, text: '\t' })
+            else if (part.name === 'w:br' || part.name === 'w:cr') segments.push({ ...runFormat, text: '\n' })
+          }
+          break
+        }
+        case 'w:hyperlink': {
+          const rel = this.relationships.get(item.attrs['r:id'])
+          const link = rel?.external ? rel.target : format.link
+          this.collectSegments(item, { ...format, link }, segments)
+          break
+        }
+        case 'w:ins':
+        case 'w:smartTag':
+        case 'w:fldSimple':
+        case 'w:sdt':
+        case 'w:sdtContent':
+          this.collectSegments(item, format, segments)
+          break
+      }
+    }
+    return segments
+  }
+
+  convertParagraph(node) {
+    const props = child(node, 'w:pPr')
+    const text = renderRuns(this.collectSegments(node)).trim()
+    if (!text) return null
+
+    const styleId = child(props, 'w:pStyle')?.attrs['w:val']
+    const level = this.headings.get(styleId)
+    if (level) {
+      this.count('headings')
+      return { kind: 'paragraph', text: `${'#'.repeat(Math.min(level, 6))} ${text.replace(/\n/g, ' ')}` }
+    }
+
+    const numPr = child(props, 'w:numPr')
+    const numId = child(numPr, 'w:numId')?.attrs['w:val']
+    if (numId && numId !== '0') {
+      const depth = parseInt(child(numPr, 'w:ilvl')?.attrs['w:val'] || '0')
+      const ordered = this.numbering.get(numId)?.get(depth) ?? false
+      this.count('lists')
+      return { kind: 'list', text: `${'  '.repeat(depth)}${ordered ? '1.' : '-'} ${text.replace(/\n/g, ' ')}` }
+    }
+
+    this.count('paragraphs')
+    return { kind: 'paragraph', text: text.replace(/\n/g, '  \n') }
+  }
+
+  convertTable(node) {
+    this.tableDepth++
+    const rows = childElements(node, 'w:tr').map(row => {
+      const cells = []
+      for (const cell of childElements(row, 'w:tc')) {
+        const text = this.convertBlocks(cell).map(block => block.text).join('\n')
+        cells.push(text)
+
+        // 横向合并的单元格补空列，保持列对齐
+        const span = parseInt(find(child(cell, 'w:tcPr'), 'w:gridSpan')?.attrs['w:val'] || '1')
+        for (let i = 1; i < span; i++) cells.push('')
+      }
+      return cells
+    })
+    this.tableDepth--
+
+    return renderTable(rows.filter(row => row.some(cell => cell.trim())))
+  }
+}
+
+/**
+ * 把块拼接为 Markdown：相邻列表项之间不空行
+ */
+function joinBlocks(blocks) {
+  let markdown = ''
+  blocks.forEach((block, index) => {
+    if (index > 0) {
+      markdown += block.kind === 'list' && blocks[index - 1].kind === 'list' ? '\n' : '\n\n'
+    }
+    markdown += block.text
+  })
+  return markdown
+}
+
+/**
+ * 解析 DOCX 文件
+ * @param {Buffer} buffer - 文件 Buffer
+ * @param {string} filename - 文件名
+ * @param {object} options - maxChars: Markdown 的字符上限
+ * @returns {object} 解析结果
+ */
+export function parseDocx(buffer, filename, options = {}) {
+  const { maxChars = DEFAULT_MAX_OFFICE_CHARS } = options
+
+  const zip = openPackage(buffer)
+  const document = readXmlPart(zip, 'word/document.xml')
+  if (!document) {
+    throw new Error('不是有效的 Word 文档（缺少 word/document.xml）')
+  }
+
+  const converter = new DocxConverter(zip)
+  const markdown = joinBlocks(converter.convertBlocks(find(document, 'w:body')))
+  const { text, truncated } = truncateText(markdown, maxChars)
+
+  return {
+    filename,
+    metadata: readCoreProperties(zip),
+    markdown: text,
+    stats: converter.stats,
+    charCount: markdown.length,
+    truncated
+  }
+}
+
+/**
+ * 将 DOCX 解析结果格式化为适合 AI 阅读的文本
+ */
+export function formatDocxForAI(parseResult) {
+  const { filename, metadata, stats } = parseResult
+  const lines = [`📘 **Word 文档: ${filename}**`, '']
+
+  if (metadata.title) lines.push(`- 标题: ${metadata.title}`)
+  if (metadata.author) lines.push(`- 作者: ${metadata.author}`)
+  lines.push(`- 段落: ${stats.paragraphs}，标题: ${stats.headings}，列表项: ${stats.lists}，表格: ${stats.tables}`)
+  if (parseResult.truncated) lines.push(`- 文档较长，只显示前 ${parseResult.markdown.length} 个字符`)
+
+  lines.push('', '---', '', parseResult.markdown || '(文档中没有可提取的文本)')
+  return lines.join('\n')
+}
+
+// ==================== PPTX ====================
+
+const SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle']
+
+/**
+ * 提取 DrawingML 文本框中的段落：{ level, text }
+ */
+function readTextBody(txBody) {
+  const paragraphs = []
+
+  for (const paragraph of childElements(txBody, 'a:p')) {
+    let text = ''
+    for (const item of childElements(paragraph)) {
+      if (item.name === 'a:r' || item.name === 'a:fld') text += collectText(child(item, 'a:t'))
+      else if (item.name === 'a:br') text += '\n'
+    }
+
+    text = text.trim()
+    if (text) {
+      paragraphs.push({ level: parseInt(child(paragraph, 'a:pPr')?.attrs.lvl || '0'), text })
+    }
+  }
+  return paragraphs
+}
+
+/**
+ * 获取形状的占位符类型（无类型的占位符为正文，非占位符返回 null）
+ */
+function placeholderType(shape) {
+  const placeholder = find(child(shape, 'p:nvSpPr'), 'p:ph')
+  return placeholder ? (placeholder.attrs.type || 'body') : null
+}
+
+/**
+ * 按形状顺序提取幻灯片的标题、正文行和表格
+ */
+function readShapes(container, slide) {
+  for (const shape of childElements(container)) {
+    if (shape.name === 'p:grpSp') {
+      readShapes(shape, slide)
+      continue
+    }
+
+    if (shape.name === 'p:graphicFrame') {
+      const table = find(shape, 'a:tbl')
+      if (table) {
+        const rows = childElements(table, 'a:tr').map(row =>
+          childElements(row, 'a:tc').map(cell => readTextBody(child(cell, 'a:txBody')).map(p => p.text).join('\n')))
+        const text = renderTable(rows)
+        if (text) slide.body.push(text)
+      }
+      continue
+    }
+
+    if (shape.name !== 'p:sp') continue
+
+    const type = placeholderType(shape)
+    if (SKIPPED_PLACEHOLDERS.includes(type)) continue
+
+    const paragraphs = readTextBody(child(shape, 'p:txBody'))
+    if (paragraphs.length === 0) continue
+
+    if (TITLE_PLACEHOLDERS.includes(type) && !slide.title) {
+      slide.title = paragraphs.map(p => p.text).join(' ').replace(/\n/g, ' ')
+      continue
+    }
+
+    // 占位符中的正文按要点显示，普通文本框按原样显示
+    for (const { level, text } of paragraphs) {
+      const content = text.replace(/\n/g, ' ')
+      slide.body.push(type ? `${'  '.repeat(level)}- ${content}` : content)
+    }
+  }
+}
+
+/**
+ * 提取演讲者备注
+ */
+function readNotes(zip, notesPart) {
+  const notes = readXmlPart(zip, notesPart)
+  const lines = []
+
+  for (const shape of findAll(notes, 'p:sp')) {
+    if (placeholderType(shape) !== 'body') continue
+    lines.push(...readTextBody(child(shape, 'p:txBody')).map(p => p.text))
+  }
+  return lines.join('\n')
+}
+
+/**
+ * 按演示文稿中的顺序列出幻灯片部件
+ */
+function listSlideParts(zip) {
+  const presentation = readXmlPart(zip, 'ppt/presentation.xml')
+  if (!presentation) {
+    throw new Error('不是有效的 PowerPoint 演示文稿（缺少 ppt/presentation.xml）')
+  }
+
+  const relationships = readRelationships(zip, 'ppt/presentation.xml')
+  return findAll(child(presentation, 'p:presentation') || presentation, 'p:sldId')
+    .map(slideId => relationships.get(slideId.attrs['r:id'])?.target)
+    .filter(part => part && zip.getEntry(part))
+}
+
+/**
+ * 解析 PPTX 文件
+ * @param {Buffer} buffer - 文件 Buffer
+ * @param {string} filename - 文件名
+ * @param {object} options - maxChars: 提取文本的字符上限
+ * @returns {object} 解析结果
+ */
+export function parsePptx(buffer, filename, options = {}) {
+  const { maxChars = DEFAULT_MAX_OFFICE_CHARS } = options
+
+  const zip = openPackage(buffer)
+  const slideParts = listSlideParts(zip)
+
+  const result = {
+    filename,
+    metadata: readCoreProperties(zip),
+    slideCount: slideParts.length,
+    slides: [],
+    charCount: 0,
+    truncated: false
+  }
+
+  for (const [index, part] of slideParts.entries()) {
+    const xml = readXmlPart(zip, part)
+    const slideNode = child(xml, 'p:sld')
+    const slide = {
+      number: index + 1,
+      title: null,
+      body: [],
+      notes: '',
+      hidden: slideNode?.attrs.show === '0'
+    }
+
+    readShapes(find(slideNode, 'p:spTree'), slide)
+
+    const notesRel = [...readRelationships(zip, part).values()].find(rel => rel.type.endsWith('/notesSlide'))
+    if (notesRel) slide.notes = readNotes(zip, notesRel.target)
+
+    const length = (slide.title || '').length + slide.body.join('\n').length + slide.notes.length
+    if (result.charCount + length > maxChars && result.slides.length > 0) {
+      result.truncated = true
+      break
+    }
+
+    result.charCount += length
+    result.slides.push(slide)
+  }
+
+  return result
+}
+
+/**
+ * 将 PPTX 解析结果格式化为适合 AI 阅读的文本
+ */
+export function formatPptxForAI(parseResult) {
+  const { filename, metadata, slideCount, slides } = parseResult
+  const lines = [`📙 **PowerPoint 演示文稿: ${filename}**`, '']
+
+  if (metadata.title) lines.push(`- 标题: ${metadata.title}`)
+  if (metadata.author) lines.push(`- 作者: ${metadata.author}`)
+  lines.push(`- 幻灯片: ${slideCount} 张`)
+  if (parseResult.truncated) lines.push(`- 演示文稿较长，只显示前 ${slides.length} 张`)
+
+  for (const slide of slides) {
+    const hidden = slide.hidden ? '（隐藏）' : ''
+    lines.push('', `--- 第 ${slide.number} 张${hidden}: ${slide.title || '(无标题)'} ---`)
+    if (slide.body.length > 0) lines.push(...slide.body)
+    if (slide.notes) {
+      lines.push('', ...slide.notes.split('\n').map(line => `> 备注: ${line}`))
+    }
+  }
+
+  return lines.join('\n')
+}
@@ -0,0 +1,202 @@
+/**
+ * PDF 解析 - 提取元数据和逐页文本，长文档按页范围读取或抽样
+ */
+
+import { DEFAULT_COMMAND_PREFIX } from './message-trigger.js'
+
+export const DEFAULT_MAX_PDF_PAGES = parseInt(process.env.MATRIX_PDF_MAX_PAGES || '20')
+export const DEFAULT_MAX_PDF_CHARS = parseInt(process.env.MATRIX_PDF_MAX_CHARS || '30000')
+
+/**
+ * 解析页范围，如 "3-7"、"1,4,9-12"、"10-"（到最后一页）
+ * @returns {number[]} 升序、去重的页码
+ */
+export function parsePageRange(spec, pageCount) {
+  const pages = new Set()
+
+  for (const part of String(spec).split(',').map(item => item.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)?\s*(-)?\s*(\d+)?$/)
+    if (!match || (!match[1] && !match[3])) {
+      throw new Error(`无效的页范围: ${part}`)
+    }
+
+    const start = parseInt(match[1] || '1')
+    const end = match[2] ? parseInt(match[3] || String(pageCount)) : start
+    if (start < 1 || end < start) {
+      throw new Error(`无效的页范围: ${part}`)
+    }
+    if (start > pageCount) {
+      throw new Error(`页码 ${start} 超出范围（共 ${pageCount} 页）`)
+    }
+
+    for (let page = start; page <= Math.min(end, pageCount); page++) {
+      pages.add(page)
+    }
+  }
+
+  if (pages.size === 0) {
+    throw new Error('页范围为空')
+  }
+  return [...pages].sort((a, b) => a - b)
+}
+
+/**
+ * 长文档抽样：前半取开头的连续页，其余从剩下的页中均匀选取（包含最后一页）
+ */
+export function samplePages(pageCount, maxPages) {
+  if (pageCount <= maxPages) {
+    return Array.from({ length: pageCount }, (_, index) => index + 1)
+  }
+
+  const headCount = Math.ceil(maxPages / 2)
+  const pages = Array.from({ length: headCount }, (_, index) => index + 1)
+  const restCount = maxPages - headCount
+  const span = pageCount - headCount
+
+  for (let i = 1; i <= restCount; i++) {
+    pages.push(headCount + Math.round(i * span / restCount))
+  }
+  return [...new Set(pages)]
+}
+
+/**
+ * 把页码列表压缩为范围描述，如 [1,2,3,7,9,10] -> "1-3, 7, 9-10"
+ */
+export function formatPageList(pages) {
+  const ranges = []
+  for (const page of pages) {
+    const last = ranges[ranges.length - 1]
+    if (last && page === last[1] + 1) {
+      last[1] = page
+    } else {
+      ranges.push([page, page])
+    }
+  }
+  return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(', ')
+}
+
+/**
+ * 把页面的文本片段拼接为文本（按片段的换行标记分行）
+ */
+function joinTextItems(items) {
+  let text = ''
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue
+    text += item.str
+    if (item.hasEOL) text += '\n'
+  }
+  return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim()
+}
+
+/**
+ * 解析 PDF 日期（D:YYYYMMDDHHmmSS）
+ */
+function parsePdfDate(value) {
+  const match = String(value || '').match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/)
+  if (!match) return null
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00'] = match
+  return `${year}-${month}-${day} ${hour}:${minute}:${second}`
+}
+
+/**
+ * 解析 PDF 文件
+ * @param {Buffer} buffer - 文件 Buffer
+ * @param {string} filename - 文件名
+ * @param {object} options - pages: 页范围（省略时长文档自动抽样）, maxPages, maxChars
+ * @returns {Promise<object>} 解析结果
+ */
+export async function parsePdf(buffer, filename, options = {}) {
+  const {
+    pages: pageSpec = null,
+    maxPages = DEFAULT_MAX_PDF_PAGES,
+    maxChars = DEFAULT_MAX_PDF_CHARS
+  } = options
+
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs')
+  const document = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: true,
+    verbosity: 0
+  }).promise
+
+  try {
+    const pageCount = document.numPages
+    const { info = {} } = await document.getMetadata().catch(() => ({}))
+
+    const requested = pageSpec ? parsePageRange(pageSpec, pageCount) : samplePages(pageCount, maxPages)
+    const selected = requested.slice(0, maxPages)
+
+    const result = {
+      filename,
+      metadata: {
+        title: info.Title || null,
+        author: info.Author || null,
+        subject: info.Subject || null,
+        creator: info.Creator || null,
+        producer: info.Producer || null,
+        createdAt: parsePdfDate(info.CreationDate)
+      },
+      pageCount,
+      pages: [],
+      sampled: !pageSpec && selected.length < pageCount,
+      truncated: requested.length > selected.length,
+      charCount: 0
+    }
+
+    for (const number of selected) {
+      const page = await document.getPage(number)
+      const content = await page.getTextContent()
+      let text = joinTextItems(content.items)
+      page.cleanup()
+
+      // 超过字符上限后截断并停止读取后续页
+      if (result.charCount + text.length > maxChars) {
+        text = text.substring(0, Math.max(maxChars - result.charCount, 0)) + '\n... (内容已截断)'
+        result.pages.push({ number, text })
+        result.truncated = true
+        break
+      }
+
+      result.charCount += text.length
+      result.pages.push({ number, text })
+    }
+
+    return result
+
+  } finally {
+    await document.destroy()
+  }
+}
+
+/**
+ * 将 PDF 解析结果格式化为适合 AI 阅读的分页文本
+ * @param {object} options - commandPrefix: 房间的命令前缀（用于操作提示）
+ */
+export function formatPdfForAI(parseResult, options = {}) {
+  const { commandPrefix = DEFAULT_COMMAND_PREFIX } = options
+  const { filename, metadata, pageCount, pages } = parseResult
+  const lines = [`📕 **PDF 文件: ${filename}**`, '']
+
+  if (metadata.title) lines.push(`- 标题: ${metadata.title}`)
+  if (metadata.author) lines.push(`- 作者: ${metadata.author}`)
+  if (metadata.subject) lines.push(`- 主题: ${metadata.subject}`)
+  if (metadata.createdAt) lines.push(`- 创建时间: ${metadata.createdAt}`)
+  lines.push(`- 页数: ${pageCount}`)
+
+  const pageList = formatPageList(pages.map(page => page.number))
+  let extracted = `- 已提取: 第 ${pageList} 页`
+  if (parseResult.sampled) extracted += '（文档较长，已抽样）'
+  if (parseResult.truncated) extracted += '（已达到读取上限）'
+  lines.push(extracted)
+
+  if (parseResult.sampled || parseResult.truncated) {
+    lines.push(`- 使用 \`${commandPrefix} file pages 3-7\` 读取指定页`)
+  }
+
+  for (const page of pages) {
+    lines.push('', `--- 第 ${page.number} 页 ---`, page.text || '(本页没有可提取的文本，可能是扫描图片)')
+  }
+
+  return lines.join('\n')
+}
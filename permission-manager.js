@@ -0,0 +1,293 @@
+import { PreferenceStore } from './preference-store.js'
+
+// 角色按权限从低到高排列
+export const ROLES = ['viewer', 'user', 'operator', 'admin']
+
+export const ROLE_DESCRIPTIONS = {
+  viewer: '只读：查看状态、模型和对话记忆',
+  user: '普通用户：与AI对话、切换个人模型、管理会话',
+  operator: '运维：运行代码、执行Shell命令、修改房间设置',
+  admin: '管理员：全局设置和角色管理'
+}
+
+// 授予房间内所有成员时使用的用户标识
+export const ALL_USERS = '*'
+
+// 权限要求加上此前缀表示需要全局角色（如 global:admin），用于影响整个机器人的操作
+export const GLOBAL_ROLE_PREFIX = 'global:'
+
+const POWER_LEVEL_CACHE_MS = 60 * 1000
+
+/**
+ * 比较角色高低，role 不低于 required 时返回 true（required 不是已知角色时拒绝）
+ */
+export function roleAtLeast(role, required) {
+  const requiredIndex = ROLES.indexOf(required)
+  return requiredIndex !== -1 && ROLES.indexOf(role) >= requiredIndex
+}
+
+/**
+ * 解析权限要求，如 "operator" 或 "global:admin"
+ * @returns {{ role: string, global: boolean }}
+ */
+export function parseRequirement(required) {
+  return required.startsWith(GLOBAL_ROLE_PREFIX)
+    ? { role: required.slice(GLOBAL_ROLE_PREFIX.length), global: true }
+    : { role: required, global: false }
+}
+
+/**
+ * 取两个角色中较高的一个
+ */
+function higherRole(a, b) {
+  if (!a) return b
+  if (!b) return a
+  return roleAtLeast(a, b) ? a : b
+}
+
+/**
+ * 解析权限等级映射，如 "100:admin,50:operator,0:user"
+ * @returns {Array<{ level: number, role: string }>} 按等级从高到低排列
+ */
+export function parsePowerLevelRoles(text) {
+  if (!text) return []
+
+  return text.split(',')
+    .map(item => item.trim().split(':'))
+    .filter(([level, role]) => level !== '' && !isNaN(Number(level)) && ROLES.includes(role?.trim()))
+    .map(([level, role]) => ({ level: Number(level), role: role.trim() }))
+    .sort((a, b) => b.level - a.level)
+}
+
+/**
+ * 权限管理器 - 按用户和房间分配角色，并可根据房间权限等级映射角色
+ *
+ * 有效角色取以下来源中最高的一个：默认角色、管理员列表、全局授权、
+ * 房间授权（指定用户或房间内所有人）、房间权限等级映射。
+ * 全局角色只取前三个来源，房间管理员不能借此获得影响整个机器人的权限。
+ */
+export class PermissionManager {
+  constructor(store = null, options = {}) {
+    this.store = store || new PreferenceStore()
+    this.db = null
+    this.defaultRole = ROLES.includes(options.defaultRole || process.env.MATRIX_DEFAULT_ROLE)
+      ? (options.defaultRole || process.env.MATRIX_DEFAULT_ROLE)
+      : 'user'
+    this.adminUsers = options.adminUsers || (process.env.MATRIX_ADMIN_USERS
+      ? process.env.MATRIX_ADMIN_USERS.split(',').map(user => user.trim()).filter(Boolean)
+      : [])
+    this.powerLevelRoles = options.powerLevelRoles || parsePowerLevelRoles(process.env.MATRIX_POWER_LEVEL_ROLES)
+    this.powerLevelCache = new Map()   // 房间ID -> { content, fetchedAt }
+    this.powerLevelFilter = null       // (roomId) => 是否采信该房间的权限等级，如私聊中用户自己就是房主
+  }
+
+  /**
+   * 创建角色分配表（room_id 为空字符串表示全局授权）
+   */
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS role_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        room_id TEXT NOT NULL DEFAULT '',
+        role TEXT NOT NULL,
+        granted_by TEXT,
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, room_id)
+      )
+    `)
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_role_assignments_room ON role_assignments(room_id)
+    `)
+  }
+
+  /**
+   * 授予角色
+   * @param {object} options - roomId: 房间（省略为全局）; grantedBy: 授权人
+   */
+  async grant(userId, role, options = {}) {
+    await this.ensureInitialized()
+
+    if (!ROLES.includes(role)) {
+      throw new Error(`无效的角色: ${role}`)
+    }
+
+    const { roomId = '', grantedBy = 'system' } = options
+
+    try {
+      this.db.prepare(`
+        INSERT INTO role_assignments (user_id, room_id, role, granted_by, granted_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, room_id) DO UPDATE SET
+          role = excluded.role,
+          granted_by = excluded.granted_by,
+          granted_at = excluded.granted_at
+      `).run(userId, roomId, role, grantedBy, new Date().toISOString())
+
+      return { success: true, userId, roomId, role }
+
+    } catch (error) {
+      console.error('❌ 授予角色失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 撤销角色
+   * @returns {Promise<{ success: boolean, previous: string|null }>}
+   */
+  async revoke(userId, options = {}) {
+    await this.ensureInitialized()
+
+    const { roomId = '' } = options
+
+    try {
+      const row = this.db.prepare('SELECT role FROM role_assignments WHERE user_id = ? AND room_id = ?')
+        .get(userId, roomId)
+      this.db.prepare('DELETE FROM role_assignments WHERE user_id = ? AND room_id = ?').run(userId, roomId)
+
+      return { success: true, previous: row?.role || null }
+
+    } catch (error) {
+      console.error('❌ 撤销角色失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 列出房间内及全局的角色分配
+   */
+  async listAssignments(roomId) {
+    await this.ensureInitialized()
+
+    try {
+      return this.db.prepare(`
+        SELECT user_id, room_id, role, granted_by, granted_at
+        FROM role_assignments
+        WHERE room_id = ? OR room_id = ''
+        ORDER BY room_id DESC, user_id
+      `).all(roomId)
+
+    } catch (error) {
+      console.error('❌ 获取角色列表失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 获取用户的全局角色（默认角色、管理员列表和全局授权，不含房间授权和房间权限等级）
+   * @returns {Promise<{ role: string, sources: string[] }>}
+   */
+  async getGlobalRole(userId) {
+    return this.getRole(null, '', userId)
+  }
+
+  /**
+   * 获取用户在房间中的有效角色（roomId 为空时只取全局来源）
+   * @param {object} client - Matrix客户端（用于读取房间权限等级，可为空）
+   * @returns {Promise<{ role: string, sources: string[] }>} sources 为决定角色的来源说明
+   */
+  async getRole(client, roomId, userId) {
+    await this.ensureInitialized()
+
+    let role = this.defaultRole
+    const sources = [`默认: ${this.defaultRole}`]
+
+    const consider = (candidate, source) => {
+      if (!candidate) return
+      sources.push(`${source}: ${candidate}`)
+      role = higherRole(role, candidate)
+    }
+
+    if (this.adminUsers.some(admin => admin.toLowerCase() === userId.toLowerCase())) {
+      consider('admin', 'MATRIX_ADMIN_USERS')
+    }
+
+    if (!roomId) {
+      const row = this.db.prepare(`
+        SELECT role FROM role_assignments WHERE user_id = ? AND room_id = ''
+      `).get(userId)
+      consider(row?.role, '全局授权')
+      return { role, sources }
+    }
+
+    const rows = this.db.prepare(`
+      SELECT user_id, room_id, role FROM role_assignments
+      WHERE user_id IN (?, ?) AND room_id IN (?, '')
+    `).all(userId, ALL_USERS, roomId)
+
+    for (const row of rows) {
+      const target = row.user_id === ALL_USERS ? '房间成员' : (row.room_id ? '房间授权' : '全局授权')
+      consider(row.role, target)
+    }
+
+    consider(await this.getPowerLevelRole(client, roomId, userId), '房间权限等级')
+
+    return { role, sources }
+  }
+
+  /**
+   * 检查用户是否具有指定角色（required 可带 global: 前缀）
+   */
+  async hasRole(client, roomId, userId, required) {
+    const requirement = parseRequirement(required)
+    const { role } = requirement.global
+      ? await this.getGlobalRole(userId)
+      : await this.getRole(client, roomId, userId)
+    return roleAtLeast(role, requirement.role)
+  }
+
+  /**
+   * 根据房间权限等级映射角色（未配置 MATRIX_POWER_LEVEL_ROLES 时返回 null）
+   */
+  async getPowerLevelRole(client, roomId, userId) {
+    if (this.powerLevelRoles.length === 0 || !client || !roomId) {
+      return null
+    }
+
+    try {
+      if (this.powerLevelFilter && !await this.powerLevelFilter(roomId)) {
+        return null
+      }
+
+      const powerLevels = await this.getPowerLevels(client, roomId)
+      const level = powerLevels?.users?.[userId] ?? powerLevels?.users_default ?? 0
+      return this.powerLevelRoles.find(mapping => level >= mapping.level)?.role || null
+    } catch (error) {
+      console.log(`读取房间 ${roomId} 权限等级失败:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * 读取房间权限等级（带短时缓存）
+   */
+  async getPowerLevels(client, roomId) {
+    const cached = this.powerLevelCache.get(roomId)
+    if (cached && Date.now() - cached.fetchedAt < POWER_LEVEL_CACHE_MS) {
+      return cached.content
+    }
+
+    const content = await client.getRoomStateEvent(roomId, 'm.room.power_levels', '')
+    this.powerLevelCache.set(roomId, { content, fetchedAt: Date.now() })
+    return content
+  }
+
+  /**
+   * 房间权限等级变化时清除缓存
+   */
+  invalidatePowerLevels(roomId) {
+    this.powerLevelCache.delete(roomId)
+  }
+
+  /**
+   * 确保已初始化：首次使用时创建角色分配表
+   */
+  async ensureInitialized() {
+    await this.store.attach(this, (db) => {
+      this.db = db
+      this.createTables()
+    })
+  }
+}
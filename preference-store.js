@@ -13,6 +13,7 @@ export class PreferenceStore {
     this.db = null
     this.dbPath = dbPath || join(__dirname, '../data/model-preferences.db')
     this.initialized = false
+    this.attachments = new WeakMap()   // 子系统 -> 其初始化过程
   }
   
   /**
@@ -470,6 +471,21 @@ export class PreferenceStore {
     }
   }
   
+  /**
+   * 供其他子系统复用数据库连接：首次调用时确保连接可用并执行 setup(db)
+   * （创建该子系统的表、加载数据），之后直接返回；并发调用共享同一次初始化
+   * @param {object} owner - 子系统实例
+   * @param {(db: Database) => void} setup
+   */
+  async attach(owner, setup) {
+    if (!this.attachments.has(owner)) {
+      const attaching = this.ensureInitialized().then(() => setup(this.db))
+      this.attachments.set(owner, attaching)
+      attaching.catch(() => this.attachments.delete(owner))
+    }
+    await this.attachments.get(owner)
+  }
+  
   /**
    * 关闭数据库连接
    */
@@ -0,0 +1,106 @@
+/**
+ * 反应操作 - 用户对机器人消息的表情反应触发的操作（重新生成、删除、确认、从列表中选择等）
+ *
+ * 处理函数发送消息后用 register 为该消息登记可用的反应；收到对该消息的 m.reaction 时
+ * 按表情调用对应的操作。登记只保存在内存中，超过有效期或数量上限后自动丢弃。
+ */
+
+export const DEFAULT_REACTION_TTL_MS = parseInt(process.env.MATRIX_REACTION_TTL_MS || '86400000')
+export const MAX_REACTION_ENTRIES = parseInt(process.env.MATRIX_REACTION_MAX_ENTRIES || '1000')
+
+// 从列表中选择时使用的数字表情（最多 10 项）
+export const NUMBER_REACTIONS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟']
+
+/**
+ * 规范化反应表情：去掉变体选择符，使 ✅ 与 ✅️ 等写法一致
+ */
+export function normalizeReactionKey(key) {
+  return String(key || '').replace(/\uFE0F/g, '')
+}
+
+export class ReactionActions {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULT_REACTION_TTL_MS
+    this.maxEntries = options.maxEntries ?? MAX_REACTION_ENTRIES
+    this.entries = new Map()   // 事件ID -> 登记
+  }
+
+  /**
+   * 为消息登记反应操作，同一消息重复登记时替换原有登记
+   * @param {string} roomId - 房间ID
+   * @param {string} eventId - 机器人消息的事件ID
+   * @param {object[]} actions - { keys: 触发的表情, description, handler(context) }
+   * @param {object} options - ttlMs: 有效期
+   */
+  register(roomId, eventId, actions, options = {}) {
+    if (!eventId) return null
+    this.remove(eventId)
+
+    const ttlMs = options.ttlMs ?? this.ttlMs
+    const entry = {
+      roomId,
+      eventId,
+      actions: actions.map(action => ({ ...action, keys: action.keys.map(normalizeReactionKey) })),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttlMs
+    }
+
+    entry.timer = setTimeout(() => {
+      if (this.entries.get(eventId) === entry) this.entries.delete(eventId)
+    }, ttlMs)
+    entry.timer.unref?.()
+
+    this.entries.set(eventId, entry)
+
+    // 超过上限时丢弃最早的登记
+    while (this.entries.size > this.maxEntries) {
+      this.remove(this.entries.keys().next().value)
+    }
+
+    return entry
+  }
+
+  /**
+   * 消息是否有登记的反应操作
+   */
+  has(eventId) {
+    return this.entries.has(eventId)
+  }
+
+  /**
+   * 移除消息的反应操作
+   */
+  remove(eventId) {
+    const entry = this.entries.get(eventId)
+    if (!entry) return false
+
+    clearTimeout(entry.timer)
+    this.entries.delete(eventId)
+    return true
+  }
+
+  /**
+   * 处理 m.reaction 事件，调用匹配的操作
+   * @returns {Promise<boolean>} 是否有操作被触发
+   */
+  async handle(roomId, event) {
+    const relatesTo = event?.content?.['m.relates_to']
+    if (relatesTo?.rel_type !== 'm.annotation') {
+      return false
+    }
+
+    const entry = this.entries.get(relatesTo.event_id)
+    if (!entry || entry.roomId !== roomId) {
+      return false
+    }
+
+    const key = normalizeReactionKey(relatesTo.key)
+    const action = entry.actions.find(item => item.keys.includes(key))
+    if (!action) {
+      return false
+    }
+
+    await action.handler({ roomId, sender: event.sender, key, event, entry })
+    return true
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * 回复上下文 - 决定机器人回复如何关联到触发消息（线程 / 回复 / 不关联）
+ */
+
+import { buildThreadRelation } from './message-chunker.js'
+
+export const REPLY_MODES = ['thread', 'reply', 'off']
+// 默认以引用回复：thread 方式下每条房间消息都是新线程的根，各自使用独立的对话记忆和OpenCode会话
+export const DEFAULT_REPLY_MODE = REPLY_MODES.includes(process.env.MATRIX_REPLY_MODE)
+  ? process.env.MATRIX_REPLY_MODE
+  : 'reply'
+
+/**
+ * 获取事件所在线程的根事件ID（不在线程中时返回 null）
+ */
+export function getThreadRoot(event) {
+  const relatesTo = event?.content?.['m.relates_to']
+  return relatesTo?.rel_type === 'm.thread' ? relatesTo.event_id : null
+}
+
+/**
+ * 根据房间回复模式解析回复上下文
+ * @param {object} event - 触发事件
+ * @param {string} replyMode - thread | reply | off
+ * @returns {{ threadId: string, threadRootId: string|null, relatesTo: object|null }}
+ *   threadId 为对话上下文的键（房间级对话为空字符串）
+ */
+export function resolveReplyContext(event, replyMode = DEFAULT_REPLY_MODE) {
+  const eventId = event.event_id
+  const existingRoot = getThreadRoot(event)
+
+  // 已在线程中的消息始终在该线程内回复
+  if (existingRoot) {
+    return {
+      threadId: existingRoot,
+      threadRootId: existingRoot,
+      relatesTo: buildThreadRelation(existingRoot, eventId)
+    }
+  }
+
+  if (replyMode === 'thread') {
+    return {
+      threadId: eventId,
+      threadRootId: eventId,
+      relatesTo: buildThreadRelation(eventId, eventId)
+    }
+  }
+
+  if (replyMode === 'reply') {
+    return {
+      threadId: '',
+      threadRootId: null,
+      relatesTo: { 'm.in_reply_to': { event_id: eventId } }
+    }
+  }
+
+  return { threadId: '', threadRootId: null, relatesTo: null }
+}
+
+/**
+ * 恢复原提问的回复上下文：编辑事件本身不带线程关系，按记录的线程重新构建
+ * @param {string} sourceEventId - 被编辑的原始消息ID
+ * @param {string} threadId - 原提问所在对话的线程（房间级对话为空字符串）
+ */
+export function restoreReplyContext(sourceEventId, threadId = '') {
+  if (!threadId) {
+    return { threadId: '', threadRootId: null, relatesTo: null }
+  }
+  return {
+    threadId,
+    threadRootId: threadId,
+    relatesTo: buildThreadRelation(threadId, sourceEventId)
+  }
+}
+
+/**
+ * 创建绑定回复上下文的客户端：向当前房间发送的、未自带关联关系的消息
+ * 会自动关联到触发消息。其余方法与原客户端一致。
+ */
+export function createReplyClient(client, roomId, replyContext) {
+  const replyClient = Object.create(client)
+
+  replyClient.threadRootId = replyContext.threadRootId
+  replyClient.replyContext = replyContext
+  replyClient.sendMessage = async (targetRoomId, content) => {
+    if (targetRoomId === roomId && replyContext.relatesTo && !content['m.relates_to']) {
+      content = { ...content, 'm.relates_to': replyContext.relatesTo }
+    }
+    return await client.sendMessage(targetRoomId, content)
+  }
+
+  return replyClient
+}
+
+/**
+ * 创建记录已发送消息的客户端：sentEventIds 收集经它发送的消息事件ID（不含编辑），
+ * 用于之后整体删除或为回复登记反应操作。其余方法与原客户端一致。
+ */
+export function createRecordingClient(client) {
+  const recordingClient = Object.create(client)
+
+  recordingClient.sentEventIds = []
+  recordingClient.sendMessage = async (roomId, content) => {
+    const eventId = await client.sendMessage(roomId, content)
+    if (content?.['m.relates_to']?.rel_type !== 'm.replace') {
+      recordingClient.sentEventIds.push(eventId)
+    }
+    return eventId
+  }
+
+  return recordingClient
+}
@@ -0,0 +1,134 @@
+import { PreferenceStore } from './preference-store.js'
+
+/**
+ * 回复关联 - 记录用户消息与机器人回复之间的对应关系，
+ * 用户编辑提问时据此编辑原回复，撤回提问时一并撤回回复
+ */
+export class ReplyLinks {
+  constructor(store = null, options = {}) {
+    this.store = store || new PreferenceStore()
+    this.db = null
+    this.retentionDays = options.retentionDays ?? parseInt(process.env.MATRIX_REPLY_LINK_RETENTION_DAYS || '30')
+  }
+
+  /**
+   * 创建回复关联表
+   */
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS reply_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT NOT NULL,
+        source_event_id TEXT NOT NULL,
+        sender TEXT,
+        thread_id TEXT NOT NULL DEFAULT '',
+        reply_event_ids TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(room_id, source_event_id)
+      )
+    `)
+  }
+
+  /**
+   * 记录用户消息对应的回复（已有记录时替换为新的回复）
+   * @param {string[]} replyEventIds - 回复的事件ID，第一个为主消息
+   * @param {object} options - sender, threadId
+   */
+  async link(roomId, sourceEventId, replyEventIds, options = {}) {
+    await this.ensureInitialized()
+
+    const { sender = null, threadId = '' } = options
+
+    try {
+      const now = new Date().toISOString()
+
+      this.db.prepare(`
+        INSERT INTO reply_links (room_id, source_event_id, sender, thread_id, reply_event_ids, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(room_id, source_event_id) DO UPDATE SET
+          reply_event_ids = excluded.reply_event_ids,
+          updated_at = excluded.updated_at
+      `).run(roomId, sourceEventId, sender, threadId || '', JSON.stringify(replyEventIds), now, now)
+
+      return { success: true, roomId, sourceEventId, replyEventIds }
+
+    } catch (error) {
+      console.error('❌ 保存回复关联失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 获取用户消息对应的回复
+   * @returns {Promise<{ roomId, sourceEventId, sender, threadId, replyEventIds: string[] }|null>}
+   */
+  async get(roomId, sourceEventId) {
+    await this.ensureInitialized()
+
+    try {
+      const row = this.db.prepare(`
+        SELECT room_id, source_event_id, sender, thread_id, reply_event_ids
+        FROM reply_links
+        WHERE room_id = ? AND source_event_id = ?
+      `).get(roomId, sourceEventId)
+
+      return row
+        ? {
+            roomId: row.room_id,
+            sourceEventId: row.source_event_id,
+            sender: row.sender,
+            threadId: row.thread_id,
+            replyEventIds: JSON.parse(row.reply_event_ids)
+          }
+        : null
+
+    } catch (error) {
+      console.error('❌ 获取回复关联失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 删除用户消息的回复关联
+   */
+  async remove(roomId, sourceEventId) {
+    await this.ensureInitialized()
+
+    try {
+      const result = this.db.prepare('DELETE FROM reply_links WHERE room_id = ? AND source_event_id = ?')
+        .run(roomId, sourceEventId)
+      return result.changes > 0
+
+    } catch (error) {
+      console.error('❌ 删除回复关联失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 清理超过保留天数的关联
+   */
+  prune() {
+    try {
+      const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString()
+      const result = this.db.prepare('DELETE FROM reply_links WHERE updated_at < ?').run(cutoff)
+      if (result.changes > 0) {
+        console.log(`✅ 已清理 ${result.changes} 条过期的回复关联`)
+      }
+    } catch (error) {
+      console.error('❌ 清理回复关联失败:', error.message)
+    }
+  }
+
+  /**
+   * 确保已初始化：首次使用时创建回复关联表并清理过期的关联
+   */
+  async ensureInitialized() {
+    await this.store.attach(this, (db) => {
+      this.db = db
+      this.createTables()
+      this.prune()
+    })
+  }
+}
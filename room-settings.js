@@ -0,0 +1,113 @@
+import { PreferenceStore } from './preference-store.js'
+
+/**
+ * 房间设置存储 - 按房间保存键值形式的配置（如回复模式）
+ */
+export class RoomSettings {
+  constructor(store = null) {
+    this.store = store || new PreferenceStore()
+    this.db = null
+    this.cache = new Map()   // 房间ID -> { key: value }
+  }
+
+  /**
+   * 创建房间设置表
+   */
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS room_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT,
+        updated_by TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(room_id, key)
+      )
+    `)
+  }
+
+  /**
+   * 获取房间的全部设置
+   */
+  async getAll(roomId) {
+    await this.ensureInitialized()
+
+    if (this.cache.has(roomId)) {
+      return { ...this.cache.get(roomId) }
+    }
+
+    try {
+      const rows = this.db.prepare('SELECT key, value FROM room_settings WHERE room_id = ?').all(roomId)
+      const settings = Object.fromEntries(rows.map(row => [row.key, row.value]))
+      this.cache.set(roomId, settings)
+      return { ...settings }
+
+    } catch (error) {
+      console.error('❌ 获取房间设置失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 获取单个设置，未设置时返回默认值
+   */
+  async get(roomId, key, defaultValue = null) {
+    const settings = await this.getAll(roomId)
+    return settings[key] ?? defaultValue
+  }
+
+  /**
+   * 保存单个设置
+   */
+  async set(roomId, key, value, updatedBy = 'system') {
+    await this.ensureInitialized()
+
+    try {
+      const now = new Date().toISOString()
+
+      this.db.prepare(`
+        INSERT INTO room_settings (room_id, key, value, updated_by, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(room_id, key) DO UPDATE SET
+          value = excluded.value,
+          updated_by = excluded.updated_by,
+          updated_at = excluded.updated_at
+      `).run(roomId, key, value, updatedBy, now)
+
+      this.cache.delete(roomId)
+      return { success: true, roomId, key, value }
+
+    } catch (error) {
+      console.error('❌ 保存房间设置失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 删除单个设置（恢复默认）
+   */
+  async reset(roomId, key) {
+    await this.ensureInitialized()
+
+    try {
+      this.db.prepare('DELETE FROM room_settings WHERE room_id = ? AND key = ?').run(roomId, key)
+      this.cache.delete(roomId)
+      return { success: true, roomId, key }
+
+    } catch (error) {
+      console.error('❌ 重置房间设置失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 确保已初始化：首次使用时创建房间设置表
+   */
+  async ensureInitialized() {
+    await this.store.attach(this, (db) => {
+      this.db = db
+      this.createTables()
+    })
+  }
+}
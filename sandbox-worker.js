@@ -0,0 +1,163 @@
+/**
+ * 沙箱工作线程 - 在独立的 vm 上下文中执行代码，由 code-sandbox.js 启动
+ *
+ * 沙箱内只有该上下文自身的内置对象和冻结的 console，不会传入任何宿主对象；
+ * 结果和输出都在沙箱内序列化为字符串后再取出，避免宿主对象泄漏到沙箱中。
+ * 全局对象和内置原型在运行代码前冻结，因此代码不能声明顶层 var/function（请用 let/const）。
+ */
+
+import { parentPort, workerData } from 'worker_threads'
+import vm from 'vm'
+
+const { code, timeoutMs, maxLogLines, maxLogLength } = workerData
+
+// 在沙箱内部定义 console 和序列化函数（全部属于沙箱自身的 realm）
+const PRELUDE = `
+  'use strict';
+  (() => {
+    const logs = [];
+    let logLength = 0;
+    const format = (value) => {
+      if (typeof value === 'string') return value;
+      if (value === undefined) return 'undefined';
+      if (typeof value === 'function') return '[Function ' + (value.name || 'anonymous') + ']';
+      if (typeof value === 'bigint') return value + 'n';
+      if (typeof value === 'symbol') return value.toString();
+      if (value instanceof Error) return value.name + ': ' + value.message;
+      try {
+        const json = JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item + 'n' : item, 2);
+        return json === undefined ? String(value) : json;
+      } catch {
+        return String(value);
+      }
+    };
+    const write = (level) => (...args) => {
+      if (logs.length >= ${maxLogLines} || logLength >= ${maxLogLength}) return;
+      const line = (level ? '[' + level + '] ' : '') + args.map(format).join(' ');
+      logs.push(line);
+      logLength += line.length;
+    };
+    const console = Object.freeze({
+      log: write(''),
+      info: write(''),
+      debug: write(''),
+      warn: write('warn'),
+      error: write('error')
+    });
+    // 执行结果保存在闭包中，全局对象冻结后宿主仍可交回结果并轮询状态
+    let result;
+    let settled;
+    const settle = () => {
+      if (result && typeof result.then === 'function') {
+        Promise.resolve(result).then(
+          value => { settled = JSON.stringify({ result: format(value) }) },
+          reason => { settled = JSON.stringify({ error: format(reason) }) }
+        );
+      } else {
+        settled = JSON.stringify({ result: format(result) });
+      }
+    };
+    Object.defineProperty(globalThis, 'console', { value: console, enumerable: false });
+    Object.defineProperty(globalThis, '__sandbox', {
+      value: Object.freeze({
+        logs: () => JSON.stringify(logs),
+        hold: (value) => { result = value },
+        settle,
+        settled: () => String(settled)
+      }),
+      enumerable: false
+    });
+
+    // 冻结全局对象及其可达的内置对象和原型（包括不挂在全局上的迭代器、生成器等内置原型）
+    const seen = new Set();
+    const harden = (value) => {
+      if ((typeof value !== 'object' && typeof value !== 'function') || value === null || seen.has(value)) return;
+      seen.add(value);
+      try {
+        Object.freeze(value);
+      } catch (error) {
+        // 不支持 DONT_CONTEXTIFY 的旧版 Node 上全局对象无法冻结，只冻结其上的内置对象
+        if (value !== globalThis) throw error;
+      }
+      harden(Object.getPrototypeOf(value));
+      for (const key of Reflect.ownKeys(value)) {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+        if (!descriptor) continue;
+        harden(descriptor.value);
+        harden(descriptor.get);
+        harden(descriptor.set);
+      }
+    };
+    const hidden = [
+      function* () {},
+      async function () {},
+      async function* () {},
+      [][Symbol.iterator](),
+      ''[Symbol.iterator](),
+      new Map()[Symbol.iterator](),
+      new Set()[Symbol.iterator](),
+      /./[Symbol.matchAll](''),
+      (function* () {})(),
+      (async function* () {})(),
+      Object.getPrototypeOf(Int8Array)
+    ];
+    harden(globalThis);
+    hidden.forEach(harden);
+  })();
+`
+
+/**
+ * 将沙箱内抛出的错误转换为说明文字
+ */
+function describeError(error) {
+  if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+    return `执行超时 (${timeoutMs}ms)`
+  }
+  const message = String(error?.message ?? error ?? '执行失败')
+  return error?.name ? `${error.name}: ${message}` : message
+}
+
+/**
+ * 在沙箱内执行脚本并取回字符串结果
+ */
+function runString(context, script) {
+  return String(vm.runInContext(script, context, { timeout: timeoutMs }))
+}
+
+async function main() {
+  // DONT_CONTEXTIFY 创建普通的全局对象，这样才能被冻结
+  const context = vm.createContext(vm.constants?.DONT_CONTEXTIFY ?? Object.create(null), {
+    name: 'opencode-run',
+    codeGeneration: { strings: false, wasm: false }
+  })
+  vm.runInContext(PRELUDE, context)
+
+  let error = null
+  try {
+    const value = vm.runInContext(code, context, { timeout: timeoutMs, filename: 'sandbox.js' })
+    context.__sandbox.hold(value)
+  } catch (runError) {
+    error = describeError(runError)
+  }
+
+  if (!error) {
+    // 异步结果在沙箱内等待完成，宿主只轮询字符串状态（由外部的总超时兜底）
+    runString(context, '__sandbox.settle()')
+
+    let settled = runString(context, '__sandbox.settled()')
+    while (settled === 'undefined') {
+      await new Promise(resolve => setTimeout(resolve, 10))
+      settled = runString(context, '__sandbox.settled()')
+    }
+
+    const outcome = JSON.parse(settled)
+    parentPort.postMessage({ result: outcome.result ?? null, error: outcome.error ?? null, logs: JSON.parse(runString(context, '__sandbox.logs()')) })
+    return
+  }
+
+  parentPort.postMessage({ result: null, error, logs: JSON.parse(runString(context, '__sandbox.logs()')) })
+}
+
+main().catch(error => {
+  parentPort.postMessage({ result: null, error: describeError(error), logs: [] })
+})
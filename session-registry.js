@@ -0,0 +1,180 @@
+import { PreferenceStore } from './preference-store.js'
+
+/**
+ * 会话注册表 - 负责Matrix房间与OpenCode会话之间的绑定关系
+ */
+export class SessionRegistry {
+  constructor(store = null) {
+    this.store = store || new PreferenceStore()
+    this.db = null
+    this.bindings = new Map()   // 房间键 -> 会话ID（内存缓存）
+    this.bindWaiters = new Map()   // 会话ID -> 等待该会话被绑定的回调
+  }
+
+  /**
+   * 创建房间会话绑定表
+   */
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS room_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT NOT NULL,
+        thread_id TEXT NOT NULL DEFAULT '',
+        session_id TEXT NOT NULL,
+        bound_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(room_id, thread_id)
+      )
+    `)
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_room_sessions_session ON room_sessions(session_id)
+    `)
+  }
+
+  /**
+   * 生成房间（及线程）的缓存键
+   */
+  getKey(roomId, threadId = '') {
+    return threadId ? `${roomId}|${threadId}` : roomId
+  }
+
+  /**
+   * 获取房间绑定的会话ID
+   */
+  async getSession(roomId, options = {}) {
+    await this.ensureInitialized()
+    return this.bindings.get(this.getKey(roomId, options.threadId)) || null
+  }
+
+  /**
+   * 将房间绑定到会话
+   */
+  async bind(roomId, sessionId, options = {}) {
+    await this.ensureInitialized()
+
+    const { threadId = '', boundBy = 'system' } = options
+
+    try {
+      const now = new Date().toISOString()
+
+      this.db.prepare(`
+        INSERT INTO room_sessions (room_id, thread_id, session_id, bound_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(room_id, thread_id) DO UPDATE SET
+          session_id = excluded.session_id,
+          bound_by = excluded.bound_by,
+          updated_at = excluded.updated_at
+      `).run(roomId, threadId || '', sessionId, boundBy, now, now)
+
+      this.bindings.set(this.getKey(roomId, threadId), sessionId)
+
+      const waiters = this.bindWaiters.get(sessionId)
+      if (waiters) {
+        this.bindWaiters.delete(sessionId)
+        waiters.forEach(resolve => resolve())
+      }
+
+      return { success: true, roomId, sessionId }
+
+    } catch (error) {
+      console.error('❌ 绑定房间会话失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 解除房间的会话绑定
+   */
+  async unbind(roomId, options = {}) {
+    await this.ensureInitialized()
+
+    const { threadId = '' } = options
+    const previous = this.bindings.get(this.getKey(roomId, threadId)) || null
+
+    try {
+      this.db.prepare('DELETE FROM room_sessions WHERE room_id = ? AND thread_id = ?')
+        .run(roomId, threadId || '')
+
+      this.bindings.delete(this.getKey(roomId, threadId))
+      return { success: true, roomId, previous }
+
+    } catch (error) {
+      console.error('❌ 解除房间会话绑定失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 获取绑定到指定会话的所有房间
+   */
+  async getRoomsForSession(sessionId) {
+    await this.ensureInitialized()
+
+    const rooms = this.db.prepare(`
+      SELECT DISTINCT room_id FROM room_sessions WHERE session_id = ?
+    `).all(sessionId)
+
+    return rooms.map(row => row.room_id)
+  }
+
+  /**
+   * 获取绑定到指定会话的所有房间，尚未绑定时最多等待 timeoutMs 毫秒
+   * （新会话在创建完成后才会绑定到房间）
+   */
+  async waitForRooms(sessionId, timeoutMs) {
+    const rooms = await this.getRoomsForSession(sessionId)
+    if (rooms.length > 0 || timeoutMs <= 0) {
+      return rooms
+    }
+
+    await new Promise(resolve => {
+      const waiters = this.bindWaiters.get(sessionId) || new Set()
+      const onBound = () => {
+        clearTimeout(timer)
+        resolve()
+      }
+      const timer = setTimeout(() => {
+        waiters.delete(onBound)
+        if (waiters.size === 0 && this.bindWaiters.get(sessionId) === waiters) {
+          this.bindWaiters.delete(sessionId)
+        }
+        resolve()
+      }, timeoutMs)
+      waiters.add(onBound)
+      this.bindWaiters.set(sessionId, waiters)
+    })
+
+    return this.getRoomsForSession(sessionId)
+  }
+
+  /**
+   * 列出所有绑定
+   */
+  async listBindings() {
+    await this.ensureInitialized()
+
+    return this.db.prepare(`
+      SELECT room_id, thread_id, session_id, bound_by, updated_at
+      FROM room_sessions
+      ORDER BY updated_at DESC
+    `).all()
+  }
+
+  /**
+   * 确保已初始化：首次使用时创建会话绑定表并加载已持久化的绑定
+   */
+  async ensureInitialized() {
+    await this.store.attach(this, (db) => {
+      this.db = db
+      this.createTables()
+
+      const rows = this.db.prepare('SELECT room_id, thread_id, session_id FROM room_sessions').all()
+      rows.forEach(row => {
+        this.bindings.set(this.getKey(row.room_id, row.thread_id), row.session_id)
+      })
+      console.log(`✅ 会话注册表初始化完成 (${rows.length} 个绑定)`)
+    })
+  }
+}
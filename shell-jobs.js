@@ -0,0 +1,195 @@
+import { spawn } from 'child_process'
+import { EventEmitter } from 'events'
+
+export const DEFAULT_MAX_JOBS = parseInt(process.env.MATRIX_MAX_JOBS || '5')
+
+// 每个任务在内存中保留的输出上限（字符）
+const MAX_OUTPUT_LENGTH = 200 * 1024
+// 已结束任务保留的数量
+const MAX_FINISHED_JOBS = 20
+// kill 后等待进程退出的时间，超时后强制结束
+const KILL_GRACE_MS = 5000
+
+/**
+ * 后台Shell任务管理器 - 启动、跟踪和终止长时间运行的命令
+ *
+ * 事件：
+ * - output (job, text): 收到新的 stdout/stderr 输出
+ * - exit (job): 任务结束（正常退出、失败或被终止）
+ */
+export class JobManager extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.maxJobs = options.maxJobs || DEFAULT_MAX_JOBS
+    this.jobs = new Map()   // 任务ID -> 任务
+    this.nextId = 1
+  }
+
+  /**
+   * 启动后台任务
+   * @param {string} command - Shell命令
+   * @param {object} options - cwd, roomId, userId
+   * @returns {object} 任务
+   */
+  start(command, options = {}) {
+    if (this.listJobs({ running: true }).length >= this.maxJobs) {
+      throw new Error(`运行中的任务已达上限 (${this.maxJobs})`)
+    }
+
+    const job = {
+      id: String(this.nextId++),
+      command,
+      roomId: options.roomId || null,
+      userId: options.userId || null,
+      status: 'running',
+      exitCode: null,
+      signal: null,
+      output: '',
+      truncated: false,
+      startedAt: Date.now(),
+      endedAt: null,
+      process: null,
+      killTimer: null
+    }
+
+    // 独立进程组，便于终止命令派生的所有子进程
+    const child = spawn(command, {
+      cwd: options.cwd || process.cwd(),
+      shell: true,
+      detached: process.platform !== 'win32',
+      stdio: ['ignore', 'pipe', 'pipe']
+    })
+    job.process = child
+
+    const onData = (data) => {
+      const text = data.toString('utf-8')
+      this.appendOutput(job, text)
+      this.emit('output', job, text)
+    }
+    child.stdout.on('data', onData)
+    child.stderr.on('data', onData)
+
+    child.on('error', (error) => {
+      this.appendOutput(job, `\n[启动失败] ${error.message}\n`)
+      this.finishJob(job, { status: 'failed', exitCode: null, signal: null })
+    })
+
+    child.on('close', (exitCode, signal) => {
+      const status = job.status === 'killing' ? 'killed' : (exitCode === 0 ? 'succeeded' : 'failed')
+      this.finishJob(job, { status, exitCode, signal })
+    })
+
+    this.jobs.set(job.id, job)
+    console.log(`✅ 后台任务 [${job.id}] 已启动: ${command}`)
+    return job
+  }
+
+  /**
+   * 追加输出，超过上限时丢弃最早的部分
+   */
+  appendOutput(job, text) {
+    job.output += text
+    if (job.output.length > MAX_OUTPUT_LENGTH) {
+      job.output = job.output.slice(job.output.length - MAX_OUTPUT_LENGTH)
+      job.truncated = true
+    }
+  }
+
+  /**
+   * 标记任务结束并清理
+   */
+  finishJob(job, result) {
+    if (job.endedAt) return
+
+    clearTimeout(job.killTimer)
+    Object.assign(job, result, { endedAt: Date.now(), process: null })
+
+    console.log(`任务 [${job.id}] 结束: ${job.status} (退出码 ${job.exitCode ?? '-'})`)
+    this.emit('exit', job)
+    this.pruneFinished()
+  }
+
+  /**
+   * 只保留最近的已结束任务
+   */
+  pruneFinished() {
+    const finished = this.listJobs({ running: false })
+    for (const job of finished.slice(MAX_FINISHED_JOBS)) {
+      this.jobs.delete(job.id)
+    }
+  }
+
+  /**
+   * 获取任务
+   */
+  getJob(id) {
+    return this.jobs.get(String(id)) || null
+  }
+
+  /**
+   * 列出任务（最新的在前）
+   * @param {object} filter - roomId: 只列出该房间的任务; running: 按是否运行中过滤
+   */
+  listJobs(filter = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !filter.roomId || job.roomId === filter.roomId)
+      .filter(job => filter.running === undefined || filter.running === !job.endedAt)
+      .sort((a, b) => Number(b.id) - Number(a.id))
+  }
+
+  /**
+   * 获取任务输出的最后若干行
+   */
+  tail(id, lines = 20) {
+    const job = this.getJob(id)
+    if (!job) return null
+
+    return job.output.replace(/\n$/, '').split('\n').slice(-lines).join('\n')
+  }
+
+  /**
+   * 终止任务：先发送 SIGTERM，宽限期后仍未退出则 SIGKILL
+   */
+  kill(id) {
+    const job = this.getJob(id)
+    if (!job) {
+      throw new Error(`任务不存在: ${id}`)
+    }
+    if (job.endedAt || !job.process) {
+      throw new Error(`任务 [${job.id}] 已结束`)
+    }
+
+    job.status = 'killing'
+    this.signal(job, 'SIGTERM')
+    job.killTimer = setTimeout(() => {
+      if (!job.endedAt) this.signal(job, 'SIGKILL')
+    }, KILL_GRACE_MS)
+
+    return job
+  }
+
+  /**
+   * 向任务的进程组发送信号
+   */
+  signal(job, signal) {
+    try {
+      if (process.platform !== 'win32' && job.process?.pid) {
+        process.kill(-job.process.pid, signal)
+      } else {
+        job.process?.kill(signal)
+      }
+    } catch (error) {
+      console.log(`向任务 [${job.id}] 发送 ${signal} 失败:`, error.message)
+    }
+  }
+
+  /**
+   * 终止所有运行中的任务（插件卸载时调用）
+   */
+  killAll() {
+    for (const job of this.listJobs({ running: true })) {
+      job.status = 'killing'
+      this.signal(job, 'SIGKILL')
+    }
+  }
+}
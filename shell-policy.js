@@ -0,0 +1,250 @@
+import { randomBytes } from 'crypto'
+import { PreferenceStore } from './preference-store.js'
+
+export const POLICY_ACTIONS = ['allow', 'deny', 'confirm']
+
+export const DEFAULT_CONFIRM_TIMEOUT_MS = parseInt(process.env.MATRIX_SHELL_CONFIRM_TIMEOUT_MS || '120000')
+
+// 默认拒绝的命令：破坏根目录、格式化磁盘、fork 炸弹
+const DEFAULT_DENY_PATTERNS = [
+  '/\\brm\\s+(-[a-z]*\\s+)*-[a-z]*(rf|fr)[a-z]*\\s+(--no-preserve-root\\s+)?\\/(\\s|\\*|$)/i',
+  '/\\bmkfs(\\.\\w+)?\\b/i',
+  '/:\\(\\)\\s*\\{\\s*:\\s*\\|\\s*:\\s*&\\s*\\}\\s*;\\s*:/'
+]
+
+// 默认需要确认的命令：递归删除、强制推送、下载即执行、写块设备、关机等
+const DEFAULT_CONFIRM_PATTERNS = [
+  '/\\brm\\s+(-[a-z]*\\s+)*-[a-z]*(r[a-z]*f|f[a-z]*r)/i',
+  '/\\brm\\s+.*(-r|--recursive)\\b/i',
+  'git push * --force',
+  'git push * -f',
+  'git reset --hard',
+  'git clean -*f*',
+  '/\\b(curl|wget)\\b.*\\|\\s*(sudo\\s+)?(ba|z)?sh\\b/i',
+  '/\\bdd\\b.*\\bof=/i',
+  '/\\bchmod\\s+(-R\\s+)?[0-7]*777\\b/i',
+  '/\\b(shutdown|reboot|halt|poweroff)\\b/i',
+  '/\\bsudo\\b/i',
+  '/>\\s*\\/dev\\/sd[a-z]/i'
+]
+
+/**
+ * 将策略模式编译为正则
+ * "/.../flags" 形式按正则处理；其余按命令片段处理：* 匹配任意内容，空白匹配任意空白
+ */
+export function compilePattern(pattern) {
+  const text = String(pattern).trim()
+  const regexMatch = text.match(/^\/(.+)\/([a-z]*)$/s)
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2])
+  }
+
+  const source = text
+    .split(/\s+/)
+    .map(word => word.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\S*'))
+    .join('\\s+')
+    .replace(/\\s\+\\S\*\\s\+/g, '\\s+(?:.*\\s+)?')
+
+  return new RegExp(`(^|[\\s;&|(\`])${source}(?=$|[\\s;&|)\`])`, 'i')
+}
+
+/**
+ * 从环境变量读取逗号分隔的模式列表
+ */
+function readPatterns(name, defaults = []) {
+  const value = process.env[name]
+  const extra = value ? value.split(',').map(item => item.trim()).filter(Boolean) : []
+  return [...defaults, ...extra]
+}
+
+/**
+ * Shell命令策略 - 按允许/拒绝/确认列表判断命令，管理待确认请求并记录审计日志
+ *
+ * 判断顺序：拒绝列表 > 允许列表 > 确认列表 > 默认动作（MATRIX_SHELL_DEFAULT，默认 allow）
+ */
+export class ShellPolicy {
+  constructor(store = null, options = {}) {
+    this.store = store || new PreferenceStore()
+    this.db = null
+    this.rules = {
+      deny: this.compileRules(options.deny || readPatterns('MATRIX_SHELL_DENY', DEFAULT_DENY_PATTERNS)),
+      allow: this.compileRules(options.allow || readPatterns('MATRIX_SHELL_ALLOW')),
+      confirm: this.compileRules(options.confirm || readPatterns('MATRIX_SHELL_CONFIRM', DEFAULT_CONFIRM_PATTERNS))
+    }
+    this.defaultAction = POLICY_ACTIONS.includes(options.defaultAction || process.env.MATRIX_SHELL_DEFAULT)
+      ? (options.defaultAction || process.env.MATRIX_SHELL_DEFAULT)
+      : 'allow'
+    this.confirmTimeoutMs = options.confirmTimeoutMs || DEFAULT_CONFIRM_TIMEOUT_MS
+    this.pending = new Map()      // 确认ID -> 待确认请求
+    this.onExpire = null          // 确认超时回调
+  }
+
+  /**
+   * 编译规则列表，忽略无效模式
+   */
+  compileRules(patterns) {
+    return patterns.flatMap(pattern => {
+      try {
+        return [{ pattern, regex: compilePattern(pattern) }]
+      } catch (error) {
+        console.error(`❌ 无效的Shell策略模式 ${pattern}:`, error.message)
+        return []
+      }
+    })
+  }
+
+  /**
+   * 创建审计表
+   */
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS shell_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        command TEXT NOT NULL,
+        decision TEXT NOT NULL,
+        rule TEXT,
+        confirmation_id TEXT,
+        decided_by TEXT,
+        detail TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_shell_audit_room ON shell_audit(room_id, created_at)
+    `)
+  }
+
+  /**
+   * 判断命令应采取的动作
+   * @returns {{ action: 'allow'|'deny'|'confirm', rule: string|null }}
+   */
+  evaluate(command) {
+    for (const action of ['deny', 'allow', 'confirm']) {
+      const rule = this.rules[action].find(item => item.regex.test(command))
+      if (rule) {
+        return { action, rule: rule.pattern }
+      }
+    }
+
+    return { action: this.defaultAction, rule: null }
+  }
+
+  /**
+   * 创建待确认请求，超时后自动过期并触发 onExpire
+   * @param {object} request - roomId, userId, command, rule 以及执行时需要的其他上下文
+   */
+  createConfirmation(request) {
+    const id = randomBytes(3).toString('hex')
+    const confirmation = {
+      ...request,
+      id,
+      promptEventId: null,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.confirmTimeoutMs
+    }
+
+    confirmation.timer = setTimeout(() => {
+      if (this.pending.get(id) !== confirmation) return
+      this.pending.delete(id)
+      if (this.onExpire) {
+        Promise.resolve(this.onExpire(confirmation))
+          .catch(error => console.error('❌ 处理确认超时失败:', error.message))
+      }
+    }, this.confirmTimeoutMs)
+
+    this.pending.set(id, confirmation)
+    return confirmation
+  }
+
+  /**
+   * 记录确认提示消息的事件ID（处理完成后移除该消息上的反应操作）
+   */
+  setPromptEvent(id, eventId) {
+    const confirmation = this.pending.get(id)
+    if (confirmation) {
+      confirmation.promptEventId = eventId
+    }
+  }
+
+  /**
+   * 按确认ID查找待确认请求
+   */
+  getConfirmation(id) {
+    return this.pending.get(String(id || '').toLowerCase()) || null
+  }
+
+  /**
+   * 取出待确认请求（批准或拒绝后调用，防止重复处理）
+   */
+  takeConfirmation(id) {
+    const confirmation = this.getConfirmation(id)
+    if (!confirmation) return null
+
+    clearTimeout(confirmation.timer)
+    this.pending.delete(confirmation.id)
+    return confirmation
+  }
+
+  /**
+   * 写入审计记录
+   * @param {object} entry - roomId, userId, command, decision, rule, confirmationId, decidedBy, detail
+   */
+  async audit(entry) {
+    await this.ensureInitialized()
+
+    try {
+      this.db.prepare(`
+        INSERT INTO shell_audit (room_id, user_id, command, decision, rule, confirmation_id, decided_by, detail, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        entry.roomId,
+        entry.userId,
+        entry.command,
+        entry.decision,
+        entry.rule || null,
+        entry.confirmationId || null,
+        entry.decidedBy || null,
+        entry.detail || null,
+        new Date().toISOString()
+      )
+    } catch (error) {
+      console.error('❌ 写入Shell审计记录失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 查询房间的审计记录（最新的在前）
+   */
+  async getAuditLog(roomId, options = {}) {
+    await this.ensureInitialized()
+
+    const { limit = 20 } = options
+
+    try {
+      return this.db.prepare(`
+        SELECT * FROM shell_audit
+        WHERE room_id = ?
+        ORDER BY id DESC
+        LIMIT ?
+      `).all(roomId, limit)
+
+    } catch (error) {
+      console.error('❌ 获取Shell审计记录失败:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * 确保已初始化：首次使用时创建审计表
+   */
+  async ensureInitialized() {
+    await this.store.attach(this, (db) => {
+      this.db = db
+      this.createTables()
+    })
+  }
+}
@@ -0,0 +1,503 @@
+/**
+ * 源代码和日志文件识别 - 按扩展名、MIME 类型和内容（UTF-8/二进制）判断文本文件，
+ * 代码预览带语言标记；大文件提取顶层函数、类等结构，日志汇总错误行和时间范围
+ */
+
+export const DEFAULT_PREVIEW_CHARS = parseInt(process.env.MATRIX_SOURCE_PREVIEW_CHARS || '10000')
+
+const SUMMARY_PREVIEW_LINES = 60
+const LOG_TAIL_LINES = 50
+const MAX_SYMBOLS = 100
+const MAX_ERROR_LINES = 20
+const MAX_LINE_LENGTH = 300
+
+/**
+ * 扩展名 -> 代码块语言标记
+ */
+export const CODE_LANGUAGES = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'jsx',
+  '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'tsx',
+  '.py': 'python', '.pyw': 'python', '.go': 'go', '.rs': 'rust',
+  '.java': 'java', '.kt': 'kotlin', '.kts': 'kotlin', '.scala': 'scala', '.groovy': 'groovy', '.gradle': 'groovy',
+  '.c': 'c', '.h': 'c', '.cc': 'cpp', '.cpp': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp', '.hh': 'cpp',
+  '.cs': 'csharp', '.swift': 'swift', '.m': 'objectivec', '.dart': 'dart',
+  '.rb': 'ruby', '.php': 'php', '.pl': 'perl', '.lua': 'lua', '.r': 'r',
+  '.sh': 'bash', '.bash': 'bash', '.zsh': 'bash', '.fish': 'fish', '.ps1': 'powershell', '.bat': 'batch', '.cmd': 'batch',
+  '.sql': 'sql', '.graphql': 'graphql', '.gql': 'graphql', '.proto': 'protobuf',
+  '.html': 'html', '.htm': 'html', '.css': 'css', '.scss': 'scss', '.less': 'less', '.vue': 'vue', '.svelte': 'svelte',
+  '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.ini': 'ini', '.cfg': 'ini', '.conf': 'ini', '.properties': 'properties',
+  '.tf': 'hcl', '.hcl': 'hcl', '.diff': 'diff', '.patch': 'diff'
+}
+
+/**
+ * 没有扩展名的常见文件名 -> 语言标记
+ */
+const CODE_FILENAMES = {
+  dockerfile: 'dockerfile', containerfile: 'dockerfile', makefile: 'makefile', gnumakefile: 'makefile',
+  jenkinsfile: 'groovy', vagrantfile: 'ruby', gemfile: 'ruby', rakefile: 'ruby', procfile: 'yaml',
+  '.gitignore': 'gitignore', '.dockerignore': 'gitignore', '.editorconfig': 'ini', '.env': 'bash'
+}
+
+/**
+ * 非代码文本文件的语言标记（用于代码块）
+ */
+const TEXT_LANGUAGES = { '.md': 'markdown', '.json': 'json', '.xml': 'xml' }
+
+export const LOG_EXTENSIONS = ['.log']
+
+/**
+ * MIME 类型 -> 语言标记（客户端常把代码文件标为 application/octet-stream，因此只作为补充）
+ */
+const MIME_LANGUAGES = {
+  'application/javascript': 'javascript', 'text/javascript': 'javascript',
+  'application/typescript': 'typescript', 'text/x-typescript': 'typescript',
+  'text/x-python': 'python', 'text/x-script.python': 'python', 'application/x-python-code': 'python',
+  'text/x-go': 'go', 'text/x-rust': 'rust', 'text/x-java-source': 'java', 'text/x-java': 'java',
+  'text/x-c': 'c', 'text/x-csrc': 'c', 'text/x-c++src': 'cpp', 'text/x-ruby': 'ruby', 'application/x-php': 'php',
+  'application/x-sh': 'bash', 'text/x-shellscript': 'bash', 'application/x-shellscript': 'bash',
+  'application/sql': 'sql', 'text/html': 'html', 'text/css': 'css',
+  'application/yaml': 'yaml', 'application/x-yaml': 'yaml', 'text/yaml': 'yaml', 'text/x-yaml': 'yaml',
+  'application/toml': 'toml', 'application/json': 'json', 'application/xml': 'xml', 'text/xml': 'xml',
+  'text/markdown': 'markdown'
+}
+
+const SHEBANG_LANGUAGES = {
+  node: 'javascript', deno: 'typescript', bun: 'javascript', python: 'python', python3: 'python',
+  bash: 'bash', sh: 'bash', zsh: 'bash', ruby: 'ruby', perl: 'perl', php: 'php', lua: 'lua'
+}
+
+const JS_SYMBOLS = [
+  ['function', /^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([\w$]+)/],
+  ['class', /^(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+([\w$]+)/],
+  ['function', /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/]
+]
+
+const TS_SYMBOLS = [
+  ...JS_SYMBOLS,
+  ['interface', /^(?:export\s+)?(?:declare\s+)?interface\s+(\w+)/],
+  ['type', /^(?:export\s+)?(?:declare\s+)?type\s+(\w+)\s*[=<]/],
+  ['enum', /^(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+(\w+)/]
+]
+
+const JVM_TYPE_PATTERN = /^(?:@\w+\s+)*(?:(?:public|private|protected|internal|abstract|final|sealed|static|data|open|partial|readonly)\s+)*(?:class|interface|enum|record|object|struct)\s+(\w+)/
+
+/**
+ * 各语言的顶层声明（只匹配没有缩进的行）
+ */
+const SYMBOL_PATTERNS = {
+  javascript: JS_SYMBOLS,
+  jsx: JS_SYMBOLS,
+  typescript: TS_SYMBOLS,
+  tsx: TS_SYMBOLS,
+  vue: JS_SYMBOLS,
+  svelte: JS_SYMBOLS,
+  python: [
+    ['function', /^(?:async\s+)?def\s+(\w+)/],
+    ['class', /^class\s+(\w+)/]
+  ],
+  go: [
+    ['function', /^func\s+(?:\([^)]*\)\s*)?(\w+)/],
+    ['type', /^type\s+(\w+)/]
+  ],
+  rust: [
+    ['function', /^(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(\w+)/],
+    ['struct', /^(?:pub(?:\([^)]*\))?\s+)?struct\s+(\w+)/],
+    ['enum', /^(?:pub(?:\([^)]*\))?\s+)?enum\s+(\w+)/],
+    ['trait', /^(?:pub(?:\([^)]*\))?\s+)?trait\s+(\w+)/],
+    ['impl', /^impl(?:<[^>]*>)?\s+([\w:<>, ]+?)\s*(?:\{|where|$)/]
+  ],
+  java: [['class', JVM_TYPE_PATTERN]],
+  csharp: [['class', JVM_TYPE_PATTERN]],
+  scala: [['class', JVM_TYPE_PATTERN], ['function', /^def\s+(\w+)/]],
+  kotlin: [
+    ['class', JVM_TYPE_PATTERN],
+    ['function', /^(?:(?:private|internal|public|suspend|inline|override)\s+)*fun\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(\w+)/]
+  ],
+  swift: [
+    ['class', /^(?:(?:public|private|internal|open|final)\s+)*(?:class|struct|enum|protocol|extension)\s+(\w+)/],
+    ['function', /^(?:(?:public|private|internal|open)\s+)*func\s+(\w+)/]
+  ],
+  c: [['function', /^(?!(?:if|for|while|switch|return|else|typedef)\b)[A-Za-z_][\w\s*&]*?\b([A-Za-z_]\w*)\s*\([^;]*$/]],
+  cpp: [
+    ['class', /^(?:template\s*<[^>]*>\s*)?(?:class|struct)\s+(\w+)\s*(?::[^;]*)?\{?\s*$/],
+    ['function', /^(?!(?:if|for|while|switch|return|else|typedef|class|struct)\b)[A-Za-z_][\w\s*&:<>,]*?\b([A-Za-z_]\w*(?:::~?\w+)?)\s*\([^;]*$/]
+  ],
+  ruby: [
+    ['function', /^def\s+(?:self\.)?(\w+[?!=]?)/],
+    ['class', /^class\s+([\w:]+)/],
+    ['module', /^module\s+([\w:]+)/]
+  ],
+  php: [
+    ['function', /^function\s+(\w+)/],
+    ['class', /^(?:(?:abstract|final)\s+)?(?:class|interface|trait|enum)\s+(\w+)/]
+  ],
+  lua: [['function', /^(?:local\s+)?function\s+([\w.:]+)/]],
+  perl: [['function', /^sub\s+(\w+)/]],
+  bash: [['function', /^(?:function\s+)?([\w-]+)\s*\(\)\s*\{?/], ['function', /^function\s+([\w-]+)/]],
+  sql: [['definition', /^create\s+(?:or\s+replace\s+)?(?:temporary\s+)?(?:table|view|function|procedure|index|trigger|type)\s+(?:if\s+not\s+exists\s+)?([\w."`[\]]+)/i]],
+  yaml: [['key', /^([\w.-]+):/]],
+  toml: [['section', /^\[+([^\]]+)\]+/]],
+  ini: [['section', /^\[([^\]]+)\]/]],
+  makefile: [['target', /^([\w./-]+)\s*:(?!=)/]],
+  dockerfile: [['stage', /^FROM\s+\S+(?:\s+AS\s+(\S+))?/i]],
+  protobuf: [['message', /^(?:message|service|enum)\s+(\w+)/]],
+  graphql: [['type', /^(?:type|input|interface|enum|union|scalar)\s+(\w+)/]]
+}
+
+const SYMBOL_LABELS = {
+  function: '函数', class: '类', interface: '接口', type: '类型', enum: '枚举', struct: '结构体',
+  trait: 'trait', impl: 'impl', module: '模块', definition: '定义', key: '键', section: '节',
+  target: '目标', stage: '阶段', message: '消息'
+}
+
+/**
+ * 各语言的单行注释前缀（用于统计注释行）
+ */
+const COMMENT_PREFIXES = {
+  hash: ['#'],
+  slash: ['//', '/*', '*', '*/'],
+  dash: ['--'],
+  semicolon: [';', '#']
+}
+const COMMENT_STYLES = {
+  python: 'hash', ruby: 'hash', perl: 'hash', bash: 'hash', fish: 'hash', powershell: 'hash', r: 'hash',
+  yaml: 'hash', toml: 'hash', makefile: 'hash', dockerfile: 'hash', gitignore: 'hash', properties: 'hash', hcl: 'hash',
+  sql: 'dash', lua: 'dash', ini: 'semicolon'
+}
+
+/**
+ * 日志时间戳（ISO 8601、访问日志、syslog）
+ */
+const TIMESTAMP_PATTERNS = [
+  /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/,
+  /\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?/,
+  /\d{2}\/[A-Z][a-z]{2}\/\d{4}:\d{2}:\d{2}:\d{2}(?: [+-]\d{4})?/,
+  /^[A-Z][a-z]{2} +\d{1,2} \d{2}:\d{2}:\d{2}/
+]
+
+const LEVEL_PATTERN = /\b(FATAL|CRITICAL|ERROR|ERR|WARN|WARNING|INFO|DEBUG|TRACE)\b|\blevel["']?\s*[=:]\s*["']?(fatal|critical|error|err|warn|warning|info|debug|trace)\b/i
+const ERROR_HINT_PATTERN = /\b(?:Exception|Unhandled|Uncaught)\b|\bTraceback \(most recent call last\)|\bpanic:/
+const LEVEL_NAMES = { critical: 'fatal', err: 'error', warning: 'warn' }
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace']
+
+/**
+ * 获取扩展名（小写，含点）；轮转日志 app.log.1 视为 .log
+ */
+function getExtension(filename) {
+  const base = filename.toLowerCase().split('/').pop()
+  if (/\.log\.\d+$/.test(base)) return '.log'
+  const index = base.lastIndexOf('.')
+  return index > 0 ? base.slice(index) : ''
+}
+
+/**
+ * 内容是否为文本：前 8KB 不含 NUL、控制字符不超过 10%，requireUtf8 时还须是有效的 UTF-8
+ */
+export function isTextBuffer(buffer, options = {}) {
+  const { requireUtf8 = true } = options
+  const sample = buffer.subarray(0, 8192)
+  if (sample.includes(0)) return false
+
+  let control = 0
+  for (const byte of sample) {
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte)) control++
+  }
+  if (control > sample.length * 0.1) return false
+  if (!requireUtf8) return true
+
+  // 截取处可能切断多字节字符，去掉末尾最多 3 个字节再校验
+  const decoder = new TextDecoder('utf-8', { fatal: true })
+  const trimmable = sample.length === buffer.length ? 0 : 3
+  let valid = false
+  for (let trim = 0; trim <= trimmable && !valid; trim++) {
+    try {
+      decoder.decode(sample.subarray(0, sample.length - trim))
+      valid = true
+    } catch {
+      // 继续尝试
+    }
+  }
+  return valid
+}
+
+/**
+ * 内容看起来像日志：前 50 个非空行中至少 30% 以时间戳或日志级别开头
+ */
+function looksLikeLog(text) {
+  const lines = text.split('\n').filter(line => line.trim()).slice(0, 50)
+  if (lines.length < 3) return false
+
+  const matched = lines.filter(line => {
+    const head = line.slice(0, 40)
+    return TIMESTAMP_PATTERNS.some(pattern => pattern.test(head)) || /^\[?(FATAL|ERROR|WARN|WARNING|INFO|DEBUG|TRACE)\b/.test(head)
+  })
+  return matched.length >= lines.length * 0.3
+}
+
+/**
+ * 判断文本文件的种类和语言
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} filename - 文件名
+ * @param {string} mimeType - 客户端提供的 MIME 类型
+ * @returns {{ kind: 'code'|'log'|'text', language: string }|null} 二进制文件返回 null
+ */
+export function sniffTextFile(buffer, filename, mimeType = '') {
+  const ext = getExtension(filename)
+  const base = filename.toLowerCase().split('/').pop()
+  const mime = String(mimeType).toLowerCase().split(';')[0].trim()
+
+  // 扩展名已知的文本文件可能不是 UTF-8（如 GBK），只排除二进制内容
+  let known = null
+  if (LOG_EXTENSIONS.includes(ext)) known = { kind: 'log', language: 'log' }
+  else if (CODE_LANGUAGES[ext]) known = { kind: 'code', language: CODE_LANGUAGES[ext] }
+  else if (CODE_FILENAMES[base]) known = { kind: 'code', language: CODE_FILENAMES[base] }
+  else if (TEXT_LANGUAGES[ext]) known = { kind: 'text', language: TEXT_LANGUAGES[ext] }
+  else if (ext === '.txt') known = { kind: 'text', language: '' }
+
+  if (!isTextBuffer(buffer, { requireUtf8: !known })) return null
+  if (known) return known
+
+  const head = buffer.subarray(0, 4096).toString('utf8')
+  const shebang = head.match(/^#!\s*(?:\S*\/)?(?:env\s+(?:-\S+\s+)*)?([\w.-]+)/)
+  if (shebang) {
+    const interpreter = shebang[1].replace(/[\d.]+$/, '')
+    return { kind: 'code', language: SHEBANG_LANGUAGES[shebang[1]] || SHEBANG_LANGUAGES[interpreter] || 'bash' }
+  }
+
+  if (MIME_LANGUAGES[mime]) {
+    const language = MIME_LANGUAGES[mime]
+    return { kind: ['json', 'xml', 'markdown'].includes(language) ? 'text' : 'code', language }
+  }
+  if (mime === 'text/x-log' || looksLikeLog(head)) return { kind: 'log', language: 'log' }
+
+  return { kind: 'text', language: '' }
+}
+
+/**
+ * 截断过长的行
+ */
+function clipLine(line) {
+  return line.length > MAX_LINE_LENGTH ? line.substring(0, MAX_LINE_LENGTH) + '…' : line
+}
+
+/**
+ * 提取代码结构：行数统计和顶层声明
+ */
+export function summarizeCode(lines, language) {
+  const patterns = SYMBOL_PATTERNS[language] || []
+  const commentPrefixes = COMMENT_PREFIXES[COMMENT_STYLES[language] || 'slash']
+  const summary = { blankLines: 0, commentLines: 0, symbols: [], symbolCount: 0 }
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim()
+    if (!trimmed) {
+      summary.blankLines++
+      return
+    }
+    if (commentPrefixes.some(prefix => trimmed.startsWith(prefix))) {
+      summary.commentLines++
+      return
+    }
+
+    // 只看没有缩进的行，即顶层声明
+    if (/^\s/.test(line)) return
+    for (const [kind, pattern] of patterns) {
+      const match = line.match(pattern)
+      if (match?.[1]) {
+        summary.symbolCount++
+        if (summary.symbols.length < MAX_SYMBOLS) {
+          summary.symbols.push({ kind, name: match[1].trim(), line: index + 1 })
+        }
+        break
+      }
+    }
+  })
+
+  return summary
+}
+
+/**
+ * 统一日志级别名
+ */
+function normalizeLevel(level) {
+  const lower = level.toLowerCase()
+  return LEVEL_NAMES[lower] || lower
+}
+
+/**
+ * 归并相似的错误消息：去掉时间戳、数字和十六进制ID
+ */
+function errorSignature(line) {
+  let text = line
+  for (const pattern of TIMESTAMP_PATTERNS) text = text.replace(pattern, '')
+  return text
+    .replace(/\b0x[0-9a-f]+\b|\b[0-9a-f]{8,}\b/gi, '#')
+    .replace(/\d+/g, 'N')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * 汇总日志：级别统计、时间范围、错误行和最常见的错误
+ */
+export function summarizeLog(lines) {
+  const summary = {
+    levels: Object.fromEntries(LOG_LEVELS.map(level => [level, 0])),
+    firstTimestamp: null,
+    lastTimestamp: null,
+    errorCount: 0,
+    errors: [],
+    topErrors: []
+  }
+  const signatures = new Map()
+
+  lines.forEach((line, index) => {
+    const head = line.slice(0, 80)
+    for (const pattern of TIMESTAMP_PATTERNS) {
+      const match = head.match(pattern)
+      if (match) {
+        summary.firstTimestamp ??= match[0]
+        summary.lastTimestamp = match[0]
+        break
+      }
+    }
+
+    const levelMatch = line.match(LEVEL_PATTERN)
+    const level = levelMatch ? normalizeLevel(levelMatch[1] || levelMatch[2]) : null
+    if (level) summary.levels[level]++
+
+    if (level === 'error' || level === 'fatal' || (!level && ERROR_HINT_PATTERN.test(line))) {
+      summary.errorCount++
+      if (summary.errors.length < MAX_ERROR_LINES) {
+        summary.errors.push({ line: index + 1, text: clipLine(line) })
+      }
+      const signature = errorSignature(line)
+      const entry = signatures.get(signature) || { count: 0, example: line }
+      entry.count++
+      signatures.set(signature, entry)
+    }
+  })
+
+  summary.topErrors = [...signatures.values()]
+    .filter(item => item.count > 1)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 5)
+    .map(item => ({ count: item.count, text: clipLine(item.example.trim()) }))
+
+  return summary
+}
+
+/**
+ * 解析源代码/日志/文本文件
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} filename - 文件名
+ * @param {object} options - kind, language（sniffTextFile 的结果）, previewChars
+ * @returns {object} 解析结果
+ */
+export function parseSourceFile(buffer, filename, options = {}) {
+  const { kind = 'text', language = '', previewChars = DEFAULT_PREVIEW_CHARS } = options
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n')
+  const lines = text.split('\n')
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop()
+
+  const result = {
+    filename,
+    kind,
+    language,
+    lineCount: lines.length,
+    charCount: text.length,
+    large: text.length > previewChars,
+    preview: lines.join('\n'),
+    previewLabel: null
+  }
+
+  if (kind === 'code') result.summary = summarizeCode(lines, language)
+  if (kind === 'log') result.summary = summarizeLog(lines)
+
+  // 大文件：代码和文本显示开头，日志显示最后几行
+  if (result.large) {
+    if (kind === 'log') {
+      result.preview = lines.slice(-LOG_TAIL_LINES).map(clipLine).join('\n')
+      result.previewLabel = `最后 ${Math.min(LOG_TAIL_LINES, lines.length)} 行`
+    } else if (kind === 'code') {
+      result.preview = lines.slice(0, SUMMARY_PREVIEW_LINES).join('\n').substring(0, previewChars)
+      result.previewLabel = `前 ${Math.min(SUMMARY_PREVIEW_LINES, lines.length)} 行`
+    } else {
+      result.preview = text.substring(0, previewChars) + '\n... (内容已截断)'
+    }
+  }
+
+  return result
+}
+
+/**
+ * 生成代码块，内容中含 ``` 时使用更长的围栏
+ */
+function codeBlock(content, language = '') {
+  const longest = Math.max(2, ...(content.match(/`{3,}/g) || []).map(fence => fence.length))
+  const fence = '`'.repeat(longest + 1)
+  return `${fence}${language}\n${content}\n${fence}`
+}
+
+/**
+ * 将解析结果格式化为适合 AI 阅读的文本
+ */
+export function formatSourceForAI(parseResult) {
+  const { filename, kind, language, lineCount, summary } = parseResult
+
+  if (kind === 'text') {
+    return `📄 **文件内容: ${filename}**\n\n${codeBlock(parseResult.preview, language)}`
+  }
+
+  if (kind === 'code') {
+    const lines = [
+      `💻 **代码文件: ${filename}**`,
+      '',
+      `- 语言: ${language}`,
+      `- 行数: ${lineCount}（代码 ${lineCount - summary.blankLines - summary.commentLines}，注释 ${summary.commentLines}，空行 ${summary.blankLines}）`
+    ]
+
+    if (parseResult.large && summary.symbols.length > 0) {
+      const more = summary.symbolCount > summary.symbols.length ? `，只列出前 ${summary.symbols.length} 个` : ''
+      lines.push(`- 顶层声明（${summary.symbolCount} 个${more}）:`)
+      for (const symbol of summary.symbols) {
+        lines.push(`  - L${symbol.line} ${SYMBOL_LABELS[symbol.kind] || symbol.kind} \`${symbol.name}\``)
+      }
+    }
+
+    lines.push('')
+    if (parseResult.previewLabel) lines.push(`${parseResult.previewLabel}:`)
+    lines.push(codeBlock(parseResult.preview, language))
+    return lines.join('\n')
+  }
+
+  const lines = [`📜 **日志文件: ${filename}**`, '', `- 行数: ${lineCount}`]
+
+  if (summary.firstTimestamp) {
+    lines.push(`- 时间范围: ${summary.firstTimestamp} ~ ${summary.lastTimestamp}`)
+  }
+
+  const levels = LOG_LEVELS.filter(level => summary.levels[level] > 0)
+    .map(level => `${level.toUpperCase()} ${summary.levels[level]}`)
+  if (levels.length > 0) lines.push(`- 级别: ${levels.join('，')}`)
+  lines.push(`- 错误行: ${summary.errorCount}`)
+
+  if (summary.topErrors.length > 0) {
+    lines.push('- 重复最多的错误:')
+    for (const item of summary.topErrors) {
+      lines.push(`  - (${item.count} 次) \`${item.text.replace(/`/g, "'")}\``)
+    }
+  }
+
+  if (summary.errors.length > 0 && parseResult.large) {
+    const shown = summary.errorCount > summary.errors.length ? `前 ${summary.errors.length} 条，` : ''
+    lines.push('', `错误行（${shown}共 ${summary.errorCount} 条）:`)
+    lines.push(codeBlock(summary.errors.map(item => `L${item.line}: ${item.text}`).join('\n'), 'log'))
+  }
+
+  lines.push('')
+  if (parseResult.previewLabel) lines.push(`${parseResult.previewLabel}:`)
+  lines.push(codeBlock(parseResult.preview, 'log'))
+  return lines.join('\n')
+}
@@ -0,0 +1,277 @@
+/**
+ * 流式回复 - 先发送一条消息，再通过 m.replace 编辑逐步更新内容
+ */
+
+import { formatMessageContent } from './message-formatter.js'
+import {
+  splitMessage,
+  sendMessageSeries,
+  sendTextFile,
+  buildThreadRelation,
+  DEFAULT_MAX_LENGTH,
+  DEFAULT_MAX_CHUNKS
+} from './message-chunker.js'
+
+const STREAM_CURSOR = ' ▍'
+
+/**
+ * 构建 m.replace 编辑事件内容
+ * @param {string} eventId - 被编辑的原始事件ID
+ * @param {string} text - 新的消息文本
+ * @param {object} extra - 额外的消息字段（如 format/formatted_body）
+ */
+export function buildEditContent(eventId, text, extra = {}) {
+  const newContent = {
+    msgtype: 'm.text',
+    body: text,
+    ...extra
+  }
+
+  return {
+    ...newContent,
+    body: `* ${text}`,
+    'm.new_content': newContent,
+    'm.relates_to': {
+      rel_type: 'm.replace',
+      event_id: eventId
+    }
+  }
+}
+
+/**
+ * 流式回复消息，节流编辑频率以避免触发服务器限流
+ */
+export class StreamingReply {
+  constructor(client, roomId, options = {}) {
+    this.client = client
+    this.roomId = roomId
+    this.minIntervalMs = options.minIntervalMs ?? parseInt(process.env.MATRIX_STREAM_EDIT_INTERVAL_MS || '1500')
+    this.maxLength = options.maxLength || DEFAULT_MAX_LENGTH
+    this.maxChunks = options.maxChunks || DEFAULT_MAX_CHUNKS
+    this.eventId = options.eventId || null   // 回复消息的事件ID（首次发送后设置；指定时改为编辑该消息）
+    this.text = ''              // 当前完整文本
+    this.sentText = ''          // 最近一次已发送的文本
+    this.lastEditAt = 0
+    this.timer = null
+    this.pending = Promise.resolve()
+    this.finished = false
+  }
+
+  /**
+   * 是否已发送初始消息
+   */
+  get started() {
+    return !!this.eventId
+  }
+
+  /**
+   * 用完整文本更新回复
+   */
+  update(text) {
+    if (this.finished) return
+    this.text = text
+    this.scheduleFlush()
+  }
+
+  /**
+   * 追加增量文本
+   */
+  append(delta) {
+    this.update(this.text + delta)
+  }
+
+  /**
+   * 按节流间隔安排下一次编辑
+   */
+  scheduleFlush() {
+    if (this.timer) return
+
+    const wait = Math.max(this.minIntervalMs - (Date.now() - this.lastEditAt), 0)
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.pending = this.pending
+        .then(() => this.flush(false))
+        .catch(error => console.error('流式回复编辑失败:', error.message))
+    }, wait)
+  }
+
+  /**
+   * 发送初始消息或编辑已有消息
+   */
+  async flush(final) {
+    const text = this.render(final)
+    if (text === this.sentText) return
+
+    this.lastEditAt = Date.now()
+
+    try {
+      const content = formatMessageContent(text)
+      if (!this.eventId) {
+        this.eventId = await this.client.sendMessage(this.roomId, content)
+      } else {
+        await this.client.sendMessage(this.roomId, buildEditContent(this.eventId, text, {
+          format: content.format,
+          formatted_body: content.formatted_body
+        }))
+      }
+      this.sentText = text
+    } catch (error) {
+      // 被限流时推迟下一次编辑；最终编辑必须送达，等待后重试一次
+      const retryAfterMs = error.body?.retry_after_ms || error.retryAfterMs
+      if (error.body?.errcode === 'M_LIMIT_EXCEEDED' || retryAfterMs) {
+        this.lastEditAt = Date.now() + (retryAfterMs || this.minIntervalMs)
+        if (final) {
+          await new Promise(resolve => setTimeout(resolve, retryAfterMs || this.minIntervalMs))
+          return await this.flush(true)
+        }
+        if (!this.finished) this.scheduleFlush()
+        return
+      }
+      throw error
+    }
+  }
+
+  /**
+   * 渲染当前文本（生成中只显示首块内容并附加光标，超出部分在结束时分块发送）
+   */
+  render(final) {
+    if (final) return this.text
+    if (this.text.length > this.maxLength) {
+      return this.text.substring(0, this.maxLength) + '\n... (生成中，完整内容稍后分条发送)' + STREAM_CURSOR
+    }
+    return this.text + STREAM_CURSOR
+  }
+
+  /**
+   * 结束流式回复，发送最终的干净版本
+   * @param {string} finalText - 最终文本（可选，默认使用已累积的文本）
+   * @returns {Promise<string>} 回复消息的事件ID
+   */
+  async finish(finalText) {
+    this.finished = true
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    if (finalText !== undefined) {
+      this.text = finalText
+    }
+
+    await this.pending
+
+    const fullText = this.text
+    const chunks = splitMessage(fullText, { maxLength: this.maxLength })
+
+    if (chunks.length === 1) {
+      await this.flush(true)
+      return this.eventId
+    }
+
+    // 超长回复：主消息保留第一块，其余内容发送到以主消息为根的线程中
+    if (chunks.length <= this.maxChunks) {
+      this.text = `${chunks[0]}\n\n(1/${chunks.length})`
+      await this.flush(true)
+      await sendMessageSeries(this.client, this.roomId, chunks.slice(1), {
+        rootEventId: this.eventId,
+        startIndex: 1,
+        total: chunks.length
+      })
+    } else {
+      this.text = `${chunks[0]}\n\n📎 回复过长 (${fullText.length} 字符)，完整内容见附件`
+      await this.flush(true)
+      await sendTextFile(this.client, this.roomId, fullText, {
+        filename: 'ai-reply.md',
+        mimetype: 'text/markdown',
+        relatesTo: buildThreadRelation(this.client.threadRootId || this.eventId, this.eventId)
+      })
+    }
+
+    return this.eventId
+  }
+}
+
+/**
+ * 逐条读取 SSE (text/event-stream) 响应中的 data 字段
+ * @param {Response} response - fetch 响应
+ * @param {function} onData - 每个 data 负载的回调（不含 [DONE]）
+ */
+export async function readServerSentEvents(response, onData) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (!done) {
+      buffer += decoder.decode(value, { stream: true })
+    }
+
+    const lines = buffer.split('\n')
+    buffer = done ? '' : lines.pop()
+
+    for (const line of lines) {
+      const trimmed = line.trim()
+      if (!trimmed.startsWith('data:')) continue
+
+      const data = trimmed.slice(5).trim()
+      if (!data || data === '[DONE]') continue
+      onData(data)
+    }
+
+    if (done) break
+  }
+}
+
+/**
+ * 订阅OpenCode事件流，把指定会话中助手消息的文本增量回传
+ * @param {object} opencodeClient - OpenCode客户端
+ * @param {string} sessionId - 会话ID
+ * @param {function} onText - 收到助手文本（累计全文）时的回调
+ * @returns {Promise<function>} 停止订阅的函数；不支持事件流时返回空函数
+ */
+export async function subscribeSessionText(opencodeClient, sessionId, onText) {
+  if (!opencodeClient?.event?.subscribe) {
+    return () => {}
+  }
+
+  const controller = new AbortController()
+  const assistantMessageIds = new Set()
+  const partTexts = new Map()
+
+  try {
+    const subscription = await opencodeClient.event.subscribe({ signal: controller.signal })
+    const stream = subscription?.stream || subscription
+
+    ;(async () => {
+      try {
+        for await (const event of stream) {
+          if (controller.signal.aborted) break
+
+          const properties = event?.properties || {}
+
+          if (event?.type === 'message.updated' && properties.info?.sessionID === sessionId &&
+              properties.info?.role === 'assistant') {
+            assistantMessageIds.add(properties.info.id)
+          }
+
+          if (event?.type === 'message.part.updated') {
+            const part = properties.part
+            if (!part || part.sessionID !== sessionId || part.type !== 'text') continue
+            if (!assistantMessageIds.has(part.messageID)) continue
+
+            partTexts.set(part.id, part.text || '')
+            onText([...partTexts.values()].join(''))
+          }
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.log('OpenCode事件流中断:', error.message)
+        }
+      }
+    })()
+  } catch (error) {
+    console.log('订阅OpenCode事件流失败，将不使用流式回复:', error.message)
+  }
+
+  return () => controller.abort()
+}
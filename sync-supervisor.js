@@ -0,0 +1,282 @@
+import { EventEmitter } from 'events'
+
+const DEFAULT_CHECK_INTERVAL_MS = parseInt(process.env.MATRIX_SYNC_CHECK_INTERVAL_MS || '15000')
+const DEFAULT_STALL_TIMEOUT_MS = parseInt(process.env.MATRIX_SYNC_STALL_MS || '120000')
+const DEFAULT_MAX_FAILURES = parseInt(process.env.MATRIX_SYNC_MAX_FAILURES || '3')
+const BACKOFF_BASE_MS = 1000
+const BACKOFF_MAX_MS = 5 * 60 * 1000
+// 重启前等待进行中的同步请求结束的上限，避免新旧同步循环并存
+const INFLIGHT_WAIT_MS = 60 * 1000
+
+export const SYNC_STATE_NAMES = {
+  starting: '启动中',
+  syncing: '同步中',
+  stalled: '已停滞',
+  reconnecting: '重连中',
+  stopped: '已停止'
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * 等待 promise 完成，最多等待 ms 毫秒
+ */
+function waitAtMost(promise, ms) {
+  let timer = null
+  const timeout = new Promise(resolve => { timer = setTimeout(resolve, ms) })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * 同步监督器 - 监测Matrix客户端的同步健康状态，在同步失败或停滞时按指数退避重启客户端
+ *
+ * 状态: starting | syncing | stalled | reconnecting | stopped
+ * 事件:
+ * - state (status): 状态变化
+ * - reconnected ({ downtimeMs, attempts }): 中断后重新同步成功
+ */
+export class SyncSupervisor extends EventEmitter {
+  constructor(client, options = {}) {
+    super()
+    this.client = client
+    this.checkIntervalMs = options.checkIntervalMs || DEFAULT_CHECK_INTERVAL_MS
+    this.stallTimeoutMs = options.stallTimeoutMs || DEFAULT_STALL_TIMEOUT_MS
+    this.maxFailures = options.maxFailures || DEFAULT_MAX_FAILURES
+    this.state = 'starting'
+    this.startedAt = Date.now()
+    this.lastSyncAt = null
+    this.lastError = null
+    this.lastErrorCode = null
+    this.lastErrorAt = null
+    this.consecutiveFailures = 0
+    this.reconnectAttempts = 0   // 当前中断期间的重连尝试次数
+    this.reconnectCount = 0      // 累计成功重连次数
+    this.downSince = null
+    this.inflight = null
+    this.syncLoopId = 0          // 最新同步循环的编号，重启后旧循环随之退出
+    this.restarting = false
+    this.timer = null
+    this.syncWaiters = []
+    this.onUnknownToken = null   // 访问令牌失效时、重启同步前调用（如重新登录）
+  }
+
+  /**
+   * 开始监督：包装同步请求以记录结果，并定期检查健康状态
+   */
+  start() {
+    if (typeof this.client.doSync === 'function' && !this.client.doSync.supervised) {
+      const originalDoSync = this.client.doSync.bind(this.client)
+      const supervisedDoSync = async (...args) => {
+        const request = originalDoSync(...args)
+        this.inflight = request.catch(() => {})
+        try {
+          const response = await request
+          this.recordSuccess()
+          return response
+        } catch (error) {
+          this.recordFailure(error)
+          throw error
+        }
+      }
+      supervisedDoSync.supervised = true
+      this.client.doSync = supervisedDoSync
+    } else if (typeof this.client.doSync !== 'function') {
+      console.warn('⚠️  Matrix客户端不支持同步监测，将通过定期请求检查连接')
+    }
+
+    // 同步循环只在读到 stopSyncing 时退出，而重启时 start() 会把它重置为 false：
+    // 处于出错退避中的旧循环醒来后会与新循环并存，每个事件被处理两次。
+    // 每次启动的循环绑定一个编号，编号不是最新的循环读到的 stopSyncing 总为 true
+    if (typeof this.client.startSync === 'function' && !this.client.startSync.supervised) {
+      const originalStartSync = this.client.startSync
+      const supervisedStartSync = (...args) => {
+        const loopId = ++this.syncLoopId
+        const loopClient = new Proxy(this.client, {
+          get: (target, property, receiver) => property === 'stopSyncing'
+            ? target.stopSyncing || loopId !== this.syncLoopId
+            : Reflect.get(target, property, receiver)
+        })
+        return originalStartSync.apply(loopClient, args)
+      }
+      supervisedStartSync.supervised = true
+      this.client.startSync = supervisedStartSync
+    }
+
+    this.timer = setInterval(() => {
+      this.check().catch(error => console.error('Matrix同步检查失败:', error.message))
+    }, this.checkIntervalMs)
+    this.timer.unref?.()
+
+    return this
+  }
+
+  /**
+   * 停止监督
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+    this.setState('stopped')
+  }
+
+  /**
+   * 记录一次成功的同步
+   */
+  recordSuccess() {
+    if (this.state === 'stopped') return
+
+    const wasDown = this.downSince !== null
+
+    this.lastSyncAt = Date.now()
+    this.consecutiveFailures = 0
+    this.setState('syncing')
+
+    if (wasDown) {
+      const downtimeMs = this.lastSyncAt - this.downSince
+      const attempts = this.reconnectAttempts
+      this.downSince = null
+      this.reconnectAttempts = 0
+      this.reconnectCount++
+      console.log(`✅ Matrix同步已恢复，中断 ${Math.round(downtimeMs / 1000)} 秒`)
+      this.emit('reconnected', { downtimeMs, attempts })
+    }
+
+    const waiters = this.syncWaiters
+    this.syncWaiters = []
+    waiters.forEach(resolve => resolve(true))
+  }
+
+  /**
+   * 记录一次失败的同步
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++
+    this.lastErrorCode = error?.errcode || error?.body?.errcode || null
+    this.lastError = this.lastErrorCode || error?.message || String(error)
+    this.lastErrorAt = Date.now()
+    this.downSince = this.downSince || this.lastSyncAt || this.startedAt
+    console.log(`Matrix同步错误 (连续 ${this.consecutiveFailures} 次): ${this.lastError}`)
+  }
+
+  /**
+   * 健康检查：连续失败过多或同步停滞时重启客户端
+   */
+  async check() {
+    if (this.restarting || this.state === 'stopped') return
+
+    // 不支持同步监测时，用轻量请求判断连接是否可用
+    if (!this.client.doSync?.supervised) {
+      try {
+        await this.client.getUserId()
+        this.recordSuccess()
+      } catch (error) {
+        this.recordFailure(error)
+      }
+    }
+
+    const lastActivity = this.lastSyncAt || this.startedAt
+    if (Date.now() - lastActivity > this.stallTimeoutMs) {
+      this.downSince = this.downSince || lastActivity
+      this.setState('stalled')
+      await this.restart(`同步停滞超过 ${Math.round(this.stallTimeoutMs / 1000)} 秒`)
+    } else if (this.lastErrorCode === 'M_UNKNOWN_TOKEN' && this.consecutiveFailures > 0) {
+      // 令牌失效不会自行恢复，无需等待连续失败
+      await this.restart('访问令牌已失效')
+    } else if (this.consecutiveFailures >= this.maxFailures) {
+      await this.restart(`连续 ${this.consecutiveFailures} 次同步失败`)
+    }
+  }
+
+  /**
+   * 按指数退避重启客户端，失败时继续重试直到成功
+   */
+  async restart(reason) {
+    if (this.restarting) return
+    this.restarting = true
+
+    try {
+      while (this.state !== 'stopped') {
+        this.reconnectAttempts++
+        const delay = Math.min(BACKOFF_BASE_MS * 2 ** (this.reconnectAttempts - 1), BACKOFF_MAX_MS)
+        const jitter = Math.floor(Math.random() * delay * 0.2)
+
+        this.setState('reconnecting')
+        console.log(`🔄 Matrix重连 (第 ${this.reconnectAttempts} 次，${reason})，${Math.round((delay + jitter) / 1000)} 秒后重启同步`)
+        await sleep(delay + jitter)
+
+        // 等待期间同步已自行恢复，无需重启
+        if (this.state === 'syncing' || this.state === 'stopped') return
+
+        try {
+          this.client.stop()
+          this.syncLoopId++
+          if (this.inflight) {
+            await waitAtMost(this.inflight, INFLIGHT_WAIT_MS)
+          }
+          if (this.lastErrorCode === 'M_UNKNOWN_TOKEN' && this.onUnknownToken) {
+            await this.onUnknownToken()
+          }
+          this.consecutiveFailures = 0
+          this.lastSyncAt = null
+          this.startedAt = Date.now()
+          await this.client.start()
+          if (this.state === 'reconnecting') {
+            this.setState('starting')
+          }
+          return
+        } catch (error) {
+          this.recordFailure(error)
+          reason = `重启失败: ${this.lastError}`
+        }
+      }
+    } finally {
+      this.restarting = false
+    }
+  }
+
+  /**
+   * 等待下一次成功同步
+   * @returns {Promise<boolean>} 超时返回 false
+   */
+  waitForSync(timeoutMs = 30000) {
+    if (this.state === 'syncing') return Promise.resolve(true)
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.syncWaiters = this.syncWaiters.filter(waiter => waiter !== done)
+        resolve(false)
+      }, timeoutMs)
+      const done = (value) => {
+        clearTimeout(timer)
+        resolve(value)
+      }
+      this.syncWaiters.push(done)
+    })
+  }
+
+  /**
+   * 更新状态并通知监听者
+   */
+  setState(state) {
+    if (this.state === state) return
+    this.state = state
+    this.emit('state', this.getStatus())
+  }
+
+  /**
+   * 获取同步状态摘要
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      lastSyncAt: this.lastSyncAt ? new Date(this.lastSyncAt).toISOString() : null,
+      lastSyncAgoMs: this.lastSyncAt ? Date.now() - this.lastSyncAt : null,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt ? new Date(this.lastErrorAt).toISOString() : null,
+      reconnectAttempts: this.reconnectAttempts,
+      reconnectCount: this.reconnectCount,
+      downSince: this.downSince ? new Date(this.downSince).toISOString() : null
+    }
+  }
+}
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { AppserviceBridge, parseModelUsers } from './matrix-appservice.js';
+
+// Acts as a local fake homeserver: starts the bridge on an ephemeral port and
+// pushes transactions to it the way a homeserver would, without any network access.
+
+const HS_TOKEN = 'test-hs-token';
+
+const config = {
+  id: 'opencode-test',
+  homeserver: 'http://127.0.0.1:1',
+  domain: 'example.org',
+  port: 0,
+  bindAddress: '127.0.0.1',
+  senderLocalpart: 'opencode',
+  userPrefix: 'opencode_',
+  models: parseModelUsers('kimi=cc-oaicomp/Kimi-K2.5')
+};
+
+const registration = { hs_token: HS_TOKEN, as_token: 'test-as-token' };
+
+async function pushTransaction(baseUrl, txnId, events, token = HS_TOKEN) {
+  const response = await fetch(`${baseUrl}/_matrix/app/v1/transactions/${encodeURIComponent(txnId)}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ events })
+  });
+  return response.status;
+}
+
+async function testAppservice() {
+  console.log('Testing appservice transaction handling...');
+
+  const bridge = new AppserviceBridge(config, registration);
+  const received = [];
+  for (const name of ['room.message', 'room.invite', 'room.event']) {
+    bridge.botClient.on(name, (roomId, event) => received.push({ name, roomId, eventId: event.event_id }));
+  }
+
+  await bridge.listen();
+  const baseUrl = `http://127.0.0.1:${bridge.server.address().port}`;
+  console.log('Bridge listening on', baseUrl);
+
+  try {
+    const message = {
+      type: 'm.room.message',
+      room_id: '!room:example.org',
+      event_id: '$message',
+      sender: '@alice:example.org',
+      content: { msgtype: 'm.text', body: 'hello' }
+    };
+    const invite = {
+      type: 'm.room.member',
+      room_id: '!other:example.org',
+      event_id: '$invite',
+      sender: '@alice:example.org',
+      state_key: '@opencode_kimi:example.org',
+      content: { membership: 'invite' }
+    };
+
+    // 1. A bad hs_token is rejected and nothing is routed
+    const badStatus = await pushTransaction(baseUrl, 'txn-bad', [message], 'wrong-token');
+    assert.equal(badStatus, 403);
+    assert.equal(received.length, 0);
+    console.log('✅ Rejected transaction with bad hs_token');
+
+    // 2. A good transaction routes room.message and room.invite
+    assert.equal(await pushTransaction(baseUrl, 'txn-1', [message, invite]), 200);
+    assert.deepEqual(received.map(item => item.name), ['room.message', 'room.event', 'room.invite']);
+    assert.equal(received[0].roomId, '!room:example.org');
+    assert.equal(received[2].roomId, '!other:example.org');
+    console.log('✅ Routed room.message and room.invite');
+
+    // 3. Invites mark the virtual user as a room member
+    assert.deepEqual(bridge.getRoomUsers('!other:example.org'), []);
+    const join = { ...invite, event_id: '$join', content: { membership: 'join' } };
+    assert.equal(await pushTransaction(baseUrl, 'txn-2', [join]), 200);
+    assert.deepEqual(bridge.getRoomUsers('!other:example.org'), ['@opencode_kimi:example.org']);
+    console.log('✅ Tracked virtual user membership');
+
+    // 4. A replayed transaction ID is acknowledged but not processed again
+    const before = received.length;
+    assert.equal(await pushTransaction(baseUrl, 'txn-1', [message, invite]), 200);
+    assert.equal(received.length, before);
+    console.log('✅ Ignored replayed transaction');
+
+    console.log('All appservice checks passed');
+  } finally {
+    await bridge.stop();
+  }
+}
+
+testAppservice().catch(error => {
+  console.error('❌ Appservice test failed:', error);
+  process.exit(1);
+});
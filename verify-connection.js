@@ -84,7 +84,7 @@ async function verifyConnection() {
     if (rooms.length === 0) {
       console.log('\n⚠️  IMPORTANT: The bot is not in any Matrix rooms.');
       console.log('To test message reception, invite the bot to a room:');
-      console.log(`1. Invite @btc1000waibot:matrix.jp.chenhuangke.space to a room`);
+      console.log(`1. Invite ${userId} to a room (the plugin auto-joins invites from allowed users)`);
       console.log('2. Send a message starting with !help or natural language');
     } else {
       console.log('\n📝 Test Instructions:');
@@ -0,0 +1,215 @@
+/**
+ * ZIP 读取 - 解析中央目录并按需解压单个条目（用于 DOCX/PPTX 等 OOXML 文件和 ZIP 压缩包）
+ *
+ * 只支持存储（0）和 deflate（8）两种压缩方式；解压输出不超过条目声明的大小和上限，
+ * 避免声明大小与实际内容不符的条目（ZIP 炸弹）占满内存。可选的总量上限限制所有条目累计解压的大小。
+ */
+
+import zlib from 'node:zlib'
+
+export const DEFAULT_MAX_ENTRY_SIZE = 50 * 1024 * 1024
+
+const EOCD_SIGNATURE = 0x06054b50
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50
+const ZIP64_EOCD_SIGNATURE = 0x06064b50
+const CENTRAL_SIGNATURE = 0x02014b50
+const LOCAL_SIGNATURE = 0x04034b50
+const ZIP64_EXTRA_ID = 0x0001
+
+/**
+ * 文件是否以 ZIP 本地文件头开头
+ */
+export function isZipBuffer(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE
+}
+
+/**
+ * 把 DOS 日期时间转换为 Date
+ */
+function dosDateTime(date, time) {
+  if (!date) return null
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  )
+}
+
+export class ZipReader {
+  /**
+   * @param {Buffer} buffer - ZIP 文件内容
+   * @param {object} options - maxEntrySize: 单个条目解压后的大小上限; maxTotalSize: 累计解压的大小上限
+   */
+  constructor(buffer, options = {}) {
+    this.buffer = buffer
+    this.maxEntrySize = options.maxEntrySize ?? DEFAULT_MAX_ENTRY_SIZE
+    this.maxTotalSize = options.maxTotalSize ?? Infinity
+    this.extractedSize = 0
+    this.entries = this.readCentralDirectory()
+    this.entryMap = new Map(this.entries.map(entry => [entry.name, entry]))
+  }
+
+  /**
+   * 查找中央目录结束记录（文件末尾，其后可能有最长 64KB 的注释）
+   */
+  findEndOfCentralDirectory() {
+    const minOffset = Math.max(0, this.buffer.length - 22 - 0xffff)
+    for (let offset = this.buffer.length - 22; offset >= minOffset; offset--) {
+      if (this.buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+        return offset
+      }
+    }
+    throw new Error('不是有效的 ZIP 文件（找不到中央目录）')
+  }
+
+  /**
+   * 读取中央目录中的全部条目
+   */
+  readCentralDirectory() {
+    const buffer = this.buffer
+    const eocd = this.findEndOfCentralDirectory()
+
+    let count = buffer.readUInt16LE(eocd + 10)
+    let size = buffer.readUInt32LE(eocd + 12)
+    let offset = buffer.readUInt32LE(eocd + 16)
+
+    // ZIP64：条目数或偏移超出 32 位时从 ZIP64 结束记录读取
+    const locator = eocd - 20
+    if (locator >= 0 && buffer.readUInt32LE(locator) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+      const zip64Offset = Number(buffer.readBigUInt64LE(locator + 8))
+      if (buffer.readUInt32LE(zip64Offset) === ZIP64_EOCD_SIGNATURE) {
+        count = Number(buffer.readBigUInt64LE(zip64Offset + 32))
+        size = Number(buffer.readBigUInt64LE(zip64Offset + 40))
+        offset = Number(buffer.readBigUInt64LE(zip64Offset + 48))
+      }
+    }
+
+    if (offset + size > buffer.length) {
+      throw new Error('ZIP 文件已损坏（中央目录超出文件范围）')
+    }
+
+    const entries = []
+    let position = offset
+
+    for (let i = 0; i < count; i++) {
+      if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_SIGNATURE) {
+        throw new Error('ZIP 文件已损坏（中央目录条目无效）')
+      }
+
+      const flags = buffer.readUInt16LE(position + 8)
+      const nameLength = buffer.readUInt16LE(position + 28)
+      const extraLength = buffer.readUInt16LE(position + 30)
+      const commentLength = buffer.readUInt16LE(position + 32)
+      const nameBytes = buffer.subarray(position + 46, position + 46 + nameLength)
+
+      const entry = {
+        name: nameBytes.toString(flags & 0x0800 ? 'utf8' : 'latin1'),
+        method: buffer.readUInt16LE(position + 10),
+        encrypted: (flags & 0x0001) !== 0,
+        modifiedAt: dosDateTime(buffer.readUInt16LE(position + 14), buffer.readUInt16LE(position + 12)),
+        compressedSize: buffer.readUInt32LE(position + 20),
+        size: buffer.readUInt32LE(position + 24),
+        localHeaderOffset: buffer.readUInt32LE(position + 42)
+      }
+
+      this.applyZip64Extra(entry, buffer.subarray(position + 46 + nameLength, position + 46 + nameLength + extraLength))
+      entry.isDirectory = entry.name.endsWith('/')
+
+      entries.push(entry)
+      position += 46 + nameLength + extraLength + commentLength
+    }
+
+    return entries
+  }
+
+  /**
+   * 用 ZIP64 扩展字段替换被标记为 0xFFFFFFFF 的大小和偏移
+   */
+  applyZip64Extra(entry, extra) {
+    let position = 0
+    while (position + 4 <= extra.length) {
+      const id = extra.readUInt16LE(position)
+      const length = extra.readUInt16LE(position + 2)
+
+      if (id === ZIP64_EXTRA_ID) {
+        let field = position + 4
+        for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+          if (entry[key] === 0xffffffff && field + 8 <= position + 4 + length) {
+            entry[key] = Number(extra.readBigUInt64LE(field))
+            field += 8
+          }
+        }
+        return
+      }
+
+      position += 4 + length
+    }
+  }
+
+  /**
+   * 获取条目
+   */
+  getEntry(name) {
+    return this.entryMap.get(name) || null
+  }
+
+  /**
+   * 解压条目内容
+   * @param {string|object} nameOrEntry - 条目名或条目
+   * @param {object} options - maxSize: 覆盖默认的大小上限
+   * @returns {Buffer}
+   */
+  read(nameOrEntry, options = {}) {
+    const entry = typeof nameOrEntry === 'string' ? this.getEntry(nameOrEntry) : nameOrEntry
+    if (!entry) {
+      throw new Error(`ZIP 中没有条目: ${nameOrEntry}`)
+    }
+    if (entry.encrypted) {
+      throw new Error(`条目已加密: ${entry.name}`)
+    }
+
+    const maxSize = options.maxSize ?? this.maxEntrySize
+    if (entry.size > maxSize) {
+      throw new Error(`条目过大: ${entry.name} (${entry.size} bytes)`)
+    }
+    if (this.extractedSize + entry.size > this.maxTotalSize) {
+      throw new Error(`解压总量超过上限 (${this.maxTotalSize} bytes): ${entry.name}`)
+    }
+
+    const header = entry.localHeaderOffset
+    if (header + 30 > this.buffer.length || this.buffer.readUInt32LE(header) !== LOCAL_SIGNATURE) {
+      throw new Error(`ZIP 文件已损坏（本地文件头无效）: ${entry.name}`)
+    }
+
+    const dataStart = header + 30 + this.buffer.readUInt16LE(header + 26) + this.buffer.readUInt16LE(header + 28)
+    const data = this.buffer.subarray(dataStart, dataStart + entry.compressedSize)
+
+    if (entry.method === 0) {
+      this.extractedSize += data.length
+      return data
+    }
+    if (entry.method === 8) {
+      // 解压结果不能超过中央目录声明的大小，声明不实的条目直接失败
+      let output
+      try {
+        output = zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) })
+      } catch (error) {
+        throw new Error(`解压失败: ${entry.name} (${error.message})`)
+      }
+      this.extractedSize += output.length
+      return output
+    }
+
+    throw new Error(`不支持的压缩方式 ${entry.method}: ${entry.name}`)
+  }
+
+  /**
+   * 以 UTF-8 文本读取条目，不存在时返回 null
+   */
+  readText(name, options = {}) {
+    return this.getEntry(name) ? this.read(name, options).toString('utf8') : null
+  }
+}